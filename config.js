@@ -6,8 +6,25 @@ const config = {
   
   // Processing limits and timeouts
   maxConcurrentJobs: process.env.MAX_CONCURRENT_JOBS || 5,
+  maxConcurrentRenders: process.env.MAX_CONCURRENT_RENDERS || 2, // Simultaneous ffmpeg processes
+  maxConcurrentDownloads: process.env.MAX_CONCURRENT_DOWNLOADS || 3, // Simultaneous YouTube downloads
   jobTimeout: process.env.JOB_TIMEOUT || 3600000, // 1 hour in milliseconds
   
+  // Persistent job queue settings
+  jobQueue: {
+    pollInterval: process.env.JOB_POLL_INTERVAL || 15000, // How often the worker looks for orphaned jobs
+    staleAfter: process.env.JOB_STALE_AFTER || 120000, // Heartbeat age after which a job is considered orphaned
+    maxAttempts: process.env.JOB_MAX_ATTEMPTS || 3,
+  },
+
+  // Outbound webhook delivery
+  webhooks: {
+    maxAttempts: process.env.WEBHOOK_MAX_ATTEMPTS || 6,
+    retryBaseDelay: process.env.WEBHOOK_RETRY_BASE_DELAY || 30000, // Doubled after every failed attempt
+    timeout: process.env.WEBHOOK_TIMEOUT || 10000,
+    pollInterval: process.env.WEBHOOK_POLL_INTERVAL || 15000,
+  },
+  
   // AWS configuration
   aws: {
     region: process.env.AWS_REGION || 'us-east-1',
@@ -0,0 +1,173 @@
+const fs = require('fs');
+const BrandKit = require('../model/brandKitSchema');
+const { parseWatermarkSettings, probeBumper } = require('../utils/brandKit');
+
+const BRAND_KIT_ASSETS = ['logo', 'intro', 'outro'];
+
+// Remove files that are no longer referenced, ignoring ones that are already gone
+const removeFiles = (paths) => {
+  paths.filter(Boolean).forEach(filePath => {
+    try {
+      fs.rmSync(filePath, { force: true });
+    } catch (error) {
+      console.error(`Failed to remove brand kit file ${filePath}:`, error);
+    }
+  });
+};
+
+// Uploaded files of a multipart request, by field name
+const getUploadedFile = (req, field) => req.files && req.files[field] && req.files[field][0];
+
+// Brand kit as returned by the API, without server file paths
+const toBrandKitResponse = (kit) => {
+  if (!kit) {
+    return null;
+  }
+  const { logo, intro, outro, createdAt, updatedAt } = kit.toObject();
+  const describeBumper = (bumper) => bumper && bumper.path
+    ? { fileName: bumper.fileName, duration: bumper.duration, hasAudio: bumper.hasAudio, uploadedAt: bumper.uploadedAt }
+    : null;
+
+  return {
+    logo: logo && logo.path
+      ? { fileName: logo.fileName, position: logo.position, opacity: logo.opacity, scale: logo.scale }
+      : null,
+    intro: describeBumper(intro),
+    outro: describeBumper(outro),
+    createdAt,
+    updatedAt
+  };
+};
+
+// Get the user's brand kit
+const getBrandKit = async (req, res) => {
+  try {
+    const kit = await BrandKit.findOne({ userId: req.user.id.toString() });
+
+    return res.status(200).json({
+      success: true,
+      brandKit: toBrandKitResponse(kit)
+    });
+  } catch (error) {
+    console.error('Error fetching brand kit:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error fetching brand kit',
+      error: error.message
+    });
+  }
+};
+
+// Create or update the user's brand kit: upload a logo, intro or outro and change the watermark settings
+const updateBrandKit = async (req, res) => {
+  const uploaded = BRAND_KIT_ASSETS.map(field => getUploadedFile(req, field)).filter(Boolean);
+
+  try {
+    const userId = req.user.id.toString();
+    const kit = await BrandKit.findOne({ userId }) || new BrandKit({ userId });
+    const replaced = [];
+
+    const { settings, error: settingsError } = parseWatermarkSettings(req.body, kit.logo || {});
+    if (settingsError) {
+      removeFiles(uploaded.map(file => file.path));
+      return res.status(400).json({
+        success: false,
+        message: settingsError
+      });
+    }
+
+    const logoFile = getUploadedFile(req, 'logo');
+    if (logoFile) {
+      replaced.push(kit.logo && kit.logo.path);
+      kit.logo = { ...settings, path: logoFile.path, fileName: logoFile.originalname };
+    } else if (kit.logo && kit.logo.path) {
+      Object.assign(kit.logo, settings);
+    }
+
+    for (const field of ['intro', 'outro']) {
+      const file = getUploadedFile(req, field);
+      if (!file) {
+        continue;
+      }
+
+      let probed;
+      try {
+        probed = await probeBumper(file.path);
+      } catch (probeError) {
+        console.error(`Brand kit ${field} probe error:`, probeError);
+        removeFiles(uploaded.map(item => item.path));
+        return res.status(400).json({
+          success: false,
+          message: `Could not read the ${field} video`
+        });
+      }
+
+      replaced.push(kit[field] && kit[field].path);
+      kit[field] = { path: file.path, fileName: file.originalname, ...probed, uploadedAt: new Date() };
+    }
+
+    kit.updatedAt = new Date();
+    await kit.save();
+    removeFiles(replaced);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Brand kit updated successfully',
+      brandKit: toBrandKitResponse(kit)
+    });
+  } catch (error) {
+    console.error('Error updating brand kit:', error);
+    removeFiles(uploaded.map(file => file.path));
+    return res.status(500).json({
+      success: false,
+      message: 'Error updating brand kit',
+      error: error.message
+    });
+  }
+};
+
+// Remove the logo, intro or outro from the user's brand kit
+const deleteBrandKitAsset = async (req, res) => {
+  try {
+    const { asset } = req.params;
+    if (!BRAND_KIT_ASSETS.includes(asset)) {
+      return res.status(400).json({
+        success: false,
+        message: `asset must be one of ${BRAND_KIT_ASSETS.join(', ')}`
+      });
+    }
+
+    const kit = await BrandKit.findOne({ userId: req.user.id.toString() });
+    if (!kit || !kit[asset] || !kit[asset].path) {
+      return res.status(404).json({
+        success: false,
+        message: `Brand kit has no ${asset}`
+      });
+    }
+
+    const filePath = kit[asset].path;
+    kit[asset] = undefined;
+    kit.updatedAt = new Date();
+    await kit.save();
+    removeFiles([filePath]);
+
+    return res.status(200).json({
+      success: true,
+      message: `Brand kit ${asset} removed`,
+      brandKit: toBrandKitResponse(kit)
+    });
+  } catch (error) {
+    console.error('Error removing brand kit asset:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error removing brand kit asset',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getBrandKit,
+  updateBrandKit,
+  deleteBrandKitAsset
+};
@@ -1,6 +1,7 @@
 /* controllers/generateClips.js */
 const OpenAI = require('openai');
 const dotenv = require('dotenv');
+const { parseSnapOptions, snapClipsToScenes } = require('../../utils/scenes');
 dotenv.config();
 
 const openai = new OpenAI({
@@ -15,6 +16,11 @@ const generateClips = async (req, res) => {
     const customPrompt = req.body.customPrompt || '';
     details = Object.entries(details).map(([k, v]) => ({ [k]: v }));
 
+    const { snap, error: snapError } = parseSnapOptions(req.body.snapToScenes);
+    if (snapError) {
+      return res.status(400).json({ success: false, message: snapError });
+    }
+
     let explicitDuration = null;
     const m = /(?:^|\s)(\d+(?:\.\d+)?)\s*second(?:s)?/i.exec(customPrompt);
     if (m) explicitDuration = parseFloat(m[1]);
@@ -143,6 +149,11 @@ ${JSON.stringify(details, null, 2)}`.trim();
       }
     }
 
+    // Snapping would break a duration the prompt asked for exactly
+    if (snap && !explicitDuration) {
+      clips = await snapClipsToScenes(clips, snap);
+    }
+
     return res.status(200).json({
       success: true,
       data: { script: JSON.stringify(clips) },
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Video = require('../../model/uploadVideosSchema');
+const { downloadYouTubeVideoById } = require('../clipsMergeController/apifyMergeClips');
+const { resolveVideoPath } = require('../clipsMergeController/videoMergeClips');
+const { renderPool, downloadPool } = require('../clipsMergeController/jobStatus/scheduler');
+const { PREVIEW_CONTENT_TYPES, parsePreviewOptions, getPreviewSignature, createPreview } = require('../../utils/preview');
+
+// Rendered previews are kept next to the downloaded YouTube videos, by clip signature
+const previewDir = path.join(__dirname, '../../cache/previews');
+const tempDir = path.join(__dirname, '../../temp');
+
+// signature -> promise of the preview being rendered, so identical requests share one render
+const pendingPreviews = new Map();
+
+// Uploads are played from disk, YouTube videos are downloaded for the render
+const getSourcePath = async (videoId, upload, workDir) => {
+    if (upload) {
+        return resolveVideoPath(upload.videoUrl);
+    }
+
+    fs.mkdirSync(workDir, { recursive: true });
+    const inputPath = await downloadPool.run(() => downloadYouTubeVideoById(videoId, workDir), { key: workDir });
+    if (inputPath.endsWith('.jpg')) {
+        throw new Error(`Could not download video ${videoId}`);
+    }
+    return inputPath;
+};
+
+const renderCachedPreview = async (videoId, upload, preview, signature, cachedPath) => {
+    const workDir = path.join(tempDir, `preview_${signature}`);
+    // Render next to the cache and move it in once complete, so a partial file is never served
+    const renderPath = `${cachedPath}.${process.pid}.tmp`;
+    try {
+        const inputPath = await getSourcePath(videoId, upload, workDir);
+        const result = await renderPool.run(() => createPreview(inputPath, renderPath, preview), { key: `preview_${signature}` });
+        fs.renameSync(renderPath, cachedPath);
+        console.log(`Created ${preview.format} preview of ${videoId} (${Math.round(result.size / 1024)}KB, ${result.width}px, ${result.fps}fps)`);
+        return cachedPath;
+    } finally {
+        fs.rmSync(renderPath, { force: true });
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+};
+
+const previewClip = async (req, res) => {
+    try {
+        const { videoId } = req.query;
+        if (!videoId) {
+            return res.status(400).json({ message: 'videoId is required', status: false });
+        }
+
+        const { preview, error } = parsePreviewOptions(req.query);
+        if (error) {
+            return res.status(400).json({ message: error, status: false });
+        }
+
+        // Uploaded videos are looked up by id for their owner before anything is served from the cache;
+        // anything else has to be a YouTube video id
+        let upload = null;
+        if (mongoose.Types.ObjectId.isValid(videoId)) {
+            upload = await Video.findOne({ _id: videoId, userId: req.user._id }).select('videoUrl').lean();
+            if (!upload) {
+                return res.status(404).json({ message: 'Video not found or access denied', status: false });
+            }
+        } else if (!/^[\w-]{11}$/.test(videoId)) {
+            return res.status(400).json({ message: 'Invalid YouTube video ID', status: false });
+        }
+
+        const signature = getPreviewSignature(videoId, preview);
+        const cachedPath = path.join(previewDir, `${signature}.${preview.format}`);
+
+        if (!fs.existsSync(cachedPath)) {
+            fs.mkdirSync(previewDir, { recursive: true });
+            if (!pendingPreviews.has(signature)) {
+                pendingPreviews.set(signature, renderCachedPreview(videoId, upload, preview, signature, cachedPath)
+                    .finally(() => pendingPreviews.delete(signature)));
+            }
+            await pendingPreviews.get(signature);
+        }
+
+        // The signature covers every option, so a cached preview never changes;
+        // previews of uploads are only for their owner and stay out of shared caches
+        res.set({
+            'Content-Type': PREVIEW_CONTENT_TYPES[preview.format],
+            'Cache-Control': `${upload ? 'private' : 'public'}, max-age=604800, immutable`,
+            'ETag': `"${signature}"`
+        });
+        if (req.headers['if-none-match'] === `"${signature}"`) {
+            return res.status(304).end();
+        }
+        return res.sendFile(cachedPath);
+    } catch (error) {
+        console.error('Error creating clip preview:', error);
+        res.status(500).json({ message: 'Error creating clip preview', error: error.message, status: false });
+    }
+};
+
+module.exports = previewClip;
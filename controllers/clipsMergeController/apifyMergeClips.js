@@ -9,6 +9,18 @@ const { spawn } = require('child_process');
 const youtubeDl = require('youtube-dl-exec');
 const { uploadToS3, getSignedDownloadUrl } = require('../../utils/s3');
 const axios = require('axios');
+const { updateJobStatus, reportProgress } = require('./jobStatus/getJobStatus');
+const { createJob, runJob, registerJobHandler } = require('./jobStatus/jobQueue');
+const { renderPool, downloadPool, trackProcess, isJobAborted, throwIfAborted } = require('./jobStatus/scheduler');
+const { VIDEO_ENCODE_OPTIONS, parseReframeOptions, getClipReframe } = require('../../utils/reframe');
+const { parseCaptionOptions, loadTranscriptWords, createClipSubtitles, applyCaptions } = require('../../utils/captions');
+const { parseTransitionOptions, fitTransitions, buildTransitionFilters } = require('../../utils/transitions');
+const { parseLoudnessOptions, measureLoudness, buildLoudnormFilter } = require('../../utils/loudness');
+const { parseTrimOptions, canCopyTrim, trimWithKeyframes } = require('../../utils/trimming');
+const { parseHlsOptions, packageHls, uploadHls } = require('../../utils/hls');
+const { getChapterTitle, getSegmentStarts, layoutChapters, writeFfmetadata, embedChapters } = require('../../utils/chapters');
+const { probeMediaProfile, pickTargetProfile, buildNormalizeFilters, normalizeForConcat } = require('../../utils/mediaProfile');
+const { generateWaveforms } = require('../../utils/waveform');
 
 const videoCache = {
   cache: new Map(), 
@@ -57,6 +69,15 @@ const videoCache = {
   getCachePath(videoId) {
     return path.join(this.cacheDir, `${videoId}.mp4`);
   },
+
+  // Get the file of a cached video, including files cached before a restart emptied the in-memory index
+  getCachedFile(videoId) {
+    if (this.hasVideo(videoId)) {
+      return this.cache.get(videoId).filePath;
+    }
+    const cachePath = this.getCachePath(videoId);
+    return fs.existsSync(cachePath) ? cachePath : null;
+  },
   
   copyToPath(videoId, targetPath) {
     return new Promise((resolve, reject) => {
@@ -221,7 +242,7 @@ const downloadYouTubeVideo = async (videoId, outputPath) => {
 };
 
 
-const downloadWithYtDlp = (videoId, outputPath) => {
+const downloadWithYtDlp = (videoId, outputPath, jobId = null) => {
     return new Promise((resolve, reject) => {
         // Updated command arguments for 720p or lower resolution
         const args = [
@@ -236,6 +257,7 @@ const downloadWithYtDlp = (videoId, outputPath) => {
         
         console.log('Running yt-dlp with args:', args.join(' '));
         const downloadProcess = spawn('yt-dlp', args);
+        const untrack = trackProcess(jobId, downloadProcess);
         
         downloadProcess.stdout.on('data', (data) => {
             console.log(`yt-dlp stdout: ${data.toString()}`);
@@ -246,6 +268,7 @@ const downloadWithYtDlp = (videoId, outputPath) => {
         });
         
         downloadProcess.on('error', (error) => {
+            untrack();
             if (error.code === 'ENOENT') {
                 reject(new Error('yt-dlp command not found. Please make sure yt-dlp is installed and in your PATH.'));
             } else {
@@ -254,6 +277,7 @@ const downloadWithYtDlp = (videoId, outputPath) => {
         });
         
         downloadProcess.on('close', (code) => {
+            untrack();
             if (code === 0) {
                 console.log(`Download completed: ${outputPath}`);
                 resolve(outputPath);
@@ -284,7 +308,8 @@ const isYtDlpInstalled = async () => {
 };
 
 // Download YouTube video using youtube-dl-exec (most reliable method)
-const downloadWithYoutubeDlExec = async (videoId, outputPath) => {
+const downloadWithYoutubeDlExec = async (videoId, outputPath, jobId = null) => {
+    let untrack = () => {};
     try {
         console.log('Downloading video with youtube-dl-exec...');
         const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
@@ -302,19 +327,23 @@ const downloadWithYoutubeDlExec = async (videoId, outputPath) => {
         console.log(`Video title: ${info.title}, Duration: ${info.duration}s`);
         
         // Download the video with updated options for 720p or lower
-        await youtubeDl(videoUrl, {
+        const subprocess = youtubeDl(videoUrl, {
             output: outputPath,
             format: 'bestvideo[height<=720]+bestaudio/best[height<=720]', // Target 720p or lower
             noCheckCertificates: true,
             forceIpv4: true,
             extractorArgs: 'youtube:player_client=android'
         });
+        untrack = trackProcess(jobId, subprocess);
+        await subprocess;
         
         console.log(`Download completed: ${outputPath}`);
         return outputPath;
     } catch (error) {
         console.error('youtube-dl-exec download error:', error.message);
         throw error;
+    } finally {
+        untrack();
     }
 };
 
@@ -557,7 +586,7 @@ const downloadWithDirectFetch = async (videoId, outputPath) => {
 };
 
 // Just download the YouTube video by ID
-const downloadYouTubeVideoById = async (videoId, outputDir) => {
+const downloadYouTubeVideoById = async (videoId, outputDir, jobId = null) => {
     try {
         // First check if the video is in the in-memory cache
         if (videoCache.hasVideo(videoId)) {
@@ -586,7 +615,7 @@ const downloadYouTubeVideoById = async (videoId, outputDir) => {
         const methods = [
             {
                 name: 'youtube-dl-exec',
-                fn: async () => await downloadWithYoutubeDlExec(videoId, outputPath)
+                fn: async () => await downloadWithYoutubeDlExec(videoId, outputPath, jobId)
             },
             {
                 name: 'yt-dlp',
@@ -595,7 +624,7 @@ const downloadYouTubeVideoById = async (videoId, outputDir) => {
                     if (!ytDlpAvailable) {
                         throw new Error('yt-dlp not available');
                     }
-                    return await downloadWithYtDlp(videoId, outputPath);
+                    return await downloadWithYtDlp(videoId, outputPath, jobId);
                 }
             },
             {
@@ -618,6 +647,8 @@ const downloadYouTubeVideoById = async (videoId, outputDir) => {
 
         let lastError = null;
         for (const method of methods) {
+            // Stop falling back to other methods once the job has been aborted
+            throwIfAborted(jobId);
             try {
                 console.log(`Trying download method: ${method.name}`);
                 const result = await method.fn();
@@ -656,8 +687,19 @@ const downloadYouTubeVideoById = async (videoId, outputDir) => {
     }
 };
 
-// Function to trim video using ffmpeg
-const trimVideo = async (inputPath, outputPath, startTime, endTime) => {
+// Function to trim video using ffmpeg, optionally reframing it, burning in captions and filtering its audio in the same pass
+// Unfiltered clips are copied instead of re-encoded when the trim mode is fast or smart
+const trimVideo = async (inputPath, outputPath, startTime, endTime, jobId = null, reframe = null, subtitlesPath = null, audioFilter = null, trimMode = 'accurate') => {
+    if (canCopyTrim(trimMode, { reframe, subtitlesPath, audioFilter }) && endTime > startTime) {
+        const copied = await trimWithKeyframes(inputPath, outputPath, startTime, endTime, trimMode, {
+            track: (command) => trackProcess(jobId, command)
+        });
+        if (copied) {
+            console.log(`Trimming completed without a full re-encode (${trimMode}): ${outputPath}`);
+            return copied;
+        }
+    }
+
     return new Promise((resolve, reject) => {
         console.log(`Trimming video from ${startTime}s to ${endTime}s`);
         
@@ -667,7 +709,14 @@ const trimVideo = async (inputPath, outputPath, startTime, endTime) => {
             return reject(new Error('Invalid time range: endTime must be greater than startTime'));
         }
         
-        ffmpeg(inputPath)
+        const command = ffmpeg(inputPath);
+        const untrack = trackProcess(jobId, command);
+        applyCaptions(command, reframe, subtitlesPath);
+        if (audioFilter) {
+            command.audioFilters(audioFilter);
+        }
+        
+        command
             .setStartTime(startTime)
             .setDuration(duration)
             .output(outputPath)
@@ -677,13 +726,16 @@ const trimVideo = async (inputPath, outputPath, startTime, endTime) => {
             .on('progress', (progress) => {
                 if (progress.percent) {
                     console.log(`Trimming progress: ${progress.percent.toFixed(1)}%`);
+                    reportProgress(jobId, { step: 'trimming', percent: progress.percent });
                 }
             })
             .on('end', () => {
+                untrack();
                 console.log(`Trimming completed: ${outputPath}`);
                 resolve(outputPath);
             })
             .on('error', (err) => {
+                untrack();
                 console.error(`Trimming error: ${err.message}`);
                 reject(err);
             })
@@ -691,8 +743,45 @@ const trimVideo = async (inputPath, outputPath, startTime, endTime) => {
     });
 };
 
+// Function to reframe a whole video to another aspect ratio, burn captions into it and/or filter its audio
+const reframeVideo = async (inputPath, outputPath, reframe, jobId = null, subtitlesPath = null, audioFilter = null) => {
+    return new Promise((resolve, reject) => {
+        if (reframe) {
+            console.log(`Reframing video to ${reframe.aspectRatio} (${reframe.fit})`);
+        }
+        
+        const command = ffmpeg(inputPath);
+        const untrack = trackProcess(jobId, command);
+        
+        applyCaptions(command, reframe, subtitlesPath);
+        if (audioFilter) {
+            command.audioFilters(audioFilter);
+        }
+        
+        command
+            .output(outputPath)
+            .on('progress', (progress) => {
+                if (progress.percent) {
+                    reportProgress(jobId, { step: 'reframing', percent: progress.percent });
+                }
+            })
+            .on('end', () => {
+                untrack();
+                console.log(`Reframing completed: ${outputPath}`);
+                resolve(outputPath);
+            })
+            .on('error', (err) => {
+                untrack();
+                console.error(`Reframing error: ${err.message}`);
+                reject(err);
+            })
+            .run();
+    });
+};
+
 // Function to merge multiple video clips into one
-const mergeVideoClips = async (clipPaths, outputPath) => {
+// transitions[i] joins clipPaths[i] and clipPaths[i + 1]; without transitions the clips are concatenated as they are
+const mergeVideoClips = async (clipPaths, outputPath, jobId = null, transitions = null) => {
     return new Promise(async (resolve, reject) => {
         if (!clipPaths || clipPaths.length === 0) {
             return reject(new Error('No clips provided for merging'));
@@ -703,6 +792,12 @@ const mergeVideoClips = async (clipPaths, outputPath) => {
         // Filter out image files and only keep video files
         const videoClips = clipPaths.filter(path => !path.endsWith('.jpg'));
         const imageClips = clipPaths.filter(path => path.endsWith('.jpg'));
+        // Each remaining clip keeps the transition leading into it
+        const videoTransitions = transitions && clipPaths
+            .map((clipPath, index) => ({ clipPath, transition: transitions[index - 1] }))
+            .filter(({ clipPath }) => !clipPath.endsWith('.jpg'))
+            .slice(1)
+            .map(({ transition }) => transition);
         
         console.log(`Found ${videoClips.length} video clips and ${imageClips.length} image clips`);
         
@@ -755,9 +850,66 @@ const mergeVideoClips = async (clipPaths, outputPath) => {
             }
         }
 
+        if (videoTransitions && videoTransitions.some(transition => transition && transition.type !== 'cut')) {
+            try {
+                // Downloads can differ in size, frame rate and audio format, so every clip is normalized first
+                const profiles = await Promise.all(videoClips.map(clip => probeMediaProfile(clip)));
+                const target = pickTargetProfile(profiles);
+                const normalizeFilters = [];
+                const inputs = videoClips.map((clip, index) => {
+                    const normalized = buildNormalizeFilters(index, profiles[index], target, `s${index}`);
+                    normalizeFilters.push(...normalized.filters);
+                    return { video: normalized.video, audio: normalized.audio, duration: profiles[index].duration };
+                });
+                const { filters: transitionFilters, duration } = buildTransitionFilters(inputs, videoTransitions, { video: 'v', audio: 'a' }, target);
+                const filters = [...normalizeFilters, ...transitionFilters];
+                console.log(`Merging with transitions, expected duration ${duration}s`);
+
+                const ffmpegCmd = ffmpeg();
+                videoClips.forEach(clip => ffmpegCmd.input(clip));
+                const untrack = trackProcess(jobId, ffmpegCmd);
+
+                ffmpegCmd
+                    .complexFilter(filters)
+                    .outputOptions(['-map', '[v]', '-map', '[a]', ...VIDEO_ENCODE_OPTIONS])
+                    .output(outputPath)
+                    .on('start', (commandLine) => {
+                        console.log('FFmpeg transition merge command:', commandLine);
+                    })
+                    .on('progress', (progress) => {
+                        if (progress.percent) {
+                            reportProgress(jobId, { step: 'merging', percent: progress.percent });
+                        }
+                    })
+                    .on('end', () => {
+                        untrack();
+                        console.log(`Merged video saved to: ${outputPath}`);
+                        resolve(outputPath);
+                    })
+                    .on('error', (err) => {
+                        untrack();
+                        console.error(`Error during video merge with transitions: ${err.message}`);
+                        reject(err);
+                    })
+                    .run();
+            } catch (error) {
+                console.error(`Error setting up video merge with transitions: ${error.message}`);
+                reject(error);
+            }
+            return;
+        }
+
         try {
+            // The concat demuxer copies streams, so clips whose resolution, frame rate or audio format differ are re-encoded first
+            throwIfAborted(jobId);
+            reportProgress(jobId, { step: 'normalizing' });
+            const { paths: concatPaths, target, normalized } = await normalizeForConcat(videoClips, path.dirname(outputPath), {
+                track: (command) => trackProcess(jobId, command)
+            });
+            console.log(`Normalized ${normalized.length} of ${videoClips.length} clips to ${target.width}x${target.height}@${target.fps}`);
+
             const concatFilePath = path.join(path.dirname(outputPath), 'concat_list.txt');
-            const concatContent = videoClips.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n');
+            const concatContent = concatPaths.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n');
 
             fs.writeFileSync(concatFilePath, concatContent);
 
@@ -766,6 +918,7 @@ const mergeVideoClips = async (clipPaths, outputPath) => {
                 .inputOptions(['-f', 'concat', '-safe', '0'])
                 .outputOptions('-c copy')
                 .output(outputPath);
+            const untrack = trackProcess(jobId, ffmpegCmd);
 
             ffmpegCmd.on('start', (commandLine) => {
                 console.log('FFmpeg merge command:', commandLine);
@@ -774,14 +927,17 @@ const mergeVideoClips = async (clipPaths, outputPath) => {
             ffmpegCmd.on('progress', (progress) => {
                 if (progress.percent) {
                     console.log(`Merging progress: ${progress.percent.toFixed(1)}%`);
+                    reportProgress(jobId, { step: 'merging', percent: progress.percent });
                 }
             });
             
             ffmpegCmd.on('end', () => {
+                untrack();
                 console.log(`Merged video saved to: ${outputPath}`);
                 
                 try {
                     fs.unlinkSync(concatFilePath);
+                    normalized.forEach(index => fs.rmSync(concatPaths[index], { force: true }));
                 } catch (err) {
                     console.error(`Failed to delete concat file: ${err.message}`);
                 }
@@ -790,6 +946,7 @@ const mergeVideoClips = async (clipPaths, outputPath) => {
             });
             
             ffmpegCmd.on('error', (err) => {
+                untrack();
                 console.error(`Error during video merge: ${err.message}`);
                 reject(err);
             });
@@ -803,7 +960,7 @@ const mergeVideoClips = async (clipPaths, outputPath) => {
 };
 
 const processClip = async (req, res) => {
-    const { videoId, startTime, endTime } = req.query;
+    const { videoId, startTime, endTime, trimMode } = req.query;
 
     console.log("Processing single clip - videoId:", videoId);
     console.log("Processing single clip - startTime:", startTime);
@@ -815,6 +972,14 @@ const processClip = async (req, res) => {
             message: 'Missing videoId parameter'
         });
     }
+
+    const { trimMode: clipTrimMode, error: trimError } = parseTrimOptions({ trimMode });
+    if (trimError) {
+        return res.status(400).json({
+            success: false,
+            message: trimError
+        });
+    }
     
     try {
         // Create temp directory if it doesn't exist
@@ -852,7 +1017,7 @@ const processClip = async (req, res) => {
 
                 try {
                     // Trim the video
-                    finalVideoPath = await trimVideo(downloadedPath, trimmedPath, parsedStartTime, parsedEndTime);
+                    finalVideoPath = await trimVideo(downloadedPath, trimmedPath, parsedStartTime, parsedEndTime, null, null, null, null, clipTrimMode);
                     
                     console.log("Final video path after trimming:", finalVideoPath);
 
@@ -922,28 +1087,398 @@ const processClip = async (req, res) => {
     }
 };
 
+// Download, trim, merge and upload the clips of a job
+const processMergeJob = async (jobId, clips, options = {}) => {
+    const tempDir = path.join(__dirname, '../../temp');
+    const jobDir = path.join(tempDir, jobId);
+    if (!fs.existsSync(jobDir)) {
+        fs.mkdirSync(jobDir, { recursive: true });
+    }
+
+    // Array to store downloaded video paths
+    const downloadedVideos = [];
+    const failedDownloads = [];
+    const processedClipPaths = [];
+
+    // Process all clips in parallel; the shared download and render pools cap how many run at once
+    const clipPromises = clips.map(async (clip, index) => {
+        const { videoId, startTime, endTime } = clip;
+        const clipReframe = getClipReframe(options.reframe, clip);
+        // Transcript words of the source video, only loaded when captions are burned in
+        const words = options.captions ? await loadTranscriptWords(videoId) : [];
+        const writeSubtitles = (videoPath, from, to) => options.captions
+            ? createClipSubtitles({
+                words,
+                startTime: from,
+                endTime: to,
+                captions: options.captions,
+                reframe: clipReframe,
+                videoPath,
+                outputPath: path.join(jobDir, `${videoId}_${from}_${to}_${Date.now()}.ass`)
+            })
+            : null;
+        // First loudnorm pass; the second one runs as part of the trim or reframe
+        let clipLoudness = null;
+        const measureAudio = async (videoPath, from, duration) => {
+            if (!options.loudness) {
+                return null;
+            }
+            reportProgress(jobId, { step: 'normalizing', clip: { index, total: clips.length, videoId, status: 'measuring' } });
+            clipLoudness = await renderPool.run(() => measureLoudness(videoPath, options.loudness, {
+                startTime: from,
+                duration,
+                track: (command) => trackProcess(jobId, command)
+            }), { key: jobId });
+            return clipLoudness ? buildLoudnormFilter(options.loudness, clipLoudness) : null;
+        };
+    
+        console.log(`Processing video ${index + 1}/${clips.length}`);
+        console.log("videoId: ", videoId);
+        console.log("startTime: ", startTime);
+        console.log("endTime: ", endTime);
+    
+        try {
+            // Step 1: Download the full video
+            throwIfAborted(jobId);
+            await updateJobStatus(jobId, 'downloading', `clip_${index + 1}`, `Downloading clip ${index + 1}/${clips.length}`);
+            reportProgress(jobId, { step: 'downloading', clip: { index, total: clips.length, videoId, status: 'downloading' } });
+            const downloadedPath = await downloadPool.run(() => downloadYouTubeVideoById(videoId, jobDir, jobId), { key: jobId });
+            reportProgress(jobId, { step: 'downloading', clip: { index, total: clips.length, videoId, status: 'downloaded' } });
+        
+            // Step 2: Check if we need to trim the video
+            let finalVideoPath = downloadedPath;
+        
+            // Only trim if both startTime and endTime are valid numbers
+            if (startTime !== undefined && endTime !== undefined && 
+                !isNaN(parseFloat(startTime)) && !isNaN(parseFloat(endTime))) {
+            
+                // Check if the file is an image (thumbnail fallback)
+                if (downloadedPath.endsWith('.jpg')) {
+                    console.log('Cannot trim a thumbnail image. Skipping trim operation.');
+                } else {
+                    const parsedStartTime = parseFloat(startTime);
+                    const parsedEndTime = parseFloat(endTime);
+
+                    const trimmedFilename = `${videoId}_${parsedStartTime}_${parsedEndTime}_${Date.now()}.mp4`;
+                    const trimmedPath = path.join(jobDir, trimmedFilename);
+
+                    try {
+                        // Trim the video
+                        throwIfAborted(jobId);
+                        const subtitlesPath = await writeSubtitles(downloadedPath, parsedStartTime, parsedEndTime);
+                        const audioFilter = await measureAudio(downloadedPath, parsedStartTime, parsedEndTime - parsedStartTime);
+                        finalVideoPath = await renderPool.run(() => trimVideo(downloadedPath, trimmedPath, parsedStartTime, parsedEndTime, jobId, clipReframe, subtitlesPath, audioFilter, options.trimMode), { key: jobId });
+                    
+                        console.log("finalVideoPath: ", finalVideoPath);
+                        reportProgress(jobId, { step: 'trimming', clip: { index, total: clips.length, videoId, status: 'trimmed' } });
+
+                        try {
+                            fs.unlinkSync(downloadedPath);
+                            console.log(`Deleted original full video: ${downloadedPath}`);
+                        } catch (deleteErr) {
+                            console.error(`Failed to delete original video: ${deleteErr.message}`);
+                        }
+                    } catch (trimError) {
+                        throwIfAborted(jobId);
+                        console.error(`Failed to trim video: ${trimError.message}`);
+                        console.log('Using the full video instead');
+                        // Keep using the full video if trimming fails
+                    }
+                }
+            } else {
+                console.log('No valid startTime and endTime provided. Using full video.');
+            }
+
+            // Untrimmed videos still have to match the requested frame so the clips can be concatenated,
+            // and get captions and loudness normalization over their whole length
+            if ((clipReframe || options.captions || options.loudness) && finalVideoPath === downloadedPath && !downloadedPath.endsWith('.jpg')) {
+                throwIfAborted(jobId);
+                const subtitlesPath = await writeSubtitles(downloadedPath, 0, Infinity);
+                const audioFilter = await measureAudio(downloadedPath);
+                if (clipReframe || subtitlesPath || audioFilter) {
+                    const reframedPath = path.join(jobDir, `${videoId}_reframed_${Date.now()}.mp4`);
+                    finalVideoPath = await renderPool.run(() => reframeVideo(downloadedPath, reframedPath, clipReframe, jobId, subtitlesPath, audioFilter), { key: jobId });
+                }
+            }
+        
+            return {
+                success: true,
+                index,
+                videoId,
+                startTime: startTime || 0,
+                endTime: endTime || 0,
+                videoPath: finalVideoPath,
+                loudness: clipLoudness
+            };
+        } catch (error) {
+            // A cancelled or timed out job must not fall through to merging
+            throwIfAborted(jobId);
+            console.error(`Failed to process video ${index + 1}:`, error);
+            reportProgress(jobId, { clip: { index, total: clips.length, videoId, status: 'failed', error: error.message } });
+            return {
+                success: false,
+                index,
+                videoId,
+                startTime: startTime || 0,
+                endTime: endTime || 0,
+                error: error.message
+            };
+        }
+    });
+
+    // Wait for all clips to process
+    const clipResults = await Promise.all(clipPromises);
+
+    // Sort results into successful and failed downloads
+    for (const result of clipResults) {
+        if (result.success) {
+            downloadedVideos.push(result);
+            processedClipPaths.push(result.videoPath);
+        } else {
+            failedDownloads.push(result);
+        }
+    }
+
+    if (downloadedVideos.length === 0) {
+        const error = new Error('Failed to process any videos');
+        error.failedDownloads = failedDownloads;
+        throw error;
+    }
+
+    let mergedVideoPath = null;
+    let mergeSuccess = false;
+    let s3Url = null;
+    let hls;
+    let chapters;
+    let waveform;
+
+    if (processedClipPaths.length > 0) {
+        try {
+            const mergedFilename = `merged_${Date.now()}.mp4`;
+            mergedVideoPath = path.join(jobDir, mergedFilename);
+        
+            // Attempt to merge all clips into one video
+            await updateJobStatus(jobId, 'merging', 'merging', `Merging ${processedClipPaths.length} clips`);
+            throwIfAborted(jobId);
+            // Failed clips are left out, so each remaining clip takes the transition that led into it
+            const mergeTransitions = options.transitions
+                ? downloadedVideos.slice(1).map(result => options.transitions[result.index - 1])
+                : null;
+            await renderPool.run(() => mergeVideoClips(processedClipPaths, mergedVideoPath, jobId, mergeTransitions), { key: jobId });
+            mergeSuccess = true;
+            console.log(`Successfully merged ${processedClipPaths.length} clips into: ${mergedVideoPath}`);
+
+            // Add a chapter per source clip, named after its title or transcript text
+            try {
+                throwIfAborted(jobId);
+                const profiles = await Promise.all(processedClipPaths.map(clipPath => probeMediaProfile(clipPath)));
+                // Transitions are shortened where a clip is too short for them, as they were rendered
+                const chapterSegments = downloadedVideos.map((result, i) => ({
+                    title: getChapterTitle(clips[result.index], result.index),
+                    duration: profiles[i].duration
+                }));
+                const chapterTransitions = fitTransitions(profiles.map(profile => profile.duration), mergeTransitions);
+                chapters = layoutChapters(chapterSegments, chapterTransitions);
+                // Where each clip plays in the merged video, so its words can be placed on it later
+                const segmentStarts = getSegmentStarts(chapterSegments, chapterTransitions);
+                downloadedVideos.forEach((result, i) => {
+                    result.mergedStart = segmentStarts[i];
+                });
+                const chaptersPath = writeFfmetadata(path.join(jobDir, 'chapters.txt'), { chapters });
+                const chapteredPath = path.join(jobDir, `chapters_${mergedFilename}`);
+                await renderPool.run(() => embedChapters(mergedVideoPath, chapteredPath, chaptersPath, {
+                    track: (command) => trackProcess(jobId, command)
+                }), { key: jobId });
+                fs.renameSync(chapteredPath, mergedVideoPath);
+            } catch (chapterError) {
+                throwIfAborted(jobId);
+                console.error(`Failed to add chapters: ${chapterError.message}`);
+                chapters = undefined;
+            }
+        
+            // Upload the merged video to S3
+            try {
+                throwIfAborted(jobId);
+                await updateJobStatus(jobId, 'uploading', 'uploading', 'Uploading merged video to S3');
+                const s3Key = `merged-videos/${jobId}/${mergedFilename}`;
+                s3Url = await uploadToS3(mergedVideoPath, s3Key);
+                console.log(`Successfully uploaded merged video to S3: ${s3Url}`);
+            
+                // Save S3 URL to a file so it can be retrieved later by status checks
+                const s3InfoFile = path.join(jobDir, 's3_info.json');
+                fs.writeFileSync(s3InfoFile, JSON.stringify({
+                    url: s3Url,
+                    key: s3Key,
+                    timestamp: Date.now()
+                }, null, 2));
+            } catch (s3Error) {
+                throwIfAborted(jobId);
+                console.error(`Failed to upload to S3: ${s3Error.message}`);
+                // Continue with local file if S3 upload fails
+            }
+
+            // Package an HLS ladder next to the uploaded MP4
+            if (options.hls && s3Url) {
+                try {
+                    throwIfAborted(jobId);
+                    await updateJobStatus(jobId, 'uploading', 'packaging', 'Packaging HLS renditions');
+                    const hlsDir = path.join(jobDir, 'hls');
+                    const packaged = await renderPool.run(() => packageHls(mergedVideoPath, hlsDir, options.hls, {
+                        track: (command) => trackProcess(jobId, command),
+                        onProgress: (progress) => reportProgress(jobId, { step: 'packaging', percent: progress.percent })
+                    }), { key: jobId });
+                    const playlistUrl = await uploadHls(hlsDir, `merged-videos/${jobId}/hls`);
+                    hls = {
+                        playlistUrl,
+                        renditions: packaged.renditions,
+                        audioOnly: packaged.audioOnly,
+                        segmentDuration: packaged.segmentDuration
+                    };
+                    fs.rmSync(hlsDir, { recursive: true, force: true });
+                    console.log(`Successfully uploaded HLS playlist to S3: ${playlistUrl}`);
+                } catch (hlsError) {
+                    throwIfAborted(jobId);
+                    console.error(`Failed to package HLS: ${hlsError.message}`);
+                }
+            }
+
+            // Upload the waveform peaks next to the merged video
+            if (s3Url) {
+                try {
+                    throwIfAborted(jobId);
+                    const peaks = await renderPool.run(() => generateWaveforms(mergedVideoPath, jobDir, {
+                        track: (command) => trackProcess(jobId, command)
+                    }), { key: jobId });
+                    if (peaks) {
+                        waveform = {
+                            sampleRate: peaks.sampleRate,
+                            bits: peaks.bits,
+                            levels: await Promise.all(peaks.levels.map(async level => ({
+                                samplesPerPixel: level.samplesPerPixel,
+                                length: level.length,
+                                url: await uploadToS3(level.path, `merged-videos/${jobId}/${path.basename(level.path)}`)
+                            })))
+                        };
+                    }
+                } catch (waveformError) {
+                    throwIfAborted(jobId);
+                    console.error(`Failed to extract waveform: ${waveformError.message}`);
+                }
+            }
+        } catch (mergeError) {
+            throwIfAborted(jobId);
+            console.error(`Failed to merge clips: ${mergeError.message}`);
+            mergeSuccess = false;
+        }
+    }
+
+    return {
+        jobId,
+        clipLoudness: options.loudness
+            ? downloadedVideos.map(({ videoId, startTime, endTime, loudness }) => ({ videoId, startTime, endTime, loudness }))
+            : undefined,
+        clipTimeline: mergeSuccess
+            ? downloadedVideos.map(({ videoId, startTime, endTime, mergedStart }) => ({ videoId, startTime, endTime, mergedStart }))
+            : undefined,
+        videos: downloadedVideos,
+        failedDownloads,
+        processedClipPaths,
+        mergedVideoPath,
+        mergeSuccess,
+        s3Url,
+        hls,
+        chapters,
+        waveform
+    };
+};
+
+// Run a merge job; a cancelled or timed out job leaves nothing behind
+const runMergeJob = async (jobId, clips, options = {}) => {
+    try {
+        return await processMergeJob(jobId, clips, options);
+    } catch (error) {
+        if (isJobAborted(jobId)) {
+            const jobDir = path.join(__dirname, '../../temp', jobId);
+            fs.rmSync(jobDir, { recursive: true, force: true });
+            console.log(`Removed job directory of aborted job: ${jobDir}`);
+        }
+        throw error;
+    }
+};
+
+// Let the job worker resume merges interrupted by a restart
+registerJobHandler('apifyMerge', (job) => runMergeJob(job.jobId, job.payload.clips, job.payload.options));
+
 const mergeClips = async (req, res) => {
-    const { clips } = req.body;
+    const { clips, aspectRatio, fit, captions, transition, transitions, normalizeAudio, targetLufs, trimMode, hls } = req.body;
+    // Create a unique ID for the job
+    const jobId = uuidv4();
 
     try {
+        const { reframe, error: reframeError } = parseReframeOptions({ aspectRatio, fit }, clips);
+        if (reframeError) {
+            return res.status(400).json({
+                success: false,
+                message: reframeError
+            });
+        }
+        const { captions: captionStyle, error: captionsError } = parseCaptionOptions(captions);
+        if (captionsError) {
+            return res.status(400).json({
+                success: false,
+                message: captionsError
+            });
+        }
+        const { transitions: clipTransitions, error: transitionsError } = parseTransitionOptions({ transition, transitions }, clips);
+        if (transitionsError) {
+            return res.status(400).json({
+                success: false,
+                message: transitionsError
+            });
+        }
+        const { loudness, error: loudnessError } = parseLoudnessOptions({ normalizeAudio, targetLufs });
+        if (loudnessError) {
+            return res.status(400).json({
+                success: false,
+                message: loudnessError
+            });
+        }
+        const { trimMode: clipTrimMode, error: trimError } = parseTrimOptions({ trimMode });
+        if (trimError) {
+            return res.status(400).json({
+                success: false,
+                message: trimError
+            });
+        }
+        const { hls: hlsOptions, error: hlsError } = parseHlsOptions(hls);
+        if (hlsError) {
+            return res.status(400).json({
+                success: false,
+                message: hlsError
+            });
+        }
+        const options = { reframe, captions: captionStyle, transitions: clipTransitions, loudness, trimMode: clipTrimMode, hls: hlsOptions };
+
         // Create temp directory if it doesn't exist
         const tempDir = path.join(__dirname, '../../temp');
         if (!fs.existsSync(tempDir)) {
             fs.mkdirSync(tempDir, { recursive: true });
         }
 
-        // Create a job directory with a unique ID
-        const jobId = uuidv4();
+        // Create a job directory
         const jobDir = path.join(tempDir, jobId);
         fs.mkdirSync(jobDir, { recursive: true });
 
         console.log(`Created job directory: ${jobDir}`);
 
-        // Array to store downloaded video paths
-        const downloadedVideos = [];
-        const failedDownloads = [];
-        const processedClipPaths = [];
-        
+        // Record the job before any early response so status checks can find it
+        await createJob({
+            jobId,
+            type: 'apifyMerge',
+            userId: req.user.id,
+            payload: { clips, options }
+        });
+
         // Early response for cached videos
         let cachedClips = [];
         if (clips.length > 0) {
@@ -964,156 +1499,31 @@ const mergeClips = async (req, res) => {
                 }
             }
         }
-        
-        // Process clips in parallel with limited concurrency
-        const MAX_PARALLEL = 3; // Maximum parallel downloads
-        const clipBatches = [];
-        
-        // Split clips into batches for processing
-        for (let i = 0; i < clips.length; i += MAX_PARALLEL) {
-            clipBatches.push(clips.slice(i, i + MAX_PARALLEL));
-        }
-        
-        // Process each batch of clips in parallel
-        for (const [batchIndex, batch] of clipBatches.entries()) {
-            console.log(`Processing batch ${batchIndex + 1}/${clipBatches.length}`);
-            
-            // Process the current batch in parallel
-            const batchPromises = batch.map(async (clip, clipIndex) => {
-                const { videoId, startTime, endTime } = clip;
-                const overallIndex = batchIndex * MAX_PARALLEL + clipIndex;
-                
-                console.log(`Processing video ${overallIndex + 1}/${clips.length}`);
-                console.log("videoId: ", videoId);
-                console.log("startTime: ", startTime);
-                console.log("endTime: ", endTime);
-                
-                try {
-                    // Step 1: Download the full video
-                    const downloadedPath = await downloadYouTubeVideoById(videoId, jobDir);
-                    
-                    // Step 2: Check if we need to trim the video
-                    let finalVideoPath = downloadedPath;
-                    
-                    // Only trim if both startTime and endTime are valid numbers
-                    if (startTime !== undefined && endTime !== undefined && 
-                        !isNaN(parseFloat(startTime)) && !isNaN(parseFloat(endTime))) {
-                        
-                        // Check if the file is an image (thumbnail fallback)
-                        if (downloadedPath.endsWith('.jpg')) {
-                            console.log('Cannot trim a thumbnail image. Skipping trim operation.');
-                        } else {
-                            const parsedStartTime = parseFloat(startTime);
-                            const parsedEndTime = parseFloat(endTime);
-
-                            const trimmedFilename = `${videoId}_${parsedStartTime}_${parsedEndTime}_${Date.now()}.mp4`;
-                            const trimmedPath = path.join(jobDir, trimmedFilename);
-
-                            try {
-                                // Trim the video
-                                finalVideoPath = await trimVideo(downloadedPath, trimmedPath, parsedStartTime, parsedEndTime);
-                                
-                                console.log("finalVideoPath: ", finalVideoPath);
-
-                                try {
-                                    fs.unlinkSync(downloadedPath);
-                                    console.log(`Deleted original full video: ${downloadedPath}`);
-                                } catch (deleteErr) {
-                                    console.error(`Failed to delete original video: ${deleteErr.message}`);
-                                }
-                            } catch (trimError) {
-                                console.error(`Failed to trim video: ${trimError.message}`);
-                                console.log('Using the full video instead');
-                                // Keep using the full video if trimming fails
-                            }
-                        }
-                    } else {
-                        console.log('No valid startTime and endTime provided. Using full video.');
-                    }
-                    
-                    return {
-                        success: true,
-                        index: overallIndex,
-                        videoId,
-                        startTime: startTime || 0,
-                        endTime: endTime || 0,
-                        videoPath: finalVideoPath
-                    };
-                } catch (error) {
-                    console.error(`Failed to process video ${overallIndex + 1}:`, error);
-                    return {
-                        success: false,
-                        index: overallIndex,
-                        videoId,
-                        startTime: startTime || 0,
-                        endTime: endTime || 0,
-                        error: error.message
-                    };
-                }
-            });
-            
-            // Wait for all clips in the batch to process
-            const batchResults = await Promise.all(batchPromises);
-            
-            // Sort results into successful and failed downloads
-            for (const result of batchResults) {
-                if (result.success) {
-                    downloadedVideos.push(result);
-                    processedClipPaths.push(result.videoPath);
-                } else {
-                    failedDownloads.push(result);
-                }
-            }
-        }
 
-        if (downloadedVideos.length === 0) {
-            if (!res.headersSent) {
-                return res.status(500).json({
-                    success: false,
-                    message: 'Failed to process any videos',
-                    failedDownloads,
-                    jobId
-                });
-            }
-            return;
-        }
-
-        let mergedVideoPath = null;
-        let mergeSuccess = false;
-        let s3Url = null;
-        
-        if (processedClipPaths.length > 0) {
-            try {
-                const mergedFilename = `merged_${Date.now()}.mp4`;
-                mergedVideoPath = path.join(jobDir, mergedFilename);
-                
-                // Attempt to merge all clips into one video
-                await mergeVideoClips(processedClipPaths, mergedVideoPath);
-                mergeSuccess = true;
-                console.log(`Successfully merged ${processedClipPaths.length} clips into: ${mergedVideoPath}`);
-                
-                // Upload the merged video to S3
-                try {
-                    const s3Key = `merged-videos/${jobId}/${mergedFilename}`;
-                    s3Url = await uploadToS3(mergedVideoPath, s3Key);
-                    console.log(`Successfully uploaded merged video to S3: ${s3Url}`);
-                    
-                    // Save S3 URL to a file so it can be retrieved later by status checks
-                    const s3InfoFile = path.join(jobDir, 's3_info.json');
-                    fs.writeFileSync(s3InfoFile, JSON.stringify({
-                        url: s3Url,
-                        key: s3Key,
-                        timestamp: Date.now()
-                    }, null, 2));
-                } catch (s3Error) {
-                    console.error(`Failed to upload to S3: ${s3Error.message}`);
-                    // Continue with local file if S3 upload fails
+        const {
+            videos: downloadedVideos,
+            failedDownloads,
+            processedClipPaths,
+            mergedVideoPath,
+            mergeSuccess,
+            s3Url,
+            hls: hlsOutput,
+            chapters,
+            waveform
+        } = await runJob(jobId, () => runMergeJob(jobId, clips, options), {
+            // When every worker is busy, answer right away so the client can poll the job status
+            onQueued: (queuePosition) => {
+                if (!res.headersSent) {
+                    res.status(202).json({
+                        success: true,
+                        message: 'All workers are busy, the merge has been queued',
+                        jobId,
+                        queuePosition,
+                        inProgress: true
+                    });
                 }
-            } catch (mergeError) {
-                console.error(`Failed to merge clips: ${mergeError.message}`);
-                mergeSuccess = false;
             }
-        }
+        });
 
         const requestedFormat = req.query.format || req.headers.accept;
         const wantsJson = requestedFormat === 'json' || (req.headers.accept && req.headers.accept.includes('application/json'));
@@ -1199,6 +1609,9 @@ const mergeClips = async (req, res) => {
                 videos: downloadedVideos,
                 mergedVideo: mergeSuccess ? mergedVideoPath : undefined,
                 s3Url: s3Url, // Add the S3 URL to the response
+                hls: hlsOutput,
+                chapters,
+                waveform,
                 failedDownloads: failedDownloads.length > 0 ? failedDownloads : undefined,
                 // Add relative paths for frontend use
                 videoPath: mergeSuccess ? path.relative(tempDir, mergedVideoPath) : undefined,
@@ -1208,6 +1621,27 @@ const mergeClips = async (req, res) => {
 
     } catch (error) {
         console.error('Error in mergeClips:', error);
+        if (error.cancelled) {
+            // A job cancelled while queued never created anything but its directory
+            fs.rmSync(path.join(__dirname, '../../temp', jobId), { recursive: true, force: true });
+            if (!res.headersSent) {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    error: 'JOB_CANCELLED',
+                    jobId
+                });
+            }
+            return;
+        }
+        if (error.failedDownloads && !res.headersSent) {
+            return res.status(500).json({
+                success: false,
+                message: error.message,
+                failedDownloads: error.failedDownloads,
+                jobId
+            });
+        }
         if (!res.headersSent) {
             return res.status(500).json({
                 success: false,
@@ -1376,5 +1810,7 @@ module.exports = {
     processClip,
     mergeClips,
     serveVideoFile,
-    checkVideoStatus
+    checkVideoStatus,
+    downloadYouTubeVideoById,
+    videoCache
 };
\ No newline at end of file
@@ -1,27 +1,218 @@
-const fs = require('fs');
-const path = require('path');
+const mongoose = require('mongoose');
+const Job = require('../../../model/jobSchema');
+const { emitJobEvent } = require('../../../socket');
+const { WORKER_ID, abortJob } = require('./scheduler');
 
-// In-memory job tracking (in a production environment, use Redis or a database)
-const jobTracker = new Map();
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+
+// Minimum delay between two progress events of the same job, so ffmpeg progress does not flood clients
+const PROGRESS_THROTTLE = 1000;
+
+// jobId -> { userId, step, stepStartedAt, lastEmitAt } for jobs currently reporting progress
+const progressTrackers = new Map();
+
+// Jobs whose status could not be persisted, so polls still get an answer while the database is unavailable
+const memoryJobs = new Map();
+// How long a finished job stays in memory
+const MEMORY_JOB_TTL = 60 * 60 * 1000;
+
+/**
+ * Keep a job's status in memory; used while the database is unavailable
+ * A cancelled job keeps its status, like in the job collection
+ * @param {string} jobId
+ * @param {Object} fields - Job fields to set, e.g. { userId, status, currentStep, message, result }
+ * @returns {Object} The job as kept in memory
+ */
+const rememberJob = (jobId, fields) => {
+  const existing = memoryJobs.get(jobId);
+  if (existing && existing.status === 'cancelled') {
+    return existing;
+  }
+
+  const job = { ...(existing || { jobId, createdAt: new Date() }), ...fields, updatedAt: new Date() };
+  memoryJobs.set(jobId, job);
+  if (TERMINAL_STATUSES.includes(job.status)) {
+    setTimeout(() => memoryJobs.delete(jobId), MEMORY_JOB_TTL).unref();
+  }
+  return job;
+};
+
+/**
+ * Find a job in the job collection, or in memory when it was never persisted
+ * @param {string} jobId
+ * @returns {Promise<Object|null>} The job without its payload
+ */
+const findJob = async (jobId) => {
+  if (mongoose.connection.readyState === 1) {
+    try {
+      const job = await Job.findOne({ jobId }).select('-payload -__v -_id').lean();
+      if (job) {
+        return job;
+      }
+    } catch (error) {
+      console.error(`Error reading job ${jobId} from database:`, error.message);
+    }
+  }
+  return memoryJobs.get(jobId) || null;
+};
+
+// Jobs are only visible to the user who started them
+const isJobOwner = (job, user) => !!(job && job.userId && user && String(job.userId) === String(user.id));
+
+exports.rememberJob = rememberJob;
+exports.findJob = findJob;
+exports.isJobOwner = isJobOwner;
+
+const getProgressTracker = (jobId) => {
+  if (!progressTrackers.has(jobId)) {
+    progressTrackers.set(jobId, { userId: null, step: null, stepStartedAt: Date.now(), lastEmitAt: 0 });
+  }
+  return progressTrackers.get(jobId);
+};
+
+// Push a status change to socket clients; terminal statuses also get a dedicated event
+const emitStatus = (jobId, status, currentStep, message, result, userId) => {
+  emitJobEvent(jobId, 'job:status', { status, currentStep, message }, userId);
+
+  if (status === 'completed') {
+    emitJobEvent(jobId, 'job:completed', {
+      s3Url: result ? result.s3Url || result.videoUrl || null : null,
+      result
+    }, userId);
+  } else if (status === 'failed') {
+    emitJobEvent(jobId, 'job:failed', { error: message }, userId);
+  } else if (status === 'cancelled') {
+    emitJobEvent(jobId, 'job:cancelled', { message }, userId);
+  }
+};
 
 // Function to update job status
-exports.updateJobStatus = (jobId, status, currentStep, message, result = null) => {
+exports.updateJobStatus = async (jobId, status, currentStep, message, result = null) => {
   console.log(`Updating job status: ${jobId}, status: ${status}, step: ${currentStep}`);
-  jobTracker.set(jobId, {
-    jobId,
+
+  const tracker = getProgressTracker(jobId);
+  if (TERMINAL_STATUSES.includes(status)) {
+    progressTrackers.delete(jobId);
+  }
+
+  // Job tracking must never take a merge down with it, so keep the status in memory while the database is unavailable
+  if (mongoose.connection.readyState !== 1 || memoryJobs.has(jobId)) {
+    const memoryJob = rememberJob(jobId, {
+      status,
+      currentStep,
+      message,
+      ...(result && { result }),
+      ...((status === 'failed' || status === 'cancelled') && { error: message })
+    });
+    if (mongoose.connection.readyState !== 1) {
+      console.warn(`Database not connected, job ${jobId} status kept in memory`);
+      emitStatus(jobId, memoryJob.status, memoryJob.currentStep, memoryJob.message, result, tracker.userId || memoryJob.userId);
+      return memoryJob;
+    }
+  }
+
+  const now = new Date();
+  const update = {
     status, // 'pending', 'downloading', 'trimming', 'merging', 'uploading', 'completed', 'failed'
     currentStep,
     message,
-    result,
-    updatedAt: new Date().toISOString()
-  });
+    heartbeatAt: now,
+    updatedAt: now
+  };
+
+  if (result) {
+    update.result = result;
+  }
+
+  if (status === 'failed' || status === 'cancelled') {
+    update.error = message;
+  }
+
+  if (TERMINAL_STATUSES.includes(status)) {
+    update.completedAt = now;
+  }
+
+  let job = null;
+  try {
+    // A cancelled job keeps its status even if its pipeline is still unwinding
+    job = await Job.findOneAndUpdate({ jobId, status: { $ne: 'cancelled' } }, { $set: update }, { new: true }).lean();
+  } catch (error) {
+    console.error(`Failed to persist status for job ${jobId}:`, error.message);
+  }
+
+  if (job && job.userId) {
+    tracker.userId = job.userId;
+  }
+  emitStatus(jobId, status, currentStep, message, result, tracker.userId);
+  return job;
+};
+
+/**
+ * Push live progress of a running job to socket clients (not persisted)
+ * @param {string} jobId - Job reporting progress; ignored when falsy
+ * @param {Object} progress - { step, percent, clip } where clip describes a single clip ({ index, total, videoId, status, error })
+ */
+exports.reportProgress = (jobId, { step, percent, clip } = {}) => {
+  if (!jobId) {
+    return;
+  }
+
+  const tracker = getProgressTracker(jobId);
+  const now = Date.now();
+
+  if (step && step !== tracker.step) {
+    tracker.step = step;
+    tracker.stepStartedAt = now;
+    tracker.lastEmitAt = 0;
+  }
+
+  // Clip status changes are always sent, percentage updates are throttled
+  const isFinal = percent >= 100;
+  if (!clip && !isFinal && now - tracker.lastEmitAt < PROGRESS_THROTTLE) {
+    return;
+  }
+  tracker.lastEmitAt = now;
+
+  let eta = null;
+  if (percent > 0 && percent < 100) {
+    const elapsed = now - tracker.stepStartedAt;
+    eta = Math.round((elapsed * (100 - percent)) / percent / 1000);
+  }
+
+  emitJobEvent(jobId, 'job:progress', {
+    step: tracker.step,
+    percent: typeof percent === 'number' ? Math.min(100, Math.round(percent * 10) / 10) : null,
+    eta, // Seconds left in the current step
+    clip: clip || null
+  }, tracker.userId);
+};
 
-  // Log the current jobs we're tracking for debugging
-  console.log(`Currently tracking ${jobTracker.size} jobs`);
+// Function to record where a waiting job stands in the worker pool queue
+exports.updateQueuePosition = async (jobId, queuePosition) => {
+  const update = queuePosition > 0
+    ? { status: 'pending', currentStep: 'queued', message: `Waiting for a free worker (position ${queuePosition} in queue)` }
+    : { currentStep: 'starting', message: 'Job started' };
+
+  emitJobEvent(jobId, 'job:status', { status: 'pending', ...update, queuePosition }, getProgressTracker(jobId).userId);
+
+  if (mongoose.connection.readyState !== 1) {
+    return null;
+  }
+
+  try {
+    return await Job.findOneAndUpdate(
+      { jobId },
+      { $set: { ...update, queuePosition, heartbeatAt: new Date(), updatedAt: new Date() } },
+      { new: true }
+    ).lean();
+  } catch (error) {
+    console.error(`Failed to persist queue position for job ${jobId}:`, error.message);
+    return null;
+  }
 };
 
 // Function to get job status
-exports.getJobStatus = (req, res) => {
+exports.getJobStatus = async (req, res) => {
   const { jobId } = req.params;
   console.log(`Checking job status for ID: ${jobId}`);
   
@@ -33,10 +224,11 @@ exports.getJobStatus = (req, res) => {
     });
   }
   
-  // Check if job exists in memory tracking
-  if (jobTracker.has(jobId)) {
-    console.log(`Found job ${jobId} in memory tracker`);
-    const jobStatus = jobTracker.get(jobId);
+  // Other users' jobs look like missing ones
+  const jobStatus = await findJob(jobId);
+
+  if (jobStatus && isJobOwner(jobStatus, req.user)) {
+    console.log(`Found job ${jobId}`);
     
     // Check if this is a completed job with s3Url in the result
     const response = {
@@ -53,62 +245,6 @@ exports.getJobStatus = (req, res) => {
     return res.status(200).json(response);
   }
   
-  console.log(`Job ${jobId} not found in memory, checking output files...`);
-  
-  // If not in memory, check if there's an output file (job may have completed)
-  // Check in both the configured output directory and a fallback path
-  const outputFileName = `merged_${jobId}.mp4`;
-  const paths = [
-    path.join(__dirname, '../../../output', outputFileName),
-    path.join(__dirname, '../../../../output', outputFileName), // Fallback path
-    path.resolve(process.env.OUTPUT_DIR || './output', outputFileName) // Path from env var
-  ];
-  
-  // Try each possible path
-  let outputPath = null;
-  for (const possiblePath of paths) {
-    console.log(`Checking for output file at: ${possiblePath}`);
-    if (fs.existsSync(possiblePath)) {
-      console.log(`Found output file at: ${possiblePath}`);
-      outputPath = possiblePath;
-      break;
-    }
-  }
-  
-  if (outputPath) {
-    // Guess the S3 URL based on file name
-    const s3Url = `https://${process.env.AWS_S3_BUCKET || 'clipsmart'}.s3.amazonaws.com/merged-clips/${outputFileName}`;
-    console.log(`Output file exists, using S3 URL: ${s3Url}`);
-    
-    // Job completed but not in memory tracker
-    const completedStatus = {
-      success: true,
-      jobId,
-      status: 'completed',
-      message: 'Processing completed',
-      currentStep: 'completed',
-      result: {
-        jobId: jobId,
-        videoPath: outputPath,
-        s3Url: s3Url,
-        status: true
-      }
-    };
-    
-    // Store this status in memory for future requests
-    jobTracker.set(jobId, completedStatus);
-    
-    return res.status(200).json(completedStatus);
-  }
-  
-  // Check for jobs with similar patterns (fuzzy match for debugging)
-  if (jobTracker.size > 0) {
-    console.log('Available jobs in tracker:');
-    for (const [trackedJobId, status] of jobTracker.entries()) {
-      console.log(`- ${trackedJobId}: ${status.status} (${status.currentStep})`);
-    }
-  }
-  
   // Create a dummy "processing" response in development mode to help with debugging
   if (process.env.NODE_ENV === 'development') {
     console.log('Development mode: Creating a dummy processing response');
@@ -121,9 +257,6 @@ exports.getJobStatus = (req, res) => {
       updatedAt: new Date().toISOString()
     };
     
-    // Store this status for future requests
-    jobTracker.set(jobId, dummyStatus);
-    
     // For testing purposes in development, return this dummy response
     return res.status(200).json(dummyStatus);
   }
@@ -134,4 +267,100 @@ exports.getJobStatus = (req, res) => {
     success: false,
     message: 'Job not found. It may have been cleaned up or never existed.'
   });
-}; 
\ No newline at end of file
+}; 
+
+// Function to cancel a running or queued job
+exports.cancelJob = async (req, res) => {
+  const { jobId } = req.params;
+  console.log(`Cancelling job ${jobId}`);
+
+  const message = 'Job cancelled by user';
+  const now = new Date();
+
+  // Jobs kept in memory while the database was unavailable can only run here
+  const memoryJob = memoryJobs.get(jobId);
+  if (memoryJob && isJobOwner(memoryJob, req.user)) {
+    if (TERMINAL_STATUSES.includes(memoryJob.status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Job is already ${memoryJob.status}`,
+        status: memoryJob.status
+      });
+    }
+
+    rememberJob(jobId, { status: 'cancelled', currentStep: 'cancelled', message, error: message, completedAt: now });
+    const killedProcesses = abortJob(jobId, message, { cancelled: true });
+    progressTrackers.delete(jobId);
+    emitStatus(jobId, 'cancelled', 'cancelled', message, null, memoryJob.userId);
+
+    return res.status(200).json({
+      success: true,
+      message,
+      jobId,
+      status: 'cancelled',
+      killedProcesses
+    });
+  }
+
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({
+      success: false,
+      message: 'Job store is unavailable, try again later'
+    });
+  }
+
+  try {
+    // Only jobs of this user that have not finished yet can be cancelled
+    const job = await Job.findOneAndUpdate(
+      { jobId, userId: String(req.user.id), status: { $nin: TERMINAL_STATUSES } },
+      {
+        $set: {
+          status: 'cancelled',
+          currentStep: 'cancelled',
+          message,
+          error: message,
+          queuePosition: 0,
+          completedAt: now,
+          updatedAt: now
+        }
+      },
+      { new: true }
+    ).lean();
+
+    if (!job) {
+      const existing = await Job.findOne({ jobId, userId: String(req.user.id) }).select('status').lean();
+      if (!existing) {
+        return res.status(404).json({
+          success: false,
+          message: 'Job not found'
+        });
+      }
+
+      return res.status(409).json({
+        success: false,
+        message: `Job is already ${existing.status}`,
+        status: existing.status
+      });
+    }
+
+    // Kill the job's downloads and ffmpeg processes if it runs here; other instances pick the cancellation up on their next tick
+    const killedProcesses = job.workerId === WORKER_ID ? abortJob(jobId, message, { cancelled: true }) : 0;
+    progressTrackers.delete(jobId);
+    emitStatus(jobId, 'cancelled', 'cancelled', message, null, job.userId);
+
+    return res.status(200).json({
+      success: true,
+      message,
+      jobId,
+      status: 'cancelled',
+      killedProcesses
+    });
+  } catch (error) {
+    console.error(`Failed to cancel job ${jobId}:`, error.message);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to cancel job',
+      error: error.message
+    });
+  }
+};
@@ -0,0 +1,308 @@
+const mongoose = require('mongoose');
+const Job = require('../../../model/jobSchema');
+const config = require('../../../config');
+const { updateJobStatus, updateQueuePosition, rememberJob } = require('./getJobStatus');
+const { dispatchEvent } = require('../../../utils/webhooks');
+const { WORKER_ID, jobPool, abortJob, isJobAborted, isJobCancelled, releaseJob, JobAbortedError } = require('./scheduler');
+
+const ACTIVE_STATUSES = ['pending', 'downloading', 'trimming', 'merging', 'uploading'];
+
+const POLL_INTERVAL = Number(config.jobQueue.pollInterval);
+const STALE_AFTER = Number(config.jobQueue.staleAfter);
+const MAX_ATTEMPTS = Number(config.jobQueue.maxAttempts);
+const JOB_TIMEOUT = Number(config.jobTimeout);
+
+// Job type -> async function (job) that runs the pipeline and returns its result
+const handlers = new Map();
+
+// Webhook events sent when a job ends; every merge job type sends the merge events
+const JOB_EVENTS = {
+  videoTighten: { completed: 'video.tightened', failed: 'video.tighten_failed' }
+};
+const MERGE_EVENTS = { completed: 'merge.completed', failed: 'merge.failed' };
+const getJobEvents = (type) => JOB_EVENTS[type] || MERGE_EVENTS;
+
+// Jobs this process is currently running; their heartbeat is refreshed on every tick
+const activeJobs = new Set();
+
+let workerTimer = null;
+
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+/**
+ * Register the function used to (re)run jobs of a given type
+ * @param {string} type - Job type stored on the job document
+ * @param {Function} handler - Receives the job document, resolves with the job result
+ */
+const registerJobHandler = (type, handler) => {
+  handlers.set(type, handler);
+};
+
+/**
+ * Create a job document owned by this process
+ * @param {Object} job - { jobId, type, userId, payload }
+ * @returns {Promise<Object|null>} - The created job, or null if the database is unavailable and the job is only kept in memory
+ */
+const createJob = async ({ jobId, type, userId, payload }) => {
+  const fields = {
+    jobId,
+    type,
+    userId: userId ? userId.toString() : undefined,
+    status: 'pending',
+    currentStep: 'queued',
+    message: 'Job created'
+  };
+
+  if (!isDatabaseReady()) {
+    console.warn(`Database not connected, job ${jobId} will only be tracked in memory`);
+    rememberJob(jobId, fields);
+    return null;
+  }
+
+  try {
+    const now = new Date();
+    const job = await Job.create({
+      ...fields,
+      payload,
+      attempts: 1,
+      maxAttempts: MAX_ATTEMPTS,
+      workerId: WORKER_ID,
+      heartbeatAt: now,
+      startedAt: now
+    });
+    console.log(`Created ${type} job ${jobId}`);
+    return job.toObject();
+  } catch (error) {
+    console.error(`Failed to create job ${jobId}:`, error.message);
+    rememberJob(jobId, fields);
+    return null;
+  }
+};
+
+/**
+ * Run a job's work in the job pool while keeping its heartbeat fresh, and record the outcome
+ * Jobs that overflow the pool wait in a FIFO queue; jobs running longer than config.jobTimeout are killed
+ * @param {string} jobId - ID of the job being run
+ * @param {Function} work - Async function performing the job, resolves with the result
+ * @param {Object} options - { onQueued } called with the queue position if the job has to wait for a slot
+ * @returns {Promise<*>} - Whatever `work` resolves with
+ */
+const runJob = async (jobId, work, { onQueued } = {}) => {
+  activeJobs.add(jobId);
+  let wasQueued = false;
+  let started = false;
+
+  try {
+    const result = await jobPool.run(async () => {
+      started = true;
+      if (wasQueued) {
+        await updateQueuePosition(jobId, 0);
+      }
+
+      let timer;
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+          const reason = `Job exceeded the time limit of ${Math.round(JOB_TIMEOUT / 1000)} seconds`;
+          abortJob(jobId, reason);
+          reject(new JobAbortedError(reason));
+        }, JOB_TIMEOUT);
+      });
+
+      const pipeline = Promise.resolve().then(work);
+
+      try {
+        return await Promise.race([pipeline, timeout]);
+      } catch (error) {
+        // Whatever the killed processes failed with, a cancelled job ends as cancelled
+        if (isJobCancelled(jobId)) {
+          error.cancelled = true;
+        }
+        throw error;
+      } finally {
+        clearTimeout(timer);
+        // Keep the abort state until the pipeline has unwound, so its remaining steps still fail fast
+        pipeline.then(() => releaseJob(jobId), () => releaseJob(jobId));
+      }
+    }, {
+      key: jobId,
+      onQueueChange: (position) => {
+        if (!wasQueued && onQueued) {
+          onQueued(position);
+        }
+        wasQueued = true;
+        updateQueuePosition(jobId, position);
+      }
+    });
+
+    const job = await updateJobStatus(jobId, 'completed', 'completed', 'Processing completed', result);
+    if (job) {
+      dispatchEvent(job.userId, getJobEvents(job.type).completed, {
+        jobId,
+        type: job.type,
+        s3Url: result ? result.s3Url || result.videoUrl || null : null,
+        result
+      });
+    }
+    return result;
+  } catch (error) {
+    // Cancelled jobs were already marked by the cancel request
+    if (!error.cancelled) {
+      const job = await updateJobStatus(jobId, 'failed', 'failed', error.message);
+      if (job) {
+        dispatchEvent(job.userId, getJobEvents(job.type).failed, { jobId, type: job.type, error: error.message });
+      }
+    }
+    throw error;
+  } finally {
+    activeJobs.delete(jobId);
+    // A job cancelled while still queued never reaches the pipeline cleanup above
+    if (!started) {
+      releaseJob(jobId);
+    }
+  }
+};
+
+// Refresh the heartbeat of every job running in this process
+const sendHeartbeats = async () => {
+  if (activeJobs.size === 0) {
+    return;
+  }
+
+  await Job.updateMany(
+    { jobId: { $in: Array.from(activeJobs) }, status: { $in: ACTIVE_STATUSES } },
+    { $set: { heartbeatAt: new Date(), workerId: WORKER_ID } }
+  );
+};
+
+// Abort jobs running in this process that were cancelled through another instance
+const abortCancelledJobs = async () => {
+  if (activeJobs.size === 0) {
+    return;
+  }
+
+  const cancelled = await Job.find({ jobId: { $in: Array.from(activeJobs) }, status: 'cancelled' })
+    .select('jobId')
+    .lean();
+  cancelled
+    .filter(({ jobId }) => !isJobAborted(jobId))
+    .forEach(({ jobId }) => abortJob(jobId, 'Job cancelled by user', { cancelled: true }));
+};
+
+// Fail orphaned jobs that have already used up all their attempts
+const failExhaustedJobs = async (staleBefore) => {
+  const { modifiedCount } = await Job.updateMany(
+    {
+      status: { $in: ACTIVE_STATUSES },
+      heartbeatAt: { $lt: staleBefore },
+      $expr: { $gte: ['$attempts', '$maxAttempts'] }
+    },
+    {
+      $set: {
+        status: 'failed',
+        currentStep: 'failed',
+        message: 'Job was interrupted too many times',
+        error: 'Job was interrupted too many times',
+        completedAt: new Date(),
+        updatedAt: new Date()
+      }
+    }
+  );
+
+  if (modifiedCount > 0) {
+    console.warn(`Marked ${modifiedCount} interrupted job(s) as failed after exhausting retries`);
+  }
+};
+
+// Atomically take ownership of one orphaned job, so only one instance resumes it
+const claimOrphanedJob = async (staleBefore) => {
+  const now = new Date();
+  return Job.findOneAndUpdate(
+    {
+      status: { $in: ACTIVE_STATUSES },
+      heartbeatAt: { $lt: staleBefore },
+      $expr: { $lt: ['$attempts', '$maxAttempts'] }
+    },
+    {
+      $set: {
+        status: 'pending',
+        currentStep: 'requeued',
+        message: 'Resuming job after interruption',
+        workerId: WORKER_ID,
+        heartbeatAt: now,
+        updatedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { createdAt: 1 } }
+  ).lean();
+};
+
+// Re-run a claimed job with the handler registered for its type
+const resumeJob = async (job) => {
+  const handler = handlers.get(job.type);
+  if (!handler) {
+    console.error(`No handler registered for job type ${job.type}, failing job ${job.jobId}`);
+    await updateJobStatus(job.jobId, 'failed', 'failed', `Unknown job type: ${job.type}`);
+    return;
+  }
+
+  console.log(`Resuming ${job.type} job ${job.jobId} (attempt ${job.attempts}/${job.maxAttempts})`);
+  try {
+    await runJob(job.jobId, () => handler(job));
+    console.log(`Resumed job ${job.jobId} completed`);
+  } catch (error) {
+    console.error(`Resumed job ${job.jobId} failed:`, error.message);
+  }
+};
+
+const tick = async () => {
+  if (!isDatabaseReady()) {
+    return;
+  }
+
+  try {
+    await sendHeartbeats();
+    await abortCancelledJobs();
+
+    const staleBefore = new Date(Date.now() - STALE_AFTER);
+    await failExhaustedJobs(staleBefore);
+
+    // Only claim what this instance can start right away; the rest is left for other instances
+    let job;
+    while (jobPool.hasCapacity() && (job = await claimOrphanedJob(staleBefore))) {
+      // Resumed jobs run in the background; the next tick keeps their heartbeat alive
+      resumeJob(job);
+    }
+  } catch (error) {
+    console.error('Job worker tick failed:', error.message);
+  }
+};
+
+/**
+ * Start the background loop that keeps heartbeats fresh and resumes orphaned jobs
+ */
+const startJobWorker = () => {
+  if (workerTimer) {
+    return;
+  }
+
+  console.log(`Starting job worker ${WORKER_ID} (poll every ${POLL_INTERVAL}ms)`);
+  workerTimer = setInterval(tick, POLL_INTERVAL);
+  tick();
+};
+
+const stopJobWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  registerJobHandler,
+  createJob,
+  runJob,
+  startJobWorker,
+  stopJobWorker,
+  ACTIVE_STATUSES
+};
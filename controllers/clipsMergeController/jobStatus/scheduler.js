@@ -0,0 +1,203 @@
+const os = require('os');
+const config = require('../../../config');
+
+// Identifies this process when claiming jobs (pm2 runs several instances in cluster mode)
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Raised inside a job's pipeline once the job has been aborted (timeout or cancellation)
+class JobAbortedError extends Error {
+  constructor(message, cancelled = false) {
+    super(message);
+    this.name = 'JobAbortedError';
+    this.cancelled = cancelled; // True when a user cancelled the job, false for timeouts
+  }
+}
+
+/**
+ * Create a FIFO pool that runs at most `concurrency` tasks at a time
+ * @param {string} name - Pool name used in logs and stats
+ * @param {number} concurrency - Maximum number of tasks running at once
+ * @returns {Object} - { run, remove, positionOf, hasCapacity, stats }
+ */
+const createPool = (name, concurrency) => {
+  const queue = [];
+  let running = 0;
+
+  // Tell every waiting task where it now stands in the queue
+  const notifyPositions = () => {
+    queue.forEach((entry, index) => {
+      if (entry.onQueueChange) {
+        entry.onQueueChange(index + 1);
+      }
+    });
+  };
+
+  const next = () => {
+    let started = false;
+    while (running < concurrency && queue.length > 0) {
+      const entry = queue.shift();
+      running++;
+      started = true;
+      entry.start();
+    }
+    if (started) {
+      notifyPositions();
+    }
+  };
+
+  /**
+   * Run a task once a slot is free
+   * @param {Function} task - Async function to run
+   * @param {Object} options - { key, onQueueChange } where onQueueChange receives the 1-based queue position
+   * @returns {Promise<*>} - Whatever the task resolves with
+   */
+  const run = (task, { key, onQueueChange } = {}) => new Promise((resolve, reject) => {
+    const entry = {
+      key,
+      onQueueChange,
+      reject,
+      start: () => {
+        Promise.resolve()
+          .then(task)
+          .then(resolve, reject)
+          .finally(() => {
+            running--;
+            next();
+          });
+      }
+    };
+
+    queue.push(entry);
+    if (running >= concurrency) {
+      console.log(`[${name} pool] ${running} running, queued ${key || 'task'} at position ${queue.length}`);
+      if (onQueueChange) {
+        onQueueChange(queue.length);
+      }
+    }
+    next();
+  });
+
+  // Drop every queued task with this key, rejecting it with `error`; running tasks are left alone
+  const remove = (key, error) => {
+    const removed = queue.filter(entry => entry.key === key);
+    if (removed.length === 0) {
+      return 0;
+    }
+
+    queue.splice(0, queue.length, ...queue.filter(entry => entry.key !== key));
+    removed.forEach(entry => entry.reject(error));
+    notifyPositions();
+    return removed.length;
+  };
+
+  // 1-based position of a queued task, or 0 if it is running or unknown
+  const positionOf = (key) => queue.findIndex(entry => entry.key === key) + 1;
+
+  const hasCapacity = () => running + queue.length < concurrency;
+
+  const stats = () => ({ name, concurrency, running, queued: queue.length });
+
+  return { run, remove, positionOf, hasCapacity, stats };
+};
+
+// Limits apply per server process; pm2 cluster mode runs one scheduler per instance
+const jobPool = createPool('jobs', Number(config.maxConcurrentJobs));
+const renderPool = createPool('renders', Number(config.maxConcurrentRenders));
+const downloadPool = createPool('downloads', Number(config.maxConcurrentDownloads));
+
+// jobId -> Set of handles ({ kill }) for child processes and streams started by the job
+const jobProcesses = new Map();
+// jobId -> { reason, cancelled } for jobs that have been aborted
+const abortedJobs = new Map();
+
+/**
+ * Register a child process (or anything with a kill method) as belonging to a job
+ * @param {string} jobId - Owning job; ignored when falsy so helpers can be used outside jobs
+ * @param {Object} handle - Object exposing kill(signal)
+ * @returns {Function} - Call to stop tracking the handle once it has exited
+ */
+const trackProcess = (jobId, handle) => {
+  if (!jobId || !handle) {
+    return () => {};
+  }
+
+  // A job that is already aborted must not start new work
+  if (abortedJobs.has(jobId)) {
+    handle.kill('SIGKILL');
+    return () => {};
+  }
+
+  if (!jobProcesses.has(jobId)) {
+    jobProcesses.set(jobId, new Set());
+  }
+  jobProcesses.get(jobId).add(handle);
+
+  return () => {
+    const handles = jobProcesses.get(jobId);
+    if (handles) {
+      handles.delete(handle);
+      if (handles.size === 0) {
+        jobProcesses.delete(jobId);
+      }
+    }
+  };
+};
+
+/**
+ * Abort a job: drop its queued work, kill every process it started and make further steps fail fast
+ * @param {string} jobId - Job to abort
+ * @param {string} reason - Why the job was aborted
+ * @param {Object} options - { cancelled } true when the user cancelled the job
+ * @returns {number} - Number of processes that were signalled
+ */
+const abortJob = (jobId, reason, { cancelled = false } = {}) => {
+  abortedJobs.set(jobId, { reason, cancelled });
+
+  [jobPool, renderPool, downloadPool].forEach(pool => pool.remove(jobId, new JobAbortedError(reason, cancelled)));
+
+  const handles = jobProcesses.get(jobId) || new Set();
+  for (const handle of handles) {
+    try {
+      handle.kill('SIGKILL');
+    } catch (error) {
+      console.warn(`[${jobId}] Could not kill process: ${error.message}`);
+    }
+  }
+  jobProcesses.delete(jobId);
+
+  console.warn(`[${jobId}] Job aborted (${reason}), killed ${handles.size} process(es)`);
+  return handles.size;
+};
+
+const isJobAborted = (jobId) => abortedJobs.has(jobId);
+
+const isJobCancelled = (jobId) => abortedJobs.has(jobId) && abortedJobs.get(jobId).cancelled;
+
+// Throw from a pipeline step boundary if the job has been aborted
+const throwIfAborted = (jobId) => {
+  if (jobId && abortedJobs.has(jobId)) {
+    const { reason, cancelled } = abortedJobs.get(jobId);
+    throw new JobAbortedError(reason, cancelled);
+  }
+};
+
+// Forget a finished job's abort state and process handles
+const releaseJob = (jobId) => {
+  abortedJobs.delete(jobId);
+  jobProcesses.delete(jobId);
+};
+
+module.exports = {
+  WORKER_ID,
+  JobAbortedError,
+  createPool,
+  jobPool,
+  renderPool,
+  downloadPool,
+  trackProcess,
+  abortJob,
+  isJobAborted,
+  isJobCancelled,
+  throwIfAborted,
+  releaseJob
+};
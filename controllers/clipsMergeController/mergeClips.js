@@ -2,6 +2,7 @@ const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
+const { renderPool, downloadPool } = require('./jobStatus/scheduler');
 
 /**
  * Check if required tools are installed
@@ -172,7 +173,7 @@ const mergeClips = async (req, res) => {
             const clipPath = path.join(jobDir, `${clipId}.mp4`);
             
             // Push promise to download and trim the clip
-            clipProcessingPromises.push(
+            clipProcessingPromises.push(downloadPool.run(() =>
                 new Promise((resolve, reject) => {
                     // Download YouTube video segment using yt-dlp
                     const downloadProcess = spawn('yt-dlp', [
@@ -210,7 +211,7 @@ const mergeClips = async (req, res) => {
                       });
                       
                 })
-            );
+            ));
         }
         
         // Wait for all clips to be processed
@@ -227,59 +228,64 @@ const mergeClips = async (req, res) => {
         // Output merged file path
         const outputFilePath = path.join(jobDir, 'merged.mp4');
         
-        // Merge all clips using FFmpeg concat
-        const mergeProcess = spawn('ffmpeg', [
-            '-f', 'concat',
-            '-safe', '0',
-            '-i', concatFilePath,
-            '-c', 'copy',
-            outputFilePath
-        ]);
+        // Merge all clips using FFmpeg concat, holding a render slot until FFmpeg exits
+        await renderPool.run(() => new Promise((resolve) => {
+            const mergeProcess = spawn('ffmpeg', [
+                '-f', 'concat',
+                '-safe', '0',
+                '-i', concatFilePath,
+                '-c', 'copy',
+                outputFilePath
+            ]);
         
-        let mergeErrorOutput = '';
+            let mergeErrorOutput = '';
         
-        mergeProcess.stderr.on('data', (data) => {
-            const dataStr = data.toString();
-            mergeErrorOutput += dataStr;
-            console.log(`Merge stderr: ${dataStr}`);
-        });
+            mergeProcess.stderr.on('data', (data) => {
+                const dataStr = data.toString();
+                mergeErrorOutput += dataStr;
+                console.log(`Merge stderr: ${dataStr}`);
+            });
         
-        mergeProcess.on('error', (error) => {
-            if (error.code === 'ENOENT') {
-                return res.status(500).json({
-                    success: false,
-                    message: "FFmpeg command not found. Please make sure FFmpeg is installed and in your PATH."
-                });
-            } else {
-                return res.status(500).json({
-                    success: false,
-                    message: error.message
-                });
-            }
-        });
+            mergeProcess.on('error', (error) => {
+                if (error.code === 'ENOENT') {
+                    return res.status(500).json({
+                        success: false,
+                        message: "FFmpeg command not found. Please make sure FFmpeg is installed and in your PATH."
+                    });
+                } else {
+                    return res.status(500).json({
+                        success: false,
+                        message: error.message
+                    });
+                }
+            });
         
-        // Handle merge completion
-        mergeProcess.on('close', (code) => {
-            if (code === 0) {
-                // Return the file path relative to the server
-                const relativePath = path.relative(path.join(__dirname, '../..'), outputFilePath);
+            // Handle merge completion
+            mergeProcess.on('close', (code) => {
+                if (code === 0) {
+                    // Return the file path relative to the server
+                    const relativePath = path.relative(path.join(__dirname, '../..'), outputFilePath);
                 
-                return res.status(200).json({
-                    success: true,
-                    data: {
-                        filePath: relativePath.replace(/\\/g, '/'),
-                        jobId: jobId
-                    },
-                    message: "Clips merged successfully"
-                });
-            } else {
-                return res.status(500).json({
-                    success: false,
-                    message: `Merge process exited with code ${code}`,
-                    error: mergeErrorOutput
-                });
-            }
-        });
+                    return res.status(200).json({
+                        success: true,
+                        data: {
+                            filePath: relativePath.replace(/\\/g, '/'),
+                            jobId: jobId
+                        },
+                        message: "Clips merged successfully"
+                    });
+                } else {
+                    return res.status(500).json({
+                        success: false,
+                        message: `Merge process exited with code ${code}`,
+                        error: mergeErrorOutput
+                    });
+                }
+            });
+
+            mergeProcess.on('close', resolve);
+            mergeProcess.on('error', resolve);
+        }), { key: jobId });
         
     } catch (error) {
         console.error("Error merging clips:", error);
@@ -6,6 +6,19 @@ const { v4: uuidv4 } = require('uuid');
 const AWS = require('aws-sdk');
 const { rimraf } = require('rimraf');
 const youtubeDl = require('youtube-dl-exec');
+const { updateJobStatus, reportProgress } = require('./jobStatus/getJobStatus');
+const { createJob, runJob, registerJobHandler } = require('./jobStatus/jobQueue');
+const { renderPool, downloadPool, trackProcess, throwIfAborted, JobAbortedError } = require('./jobStatus/scheduler');
+const { ASPECT_RATIOS, VIDEO_ENCODE_OPTIONS, parseReframeOptions, getClipReframe } = require('../../utils/reframe');
+const { parseCaptionOptions, loadTranscriptWords, probeFrameSize, createClipSubtitles, applyCaptions } = require('../../utils/captions');
+const { parseTransitionOptions, fitTransitions, buildTransitionFilters } = require('../../utils/transitions');
+const { parseLoudnessOptions, measureLoudness, buildLoudnormFilter } = require('../../utils/loudness');
+const { probeMediaProfile, pickTargetProfile, buildNormalizeFilters, normalizeForConcat } = require('../../utils/mediaProfile');
+const { parseTextOverlayOptions, getClipText, buildTextOverlayFilter, buildTitleCardFilters, getSegmentTransitions } = require('../../utils/textOverlays');
+const { parseTrimOptions, canCopyTrim, trimWithKeyframes } = require('../../utils/trimming');
+const { parseHlsOptions, packageHls, uploadHls } = require('../../utils/hls');
+const { getChapterTitle, getSegmentStarts, layoutChapters, writeFfmetadata, embedChapters } = require('../../utils/chapters');
+const { PODCAST_FORMATS, parseOutputFormat, exportPodcastAudio } = require('../../utils/podcast');
 
 // Configure AWS SDK
 const configureAWS = () => {
@@ -128,7 +141,7 @@ const validateYoutubeVideoId = async (videoId) => {
 };
 
 // Download a YouTube video - with fallback to youtube-dl-exec
-const downloadYoutubeVideo = async (videoId, outputPath) => {
+const downloadYoutubeVideo = async (videoId, outputPath, jobId = null) => {
   console.log(`Starting download of video ${videoId}...`);
   
   // Add a timeout promise to limit download time
@@ -140,7 +153,7 @@ const downloadYoutubeVideo = async (videoId, outputPath) => {
     // Try with ytdl-core first
     try {
       return await Promise.race([
-        downloadWithYtdl(videoId, outputPath),
+        downloadWithYtdl(videoId, outputPath, jobId),
         timeoutPromise
       ]);
     } catch (ytdlError) {
@@ -148,7 +161,7 @@ const downloadYoutubeVideo = async (videoId, outputPath) => {
       
       // Fallback to youtube-dl-exec
       return await Promise.race([
-        downloadWithYoutubeDl(videoId, outputPath),
+        downloadWithYoutubeDl(videoId, outputPath, jobId),
         timeoutPromise
       ]);
     }
@@ -156,12 +169,13 @@ const downloadYoutubeVideo = async (videoId, outputPath) => {
     if (error instanceof DownloadError) {
       throw error;
     }
+    throwIfAborted(jobId);
     throw new DownloadError(`Failed to download video ${videoId}: ${error.message}`);
   }
 };
 
 // Download using ytdl-core
-const downloadWithYtdl = (videoId, outputPath) => {
+const downloadWithYtdl = (videoId, outputPath, jobId = null) => {
   return new Promise((resolve, reject) => {
     const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
     
@@ -171,6 +185,15 @@ const downloadWithYtdl = (videoId, outputPath) => {
         filter: 'videoandaudio'
       });
       
+      // Destroying the stream stops the download if the job is aborted
+      const untrack = trackProcess(jobId, {
+        kill: () => videoReadStream.destroy(new Error('Download aborted'))
+      });
+      videoReadStream.on('error', (err) => {
+        untrack();
+        reject(err);
+      });
+      
       // Track download progress
       let downloadedBytes = 0;
       const totalBytes = parseInt(info.videoDetails.lengthSeconds) * 250000; // Rough estimation
@@ -181,15 +204,18 @@ const downloadWithYtdl = (videoId, outputPath) => {
         if (progress % 10 === 0) { // Log every 10%
           // console.log(`Downloading video ${videoId}: ${progress}% complete`);
         }
+        reportProgress(jobId, { step: 'downloading', percent: progress });
       });
       
       videoReadStream.pipe(fs.createWriteStream(outputPath))
         .on('finish', () => {
           // console.log(`Downloaded video ${videoId} successfully`);
+          untrack();
           resolve(outputPath);
         })
         .on('error', (err) => {
           console.error(`Error writing video file: ${err.message}`);
+          untrack();
           reject(err);
         });
     }).catch(err => {
@@ -199,30 +225,46 @@ const downloadWithYtdl = (videoId, outputPath) => {
 };
 
 // Download using youtube-dl-exec (fallback)
-const downloadWithYoutubeDl = async (videoId, outputPath) => {
+const downloadWithYoutubeDl = async (videoId, outputPath, jobId = null) => {
   const videoUrl = `https://www.youtube.com/watch?v=${videoId}`;
   
   console.log(`Downloading with youtube-dl: ${videoId}`);
   
+  // youtube-dl-exec returns the child process itself, so it can be killed on abort
+  const subprocess = youtubeDl(videoUrl, {
+    output: outputPath,
+    format: 'best',
+    noCheckCertificate: true,
+    noWarnings: true,
+    preferFreeFormats: true
+  });
+  const untrack = trackProcess(jobId, subprocess);
+  
   try {
-    await youtubeDl(videoUrl, {
-      output: outputPath,
-      format: 'best',
-      noCheckCertificate: true,
-      noWarnings: true,
-      preferFreeFormats: true
-    });
+    await subprocess;
     
     console.log(`Downloaded video ${videoId} successfully using youtube-dl`);
     return outputPath;
   } catch (error) {
     console.error(`youtube-dl download failed: ${error.message}`);
     throw error;
+  } finally {
+    untrack();
   }
 };
 
-// Trim video using ffmpeg
-const trimVideo = (inputPath, outputPath, startTime, endTime) => {
+// Trim video using ffmpeg, optionally reframing it, burning in captions and text overlays and filtering its audio in the same pass
+// Unfiltered clips are copied instead of re-encoded when the trim mode is fast or smart
+const trimVideo = async (inputPath, outputPath, startTime, endTime, jobId = null, reframe = null, subtitlesPath = null, audioFilter = null, overlays = null, trimMode = 'accurate') => {
+  if (canCopyTrim(trimMode, { reframe, subtitlesPath, audioFilter, overlays })) {
+    const copied = await trimWithKeyframes(inputPath, outputPath, startTime, endTime, trimMode, {
+      track: (command) => trackProcess(jobId, command)
+    });
+    if (copied) {
+      return copied;
+    }
+  }
+  
   return new Promise((resolve, reject) => {
     // console.log(`Trimming video from ${startTime}s to ${endTime}s...`);
     
@@ -231,50 +273,97 @@ const trimVideo = (inputPath, outputPath, startTime, endTime) => {
       return reject(new Error(`Input file not found: ${inputPath}`));
     }
     
-    ffmpeg(inputPath)
+    const command = ffmpeg(inputPath);
+    const untrack = trackProcess(jobId, command);
+    
+    // Every clip is reframed to the same frame size, so the concat step can still copy streams
+    const textFilter = overlays && overlays.length > 0
+      ? (input, output) => buildTextOverlayFilter(overlays, input, output)
+      : null;
+    applyCaptions(command, reframe, subtitlesPath, textFilter);
+    if (audioFilter) {
+      command.audioFilters(audioFilter);
+    }
+    
+    command
       .setStartTime(startTime)
       .setDuration(endTime - startTime)
       .output(outputPath)
       .on('progress', (progress) => {
         if (progress.percent) {
           // console.log(`Trimming progress: ${Math.round(progress.percent)}% complete`);
+          reportProgress(jobId, { step: 'trimming', percent: progress.percent });
         }
       })
       .on('end', () => {
         // console.log(`Successfully trimmed video to ${outputPath}`);
+        untrack();
         resolve(outputPath);
       })
       .on('error', (err) => {
         console.error(`Error trimming video: ${err.message}`);
+        untrack();
         reject(err);
       })
       .run();
   });
 };
 
-// Merge videos using ffmpeg
-const mergeVideos = (inputFiles, outputPath) => {
+// Render a full-screen title card with silent audio
+const renderTitleCard = (titleCard, frame, outputPath, jobId = null) => {
   return new Promise((resolve, reject) => {
-    // Validate input files
-    if (!inputFiles || inputFiles.length === 0) {
-      return reject(new Error('No input files provided for merging'));
-    }
+    const command = ffmpeg();
+    const untrack = trackProcess(jobId, command);
     
-    for (const file of inputFiles) {
-      if (!fs.existsSync(file)) {
-        return reject(new Error(`Input file not found: ${file}`));
-      }
+    command
+      .complexFilter(buildTitleCardFilters(titleCard, frame, 'card'))
+      .outputOptions(['-map', '[cardv]', '-map', '[carda]', ...VIDEO_ENCODE_OPTIONS, '-t', String(titleCard.duration)])
+      .output(outputPath)
+      .on('end', () => {
+        untrack();
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        console.error(`Error rendering title card: ${err.message}`);
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+// Merge videos using ffmpeg
+const mergeVideos = async (inputFiles, outputPath, jobId = null) => {
+  // Validate input files
+  if (!inputFiles || inputFiles.length === 0) {
+    throw new Error('No input files provided for merging');
+  }
+  
+  for (const file of inputFiles) {
+    if (!fs.existsSync(file)) {
+      throw new Error(`Input file not found: ${file}`);
     }
-    
+  }
+  
+  // The concat demuxer copies streams, so clips whose resolution, frame rate or audio format differ are re-encoded first
+  reportProgress(jobId, { step: 'normalizing' });
+  const { paths: concatFiles } = await normalizeForConcat(inputFiles, path.dirname(inputFiles[0]), {
+    track: (command) => trackProcess(jobId, command)
+  });
+  
+  return new Promise((resolve, reject) => {
     // console.log(`Merging ${inputFiles.length} video clips...`);
     
     // Create a temporary file list for ffmpeg
     const fileListPath = path.join(TMP_DIR, `filelist_${Date.now()}.txt`);
-    const fileList = inputFiles.map(file => `file '${file}'`).join('\n');
+    const fileList = concatFiles.map(file => `file '${file}'`).join('\n');
     
     fs.writeFileSync(fileListPath, fileList);
     
-    ffmpeg()
+    const command = ffmpeg();
+    const untrack = trackProcess(jobId, command);
+    
+    command
       .input(fileListPath)
       .inputOptions(['-f', 'concat', '-safe', '0'])
       .outputOptions('-c copy')
@@ -282,10 +371,12 @@ const mergeVideos = (inputFiles, outputPath) => {
       .on('progress', (progress) => {
         if (progress.percent) {
           // console.log(`Merging progress: ${Math.round(progress.percent)}% complete`);
+          reportProgress(jobId, { step: 'merging', percent: progress.percent });
         }
       })
       .on('end', () => {
         // console.log(`Successfully merged videos to ${outputPath}`);
+        untrack();
         // Clean up the file list
         try {
           fs.unlinkSync(fileListPath);
@@ -296,6 +387,48 @@ const mergeVideos = (inputFiles, outputPath) => {
       })
       .on('error', (err) => {
         console.error(`Error merging videos: ${err.message}`);
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+// Merge videos using ffmpeg, joining neighbouring clips with the requested transitions
+const mergeVideosWithTransitions = async (inputFiles, outputPath, transitions, jobId = null) => {
+  // Transition offsets depend on the real length of each trimmed clip, and xfade needs matching frames
+  const profiles = await Promise.all(inputFiles.map(file => probeMediaProfile(file)));
+  const target = pickTargetProfile(profiles);
+  const filters = [];
+  const inputs = inputFiles.map((file, i) => {
+    const normalized = buildNormalizeFilters(i, profiles[i], target, `s${i}`);
+    filters.push(...normalized.filters);
+    return { video: normalized.video, audio: normalized.audio, duration: profiles[i].duration };
+  });
+  filters.push(...buildTransitionFilters(inputs, transitions, { video: 'v', audio: 'a' }, target).filters);
+  
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg();
+    const untrack = trackProcess(jobId, command);
+    
+    inputFiles.forEach(file => command.input(file));
+    
+    command
+      .complexFilter(filters)
+      .outputOptions(['-map', '[v]', '-map', '[a]', ...VIDEO_ENCODE_OPTIONS])
+      .output(outputPath)
+      .on('progress', (progress) => {
+        if (progress.percent) {
+          reportProgress(jobId, { step: 'merging', percent: progress.percent });
+        }
+      })
+      .on('end', () => {
+        untrack();
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        console.error(`Error merging videos with transitions: ${err.message}`);
+        untrack();
         reject(err);
       })
       .run();
@@ -303,7 +436,7 @@ const mergeVideos = (inputFiles, outputPath) => {
 };
 
 // Upload file to S3
-const uploadToS3 = async (filePath, key) => {
+const uploadToS3 = async (filePath, key, contentType = 'video/mp4') => {
   // Validate S3 configuration
   if (!process.env.AWS_S3_BUCKET) {
     throw new UploadError('AWS_S3_BUCKET environment variable is not set');
@@ -331,7 +464,7 @@ const uploadToS3 = async (filePath, key) => {
       Bucket: process.env.AWS_S3_BUCKET,
       Key: key,
       Body: fileContent,
-      ContentType: 'video/mp4'
+      ContentType: contentType
       // ACL parameter removed - rely on bucket policy instead for public access
       // For public access, configure bucket policy in AWS console
     };
@@ -370,56 +503,15 @@ const cleanupResources = async (jobDir, outputPath = null) => {
   }
 };
 
-// Main controller function
-exports.mergingClips = async (req, res) => {
-  let jobId = null;
-  let jobDir = null;
-  let outputPath = null;
+// Run the validate/download/trim/merge/upload pipeline for a job
+const processClipsMerge = async (jobId, clips, options = {}) => {
+  const jobDir = path.join(TMP_DIR, jobId);
+  const outputFileName = `merged_${jobId}.mp4`;
+  const outputPath = path.join(OUTPUT_DIR, outputFileName);
   
   try {
-    const { clips } = req.body;
-    
-    // Validate request body
-    if (!clips) {
-      return res.status(400).json({
-        success: false,
-        error: 'INVALID_REQUEST',
-        message: 'Clips data is missing from request body'
-      });
-    }
-    
-    if (!Array.isArray(clips)) {
-      return res.status(400).json({
-        success: false,
-        error: 'INVALID_FORMAT',
-        message: 'Clips must be provided as an array'
-      });
-    }
-    
-    if (clips.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'EMPTY_CLIPS',
-        message: 'No clips provided for merging'
-      });
-    }
-    
-    if (clips.length > MAX_CLIPS_COUNT) {
-      return res.status(400).json({
-        success: false,
-        error: 'TOO_MANY_CLIPS',
-        message: `Maximum of ${MAX_CLIPS_COUNT} clips allowed per request`
-      });
-    }
-    
     console.log(`Starting clips merging with ${clips.length} clips`);
     
-    // Create temporary directory paths
-    jobId = uuidv4(); // Still use a unique ID for file naming
-    jobDir = path.join(TMP_DIR, jobId);
-    const outputFileName = `merged_${jobId}.mp4`;
-    outputPath = path.join(OUTPUT_DIR, outputFileName);
-    
     // Ensure directories exist
     await ensureDirs();
     
@@ -433,6 +525,7 @@ exports.mergingClips = async (req, res) => {
     }
     
     console.log('Validating video IDs...');
+    await updateJobStatus(jobId, 'pending', 'validating', 'Validating video IDs');
     
     // Calculate total duration to validate against maximum allowed
     let totalDuration = 0;
@@ -503,6 +596,7 @@ exports.mergingClips = async (req, res) => {
     console.log('Downloading and trimming videos...');
     // Step 2: Download and trim each video
     const trimmedVideoPaths = [];
+    const clipLoudness = [];
     for (let i = 0; i < clips.length; i++) {
       const clip = clips[i];
       const { videoId, startTime, endTime } = clip;
@@ -511,8 +605,12 @@ exports.mergingClips = async (req, res) => {
       
       try {
         // Download the video
+        throwIfAborted(jobId);
+        await updateJobStatus(jobId, 'downloading', `clip_${i + 1}`, `Downloading clip ${i + 1}/${clips.length}`);
+        reportProgress(jobId, { step: 'downloading', clip: { index: i, total: clips.length, videoId, status: 'downloading' } });
         const downloadPath = path.join(jobDir, `${videoId}_full.mp4`);
-        await downloadYoutubeVideo(videoId, downloadPath);
+        await downloadPool.run(() => downloadYoutubeVideo(videoId, downloadPath, jobId), { key: jobId });
+        reportProgress(jobId, { step: 'downloading', clip: { index: i, total: clips.length, videoId, status: 'downloaded' } });
         
         // Verify the downloaded file exists and has content
         if (!fs.existsSync(downloadPath) || fs.statSync(downloadPath).size === 0) {
@@ -520,15 +618,59 @@ exports.mergingClips = async (req, res) => {
         }
         
         // Trim the video
+        throwIfAborted(jobId);
+        await updateJobStatus(jobId, 'trimming', `clip_${i + 1}`, `Trimming clip ${i + 1}/${clips.length}`);
         const trimmedPath = path.join(jobDir, `${videoId}_${startTime}_${endTime}.mp4`);
-        await trimVideo(downloadPath, trimmedPath, startTime, endTime);
+        const clipReframe = getClipReframe(options.reframe, clip);
+        let subtitlesPath = null;
+        if (options.captions) {
+          subtitlesPath = await createClipSubtitles({
+            words: await loadTranscriptWords(videoId),
+            startTime,
+            endTime,
+            captions: options.captions,
+            reframe: clipReframe,
+            videoPath: downloadPath,
+            outputPath: path.join(jobDir, `${videoId}_${startTime}_${endTime}.ass`)
+          });
+          if (!subtitlesPath) {
+            console.warn(`No transcript words found for clip ${i + 1} (${videoId}), merging it without captions`);
+          }
+        }
+        // First loudnorm pass measures the clip, the second one runs as part of the trim
+        let audioFilter = null;
+        if (options.loudness) {
+          reportProgress(jobId, { step: 'normalizing', clip: { index: i, total: clips.length, videoId, status: 'measuring' } });
+          const measured = await renderPool.run(() => measureLoudness(downloadPath, options.loudness, {
+            startTime,
+            duration: endTime - startTime,
+            track: (command) => trackProcess(jobId, command)
+          }), { key: jobId });
+          clipLoudness.push({ videoId, startTime, endTime, loudness: measured });
+          if (measured) {
+            audioFilter = buildLoudnormFilter(options.loudness, measured);
+          } else {
+            console.warn(`Clip ${i + 1} (${videoId}) has no measurable audio, leaving its loudness as is`);
+          }
+        }
+        const clipText = getClipText(options.textOverlays, i);
+        await renderPool.run(() => trimVideo(downloadPath, trimmedPath, startTime, endTime, jobId, clipReframe, subtitlesPath, audioFilter, clipText && clipText.overlays, options.trimMode), { key: jobId });
         
         // Verify the trimmed file exists and has content
         if (!fs.existsSync(trimmedPath) || fs.statSync(trimmedPath).size === 0) {
           throw new ProcessingError(`Trimmed file is missing or empty: ${trimmedPath}`);
         }
         
+        // The title card goes before its clip, at the clip's frame size
+        if (clipText && clipText.titleCard) {
+          const cardPath = path.join(jobDir, `title_card_${i}.mp4`);
+          const frame = clipReframe ? ASPECT_RATIOS[clipReframe.aspectRatio] : await probeFrameSize(trimmedPath);
+          await renderPool.run(() => renderTitleCard(clipText.titleCard, frame, cardPath, jobId), { key: jobId });
+          trimmedVideoPaths.push(cardPath);
+        }
+        
         trimmedVideoPaths.push(trimmedPath);
+        reportProgress(jobId, { step: 'trimming', clip: { index: i, total: clips.length, videoId, status: 'trimmed' } });
         
         // Remove the full video to save space
         try {
@@ -538,7 +680,9 @@ exports.mergingClips = async (req, res) => {
         }
       } catch (error) {
         // Clean up and rethrow
+        reportProgress(jobId, { clip: { index: i, total: clips.length, videoId, status: 'failed', error: error.message } });
         await cleanupResources(jobDir);
+        throwIfAborted(jobId);
         if (error instanceof DownloadError || error instanceof ProcessingError) {
           throw error;
         }
@@ -552,8 +696,16 @@ exports.mergingClips = async (req, res) => {
     
     // Step 3: Merge all trimmed videos
     console.log(`Merging ${trimmedVideoPaths.length} trimmed clips into a single video...`);
+    throwIfAborted(jobId);
+    await updateJobStatus(jobId, 'merging', 'merging', `Merging ${trimmedVideoPaths.length} clips`);
+    // Title cards sit between clips, so the transitions are laid out over every segment
+    const segmentTransitions = options.textOverlays
+      ? getSegmentTransitions(options.transitions, options.textOverlays, clips.length)
+      : options.transitions;
     try {
-      await mergeVideos(trimmedVideoPaths, outputPath);
+      await renderPool.run(() => segmentTransitions
+        ? mergeVideosWithTransitions(trimmedVideoPaths, outputPath, segmentTransitions, jobId)
+        : mergeVideos(trimmedVideoPaths, outputPath, jobId), { key: jobId });
       
       // Verify the merged file exists and has content
       if (!fs.existsSync(outputPath) || fs.statSync(outputPath).size === 0) {
@@ -561,15 +713,100 @@ exports.mergingClips = async (req, res) => {
       }
     } catch (error) {
       await cleanupResources(jobDir, outputPath);
+      throwIfAborted(jobId);
       throw new ProcessingError(`Error merging videos: ${error.message}`);
     }
     
-    // Step 4: Upload to S3
-    let s3Url;
+    // A chapter per source clip, named after its title or transcript text; title cards belong to their clip.
+    // The merged segments are probed, since a fast trim starts at the keyframe before the clip
+    throwIfAborted(jobId);
+    const profiles = await Promise.all(trimmedVideoPaths.map(videoPath => probeMediaProfile(videoPath)));
+    let segment = 0;
+    const chapterSegments = clips.flatMap((clip, i) => {
+      const clipText = getClipText(options.textOverlays, i);
+      const title = getChapterTitle(clip, i);
+      const card = clipText && clipText.titleCard ? profiles[segment++] : null;
+      const { duration } = profiles[segment++];
+      return card
+        ? [{ title, duration: card.duration }, { title: null, duration, clip: i }]
+        : [{ title, duration, clip: i }];
+    });
+    // Transitions are shortened where a segment is too short for them, as they were rendered
+    const chapterTransitions = fitTransitions(chapterSegments.map(item => item.duration), segmentTransitions);
+    const chapters = layoutChapters(chapterSegments, chapterTransitions);
+    // Where each clip plays in the merged video, so its words can be placed on it later, e.g. in project captions
+    const segmentStarts = getSegmentStarts(chapterSegments, chapterTransitions);
+    const clipTimeline = chapterSegments
+      .map((item, i) => ({ ...item, start: segmentStarts[i] }))
+      .filter(item => item.clip !== undefined)
+      .map(item => ({
+        videoId: clips[item.clip].videoId,
+        startTime: clips[item.clip].startTime,
+        endTime: clips[item.clip].endTime,
+        mergedStart: item.start
+      }));
+    const output = options.output || { video: true, audio: null };
+    if (output.video) {
+      throwIfAborted(jobId);
+      try {
+        const chaptersPath = writeFfmetadata(path.join(jobDir, 'chapters.txt'), { chapters });
+        const chapteredPath = path.join(jobDir, `chapters_${outputFileName}`);
+        await renderPool.run(() => embedChapters(outputPath, chapteredPath, chaptersPath, {
+          track: (command) => trackProcess(jobId, command)
+        }), { key: jobId });
+        fs.renameSync(chapteredPath, outputPath);
+      } catch (error) {
+        throwIfAborted(jobId);
+        console.warn(`Warning: Could not add chapters to the merged video: ${error.message}`);
+      }
+    }
+    
+    // Step 4: Export the audio as a podcast episode, with the same chapters
+    let podcast;
+    if (output.audio) {
+      throwIfAborted(jobId);
+      await updateJobStatus(jobId, 'uploading', 'exporting', `Exporting ${output.audio} audio`);
+      try {
+        const format = PODCAST_FORMATS[output.audio];
+        const metadataPath = writeFfmetadata(path.join(jobDir, 'podcast_metadata.txt'), {
+          tags: {
+            title: output.title,
+            album: output.title,
+            genre: 'Podcast',
+            comment: output.description,
+            description: output.description
+          },
+          chapters
+        });
+        const audioPath = path.join(jobDir, `merged_${jobId}.${format.extension}`);
+        await renderPool.run(() => exportPodcastAudio(outputPath, audioPath, output.audio, metadataPath, {
+          track: (command) => trackProcess(jobId, command)
+        }), { key: jobId });
+        podcast = {
+          url: await uploadToS3(audioPath, `merged-clips/merged_${jobId}.${format.extension}`, format.contentType),
+          format: output.audio,
+          chapters
+        };
+      } catch (error) {
+        await cleanupResources(jobDir, outputPath);
+        throwIfAborted(jobId);
+        if (error instanceof UploadError) {
+          throw error;
+        }
+        throw new ProcessingError(`Error exporting podcast audio: ${error.message}`);
+      }
+    }
+    
+    // Step 5: Upload to S3, unless only the audio was asked for
+    let s3Url = podcast && podcast.url;
     console.log('Uploading merged video to S3...');
+    throwIfAborted(jobId);
+    await updateJobStatus(jobId, 'uploading', 'uploading', 'Uploading merged video to S3');
     try {
-      const s3Key = `merged-clips/${outputFileName}`;
-      s3Url = await uploadToS3(outputPath, s3Key);
+      if (output.video) {
+        const s3Key = `merged-clips/${outputFileName}`;
+        s3Url = await uploadToS3(outputPath, s3Key);
+      }
     } catch (error) {
       await cleanupResources(jobDir, outputPath);
       if (error instanceof UploadError) {
@@ -578,7 +815,31 @@ exports.mergingClips = async (req, res) => {
       throw new UploadError(`Error uploading to S3: ${error.message}`);
     }
     
-    // Step 5: Clean up the job directory
+    // Step 6: Package an HLS ladder next to the MP4; the MP4 is still usable when this fails
+    let hls;
+    if (options.hls) {
+      throwIfAborted(jobId);
+      await updateJobStatus(jobId, 'uploading', 'packaging', 'Packaging HLS renditions');
+      try {
+        const hlsDir = path.join(jobDir, 'hls');
+        const packaged = await renderPool.run(() => packageHls(outputPath, hlsDir, options.hls, {
+          track: (command) => trackProcess(jobId, command),
+          onProgress: (progress) => reportProgress(jobId, { step: 'packaging', percent: progress.percent })
+        }), { key: jobId });
+        const playlistUrl = await uploadHls(hlsDir, `merged-clips/hls_${jobId}`);
+        hls = {
+          playlistUrl,
+          renditions: packaged.renditions,
+          audioOnly: packaged.audioOnly,
+          segmentDuration: packaged.segmentDuration
+        };
+      } catch (error) {
+        throwIfAborted(jobId);
+        console.warn(`Warning: HLS packaging failed: ${error.message}`);
+      }
+    }
+    
+    // Step 7: Clean up the job directory
     try {
       if (fs.existsSync(jobDir)) {
         await rimraf(jobDir);
@@ -588,24 +849,195 @@ exports.mergingClips = async (req, res) => {
       // Don't throw error here, as the main job was completed successfully
     }
     
+    return {
+      jobId,
+      s3Url,
+      status: true,
+      hls,
+      podcast,
+      chapters,
+      clipLoudness: options.loudness ? clipLoudness : undefined,
+      clipTimeline
+    };
+  } catch (error) {
+    // Ensure cleanup happens in case of error
+    await cleanupResources(jobDir, outputPath);
+    throw error;
+  }
+};
+
+// Let the job worker resume merges interrupted by a restart
+registerJobHandler('mergingClips', (job) => processClipsMerge(job.jobId, job.payload.clips, job.payload.options));
+
+// Main controller function
+exports.mergingClips = async (req, res) => {
+  try {
+    const { clips, aspectRatio, fit, captions, transition, transitions, normalizeAudio, targetLufs, trimMode, hls, outputFormat, title, description, aiSummary } = req.body;
+    
+    // Validate request body
+    if (!clips) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_REQUEST',
+        message: 'Clips data is missing from request body'
+      });
+    }
+    
+    if (!Array.isArray(clips)) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_FORMAT',
+        message: 'Clips must be provided as an array'
+      });
+    }
+    
+    if (clips.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'EMPTY_CLIPS',
+        message: 'No clips provided for merging'
+      });
+    }
+    
+    if (clips.length > MAX_CLIPS_COUNT) {
+      return res.status(400).json({
+        success: false,
+        error: 'TOO_MANY_CLIPS',
+        message: `Maximum of ${MAX_CLIPS_COUNT} clips allowed per request`
+      });
+    }
+    
+    const { reframe, error: reframeError } = parseReframeOptions({ aspectRatio, fit }, clips);
+    if (reframeError) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_REFRAME',
+        message: reframeError
+      });
+    }
+    
+    const { captions: captionStyle, error: captionsError } = parseCaptionOptions(captions);
+    if (captionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_CAPTIONS',
+        message: captionsError
+      });
+    }
+    
+    const { transitions: clipTransitions, error: transitionsError } = parseTransitionOptions({ transition, transitions }, clips);
+    if (transitionsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_TRANSITIONS',
+        message: transitionsError
+      });
+    }
+    
+    const { loudness, error: loudnessError } = parseLoudnessOptions({ normalizeAudio, targetLufs });
+    if (loudnessError) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_LOUDNESS',
+        message: loudnessError
+      });
+    }
+    
+    const { textOverlays, error: textError } = parseTextOverlayOptions(clips);
+    if (textError) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_TEXT_OVERLAYS',
+        message: textError
+      });
+    }
+    
+    const { trimMode: clipTrimMode, error: trimError } = parseTrimOptions({ trimMode });
+    if (trimError) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_TRIM_MODE',
+        message: trimError
+      });
+    }
+    
+    const { hls: hlsOptions, error: hlsError } = parseHlsOptions(hls);
+    if (hlsError) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_HLS',
+        message: hlsError
+      });
+    }
+    
+    const { output, error: outputError } = parseOutputFormat(outputFormat);
+    if (outputError || (hlsOptions && !output.video)) {
+      return res.status(400).json({
+        success: false,
+        error: 'INVALID_OUTPUT_FORMAT',
+        message: outputError || 'hls needs the mp4 output'
+      });
+    }
+    // Podcast tags; the AI summary makes the better episode description
+    if (output.audio) {
+      output.title = title;
+      output.description = aiSummary || description;
+    }
+    
+    const options = { reframe, captions: captionStyle, transitions: clipTransitions, loudness, textOverlays, trimMode: clipTrimMode, hls: hlsOptions, output };
+    const jobId = uuidv4();
+    await createJob({
+      jobId,
+      type: 'mergingClips',
+      userId: req.user.id,
+      payload: { clips, options }
+    });
+    
+    const result = await runJob(jobId, () => processClipsMerge(jobId, clips, options), {
+      // When every worker is busy, answer right away so the client can poll the job status
+      onQueued: (queuePosition) => res.status(202).json({
+        success: true,
+        message: 'All workers are busy, the merge has been queued',
+        jobId,
+        queuePosition,
+        inProgress: true
+      })
+    });
+    
+    // The client already received a queued response
+    if (res.headersSent) {
+      return;
+    }
+    
     // Return success response with S3 URL
     return res.status(200).json({
       success: true,
       message: 'Clips successfully merged',
-      s3Url: s3Url,
+      jobId,
+      s3Url: result.s3Url,
+      hls: result.hls,
+      podcast: result.podcast,
+      chapters: result.chapters,
+      clipLoudness: result.clipLoudness,
+      clipTimeline: result.clipTimeline,
       status: true
     });
     
   } catch (error) {
     console.error(`Error in mergingClips:`, error);
     
-    // Ensure cleanup happens in case of error
-    if (jobDir || outputPath) {
-      await cleanupResources(jobDir, outputPath);
+    if (res.headersSent) {
+      return;
     }
     
     // Return appropriate error response based on error type
-    if (error instanceof ValidationError) {
+    if (error.cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: 'JOB_CANCELLED',
+        message: error.message
+      });
+    } else if (error instanceof ValidationError) {
       return res.status(400).json({
         success: false,
         error: 'VALIDATION_ERROR',
@@ -629,6 +1061,12 @@ exports.mergingClips = async (req, res) => {
         error: 'UPLOAD_ERROR',
         message: error.message
       });
+    } else if (error instanceof JobAbortedError) {
+      return res.status(500).json({
+        success: false,
+        error: 'JOB_ABORTED',
+        message: error.message
+      });
     }
     
     // Generic error
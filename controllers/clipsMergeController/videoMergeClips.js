@@ -3,8 +3,26 @@ const path = require('path');
 const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const Video = require('../../model/uploadVideosSchema');
+const AudioAsset = require('../../model/audioAssetSchema');
 const FinalVideo = require('../../model/finalVideosSchema');
 const { uploadToS3 } = require('../../utils/s3');
+const { updateJobStatus, reportProgress } = require('./jobStatus/getJobStatus');
+const { createJob, runJob, registerJobHandler } = require('./jobStatus/jobQueue');
+const { renderPool, trackProcess, isJobAborted, throwIfAborted } = require('./jobStatus/scheduler');
+const { ASPECT_RATIOS, getClipReframe, buildReframeFilter } = require('../../utils/reframe');
+const { transcriptToWords, createClipSubtitles, buildCaptionFilter } = require('../../utils/captions');
+const { fitTransitions, getTransitionOverlap, buildTransitionFilters } = require('../../utils/transitions');
+const { measureLoudness, buildLoudnormFilter } = require('../../utils/loudness');
+const { buildMusicFilters, getMusicMetadata } = require('../../utils/music');
+const { probeMediaProfile, pickTargetProfile, buildNormalizeFilters } = require('../../utils/mediaProfile');
+const { buildWatermarkFilters, buildBumperFilters, getBrandingMetadata, copyBrandingFiles } = require('../../utils/brandKit');
+const { getClipText, buildTextOverlayFilter, buildTitleCardFilters, getSegmentTransitions, getTitleCardsDuration } = require('../../utils/textOverlays');
+const { packageHls, uploadHls } = require('../../utils/hls');
+const { getChapterTitle, getTranscriptText, getSegmentStarts, layoutChapters, writeFfmetadata } = require('../../utils/chapters');
+const { PODCAST_FORMATS, exportPodcastAudio } = require('../../utils/podcast');
+const { findFillerWords, detectSilences, planTighten, buildTightenFilters } = require('../../utils/tighten');
+const { selectThumbnails } = require('../../utils/thumbnails');
+const { generateWaveforms } = require('../../utils/waveform');
 
 // Configure FFmpeg path
 
@@ -105,38 +123,27 @@ const resolveVideoPath = (filePath) => {
   throw new Error(`Could not resolve path for: ${filePath}\nTried paths:\n${possiblePaths.join('\n')}`);
 };
 
+// Working directory of a merge job
+const getJobTempDir = (jobId) => path.join(process.env.TEMP_DIR || path.join(__dirname, '../../../tmp'), jobId);
 
-const generateThumbnail = async (videoPath, outputPath) => {
-  return new Promise((resolve, reject) => {
-    ffmpeg(videoPath)
-      .screenshots({
-        count: 1,
-        timemarks: ['50%'], // Capture from middle of video
-        filename: path.basename(outputPath),
-        folder: path.dirname(outputPath),
-        size: '320x180'
-      })
-      .on('end', () => resolve(outputPath))
-      .on('error', reject);
-  });
-};
-
-const videoMergeClips = async (clips, user, videoInfo = {}) => {
-  const jobId = uuidv4();
+// Trim and merge the uploaded-video clips of a job, then upload and save the result
+const runVideoMerge = async (jobId, clips, user, videoInfo = {}, options = {}) => {
+  const { reframe = null, captions = null, transitions = null, loudness = null, music = null, branding = null, textOverlays = null, hls = null, output = null, tighten = null } = options;
   console.log(`[${jobId}] Starting merge process`);
 
+  const tempDir = getJobTempDir(jobId);
+  const outputDir = process.env.OUTPUT_DIR || path.join(__dirname, '../../../output');
+
   try {
     if (!clips?.length) throw new Error('No clips provided');
 
     // Setup directories
-    const tempDir = path.join(process.env.TEMP_DIR || path.join(__dirname, '../../../tmp'), jobId);
-    const outputDir = process.env.OUTPUT_DIR || path.join(__dirname, '../../../output');
     fs.mkdirSync(tempDir, { recursive: true });
     fs.mkdirSync(outputDir, { recursive: true });
 
     // Process clips
     let totalDuration = 0;
-    const clipDetails = await Promise.all(clips.map(async (clip) => {
+    const clipDetails = await Promise.all(clips.map(async (clip, i) => {
       const video = await Video.findById(clip.videoId);
       if (!video) throw new Error(`Video not found: ${clip.videoId}`);
 
@@ -146,6 +153,24 @@ const videoMergeClips = async (clips, user, videoInfo = {}) => {
       const duration = clip.endTime - clip.startTime;
       totalDuration += duration;
 
+      const clipReframe = getClipReframe(reframe, clip);
+      const words = transcriptToWords(video.transcript);
+      let subtitlesPath = null;
+      if (captions) {
+        subtitlesPath = await createClipSubtitles({
+          words,
+          startTime: clip.startTime,
+          endTime: clip.endTime,
+          captions,
+          reframe: clipReframe,
+          videoPath: resolvedPath,
+          outputPath: path.join(tempDir, `clip_${i}.ass`)
+        });
+        if (!subtitlesPath) {
+          console.warn(`[${jobId}] No transcript words in clip ${i + 1}, merging it without captions`);
+        }
+      }
+
       return {
         path: resolvedPath,
         startTime: clip.startTime,
@@ -153,19 +178,129 @@ const videoMergeClips = async (clips, user, videoInfo = {}) => {
         duration,
         videoId: clip.videoId.toString(),
         title: clip.title || video.title,
+        // Chapters are named after the clip, else what is said in it
+        chapterTitle: getChapterTitle({
+          title: clip.title,
+          transcriptText: clip.transcriptText || getTranscriptText(words, clip.startTime, clip.endTime)
+        }, i),
         thumbnail: video.thumbnailUrl,
-        originalVideoTitle: video.title
+        originalVideoTitle: video.title,
+        reframe: clipReframe,
+        subtitlesPath,
+        fillers: tighten ? findFillerWords(words, clip.startTime, clip.endTime) : [],
+        profile: await probeMediaProfile(resolvedPath)
       };
     }));
 
+    // First loudnorm pass over every clip; the second one runs in the merge filter graph
+    if (loudness) {
+      for (const [i, clip] of clipDetails.entries()) {
+        throwIfAborted(jobId);
+        reportProgress(jobId, { step: 'normalizing', clip: { index: i, total: clipDetails.length, videoId: clip.videoId, status: 'measuring' } });
+        clip.loudness = await renderPool.run(() => measureLoudness(clip.path, loudness, {
+          startTime: clip.startTime,
+          duration: clip.duration,
+          track: (command) => trackProcess(jobId, command)
+        }), { key: jobId });
+      }
+    }
+
+    // Plan the filler words and silences cut out of every clip; the cuts run last in each clip's filter chain,
+    // after its captions and text, so those stay in sync with what is said
+    if (tighten) {
+      for (const [i, clip] of clipDetails.entries()) {
+        throwIfAborted(jobId);
+        reportProgress(jobId, { step: 'tightening', clip: { index: i, total: clipDetails.length, videoId: clip.videoId, status: 'detecting' } });
+        const silences = tighten.silences ? await renderPool.run(() => detectSilences(clip.path, tighten, {
+          startTime: clip.startTime,
+          duration: clip.duration,
+          track: (command) => trackProcess(jobId, command)
+        }), { key: jobId }) : [];
+        const plan = planTighten({ fillers: clip.fillers, silences }, clip.startTime, clip.endTime, tighten);
+        clip.removed = plan.removed;
+        if (plan.removed.length > 0) {
+          clip.keep = plan.keep;
+          totalDuration -= clip.duration - plan.duration;
+          clip.duration = plan.duration;
+        }
+      }
+    }
+
+    // Title cards sit before their clips; transitions overlap neighbouring segments, so they shorten the video
+    // by their rendered lengths, which are capped by the segments they join
+    const segmentDurations = clipDetails.flatMap((clip, i) => {
+      const clipText = getClipText(textOverlays, i);
+      return clipText && clipText.titleCard ? [clipText.titleCard.duration, clip.duration] : [clip.duration];
+    });
+    const segmentTransitions = fitTransitions(segmentDurations,
+      textOverlays ? getSegmentTransitions(transitions, textOverlays, clipDetails.length) : transitions);
+    totalDuration += getTitleCardsDuration(textOverlays) - getTransitionOverlap(segmentTransitions);
+
+    let musicAsset = null;
+    if (music) {
+      musicAsset = await AudioAsset.findById(music.audioId);
+      if (!musicAsset) throw new Error(`Audio asset not found: ${music.audioId}`);
+      musicAsset.resolvedPath = resolveVideoPath(musicAsset.fileUrl);
+    }
+
+    const bumpers = branding ? ['intro', 'outro'].filter(part => branding[part]) : [];
+    if (branding) {
+      ['watermark', ...bumpers].forEach(part => {
+        if (branding[part] && !fs.existsSync(branding[part].path)) throw new Error(`Brand kit ${part} not found: ${branding[part].path}`);
+      });
+    }
+
+    // Clips, title cards and bumpers are all brought to one frame size, frame rate and audio format,
+    // so they concatenate cleanly whatever their sources were
+    const outputProfile = pickTargetProfile(clipDetails.map(clip => clip.profile), {
+      frame: reframe ? ASPECT_RATIOS[reframe.aspectRatio] : undefined
+    });
+    console.log(`[${jobId}] Output profile: ${outputProfile.width}x${outputProfile.height}@${outputProfile.fps}`);
+    // Length of the merged clips without the bumpers, which the music is fitted to
+    const mainDuration = totalDuration;
+    bumpers.forEach(part => {
+      totalDuration += branding[part].duration;
+    });
+
+    // A chapter per source clip, with its title card, plus the bumpers; written into the MP4 and the podcast audio
+    const chapterSegments = [
+      ...(branding && branding.intro ? [{ title: 'Intro', duration: branding.intro.duration }] : []),
+      ...clipDetails.flatMap((clip, i) => {
+        const clipText = getClipText(textOverlays, i);
+        return clipText && clipText.titleCard
+          ? [{ title: clip.chapterTitle, duration: clipText.titleCard.duration }, { title: null, duration: clip.duration, clip: i }]
+          : [{ title: clip.chapterTitle, duration: clip.duration, clip: i }];
+      }),
+      ...(branding && branding.outro ? [{ title: 'Outro', duration: branding.outro.duration }] : [])
+    ];
+    // Bumpers are always cut in; between the clips the segment transitions apply
+    const chapterTransitions = segmentTransitions ? [
+      ...(branding && branding.intro ? [null] : []),
+      ...segmentTransitions,
+      ...(branding && branding.outro ? [null] : [])
+    ] : null;
+    const chapters = layoutChapters(chapterSegments, chapterTransitions);
+    // Where each clip plays in the merged video, so its words can be placed on it later, e.g. in project captions
+    const segmentStarts = getSegmentStarts(chapterSegments, chapterTransitions);
+    chapterSegments.forEach((segment, i) => {
+      if (segment.clip !== undefined) {
+        clipDetails[segment.clip].mergedStart = segmentStarts[i];
+      }
+    });
+    const videoTitle = videoInfo.title || `Merged Video ${new Date().toLocaleDateString()}`;
+    const chaptersPath = writeFfmetadata(path.join(tempDir, 'chapters.txt'), {
+      tags: { title: videoTitle, comment: videoInfo.description },
+      chapters
+    });
+
     // Merge videos
     const outputPath = path.join(outputDir, `merged_${jobId}.mp4`);
     const startTime = Date.now();
+    await updateJobStatus(jobId, 'merging', 'merging', `Merging ${clipDetails.length} clips`);
 
-    return new Promise((resolve, reject) => {
+    await renderPool.run(() => new Promise((resolve, reject) => {
       const command = ffmpeg();
-      let ffmpegProcess;
-      let timeout;
+      const untrack = trackProcess(jobId, command);
 
       // Add inputs with time trimming
       clipDetails.forEach(clip => {
@@ -174,22 +309,114 @@ const videoMergeClips = async (clips, user, videoInfo = {}) => {
           .inputOptions([`-to ${clip.endTime}`]);
       });
 
-      // Configure merge with robust settings
-      command.complexFilter([
-        {
+      // Background music and brand kit files come after the clips; looping lets them cover the whole video
+      let nextInput = clipDetails.length;
+      const inputIndex = {};
+      if (musicAsset) {
+        inputIndex.music = nextInput++;
+        command.input(musicAsset.resolvedPath);
+        if (music.loop) {
+          command.inputOptions(['-stream_loop', '-1']);
+        }
+      }
+      if (branding && branding.watermark) {
+        inputIndex.watermark = nextInput++;
+        command.input(branding.watermark.path).inputOptions(['-loop', '1']);
+      }
+      bumpers.forEach(part => {
+        inputIndex[part] = nextInput++;
+        command.input(branding[part].path);
+      });
+      inputIndex.chapters = nextInput++;
+      command.input(chaptersPath).inputOptions(['-f', 'ffmetadata']);
+
+      // Reframe every clip, burn in its captions and text and bring it to the output profile before concatenating
+      const filters = [];
+      const segments = clipDetails.flatMap((clip, i) => {
+        const clipText = getClipText(textOverlays, i);
+        let video = `${i}:v`;
+        if (clip.reframe) {
+          filters.push(buildReframeFilter(clip.reframe, video, `v${i}`));
+          video = `v${i}`;
+        }
+        if (clip.subtitlesPath) {
+          filters.push(buildCaptionFilter(clip.subtitlesPath, video, `c${i}`));
+          video = `c${i}`;
+        }
+        if (clipText && clipText.overlays.length > 0) {
+          filters.push(buildTextOverlayFilter(clipText.overlays, video, `t${i}`));
+          video = `t${i}`;
+        }
+        let audio = `${i}:a`;
+        if (clip.loudness) {
+          filters.push(`[${audio}]${buildLoudnormFilter(loudness, clip.loudness)}[l${i}]`);
+          audio = `l${i}`;
+        }
+        if (clip.keep) {
+          const tightened = buildTightenFilters(clip.keep, clip.startTime, { video, audio: clip.profile.hasAudio ? audio : null }, `k${i}`);
+          filters.push(...tightened.filters);
+          video = tightened.video;
+          audio = tightened.audio || audio;
+        }
+
+        const normalized = buildNormalizeFilters(i, clip.profile, outputProfile, `s${i}`, { video, audio, duration: clip.duration });
+        filters.push(...normalized.filters);
+        const segment = { video: normalized.video, audio: normalized.audio, duration: clip.duration };
+        if (!clipText || !clipText.titleCard) {
+          return [segment];
+        }
+        filters.push(...buildTitleCardFilters(clipText.titleCard, outputProfile, `card${i}`));
+        return [{ video: `card${i}v`, audio: `card${i}a`, duration: clipText.titleCard.duration }, segment];
+      });
+
+      // With music the joined clip audio is mixed again, and with branding the joined video gets the logo
+      // and bumpers, before they become [v] and [a]
+      const mainVideo = bumpers.length ? 'main_v' : 'v';
+      const mainAudio = bumpers.length ? 'main_a' : 'a';
+      const joinedVideo = branding && branding.watermark ? 'joined' : mainVideo;
+      const joinedAudio = music ? 'speech' : mainAudio;
+      if (segmentTransitions) {
+        filters.push(...buildTransitionFilters(segments, segmentTransitions, { video: joinedVideo, audio: joinedAudio }, outputProfile).filters);
+      } else {
+        filters.push({
           filter: 'concat',
           options: { 
-            n: clipDetails.length, 
+            n: segments.length, 
             v: 1, 
-            a: 1,
-            unsafe: 1
+            a: 1
           },
-          outputs: ['v', 'a']
-        }
-      ])
+          inputs: segments.flatMap(segment => [segment.video, segment.audio]),
+          outputs: [joinedVideo, joinedAudio]
+        });
+      }
+
+      if (music) {
+        filters.push(...buildMusicFilters(music, joinedAudio, `${inputIndex.music}:a`, mainDuration, mainAudio));
+      }
+
+      if (branding && branding.watermark) {
+        filters.push(...buildWatermarkFilters(branding.watermark, `${inputIndex.watermark}:v`, joinedVideo, mainVideo, outputProfile));
+      }
+
+      if (bumpers.length) {
+        bumpers.forEach(part => filters.push(...buildBumperFilters(branding[part], inputIndex[part], part, outputProfile)));
+        filters.push(`[${mainAudio}]aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo[main_af]`);
+        const segments = [
+          ...(branding.intro ? ['introv', 'introa'] : []),
+          mainVideo, 'main_af',
+          ...(branding.outro ? ['outrov', 'outroa'] : [])
+        ];
+        filters.push(`${segments.map(label => `[${label}]`).join('')}concat=n=${segments.length / 2}:v=1:a=1[v][a]`);
+      }
+
+      // Configure merge with robust settings
+      command.complexFilter(filters)
       .outputOptions([
         '-map', '[v]',
         '-map', '[a]',
+        // Chapters and tags come from the ffmetadata input, not from the first clip
+        '-map_metadata', String(inputIndex.chapters),
+        '-map_chapters', String(inputIndex.chapters),
         '-c:v', 'libx264',
         '-preset', 'medium', // More reliable than 'fast'
         '-crf', '23',
@@ -202,107 +429,251 @@ const videoMergeClips = async (clips, user, videoInfo = {}) => {
       ])
       .on('start', (cmd) => {
         console.log(`[${jobId}] FFmpeg command:`, cmd);
-        ffmpegProcess = cmd;
-        
-        // Set timeout to detect hangs (30 minutes)
-        timeout = setTimeout(() => {
-          if (ffmpegProcess) {
-            console.error(`[${jobId}] Process timeout - killing FFmpeg`);
-            process.kill(ffmpegProcess.pid, 'SIGKILL');
-          }
-        }, 30 * 60 * 1000);
       })
       .on('progress', (progress) => {
         console.log(`[${jobId}] Progress: ${Math.round(progress.percent || 0)}%`);
+        reportProgress(jobId, { step: 'merging', percent: progress.percent });
       })
-      .on('end', async () => {
-        clearTimeout(timeout);
-        try {
-          console.log(`[${jobId}] Merge successful`);
-          
-          // Generate thumbnail
-          let thumbnailUrl;
-          try {
-            const thumbPath = path.join(outputDir, `thumb_${jobId}.jpg`);
-            await generateThumbnail(outputPath, thumbPath);
-            thumbnailUrl = await uploadToS3(thumbPath, 
-              `merged-videos/${user.id}/thumbs/thumb_${jobId}.jpg`, {
-              ContentType: 'image/jpeg',
-              ACL: 'public-read'
-            });
-            fs.unlinkSync(thumbPath);
-          } catch (thumbErr) {
-            console.error(`[${jobId}] Thumbnail error:`, thumbErr);
-            thumbnailUrl = clipDetails[0]?.thumbnail || '';
-          }
-
-          // Upload merged video
-          const s3Key = `merged-videos/${user.id}/merged_${jobId}.mp4`;
-          const s3Url = await uploadToS3(outputPath, s3Key, {
-            ContentType: 'video/mp4',
-            ACL: 'public-read'
-          });
-
-          // Save to database
-          const finalVideo = new FinalVideo({
-            userId: user.id.toString(),
-            title: videoInfo.title || `Merged Video ${new Date().toLocaleDateString()}`,
-            description: videoInfo.description || '',
-            jobId,
-            duration: totalDuration,
-            s3Url,
-            thumbnailUrl,
-            userEmail: user.email || '',
-            userName: user.name || '',
-            sourceClips: clipDetails.map(c => ({
-              videoId: c.videoId,
-              title: c.title,
-              startTime: c.startTime,
-              endTime: c.endTime,
-              duration: c.duration,
-              thumbnail: c.thumbnail,
-              originalVideoTitle: c.originalVideoTitle
-            })),
-            stats: {
-              totalClips: clipDetails.length,
-              totalDuration,
-              processingTime: Date.now() - startTime,
-              mergeDate: new Date()
-            }
-          });
-          await finalVideo.save();
-
-          // Cleanup
-          fs.rmSync(tempDir, { recursive: true, force: true });
-          fs.unlinkSync(outputPath);
-
-          resolve({
-            success: true,
-            videoUrl: s3Url,
-            videoId: finalVideo._id,
-            thumbnailUrl,
-            duration: totalDuration
-          });
-        } catch (err) {
-          console.error(`[${jobId}] Post-merge error:`, err);
-          reject(err);
-        }
+      .on('end', () => {
+        untrack();
+        console.log(`[${jobId}] Merge successful`);
+        resolve(outputPath);
       })
       .on('error', (err, stdout, stderr) => {
-        clearTimeout(timeout);
+        untrack();
         console.error(`[${jobId}] FFmpeg error:`, err);
         console.error(`[${jobId}] FFmpeg stdout:`, stdout);
         console.error(`[${jobId}] FFmpeg stderr:`, stderr);
         reject(new Error(`Merge failed: ${err.message}`));
       })
       .save(outputPath);
+    }), { key: jobId });
+
+    throwIfAborted(jobId);
+    await updateJobStatus(jobId, 'uploading', 'uploading', 'Uploading merged video to S3');
+
+    // Use the best looking of the sampled frames as the cover
+    let thumbnailUrl;
+    try {
+      const [best] = await renderPool.run(() => selectThumbnails(outputPath, tempDir, {
+        prefix: `thumb_${jobId}`,
+        keep: 1,
+        track: (command) => trackProcess(jobId, command)
+      }), { key: jobId });
+      const thumbPath = best.path;
+      thumbnailUrl = await uploadToS3(thumbPath, 
+        `merged-videos/${user.id}/thumbs/thumb_${jobId}.jpg`, {
+        ContentType: 'image/jpeg',
+        ACL: 'public-read'
+      });
+      fs.unlinkSync(thumbPath);
+    } catch (thumbErr) {
+      console.error(`[${jobId}] Thumbnail error:`, thumbErr);
+      thumbnailUrl = clipDetails[0]?.thumbnail || '';
+    }
+
+    // Upload the waveform peaks next to the thumbnail; a merge without audio has none
+    let waveform;
+    try {
+      throwIfAborted(jobId);
+      const peaks = await renderPool.run(() => generateWaveforms(outputPath, tempDir, {
+        prefix: `waveform_${jobId}`,
+        track: (command) => trackProcess(jobId, command)
+      }), { key: jobId });
+      if (peaks) {
+        waveform = {
+          sampleRate: peaks.sampleRate,
+          bits: peaks.bits,
+          levels: await Promise.all(peaks.levels.map(async level => ({
+            samplesPerPixel: level.samplesPerPixel,
+            length: level.length,
+            url: await uploadToS3(level.path, `merged-videos/${user.id}/waveforms/${path.basename(level.path)}`)
+          })))
+        };
+      }
+    } catch (waveformErr) {
+      throwIfAborted(jobId);
+      console.error(`[${jobId}] Waveform error:`, waveformErr);
+    }
+
+    // Export the audio as a podcast episode, with the same chapters
+    let podcast;
+    if (output && output.audio) {
+      throwIfAborted(jobId);
+      await updateJobStatus(jobId, 'uploading', 'exporting', `Exporting ${output.audio} audio`);
+      const format = PODCAST_FORMATS[output.audio];
+      const metadataPath = writeFfmetadata(path.join(tempDir, 'podcast_metadata.txt'), {
+        tags: {
+          title: videoTitle,
+          album: videoTitle,
+          artist: user.name,
+          genre: 'Podcast',
+          comment: videoInfo.aiSummary || videoInfo.description,
+          description: videoInfo.aiSummary || videoInfo.description
+        },
+        chapters
+      });
+      const audioPath = path.join(tempDir, `merged_${jobId}.${format.extension}`);
+      await renderPool.run(() => exportPodcastAudio(outputPath, audioPath, output.audio, metadataPath, {
+        track: (command) => trackProcess(jobId, command)
+      }), { key: jobId });
+      podcast = {
+        url: await uploadToS3(audioPath, `merged-videos/${user.id}/merged_${jobId}.${format.extension}`),
+        format: output.audio,
+        chapters
+      };
+    }
+
+    // Upload merged video, unless only the audio was asked for
+    let s3Url = podcast && podcast.url;
+    if (!output || output.video) {
+      const s3Key = `merged-videos/${user.id}/merged_${jobId}.mp4`;
+      s3Url = await uploadToS3(outputPath, s3Key, {
+        ContentType: 'video/mp4',
+        ACL: 'public-read'
+      });
+    }
+
+    // Package the merged video for adaptive streaming; the MP4 is still usable when this fails
+    let hlsOutput;
+    if (hls) {
+      throwIfAborted(jobId);
+      await updateJobStatus(jobId, 'uploading', 'packaging', 'Packaging HLS renditions');
+      try {
+        const hlsDir = path.join(tempDir, 'hls');
+        const packaged = await renderPool.run(() => packageHls(outputPath, hlsDir, hls, {
+          track: (command) => trackProcess(jobId, command),
+          onProgress: (progress) => reportProgress(jobId, { step: 'packaging', percent: progress.percent })
+        }), { key: jobId });
+        const playlistUrl = await uploadHls(hlsDir, `merged-videos/${user.id}/hls_${jobId}`);
+        hlsOutput = {
+          playlistUrl,
+          renditions: packaged.renditions,
+          audioOnly: packaged.audioOnly,
+          segmentDuration: packaged.segmentDuration
+        };
+      } catch (hlsErr) {
+        throwIfAborted(jobId);
+        console.error(`[${jobId}] HLS packaging error:`, hlsErr);
+      }
+    }
+
+    // Save to database
+    const aspectRatio = reframe ? reframe.aspectRatio : 'original';
+    const backgroundMusic = music ? getMusicMetadata(music, musicAsset) : undefined;
+    const brandingMetadata = branding ? getBrandingMetadata(branding) : undefined;
+    const finalVideo = new FinalVideo({
+      userId: user.id.toString(),
+      title: videoTitle,
+      description: videoInfo.description || '',
+      jobId,
+      duration: totalDuration,
+      s3Url,
+      thumbnailUrl,
+      waveform,
+      userEmail: user.email || '',
+      userName: user.name || '',
+      aspectRatio,
+      backgroundMusic,
+      branding: brandingMetadata,
+      hls: hlsOutput,
+      podcast,
+      chapters,
+      sourceClips: clipDetails.map((c, i) => ({
+        videoId: c.videoId,
+        title: c.title,
+        startTime: c.startTime,
+        endTime: c.endTime,
+        duration: c.duration,
+        thumbnail: c.thumbnail,
+        originalVideoTitle: c.originalVideoTitle,
+        loudness: c.loudness || undefined,
+        mergedStart: c.mergedStart,
+        removed: c.removed && c.removed.length > 0 ? c.removed : undefined,
+        titleCard: getClipText(textOverlays, i) ? textOverlays[i].titleCard || undefined : undefined,
+        overlays: getClipText(textOverlays, i) ? textOverlays[i].overlays : undefined
+      })),
+      stats: {
+        totalClips: clipDetails.length,
+        totalDuration,
+        processingTime: Date.now() - startTime,
+        mergeDate: new Date()
+      }
     });
+    await finalVideo.save();
+
+    // Cleanup
+    fs.rmSync(tempDir, { recursive: true, force: true });
+    fs.unlinkSync(outputPath);
+
+    return {
+      success: true,
+      videoUrl: s3Url,
+      videoId: finalVideo._id,
+      thumbnailUrl,
+      waveform,
+      duration: totalDuration,
+      aspectRatio,
+      backgroundMusic,
+      branding: brandingMetadata,
+      hls: hlsOutput,
+      podcast,
+      chapters,
+      edits: tighten
+        ? clipDetails.map(({ videoId, startTime, endTime, duration, removed }) => ({ videoId, startTime, endTime, duration, removed }))
+        : undefined,
+      clipLoudness: loudness
+        ? clipDetails.map(({ videoId, startTime, endTime, loudness }) => ({ videoId, startTime, endTime, loudness }))
+        : undefined,
+      clipTimeline: clipDetails.map(({ videoId, startTime, endTime, mergedStart, removed }) => ({
+        videoId,
+        startTime,
+        endTime,
+        mergedStart,
+        removed: removed && removed.length > 0 ? removed : undefined
+      }))
+    };
   } catch (error) {
     console.error(`[${jobId}] Merge error:`, error);
+    // Remove partial output of a cancelled or timed out merge
+    if (isJobAborted(jobId)) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      fs.rmSync(path.join(outputDir, `merged_${jobId}.mp4`), { force: true });
+    }
     throw error;
   }
 };
 
+// Let the job worker resume merges interrupted by a restart
+registerJobHandler('videoMerge', (job) => {
+  const { clips, user, videoInfo, options } = job.payload;
+  return runVideoMerge(job.jobId, clips, user, videoInfo, options);
+});
+
+const videoMergeClips = async (clips, user, videoInfo = {}, { onQueued, reframe = null, captions = null, transitions = null, loudness = null, music = null, branding = null, textOverlays = null, hls = null, output = null, tighten = null } = {}) => {
+  const jobId = uuidv4();
+  // The brand kit may change before a queued or resumed job renders, so the job works from its own copy of the files
+  const jobBranding = branding ? copyBrandingFiles(branding, path.join(getJobTempDir(jobId), 'branding')) : null;
+  const options = { reframe, captions, transitions, loudness, music, branding: jobBranding, textOverlays, hls, output, tighten };
+
+  await createJob({
+    jobId,
+    type: 'videoMerge',
+    userId: user.id,
+    payload: {
+      clips,
+      // Keep only what the pipeline reads so the job can be re-run without the request
+      user: { id: user.id.toString(), email: user.email, name: user.name },
+      videoInfo,
+      options
+    }
+  });
+
+  return runJob(jobId, () => runVideoMerge(jobId, clips, user, videoInfo, options), {
+    onQueued: onQueued && ((queuePosition) => onQueued(jobId, queuePosition))
+  });
+};
+
 module.exports = {
   videoMergeClips,
   resolveVideoPath
@@ -1,5 +1,15 @@
 const OpenAI = require("openai");
 const dotenv = require('dotenv');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const Video = require("../../model/uploadVideosSchema");
+const { downloadYouTubeVideoById } = require('../clipsMergeController/apifyMergeClips');
+const { resolveVideoPath } = require('../clipsMergeController/videoMergeClips');
+const { renderPool, downloadPool } = require('../clipsMergeController/jobStatus/scheduler');
+const { loadTranscriptWords } = require('../../utils/captions');
+const { parseSnapOptions, snapClipsToScenes } = require('../../utils/scenes');
+const { DEFAULT_CLIP_LENGTH, measureAudioEnergy, findHighlights } = require('../../utils/highlights');
 dotenv.config();
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
@@ -111,9 +121,66 @@ const validateClips = (clips, videoDuration, explicitDuration, isEndPart) => {
     }
 };
 
+// ai asks the model for a narrative; heuristic scores the video locally, which is also the fallback when the model fails
+const CLIP_MODES = ['ai', 'heuristic'];
+const tempDir = path.join(__dirname, '../../temp');
+
+const isUploadedVideoId = (videoId) => mongoose.Types.ObjectId.isValid(videoId) && String(videoId).length === 24;
+
+// Timed words of the video when a transcript is stored, else the segments sent with the request
+const loadHighlightSpans = async (videoId, segments) => {
+    const words = await loadTranscriptWords(videoId);
+    if (words.length > 0) {
+        return words;
+    }
+    return (segments || []).map(segment => {
+        const start = parseFloat(segment.startTime !== undefined ? segment.startTime : segment.start);
+        const end = segment.endTime !== undefined ? parseFloat(segment.endTime) : start + parseFloat(segment.duration || 0);
+        return { text: segment.text, start, end };
+    });
+};
+
+// Loudness of an uploaded video, or of a YouTube video through the download cache; clips are still scored without it
+const measureSourceEnergy = async (videoId) => {
+    const workDir = path.join(tempDir, `highlights_${videoId}_${Date.now()}`);
+    try {
+        let inputPath = null;
+        if (isUploadedVideoId(videoId)) {
+            const video = await Video.findById(videoId).select('videoUrl').lean();
+            inputPath = video ? resolveVideoPath(video.videoUrl) : null;
+        }
+        if (!inputPath) {
+            fs.mkdirSync(workDir, { recursive: true });
+            inputPath = await downloadPool.run(() => downloadYouTubeVideoById(videoId, workDir), { key: workDir });
+            if (inputPath.endsWith('.jpg')) {
+                throw new Error(`Could not download video ${videoId}`);
+            }
+        }
+        return await renderPool.run(() => measureAudioEnergy(inputPath), { key: `highlights_${videoId}` });
+    } catch (error) {
+        console.warn(`Scoring highlights of ${videoId} without loudness: ${error.message}`);
+        return [];
+    } finally {
+        fs.rmSync(workDir, { recursive: true, force: true });
+    }
+};
+
+// Rank windows of the video by loudness, speech density and keyword hits, in the shape the model returns
+const findHeuristicClips = async ({ videoId, segments, videoDuration, customPrompt, explicitDuration, isEndPart }) => {
+    const [spans, energy] = await Promise.all([loadHighlightSpans(videoId, segments), measureSourceEnergy(videoId)]);
+    const clipLength = explicitDuration || DEFAULT_CLIP_LENGTH;
+    return findHighlights({ videoId, duration: videoDuration, energy, spans }, {
+        prompt: customPrompt,
+        clipLength,
+        // Same end part as validateClips, widened when the clip does not fit in it
+        range: isEndPart ? { start: Math.max(0, Math.min(videoDuration * 0.8, videoDuration - clipLength)), end: videoDuration } : null,
+        fitToSpeech: !explicitDuration
+    });
+};
+
 const generateClips = async (req, res) => {
     try {
-        const { transcripts, customPrompt } = req.body;
+        const { transcripts, customPrompt = '', snapToScenes, mode = 'ai' } = req.body;
 
         if (!transcripts || !Array.isArray(transcripts) || transcripts.length === 0) {
             return res.status(400).json({
@@ -122,6 +189,21 @@ const generateClips = async (req, res) => {
             });
         }
 
+        const { snap, error: snapError } = parseSnapOptions(snapToScenes);
+        if (snapError) {
+            return res.status(400).json({
+                success: false,
+                message: snapError
+            });
+        }
+
+        if (!CLIP_MODES.includes(mode)) {
+            return res.status(400).json({
+                success: false,
+                message: `mode must be one of ${CLIP_MODES.join(', ')}`
+            });
+        }
+
         // Extract video duration and segments from the first transcript object
         const videoTranscript = transcripts[0];
         const videoDuration = videoTranscript.duration;
@@ -136,6 +218,36 @@ const generateClips = async (req, res) => {
             explicitDuration = parseFloat(durationMatch[1]);
         }
         const isEndPart = /end|last/i.test(customPrompt);
+        const highlightSource = {
+            videoId: videoTranscript.videoId || segments[0]?.videoId,
+            segments,
+            videoDuration,
+            customPrompt,
+            explicitDuration,
+            isEndPart
+        };
+
+        const sendHeuristicClips = async () => {
+            let clips = await findHeuristicClips(highlightSource);
+            if (clips.length === 0) {
+                return res.status(422).json({
+                    success: false,
+                    message: "No highlights found, the video has no transcript or duration"
+                });
+            }
+            if (snap && !explicitDuration) {
+                clips = await snapClipsToScenes(clips, snap);
+            }
+            return res.status(200).json({
+                success: true,
+                data: { script: JSON.stringify(clips), mode: 'heuristic' },
+                message: "Video script generated from heuristic highlights"
+            });
+        };
+
+        if (mode === 'heuristic') {
+            return sendHeuristicClips();
+        }
 
         // Split segments into token-aware chunks
         const transcriptChunks = createTokenAwareChunks(segments, 40000);
@@ -283,13 +395,20 @@ Remember: Return ONLY a valid JSON array with proper numeric values (no expressi
             messages.push({ role: "user", content: chunkPrompt });
 
             console.log(`Processing chunk ${i+1}/${transcriptChunks.length}...`);
-            const result = await callOpenAIWithRetry(messages, "gpt-4o-mini-2024-07-18", 0.2);
+            let result;
+            try {
+                result = await callOpenAIWithRetry(messages, "gpt-4o-mini-2024-07-18", 0.2);
+            } catch (error) {
+                console.error(`OpenAI call failed on chunk ${i+1}, falling back to heuristic highlights:`, error.message);
+                return sendHeuristicClips();
+            }
 
             const responseContent = result.choices[0].message.content;
 
             if (isLastChunk) {
                 console.log("Final response received from OpenAI");
                 let clips;
+                let clipMode = 'ai';
                 try {
                     const jsonMatch = responseContent.match(/\[\s*\{.*\}\s*\]/s);
                     const jsonContent = jsonMatch ? jsonMatch[0] : responseContent;
@@ -297,6 +416,10 @@ Remember: Return ONLY a valid JSON array with proper numeric values (no expressi
                     validateClips(clips, videoDuration, explicitDuration, isEndPart);
                 } catch (error) {
                     console.error("Validation failed:", error.message);
+                    clips = await findHeuristicClips(highlightSource);
+                    clipMode = 'heuristic';
+                }
+                if (clips.length === 0) {
                     // Fallback to last explicitDuration seconds
                     const fallbackDuration = explicitDuration || 11;
                     const startTime = Math.max(0, videoDuration - fallbackDuration);
@@ -313,9 +436,14 @@ Remember: Return ONLY a valid JSON array with proper numeric values (no expressi
                     }];
                 }
 
+                // Snapping would break a duration the prompt asked for exactly
+                if (snap && !explicitDuration) {
+                    clips = await snapClipsToScenes(clips, snap);
+                }
+
                 return res.status(200).json({
                     success: true,
-                    data: { script: JSON.stringify(clips) },
+                    data: { script: JSON.stringify(clips), mode: clipMode },
                     message: "Video script generated successfully"
                 });
             } else {
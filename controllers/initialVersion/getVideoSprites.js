@@ -0,0 +1,81 @@
+const { videoCache } = require("../clipsMergeController/apifyMergeClips");
+const { renderPool } = require("../clipsMergeController/jobStatus/scheduler");
+const { parseSpriteOptions, generateSprites, readSpriteManifest } = require("../../utils/sprites");
+const { getSpritesDir, getSpritesInfo } = require("../videosController/thumbnailGenerator");
+
+// Renders in progress by sprite key, as { options, render }, so concurrent requests for one video share a render
+const rendering = new Map();
+
+const matchesOptions = (manifest, options) =>
+    (options.interval === undefined || manifest.interval === options.interval) &&
+    (options.width === undefined || manifest.tileWidth === options.width);
+
+// Get the timeline scrub sprites of a YouTube video, rendering them from the video cache when needed
+const getVideoSprites = async (req, res) => {
+    try {
+        const { videoId } = req.params;
+        if (!videoId || !/^[\w-]{11}$/.test(videoId)) {
+            return res.status(400).json({
+                message: "Invalid YouTube video ID",
+                status: false
+            });
+        }
+
+        const { options, error } = parseSpriteOptions(req.query);
+        if (error) {
+            return res.status(400).json({
+                message: error,
+                status: false
+            });
+        }
+
+        const key = `yt_${videoId}`;
+        const outputDir = getSpritesDir(key);
+        const existing = readSpriteManifest(outputDir);
+        if (existing && matchesOptions(existing, options)) {
+            return res.status(200).json({
+                message: "Sprites found",
+                status: true,
+                data: { videoId, ...getSpritesInfo(key, existing) }
+            });
+        }
+
+        const cachedFile = videoCache.getCachedFile(videoId);
+        if (!cachedFile) {
+            return res.status(404).json({
+                message: "Video is not in the video cache yet, it is cached once one of its clips has been processed",
+                status: false
+            });
+        }
+
+        // Renders of a video replace the same directory, so one with other options has to wait for its turn
+        const running = rendering.get(key);
+        if (running && (running.options.interval !== options.interval || running.options.width !== options.width)) {
+            return res.status(409).json({
+                message: "Sprites of this video are being rendered with other options, try again once they are done",
+                status: false
+            });
+        }
+        if (!running) {
+            const render = renderPool.run(() => generateSprites(cachedFile, outputDir, options), { key: `sprites_${key}` })
+                .finally(() => rendering.delete(key));
+            rendering.set(key, { options, render });
+        }
+        const manifest = await rendering.get(key).render;
+
+        return res.status(201).json({
+            message: "Sprites rendered",
+            status: true,
+            data: { videoId, ...getSpritesInfo(key, manifest) }
+        });
+    } catch (error) {
+        console.error("Sprite generation error:", error);
+        return res.status(500).json({
+            message: "Failed to render sprites",
+            error: error.message,
+            status: false
+        });
+    }
+};
+
+module.exports = getVideoSprites;
@@ -3,8 +3,14 @@ const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const Project = require('../model/projectSchema');
 const PublishedVideo = require('../model/publishedVideosSchema');
+const Job = require('../model/jobSchema');
 const mongoose = require('mongoose');
 const s3 = require('../config/s3');
+const { dispatchEvent } = require('../utils/webhooks');
+const { ASPECT_RATIOS } = require('../utils/reframe');
+const { CAPTION_FORMATS, parseExportOptions, attachClipTimeline, buildMergedWords, formatCaptions, getCaptionFileName } = require('../utils/captions');
+const { attachClipLoudness } = require('../utils/loudness');
+const { getChapterTitle, layoutChapters } = require('../utils/chapters');
 
 // Get all projects for a user
 const getUserProjects = async (req, res) => {
@@ -121,6 +127,44 @@ const createProject = async (req, res) => {
         s3Url: s3Url ? s3Url.substring(0, 30) + '...' : 'None'
       });
 
+      // Keep the loudness measured by the merge job and where it placed each clip with the clips themselves,
+      // and the frame, music, branding, HLS playlist, podcast audio and chapters the job produced
+      let projectClips = sourceClips;
+      let aspectRatio;
+      let backgroundMusic;
+      let branding;
+      let hls;
+      let podcast;
+      let chapters;
+      if (jobId) {
+        // Only the user who ran the merge can take over its result
+        const job = await Job.findOne({ jobId, userId: String(effectiveUserId) }).select('result').lean().catch(() => null);
+        if (job && job.result && job.result.clipLoudness && Array.isArray(sourceClips)) {
+          projectClips = attachClipLoudness(sourceClips, job.result.clipLoudness);
+        }
+        if (job && job.result && job.result.clipTimeline && Array.isArray(projectClips)) {
+          projectClips = attachClipTimeline(projectClips, job.result.clipTimeline);
+        }
+        if (job && job.result && job.result.aspectRatio) {
+          aspectRatio = job.result.aspectRatio;
+        }
+        if (job && job.result && job.result.backgroundMusic) {
+          backgroundMusic = job.result.backgroundMusic;
+        }
+        if (job && job.result && job.result.branding) {
+          branding = job.result.branding;
+        }
+        if (job && job.result && job.result.hls) {
+          hls = job.result.hls;
+        }
+        if (job && job.result && job.result.podcast) {
+          podcast = job.result.podcast;
+        }
+        if (job && job.result && job.result.chapters) {
+          chapters = job.result.chapters;
+        }
+      }
+
       // Then create the project with a reference to the published video
       const project = await Project.create({
         userId: effectiveUserId, // Now handled by the schema
@@ -133,7 +177,13 @@ const createProject = async (req, res) => {
         userEmail,
         userName,
         aiSummary,
-        sourceClips,
+        sourceClips: projectClips,
+        aspectRatio,
+        backgroundMusic,
+        branding,
+        hls,
+        podcast,
+        chapters,
         stats,
         publishedVideoId: publishedVideo._id
       });
@@ -148,6 +198,16 @@ const createProject = async (req, res) => {
       
       console.log('Updated published video with project reference');
 
+      dispatchEvent(effectiveUserId, 'project.created', {
+        projectId: project._id.toString(),
+        title: project.title,
+        jobId: project.jobId,
+        s3Url: project.s3Url,
+        thumbnailUrl: project.thumbnailUrl,
+        duration: project.duration,
+        publishedVideoId: publishedVideo._id.toString()
+      });
+
       // If the userId is a valid ObjectId, attempt to update the user's publishedVideos array
       if (mongoose.Types.ObjectId.isValid(effectiveUserId)) {
         try {
@@ -353,6 +413,27 @@ const getUserProjectsFromFileSystem = async () => {
   return projects;
 };
 
+// Chapters of a project: the ones its merge wrote into the video, else one per source clip laid end to end
+const getProjectChapters = (project) => {
+  if (project.chapters && project.chapters.length > 0) {
+    return project.chapters.map(({ title, start, end }) => ({ title, start, end }));
+  }
+
+  const introDuration = (project.branding && project.branding.introDuration) || 0;
+  const outroDuration = (project.branding && project.branding.outroDuration) || 0;
+  return layoutChapters([
+    ...(introDuration ? [{ title: 'Intro', duration: introDuration }] : []),
+    ...(project.sourceClips || []).flatMap((clip, i) => {
+      const title = getChapterTitle(clip, i);
+      const duration = clip.duration || (clip.endTime - clip.startTime) || 0;
+      return clip.titleCard && clip.titleCard.duration
+        ? [{ title, duration: clip.titleCard.duration }, { title: null, duration }]
+        : [{ title, duration }];
+    }),
+    ...(outroDuration ? [{ title: 'Outro', duration: outroDuration }] : [])
+  ]);
+};
+
 // Get a single project by ID
 const getProjectById = async (req, res) => {
   try {
@@ -377,7 +458,8 @@ const getProjectById = async (req, res) => {
     
     return res.status(200).json({
       success: true,
-      project
+      project,
+      chapters: getProjectChapters(project)
     });
     
   } catch (error) {
@@ -390,10 +472,65 @@ const getProjectById = async (req, res) => {
   }
 };
 
+// Download captions for a merged project, re-timed across its concatenated clips
+const getProjectCaptions = async (req, res) => {
+  try {
+    const { projectId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid project ID'
+      });
+    }
+
+    const { format, options, error } = parseExportOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const project = await Project.findOne({ _id: projectId, userId: { $in: [req.user.id.toString(), safeObjectId(req.user.id)] } }).lean();
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    // Branded videos start with the intro bumper; clips placed by the merge job keep their own start
+    const startOffset = (project.branding && project.branding.introDuration) || 0;
+    const words = await buildMergedWords(project.sourceClips || [], { startOffset });
+    if (words.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No transcript available for the clips of this project'
+      });
+    }
+
+    // Merged videos saved with a reframed aspect ratio get ASS captions laid out for that frame
+    const frame = ASPECT_RATIOS[project.aspectRatio];
+    const contents = formatCaptions(words, format, frame ? { ...options, frame } : options);
+
+    res.attachment(getCaptionFileName(project.title, format));
+    res.set('Content-Type', CAPTION_FORMATS[format].contentType);
+    return res.send(contents);
+  } catch (error) {
+    console.error('Error exporting project captions:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error exporting project captions',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getUserProjects,
   deleteProject,
   createProject,
   getProjectById,
+  getProjectCaptions,
   safeObjectId // Export the helper function in case it's needed elsewhere
 }; 
\ No newline at end of file
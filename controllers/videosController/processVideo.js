@@ -1,12 +1,18 @@
 const Video = require('../../model/uploadVideosSchema');
 const { generateTranscript } = require('../transcriptsController/videoGenerateTranscript');
-const { generateThumbnail } = require('./thumbnailGenerator');
+const { generateThumbnail, generateThumbnailCandidates, generateVideoSprites, generateVideoWaveform } = require('./thumbnailGenerator');
 const path = require('path');
 const fs = require('fs');
 const mongoose = require('mongoose');
+const { dispatchEvent } = require('../../utils/webhooks');
+const { detectScenes } = require('../../utils/scenes');
+const { renderPool, trackProcess } = require('../clipsMergeController/jobStatus/scheduler');
 
-const processVideo = async ({ videoId, filePath, userId, isBackgroundProcess = false, authToken }) => {
+const processVideo = async ({ videoId, filePath, userId, isBackgroundProcess = false, authToken, jobId }) => {
   let finalFilePath; // Declare at top to avoid ReferenceError
+  // ffmpeg work shares the render slots with merges; inside a job it is also killed when the job is cancelled
+  const renderKey = jobId || `process_${videoId}`;
+  const track = (command) => trackProcess(jobId, command);
   try {
     console.log(`Starting processing for video: ${videoId}`);
     console.log('Auth token:', authToken ? 'provided' : 'not provided');
@@ -50,11 +56,44 @@ const processVideo = async ({ videoId, filePath, userId, isBackgroundProcess = f
       fs.mkdirSync(thumbnailsDir, { recursive: true });
     }
 
-    // Generate thumbnail
-    const thumbnailFilename = `${videoId}.jpg`;
-    const thumbnailPath = path.join(thumbnailsDir, thumbnailFilename);
-    await generateThumbnail(finalFilePath, thumbnailPath);
-    video.thumbnailUrl = `${process.env.API_BASE_URL || 'https://ai-clip-backend1-1.onrender.com'}/thumbnails/${thumbnailFilename}`;
+    // Pick the best looking sampled frames as cover candidates, or fall back to the frame at 1 second
+    let thumbnails;
+    try {
+      thumbnails = await renderPool.run(() => generateThumbnailCandidates(finalFilePath, videoId, { track }), { key: renderKey });
+      video.thumbnailUrl = thumbnails[0].url;
+    } catch (thumbnailError) {
+      console.error(`Thumbnail selection failed for video ${videoId}:`, thumbnailError.message);
+      const thumbnailFilename = `${videoId}.jpg`;
+      const thumbnailPath = path.join(thumbnailsDir, thumbnailFilename);
+      await generateThumbnail(finalFilePath, thumbnailPath);
+      video.thumbnailUrl = `${process.env.API_BASE_URL || 'https://ai-clip-backend1-1.onrender.com'}/thumbnails/${thumbnailFilename}`;
+    }
+
+    // Detect shot boundaries; the video is still usable without them
+    let sceneCuts;
+    try {
+      sceneCuts = await renderPool.run(() => detectScenes(finalFilePath, { track }), { key: renderKey });
+      console.log(`Found ${sceneCuts.length} scene cuts in video: ${videoId}`);
+    } catch (sceneError) {
+      console.error(`Scene detection failed for video ${videoId}:`, sceneError.message);
+    }
+
+    // Render the timeline scrub sprites; the video plays fine without them
+    let sprites;
+    try {
+      sprites = await renderPool.run(() => generateVideoSprites(finalFilePath, String(videoId), { track }), { key: renderKey });
+      console.log(`Rendered ${sprites.sheetUrls.length} sprite sheets for video: ${videoId}`);
+    } catch (spriteError) {
+      console.error(`Sprite generation failed for video ${videoId}:`, spriteError.message);
+    }
+
+    // Extract the waveform peaks; a video without audio has none
+    let waveform;
+    try {
+      waveform = await renderPool.run(() => generateVideoWaveform(finalFilePath, videoId, { track }), { key: renderKey });
+    } catch (waveformError) {
+      console.error(`Waveform extraction failed for video ${videoId}:`, waveformError.message);
+    }
 
     // Generate transcript
     console.log(`Generating transcript for video: ${videoId}`);
@@ -70,6 +109,10 @@ const processVideo = async ({ videoId, filePath, userId, isBackgroundProcess = f
           status: 'processed',
           transcript,
           thumbnailUrl: video.thumbnailUrl,
+          ...(thumbnails && { thumbnails }),
+          ...(sceneCuts && { sceneCuts }),
+          ...(sprites && { sprites }),
+          ...(waveform && { waveform }),
           duration: transcript.duration,
           updatedAt: new Date(),
           processingCompletedAt: new Date(),
@@ -80,11 +123,22 @@ const processVideo = async ({ videoId, filePath, userId, isBackgroundProcess = f
       await session.commitTransaction();
       console.log(`Successfully processed video ${videoId}`);
 
+      dispatchEvent(updatedVideo.userId, 'video.processed', {
+        videoId: updatedVideo._id.toString(),
+        title: updatedVideo.title,
+        status: updatedVideo.status,
+        duration: updatedVideo.duration,
+        thumbnailUrl: updatedVideo.thumbnailUrl,
+        transcriptId: transcript.id
+      });
+
       return {
         success: true,
         videoId: updatedVideo._id,
         status: updatedVideo.status,
         thumbnailUrl: updatedVideo.thumbnailUrl,
+        sceneCount: sceneCuts ? sceneCuts.length : null,
+        spritesUrl: sprites ? sprites.trackUrl : null,
         transcriptId: transcript.id,
       };
     } catch (dbError) {
@@ -103,11 +157,19 @@ const processVideo = async ({ videoId, filePath, userId, isBackgroundProcess = f
     };
 
     try {
-      await Video.findByIdAndUpdate(videoId, {
+      const failedVideo = await Video.findByIdAndUpdate(videoId, {
         status: 'failed',
         error: errorDetails,
         updatedAt: new Date(),
       });
+
+      if (failedVideo) {
+        dispatchEvent(failedVideo.userId, 'video.failed', {
+          videoId: failedVideo._id.toString(),
+          title: failedVideo.title,
+          error: error.message
+        });
+      }
     } catch (dbError) {
       console.error('Failed to update video status:', dbError);
     }
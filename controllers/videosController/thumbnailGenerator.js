@@ -2,8 +2,14 @@ const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const fs = require('fs');
 const ffmpegPath = require('ffmpeg-static');
+const { selectThumbnails, formatTimemark } = require('../../utils/thumbnails');
+const { generateSprites } = require('../../utils/sprites');
+const { generateWaveforms } = require('../../utils/waveform');
 ffmpeg.setFfmpegPath(ffmpegPath);
 
+// Served from /thumbnails
+const thumbnailsDir = path.join(__dirname, '../../backend/thumbnails');
+
 // Verify FFmpeg installation at startup
 ffmpeg.getAvailableFormats((err) => {
   if (err) {
@@ -110,7 +116,86 @@ const generateThumbnails = async (videoPath, outputDir, count = 3) => {
   }
 };
 
+const getThumbnailUrl = (filename) => `${process.env.API_BASE_URL || 'https://ai-clip-backend1-1.onrender.com'}/thumbnails/${filename}`;
+
+// Sample frames across an uploaded video and keep the best looking ones as cover candidates, best first
+const generateThumbnailCandidates = async (videoPath, videoId, { count, keep, track } = {}) => {
+  const candidates = await selectThumbnails(videoPath, thumbnailsDir, {
+    // A new prefix per run, so a changed cover never comes from a cached image
+    prefix: `${videoId}_${Date.now()}`,
+    count,
+    keep,
+    track
+  });
+
+  return candidates.map(candidate => ({
+    url: getThumbnailUrl(path.basename(candidate.path)),
+    width: candidate.width,
+    height: candidate.height,
+    time: formatTimemark(candidate.time),
+    score: candidate.score
+  }));
+};
+
+// Delete the files of thumbnails that were replaced, except the ones still in use
+const removeThumbnailFiles = (thumbnails, keepUrls = []) => {
+  const kept = keepUrls.filter(Boolean).map(url => path.basename(url));
+  (thumbnails || []).forEach(thumbnail => {
+    // Only images served from /thumbnails are ours to delete
+    if (!/\/thumbnails\//.test(thumbnail.url || '')) return;
+    const filename = path.basename(thumbnail.url);
+    if (!kept.includes(filename)) {
+      fs.rmSync(path.join(thumbnailsDir, filename), { force: true });
+    }
+  });
+};
+
+// Where the scrub sprites of a video live, e.g. the upload id or yt_<YouTube id>
+const getSpritesDir = (key) => path.join(thumbnailsDir, 'sprites', key);
+
+// Describe rendered sprites with the URLs they are served from
+const getSpritesInfo = (key, manifest) => ({
+  trackUrl: getThumbnailUrl(`sprites/${key}/${manifest.track}`),
+  sheetUrls: manifest.sheets.map(sheet => getThumbnailUrl(`sprites/${key}/${sheet}`)),
+  interval: manifest.interval,
+  frameCount: manifest.frameCount,
+  tileWidth: manifest.tileWidth,
+  tileHeight: manifest.tileHeight,
+  columns: manifest.columns,
+  rows: manifest.rows
+});
+
+// Render the timeline scrub sprite sheets and WebVTT thumbnails track of a video
+const generateVideoSprites = async (videoPath, key, options = {}) => {
+  const manifest = await generateSprites(videoPath, getSpritesDir(key), options);
+  return getSpritesInfo(key, manifest);
+};
+
+// Write the waveform peaks of a video next to its thumbnails, one audiowaveform JSON file per zoom level
+const generateVideoWaveform = async (videoPath, videoId, { track } = {}) => {
+  const waveform = await generateWaveforms(videoPath, thumbnailsDir, { prefix: `${videoId}_waveform`, track });
+  if (!waveform) {
+    return null;
+  }
+
+  return {
+    sampleRate: waveform.sampleRate,
+    bits: waveform.bits,
+    levels: waveform.levels.map(level => ({
+      samplesPerPixel: level.samplesPerPixel,
+      length: level.length,
+      url: getThumbnailUrl(path.basename(level.path))
+    }))
+  };
+};
+
 module.exports = {
   generateThumbnail,
-  generateThumbnails
+  generateThumbnails,
+  generateThumbnailCandidates,
+  removeThumbnailFiles,
+  getSpritesDir,
+  getSpritesInfo,
+  generateVideoSprites,
+  generateVideoWaveform
 };
\ No newline at end of file
@@ -0,0 +1,181 @@
+const path = require('path');
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Video = require('../../model/uploadVideosSchema');
+const { resolveVideoPath } = require('../clipsMergeController/videoMergeClips');
+const { updateJobStatus, reportProgress } = require('../clipsMergeController/jobStatus/getJobStatus');
+const { createJob, runJob, registerJobHandler } = require('../clipsMergeController/jobStatus/jobQueue');
+const { renderPool, trackProcess, throwIfAborted } = require('../clipsMergeController/jobStatus/scheduler');
+const { transcriptToWords } = require('../../utils/captions');
+const { probeMediaProfile } = require('../../utils/mediaProfile');
+const { parseTightenOptions, findFillerWords, detectSilences, planTighten, renderTightened } = require('../../utils/tighten');
+const processVideo = require('./processVideo');
+
+// Cut and render the tightened copy of a video, then process it like an upload
+const runTighten = async (jobId, { videoId, userId, tighten }) => {
+  const video = await Video.findOne({ _id: videoId, userId });
+  if (!video) {
+    throw new Error(`Video ${videoId} not found`);
+  }
+
+  const words = transcriptToWords(video.transcript);
+  const inputPath = resolveVideoPath(video.videoUrl);
+  const profile = await probeMediaProfile(inputPath);
+  const duration = profile.duration || video.duration;
+  const track = (command) => trackProcess(jobId, command);
+
+  await updateJobStatus(jobId, 'trimming', 'detecting', 'Looking for filler words and silences');
+  const silences = tighten.silences
+    ? await renderPool.run(() => detectSilences(inputPath, tighten, { duration, track }), { key: jobId })
+    : [];
+  const plan = planTighten({ fillers: findFillerWords(words, 0, duration), silences }, 0, duration, tighten);
+  const removedDuration = Math.round((duration - plan.duration) * 1000) / 1000;
+
+  if (plan.removed.length === 0) {
+    return {
+      message: 'Nothing to cut, the video is unchanged',
+      videoId: null,
+      sourceVideoId: video._id.toString(),
+      duration,
+      removedDuration: 0,
+      removed: []
+    };
+  }
+
+  // The edited video goes into the uploads directory, so it is served from /uploads like any upload
+  throwIfAborted(jobId);
+  await updateJobStatus(jobId, 'merging', 'rendering', `Cutting ${plan.removed.length} ranges out of the video`);
+  const uploadsBase = process.env.UPLOADS_DIR || '/app/backend/uploads';
+  const filename = `${path.basename(inputPath, path.extname(inputPath))}_tightened_${Date.now()}.mp4`;
+  const outputPath = path.join(uploadsBase, filename);
+  try {
+    await renderPool.run(() => renderTightened(inputPath, outputPath, plan.keep, {
+      hasAudio: profile.hasAudio,
+      track,
+      onProgress: (progress) => reportProgress(jobId, { step: 'rendering', percent: progress.percent })
+    }), { key: jobId });
+    throwIfAborted(jobId);
+  } catch (renderError) {
+    fs.rmSync(outputPath, { force: true });
+    throw renderError;
+  }
+
+  const edited = await Video.create({
+    userId,
+    title: `${video.title} (tightened)`,
+    videoUrl: `/uploads/${filename}`,
+    fileSize: fs.statSync(outputPath).size,
+    mimeType: 'video/mp4',
+    thumbnailUrl: video.thumbnailUrl,
+    status: 'processing',
+    duration: plan.duration,
+    tightenedFrom: {
+      videoId: video._id,
+      removed: plan.removed
+    }
+  });
+
+  console.log(`Tightened video ${videoId} into ${edited._id}: ${plan.removed.length} cuts, ${removedDuration}s removed`);
+
+  // The cuts shift every word, so the new video gets its own transcript, thumbnails and sprites
+  await updateJobStatus(jobId, 'uploading', 'processing', 'Processing the tightened video');
+  let status = 'processed';
+  try {
+    await processVideo({
+      videoId: edited._id,
+      filePath: outputPath,
+      userId,
+      isBackgroundProcess: true,
+      jobId
+    });
+  } catch (processError) {
+    throwIfAborted(jobId);
+    // processVideo has already marked the video as failed
+    console.error(`Processing of tightened video ${edited._id} failed:`, processError.message);
+    status = 'failed';
+  }
+
+  const baseUrl = process.env.BASE_URL || 'https://ai-clip-backend1-1.onrender.com';
+  return {
+    videoId: edited._id.toString(),
+    sourceVideoId: video._id.toString(),
+    title: edited.title,
+    videoUrl: `${baseUrl}/uploads/${filename}`,
+    status,
+    duration: plan.duration,
+    originalDuration: duration,
+    removedDuration,
+    removed: plan.removed
+  };
+};
+
+// Let the job worker resume tightening interrupted by a restart
+registerJobHandler('videoTighten', (job) => runTighten(job.jobId, job.payload));
+
+// Cut the filler words and long silences out of an uploaded video, saving the result as a new uploaded video
+const tightenVideo = async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    if (!videoId || !mongoose.Types.ObjectId.isValid(videoId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid video ID format'
+      });
+    }
+
+    // An empty body tightens with the default settings
+    const { tighten, error } = parseTightenOptions({ ...req.body });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const video = await Video.findOne({
+      _id: videoId,
+      userId: req.user._id
+    });
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found or access denied'
+      });
+    }
+
+    // Filler words are only known from the transcript of a processed video
+    const words = transcriptToWords(video.transcript);
+    if (tighten.fillers && !tighten.silences && words.length === 0) {
+      return res.status(423).json({
+        success: false,
+        error: 'Transcript not available, process the video before cutting its filler words',
+        status: video.status
+      });
+    }
+
+    // Rendering and processing take a while, so they run as a job whose status is polled like a merge
+    const jobId = uuidv4();
+    const payload = { videoId: video._id.toString(), userId: req.user._id.toString(), tighten };
+    await createJob({ jobId, type: 'videoTighten', userId: req.user.id, payload });
+    runJob(jobId, () => runTighten(jobId, payload))
+      .catch(error => console.error(`Tighten job ${jobId} failed:`, error.message));
+
+    res.status(202).json({
+      success: true,
+      message: 'Tightening started',
+      jobId,
+      sourceVideoId: video._id
+    });
+  } catch (error) {
+    console.error('Tighten video error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while tightening video',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+module.exports = tightenVideo;
@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Video = require('../../model/uploadVideosSchema');
+const { resolveVideoPath } = require('../clipsMergeController/videoMergeClips');
+const { renderPool } = require('../clipsMergeController/jobStatus/scheduler');
+const { MAX_SAMPLE_COUNT } = require('../../utils/thumbnails');
+const { generateThumbnailCandidates, removeThumbnailFiles } = require('./thumbnailGenerator');
+
+const findOwnVideo = async (req, res, select) => {
+  const { videoId } = req.params;
+  if (!videoId || !mongoose.Types.ObjectId.isValid(videoId)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid video ID format'
+    });
+    return null;
+  }
+
+  const video = await Video.findOne({
+    _id: videoId,
+    userId: req.user._id
+  }).select(select);
+
+  if (!video) {
+    res.status(404).json({
+      success: false,
+      error: 'Video not found or access denied'
+    });
+    return null;
+  }
+  return video;
+};
+
+const toResponse = (video) => ({
+  videoId: video._id,
+  thumbnailUrl: video.thumbnailUrl,
+  thumbnails: (video.thumbnails || []).map((thumbnail, index) => ({
+    index,
+    url: thumbnail.url,
+    width: thumbnail.width,
+    height: thumbnail.height,
+    time: thumbnail.time,
+    score: thumbnail.score,
+    isCover: thumbnail.url === video.thumbnailUrl
+  }))
+});
+
+// List the cover candidates of a video
+const listThumbnails = async (req, res) => {
+  try {
+    const video = await findOwnVideo(req, res, 'thumbnailUrl thumbnails');
+    if (!video) return;
+
+    res.json({
+      success: true,
+      data: toResponse(video)
+    });
+  } catch (error) {
+    console.error('Thumbnail list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while fetching thumbnails',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+// Sample the video again and replace its cover candidates; the cover itself only changes when it was never picked
+const resampleThumbnails = async (req, res) => {
+  try {
+    const { count, keep } = req.body || {};
+    if (count !== undefined && (!Number.isInteger(count) || count < 1 || count > MAX_SAMPLE_COUNT)) {
+      return res.status(400).json({
+        success: false,
+        error: `count must be a whole number from 1 to ${MAX_SAMPLE_COUNT}`
+      });
+    }
+    if (keep !== undefined && (!Number.isInteger(keep) || keep < 1 || keep > (count || MAX_SAMPLE_COUNT))) {
+      return res.status(400).json({
+        success: false,
+        error: 'keep must be a whole number from 1 to count'
+      });
+    }
+
+    const video = await findOwnVideo(req, res, 'videoUrl thumbnailUrl thumbnails');
+    if (!video) return;
+
+    const inputPath = resolveVideoPath(video.videoUrl);
+    const thumbnails = await renderPool.run(
+      () => generateThumbnailCandidates(inputPath, video._id, { count, keep }),
+      { key: `thumbnails_${video._id}` }
+    );
+
+    const hasCover = !!video.thumbnailUrl && !/default-thumbnail/.test(video.thumbnailUrl);
+    removeThumbnailFiles(video.thumbnails, [video.thumbnailUrl]);
+    video.thumbnails = thumbnails;
+    if (!hasCover) {
+      video.thumbnailUrl = thumbnails[0].url;
+    }
+    video.updatedAt = new Date();
+    await video.save();
+
+    res.json({
+      success: true,
+      data: toResponse(video)
+    });
+  } catch (error) {
+    console.error('Thumbnail sampling error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sampling thumbnails',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+// Make one of the candidates the cover of a video
+const selectCover = async (req, res) => {
+  try {
+    const { index } = req.body || {};
+    const video = await findOwnVideo(req, res, 'thumbnailUrl thumbnails');
+    if (!video) return;
+
+    const thumbnails = video.thumbnails || [];
+    if (!Number.isInteger(index) || index < 0 || index >= thumbnails.length) {
+      return res.status(400).json({
+        success: false,
+        error: thumbnails.length > 0
+          ? `index must be a whole number from 0 to ${thumbnails.length - 1}`
+          : 'The video has no thumbnail candidates, sample it first'
+      });
+    }
+
+    video.thumbnailUrl = thumbnails[index].url;
+    video.updatedAt = new Date();
+    await video.save();
+
+    res.json({
+      success: true,
+      data: toResponse(video)
+    });
+  } catch (error) {
+    console.error('Cover selection error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while selecting the cover',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+};
+
+module.exports = {
+  listThumbnails,
+  resampleThumbnails,
+  selectCover
+};
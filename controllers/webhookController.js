@@ -0,0 +1,275 @@
+const mongoose = require('mongoose');
+const Webhook = require('../model/webhookSchema');
+const WebhookDelivery = require('../model/webhookDeliverySchema');
+const { WEBHOOK_EVENTS, generateSecret, deliverToWebhook, checkWebhookUrl } = require('../utils/webhooks');
+
+// Returns the unknown event types in a list, or null if the list itself is invalid
+const getInvalidEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    return null;
+  }
+  return events.filter(event => !WEBHOOK_EVENTS.includes(event));
+};
+
+// Find a webhook owned by the authenticated user
+const findUserWebhook = (req) => {
+  const { webhookId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(webhookId)) {
+    return null;
+  }
+  return Webhook.findOne({ _id: webhookId, userId: req.user.id.toString() });
+};
+
+// Register a new webhook
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description, secret } = req.body;
+
+    const urlError = await checkWebhookUrl(url);
+    if (urlError) {
+      return res.status(400).json({
+        success: false,
+        message: urlError
+      });
+    }
+
+    const invalidEvents = getInvalidEvents(events);
+    if (invalidEvents === null || invalidEvents.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'events must be a non-empty list of supported event types',
+        invalidEvents: invalidEvents || undefined,
+        supportedEvents: WEBHOOK_EVENTS
+      });
+    }
+
+    const webhook = await Webhook.create({
+      userId: req.user.id.toString(),
+      url,
+      events: [...new Set(events)],
+      description,
+      secret: secret || generateSecret()
+    });
+
+    // The secret is only ever returned here
+    return res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      webhook: webhook.toObject()
+    });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error creating webhook',
+      error: error.message
+    });
+  }
+};
+
+// List the user's webhooks
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.find({ userId: req.user.id.toString() }).sort({ createdAt: -1 }).lean();
+
+    return res.status(200).json({
+      success: true,
+      webhooks,
+      supportedEvents: WEBHOOK_EVENTS
+    });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error fetching webhooks',
+      error: error.message
+    });
+  }
+};
+
+// Update url, events, description or active flag; rotateSecret=true issues a new secret
+const updateWebhook = async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const { url, events, description, active, rotateSecret } = req.body;
+
+    if (url !== undefined) {
+      const urlError = await checkWebhookUrl(url);
+      if (urlError) {
+        return res.status(400).json({
+          success: false,
+          message: urlError
+        });
+      }
+      webhook.url = url;
+    }
+
+    if (events !== undefined) {
+      const invalidEvents = getInvalidEvents(events);
+      if (invalidEvents === null || invalidEvents.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'events must be a non-empty list of supported event types',
+          invalidEvents: invalidEvents || undefined,
+          supportedEvents: WEBHOOK_EVENTS
+        });
+      }
+      webhook.events = [...new Set(events)];
+    }
+
+    if (description !== undefined) {
+      webhook.description = description;
+    }
+
+    if (active !== undefined) {
+      webhook.active = Boolean(active);
+    }
+
+    let secret;
+    if (rotateSecret) {
+      secret = generateSecret();
+      webhook.secret = secret;
+    }
+
+    webhook.updatedAt = new Date();
+    await webhook.save();
+
+    const updated = webhook.toObject();
+    delete updated.secret;
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook updated successfully',
+      webhook: secret ? { ...updated, secret } : updated
+    });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error updating webhook',
+      error: error.message
+    });
+  }
+};
+
+// Delete a webhook and its delivery log
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await WebhookDelivery.deleteMany({ webhookId: webhook._id });
+    await webhook.deleteOne();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook',
+      error: error.message
+    });
+  }
+};
+
+// Delivery log of a webhook, newest first
+const getWebhookDeliveries = async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const filter = { webhookId: webhook._id };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      // Older deliveries logged response bodies, which are not shown anymore
+      .select('-__v -responseBody')
+      .lean();
+
+    return res.status(200).json({
+      success: true,
+      deliveries
+    });
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error fetching webhook deliveries',
+      error: error.message
+    });
+  }
+};
+
+// Send a sample event to the webhook right away and return the outcome of the first attempt
+const testWebhook = async (req, res) => {
+  try {
+    const webhook = await findUserWebhook(req);
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const event = req.body.event || webhook.events[0] || WEBHOOK_EVENTS[0];
+    if (!WEBHOOK_EVENTS.includes(event)) {
+      return res.status(400).json({
+        success: false,
+        message: `Unsupported event type: ${event}`,
+        supportedEvents: WEBHOOK_EVENTS
+      });
+    }
+
+    const delivery = await deliverToWebhook(webhook.toObject(), event, {
+      test: true,
+      message: 'This is a test delivery'
+    }, { retry: false });
+
+    return res.status(200).json({
+      success: delivery.status === 'success',
+      message: delivery.status === 'success' ? 'Test delivery succeeded' : 'Test delivery failed',
+      delivery
+    });
+  } catch (error) {
+    console.error('Error sending test webhook:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error sending test webhook',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  testWebhook
+};
@@ -11,6 +11,11 @@ const projectRoutes = require('./routes/projectRoutes');
 const healthRoute = require('./routes/healthRoute');
 const processRoutes = require('./routes/processRoutes');
 const videoRoutes = require('./routes/videoRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const brandKitRoutes = require('./routes/brandKitRoutes');
+const { startJobWorker } = require('./controllers/clipsMergeController/jobStatus/jobQueue');
+const { initializeSocket } = require('./socket');
+const { startWebhookWorker } = require('./utils/webhooks');
 const path = require('path');
 const fs = require('fs');
 require('dotenv').config();
@@ -143,6 +148,8 @@ app.use('/api/v1/upload', uploadRoute);
 // ✅ Ensure these come BEFORE the generic /api/v1
 app.use('/api/v1/youtube', initialVersionRoute);
 app.use('/api/v1/video', videoRoutes);
+app.use('/api/v1/webhooks', webhookRoutes);
+app.use('/api/v1/brand-kit', brandKitRoutes);
 
 app.use('/api/merge', mergeRoute);
 app.use('/api/projects', projectRoutes);
@@ -177,8 +184,15 @@ if (!fs.existsSync(thumbnailsDir)) {
 // Serve thumbnails from the correct directory
 app.use('/thumbnails', express.static(thumbnailsDir, {
   maxAge: '1d',
-  setHeaders: (res, path) => {
+  setHeaders: (res, filePath) => {
     res.setHeader('Access-Control-Allow-Origin', '*');
+    // Sprite sheet names change with every render, while the tracks pointing at them are rewritten in place
+    if (/[\\/]sprites[\\/]/.test(filePath)) {
+      res.setHeader('Cache-Control', filePath.endsWith('.jpg') ? 'public, max-age=31536000, immutable' : 'public, no-cache');
+    }
+    if (filePath.endsWith('.vtt')) {
+      res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    }
   }
 }));
 
@@ -222,11 +236,20 @@ app.use((err, req, res, next) => {
 // Connect to MongoDB and start server
 connectDB();
 
+// Resume merge jobs orphaned by a crash or restart once the database is reachable
+startJobWorker();
+
+// Retry webhook deliveries that failed or were interrupted
+startWebhookWorker();
+
 // Start the server - no need for .then as we handle connection errors separately
-app.listen(port, () => {
+const server = app.listen(port, () => {
     console.log(`Server running on port ${port}`);
 });
 
+// Push live job progress to clients over socket.io
+initializeSocket(server);
+
 console.log('Registered routes:');
 app._router.stack.forEach(middleware => {
   if (middleware.route) {
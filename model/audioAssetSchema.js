@@ -0,0 +1,20 @@
+const mongoose = require("mongoose");
+
+// Audio files uploaded by a user to use as background music in merges
+const audioAssetSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    title: { type: String, required: true },
+    fileUrl: { type: String, required: true }, // Absolute path in the uploads directory
+    fileSize: { type: Number },
+    mimeType: { type: String },
+    duration: { type: Number, default: 0 }, // Seconds
+    createdAt: { type: Date, default: Date.now }
+});
+
+audioAssetSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.models.AudioAsset || mongoose.model("AudioAsset", audioAssetSchema);
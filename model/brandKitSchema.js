@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+// Uploaded intro or outro clip
+const bumperSchema = new mongoose.Schema({
+    path: { type: String }, // Absolute path in the uploads directory
+    fileName: { type: String },
+    duration: { type: Number }, // Seconds
+    hasAudio: { type: Boolean, default: true },
+    uploadedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Logo, watermark settings and bumpers a user's merged videos can be branded with
+const brandKitSchema = new mongoose.Schema({
+    userId: { type: String, required: true, unique: true },
+    logo: {
+        path: { type: String },
+        fileName: { type: String },
+        position: { type: String, enum: ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'], default: 'bottom-right' },
+        opacity: { type: Number, default: 0.8 }, // 0 (invisible) to 1
+        scale: { type: Number, default: 0.15 } // Logo width as a fraction of the video width
+    },
+    intro: { type: bumperSchema },
+    outro: { type: bumperSchema },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+module.exports = mongoose.model("BrandKit", brandKitSchema);
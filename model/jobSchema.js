@@ -0,0 +1,31 @@
+const mongoose = require("mongoose");
+
+const jobSchema = new mongoose.Schema({
+    jobId: { type: String, required: true, unique: true },
+    type: { type: String, required: true }, // Pipeline that runs the job: 'mergingClips', 'apifyMerge', 'videoMerge', 'videoTighten'
+    userId: { type: String },
+    status: {
+        type: String,
+        enum: ['pending', 'downloading', 'trimming', 'merging', 'uploading', 'completed', 'failed', 'cancelled'],
+        default: 'pending'
+    },
+    currentStep: { type: String },
+    message: { type: String },
+    queuePosition: { type: Number, default: 0 }, // Position in the worker pool queue, 0 once started
+    payload: { type: mongoose.Schema.Types.Mixed }, // Everything needed to re-run the job after a crash
+    result: { type: mongoose.Schema.Types.Mixed },
+    error: { type: String },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 3 },
+    workerId: { type: String }, // Process currently running the job
+    heartbeatAt: { type: Date },
+    startedAt: { type: Date },
+    completedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+jobSchema.index({ status: 1, heartbeatAt: 1 });
+jobSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("Job", jobSchema);
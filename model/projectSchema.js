@@ -23,6 +23,55 @@ const projectSchema = new mongoose.Schema({
         keywords: [{ type: String }],
         confidence: { type: Number }
     },
+    aspectRatio: { type: String, default: 'original' }, // Output aspect ratio, e.g. '9:16'
+    // Background music laid under the merged clips and ducked under speech
+    backgroundMusic: {
+        audioId: { type: String },
+        title: { type: String },
+        volume: { type: Number },
+        fadeIn: { type: Number },
+        fadeOut: { type: Number },
+        duckDepth: { type: Number },
+        loop: { type: Boolean }
+    },
+    // Brand kit parts the video was branded with
+    branding: {
+        watermark: {
+            position: { type: String },
+            opacity: { type: Number },
+            scale: { type: Number }
+        },
+        introDuration: { type: Number }, // Seconds of intro before the first clip
+        outroDuration: { type: Number }
+    },
+    // HLS ladder the merged video was packaged in, next to the MP4
+    hls: {
+        playlistUrl: { type: String }, // Master playlist
+        renditions: [{
+            name: { type: String }, // e.g. '720p'
+            width: { type: Number },
+            height: { type: Number },
+            bitrate: { type: Number } // Video bitrate in kbit/s
+        }],
+        audioOnly: { type: Boolean },
+        segmentDuration: { type: Number }
+    },
+    // Audio-only export of the merged video, with a chapter per source clip
+    podcast: {
+        url: { type: String },
+        format: { type: String }, // mp3, aac or opus
+        chapters: [{
+            title: { type: String },
+            start: { type: Number }, // Seconds
+            end: { type: Number }
+        }]
+    },
+    // Chapters written into the merged video, one per source clip
+    chapters: [{
+        title: { type: String },
+        start: { type: Number }, // Seconds
+        end: { type: Number }
+    }],
     sourceClips: [{
         videoId: { type: String },
         title: { type: String },
@@ -34,7 +83,41 @@ const projectSchema = new mongoose.Schema({
         aiAnalysis: { type: mongoose.Schema.Types.Mixed },
         contentTags: [{ type: String }],
         sentimentScore: { type: Number },
-        highlights: [{ type: String }]
+        highlights: [{ type: String }],
+        // Title card shown before the clip and text drawn over it
+        titleCard: {
+            text: { type: String },
+            subtitle: { type: String },
+            duration: { type: Number },
+            background: { type: String }
+        },
+        overlays: [{
+            text: { type: String },
+            start: { type: Number }, // Seconds from the start of the clip
+            end: { type: Number },
+            position: { type: String },
+            style: { type: String },
+            color: { type: String }
+        }],
+        // Measured by the first loudnorm pass when the merge normalized audio
+        loudness: {
+            inputI: { type: Number },
+            inputTP: { type: Number },
+            inputLRA: { type: Number },
+            inputThresh: { type: Number },
+            targetOffset: { type: Number },
+            targetLufs: { type: Number }
+        },
+        mergedStart: { type: Number }, // Seconds into the merged video where the clip starts
+        // Ranges of the source video cut out when the merge tightened the clip
+        removed: {
+            type: [{
+                start: { type: Number },
+                end: { type: Number },
+                reasons: [{ type: String }]
+            }],
+            default: undefined
+        }
     }],
     stats: {
         totalClips: { type: Number, default: 0 },
@@ -31,12 +31,41 @@ if (mongoose.models.UploadedVideo) {
             type: String,
             default: '/default-thumbnail.jpg'
         },
+        // Cover candidates picked from sampled frames, best first; time is where in the video they were taken
         thumbnails: [{
             url: String,
             width: Number,
             height: Number,
-            time: String
+            time: String,
+            score: Number
         }],
+        // Timeline scrub sprite sheets and the WebVTT thumbnails track pointing into them, served from /thumbnails
+        sprites: {
+            trackUrl: String,
+            sheetUrls: {
+                type: [String],
+                default: undefined
+            },
+            interval: Number, // Seconds between frames
+            frameCount: Number,
+            tileWidth: Number,
+            tileHeight: Number,
+            columns: Number,
+            rows: Number
+        },
+        // Audio peaks in the bbc/audiowaveform JSON format, one file per zoom level; null when the video has no audio
+        waveform: {
+            sampleRate: Number,
+            bits: Number,
+            levels: {
+                type: [{
+                    samplesPerPixel: Number,
+                    length: Number, // Pixels
+                    url: String
+                }],
+                default: undefined
+            }
+        },
         status: {
             type: String,
             enum: ['uploading', 'uploaded', 'processing', 'processed', 'failed'],
@@ -46,6 +75,14 @@ if (mongoose.models.UploadedVideo) {
         transcript: {
             type: mongoose.Schema.Types.Mixed
         },
+        // Shot boundaries found when the video was processed, as the start of each new shot in seconds
+        sceneCuts: {
+            type: [{
+                time: Number,
+                score: Number
+            }],
+            default: undefined
+        },
         processingError: {
             type: String,
             required: false
@@ -66,6 +103,21 @@ if (mongoose.models.UploadedVideo) {
         processingCompletedAt: {
             type: Date,
             required: false
+        },
+        // Set on videos made by cutting the filler words and silences out of another upload
+        tightenedFrom: {
+            videoId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'UploadedVideo'
+            },
+            removed: {
+                type: [{
+                    start: Number,
+                    end: Number,
+                    reasons: [String]
+                }],
+                default: undefined
+            }
         }
     });
 
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+
+const webhookDeliverySchema = new mongoose.Schema({
+    webhookId: { type: mongoose.Schema.Types.ObjectId, ref: "Webhook", required: true },
+    userId: { type: String, required: true },
+    eventId: { type: String, required: true }, // Sent to the receiver so retries can be deduplicated
+    event: { type: String, required: true },
+    payload: { type: mongoose.Schema.Types.Mixed },
+    status: {
+        type: String,
+        enum: ['pending', 'success', 'failed'],
+        default: 'pending'
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 6 },
+    nextAttemptAt: { type: Date, default: Date.now }, // Also pushed forward while an attempt is in flight
+    responseStatus: { type: Number },
+    error: { type: String },
+    durationMs: { type: Number },
+    deliveredAt: { type: Date },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("WebhookDelivery", webhookDeliverySchema);
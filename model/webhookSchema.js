@@ -0,0 +1,18 @@
+const mongoose = require("mongoose");
+
+const webhookSchema = new mongoose.Schema({
+    userId: { type: String, required: true },
+    url: { type: String, required: true },
+    secret: { type: String, required: true, select: false }, // Used to sign payloads, only returned when the webhook is created
+    events: [{ type: String }], // Event types to deliver, e.g. 'merge.completed'
+    description: { type: String },
+    active: { type: Boolean, default: true },
+    lastDeliveryAt: { type: Date },
+    lastDeliveryStatus: { type: String, enum: ['success', 'failed'] },
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+webhookSchema.index({ userId: 1, active: 1 });
+
+module.exports = mongoose.model("Webhook", webhookSchema);
@@ -0,0 +1,78 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const router = express.Router();
+const {
+  getBrandKit,
+  updateBrandKit,
+  deleteBrandKitAsset
+} = require('../controllers/brandKitController');
+const { protect } = require('../middleware/authMiddleware');
+
+// Brand kit files are kept next to the uploaded videos
+const brandKitDir = path.join(process.env.UPLOADS_DIR || '/app/backend/uploads', 'brand-kit');
+if (!fs.existsSync(brandKitDir)) {
+  fs.mkdirSync(brandKitDir, { recursive: true });
+}
+
+const validTypes = {
+  logo: ['image/png', 'image/jpeg', 'image/webp'],
+  intro: ['video/mp4', 'video/webm', 'video/quicktime', 'video/x-m4v'],
+  outro: ['video/mp4', 'video/webm', 'video/quicktime', 'video/x-m4v']
+};
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => cb(null, brandKitDir),
+    filename: (req, file, cb) => cb(null, `${uuidv4()}${path.extname(file.originalname)}`)
+  }),
+  limits: { fileSize: 100 * 1024 * 1024 }, // 100MB
+  fileFilter: (req, file, cb) => {
+    if (!validTypes[file.fieldname] || !validTypes[file.fieldname].includes(file.mimetype)) {
+      const error = new Error(`Invalid file type for ${file.fieldname}`);
+      error.code = 'LIMIT_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+});
+
+// All brand kit routes belong to the authenticated user
+router.use(protect);
+
+router.get('/', getBrandKit);
+router.put('/', upload.fields([
+  { name: 'logo', maxCount: 1 },
+  { name: 'intro', maxCount: 1 },
+  { name: 'outro', maxCount: 1 }
+]), updateBrandKit);
+router.delete('/:asset', deleteBrandKitAsset);
+
+router.use((err, req, res, next) => {
+  if (err.code === 'LIMIT_FILE_TYPE') {
+    return res.status(415).json({
+      success: false,
+      message: `${err.message}. Logos can be PNG, JPEG or WebP; intros and outros MP4, WebM, MOV or M4V`
+    });
+  }
+
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    return res.status(413).json({
+      success: false,
+      message: 'File too large. Maximum size is 100MB.'
+    });
+  }
+
+  if (err instanceof multer.MulterError) {
+    return res.status(400).json({
+      success: false,
+      message: err.message
+    });
+  }
+
+  next(err);
+});
+
+module.exports = router;
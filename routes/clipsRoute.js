@@ -2,16 +2,19 @@ const deleteClip = require("../controllers/clipsController/deleteClip");
 const generateClips = require("../controllers/clipsController/generateClips");
 const getClipsByVideoID = require("../controllers/clipsController/getClipsByVideoID");
 const updateClip = require("../controllers/clipsController/updateClip");
+const previewClip = require("../controllers/clipsController/previewClip");
 const mergeClips = require("../controllers/clipsMergeController/mergeClips");
 const { mergingClips } = require("../controllers/clipsMergeController/mergingClips");
+const { protect } = require("../middleware/authMiddleware");
 const router = require("express").Router();
 
 router.post("/generateClip", generateClips);
 router.delete("/deleteClip/:id", deleteClip);
 router.get("/getClipsByVideoID/:videoID", getClipsByVideoID);
 router.put("/updateClip/:id", updateClip);
+router.get("/preview", protect, previewClip);
 router.post("/mergeClips", mergeClips);
 
-router.post("/merge-clips", mergingClips);
+router.post("/merge-clips", protect, mergingClips);
 
 module.exports = router;
@@ -3,6 +3,7 @@ const { getTranscript, getAuthUrl, oauth2Client } = require("../controllers/init
 const getVideoIDByPlaylist = require("../controllers/initialVersion/getVideoIDByPlaylist");
 const generateClips = require("../controllers/initialVersion/generateClips");
 const getDetailsByVideoID = require("../controllers/initialVersion/getDetailsByVideoID");
+const getVideoSprites = require("../controllers/initialVersion/getVideoSprites");
 const { processClip } = require("../controllers/clipsMergeController/apifyMergeClips");
 const addFinalVideo = require("../controllers/initialVersion/addfinalVideo");
 const getPublishedVideosByUserID = require("../controllers/publishedVideoController/getPublishedVideosByUserID");
@@ -38,6 +39,7 @@ router.post("/playlist/:playlistId", getVideoIDByPlaylist);
 router.post("/video/:videoId", getTranscript);
 router.post("/generateClips", generateClips);
 router.post("/details/:videoId", getDetailsByVideoID);
+router.get("/sprites/:videoId", getVideoSprites);
 router.get("/download", processClip);
 router.post("/addFinalVideo", addFinalVideo);
 router.get("/getPublishedVideosByUserID/:userId", getPublishedVideosByUserID);
@@ -2,17 +2,36 @@ const router = require("express").Router();
 const { mergeClips, processClip, serveVideoFile, checkVideoStatus } = require("../controllers/clipsMergeController/apifyMergeClips");
 const { videoMergeClips } = require("../controllers/clipsMergeController/videoMergeClips");
 const simpleMergeClips = require("../controllers/clipsMergeController/mergingClips");
+const { getJobStatus, cancelJob } = require("../controllers/clipsMergeController/jobStatus/getJobStatus");
 const fs = require('fs');
 const path = require('path');
 const { getSignedDownloadUrl } = require('../utils/s3');
 const { protect } = require('../middleware/authMiddleware');
+const { parseReframeOptions } = require('../utils/reframe');
+const { parseCaptionOptions } = require('../utils/captions');
+const { parseTransitionOptions } = require('../utils/transitions');
+const { parseLoudnessOptions } = require('../utils/loudness');
+const { parseMusicOptions } = require('../utils/music');
+const { parseTextOverlayOptions } = require('../utils/textOverlays');
+const AudioAsset = require('../model/audioAssetSchema');
+const BrandKit = require('../model/brandKitSchema');
+const { resolveBrandingOptions } = require('../utils/brandKit');
+const { parseHlsOptions } = require('../utils/hls');
+const { parseOutputFormat } = require('../utils/podcast');
+const { parseTightenOptions } = require('../utils/tighten');
 // Route for merging clips (using the original complex implementation)
-router.post("/clips", mergeClips);
+router.post("/clips", protect, mergeClips);
 
 
 // Route for processing a single clip
 router.get("/process", processClip);
 
+// Route for checking the status of a merge job
+router.get("/jobs/:jobId", protect, getJobStatus);
+
+// Route for cancelling a queued or running merge job
+router.delete("/jobs/:jobId", protect, cancelJob);
+
 // Route for getting a public S3 URL for a video
 router.get("/video/:jobId/public-url", async (req, res) => {
   try {
@@ -138,7 +157,7 @@ router.get("/video/:filePath", serveVideoFile);
 
 router.post('/videoMerge', protect, async (req, res) => {
   try {
-    const { clips, title, description } = req.body;
+    const { clips, title, description, aiSummary, outputFormat, aspectRatio, fit, captions, transition, transitions, normalizeAudio, targetLufs, music, branding, hls, tighten } = req.body;
     const user = req.user;
 
     if (!clips || !Array.isArray(clips)) {
@@ -148,7 +167,116 @@ router.post('/videoMerge', protect, async (req, res) => {
       });
     }
 
-    const result = await videoMergeClips(clips, user, { title, description });
+    const { reframe, error: reframeError } = parseReframeOptions({ aspectRatio, fit }, clips);
+    if (reframeError) {
+      return res.status(400).json({
+        success: false,
+        error: reframeError
+      });
+    }
+
+    const { captions: captionStyle, error: captionsError } = parseCaptionOptions(captions);
+    if (captionsError) {
+      return res.status(400).json({
+        success: false,
+        error: captionsError
+      });
+    }
+
+    const { transitions: clipTransitions, error: transitionsError } = parseTransitionOptions({ transition, transitions }, clips);
+    if (transitionsError) {
+      return res.status(400).json({
+        success: false,
+        error: transitionsError
+      });
+    }
+
+    const { loudness, error: loudnessError } = parseLoudnessOptions({ normalizeAudio, targetLufs });
+    if (loudnessError) {
+      return res.status(400).json({
+        success: false,
+        error: loudnessError
+      });
+    }
+
+    const { textOverlays, error: textError } = parseTextOverlayOptions(clips);
+    if (textError) {
+      return res.status(400).json({
+        success: false,
+        error: textError
+      });
+    }
+
+    const { music: backgroundMusic, error: musicError } = parseMusicOptions(music);
+    if (musicError) {
+      return res.status(400).json({
+        success: false,
+        error: musicError
+      });
+    }
+
+    if (backgroundMusic && !(await AudioAsset.exists({ _id: backgroundMusic.audioId, userId: user._id }))) {
+      return res.status(404).json({
+        success: false,
+        error: `Audio asset not found: ${backgroundMusic.audioId}`
+      });
+    }
+
+    const brandKit = branding ? await BrandKit.findOne({ userId: user.id.toString() }) : null;
+    const { branding: brand, error: brandingError } = resolveBrandingOptions(branding, brandKit);
+    if (brandingError) {
+      return res.status(400).json({
+        success: false,
+        error: brandingError
+      });
+    }
+
+    const { hls: hlsOptions, error: hlsError } = parseHlsOptions(hls);
+    if (hlsError) {
+      return res.status(400).json({
+        success: false,
+        error: hlsError
+      });
+    }
+
+    const { output, error: outputError } = parseOutputFormat(outputFormat);
+    if (outputError || (hlsOptions && !output.video)) {
+      return res.status(400).json({
+        success: false,
+        error: outputError || 'hls needs the mp4 output'
+      });
+    }
+
+    const { tighten: tightenOptions, error: tightenError } = parseTightenOptions(tighten);
+    if (tightenError) {
+      return res.status(400).json({
+        success: false,
+        error: tightenError
+      });
+    }
+
+    const result = await videoMergeClips(clips, user, { title, description, aiSummary }, {
+      reframe,
+      captions: captionStyle,
+      transitions: clipTransitions,
+      loudness,
+      music: backgroundMusic,
+      branding: brand,
+      textOverlays,
+      hls: hlsOptions,
+      output,
+      tighten: tightenOptions,
+      // Answer right away when the merge has to wait for a free worker
+      onQueued: (jobId, queuePosition) => res.status(202).json({
+        success: true,
+        message: 'All workers are busy, the merge has been queued',
+        jobId,
+        queuePosition,
+        inProgress: true
+      })
+    });
+
+    if (res.headersSent) return;
     
     res.status(200).json({
       success: true,
@@ -156,11 +284,24 @@ router.post('/videoMerge', protect, async (req, res) => {
         videoUrl: result.videoUrl,
         videoId: result.videoId,
         thumbnailUrl: result.thumbnailUrl,
-        duration: result.duration
+        duration: result.duration,
+        hls: result.hls,
+        waveform: result.waveform,
+        podcast: result.podcast,
+        chapters: result.chapters,
+        edits: result.edits,
+        clipLoudness: result.clipLoudness
       }
     });
   } catch (error) {
     console.error('Merge route error:', error);
+    if (res.headersSent) return;
+    if (error.cancelled) {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
     res.status(500).json({
       success: false,
       error: error.message || 'Failed to merge clips'
@@ -1,6 +1,6 @@
 const express = require('express');
 const router = express.Router();
-const { getUserProjects, deleteProject, createProject, getProjectById } = require('../controllers/projectController');
+const { getUserProjects, deleteProject, createProject, getProjectById, getProjectCaptions } = require('../controllers/projectController');
 const { protect } = require('../middleware/authMiddleware');
 
 // Test route that doesn't require authentication
@@ -29,7 +29,11 @@ router.get('/', protect, getUserProjects);
 // GET a project by ID
 router.get('/:projectId', protect, getProjectById);
 
-router.post('/', createProject);
+// GET the project's captions as an SRT, VTT or ASS file
+router.get('/:projectId/captions', protect, getProjectCaptions);
+
+// POST a project for a merged video - requires authentication
+router.post('/', protect, createProject);
 
 // DELETE a project - requires authentication
 router.delete('/:projectId', protect, deleteProject);
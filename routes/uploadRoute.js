@@ -5,8 +5,10 @@ const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
 const { protect } = require('../middleware/authMiddleware');
 const Video = require('../model/uploadVideosSchema');
+const AudioAsset = require('../model/audioAssetSchema');
 const processVideo = require('../controllers/videosController/processVideo');
 const mongoose = require('mongoose');
+const { probeDuration } = require('../utils/transitions');
 
 const router = express.Router();
 
@@ -44,6 +46,101 @@ const upload = multer({
   fileFilter,
 });
 
+const audioFileFilter = (req, file, cb) => {
+  const validTypes = ['audio/mpeg', 'audio/mp3', 'audio/wav', 'audio/x-wav', 'audio/aac', 'audio/mp4', 'audio/x-m4a', 'audio/ogg', 'audio/flac'];
+  if (!validTypes.includes(file.mimetype)) {
+    const error = new Error('Invalid file type');
+    error.code = 'LIMIT_AUDIO_TYPE';
+    return cb(error);
+  }
+  cb(null, true);
+};
+
+const uploadAudio = multer({
+  storage,
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
+  fileFilter: audioFileFilter,
+});
+
+// Upload an audio asset, e.g. a background music track for merges
+router.post('/audio', protect, uploadAudio.single('audio'), async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      status: false,
+      error: 'No file uploaded',
+    });
+  }
+
+  const absoluteFilePath = path.join(uploadDir, req.file.filename).replace(/\\/g, '/');
+  const removeFile = () => {
+    try {
+      fs.unlinkSync(req.file.path);
+    } catch (cleanupError) {
+      console.error('File cleanup failed:', cleanupError);
+    }
+  };
+
+  let duration;
+  try {
+    duration = await probeDuration(absoluteFilePath);
+  } catch (probeError) {
+    console.error('Audio probe error:', probeError);
+    removeFile();
+    return res.status(400).json({
+      status: false,
+      error: 'Could not read the audio file',
+    });
+  }
+
+  try {
+    const audio = await AudioAsset.create({
+      userId: req.user._id,
+      title: req.body.title || req.file.originalname,
+      fileUrl: absoluteFilePath,
+      fileSize: req.file.size,
+      mimeType: req.file.mimetype,
+      duration,
+    });
+
+    res.status(200).json({
+      status: true,
+      audioId: audio._id,
+      title: audio.title,
+      duration: audio.duration,
+      message: 'Upload successful',
+      fileUrl: `/uploads/${req.file.filename}`,
+    });
+  } catch (error) {
+    console.error('Audio upload error:', error);
+    removeFile();
+    res.status(500).json({
+      status: false,
+      error: 'Failed to save audio upload',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined,
+    });
+  }
+});
+
+// List the audio assets of the current user
+router.get('/audio', protect, async (req, res) => {
+  try {
+    const audio = await AudioAsset.find({ userId: req.user._id })
+      .select('title duration fileSize mimeType createdAt')
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      status: true,
+      audio,
+    });
+  } catch (error) {
+    console.error('Audio list error:', error);
+    res.status(500).json({
+      status: false,
+      error: 'Failed to list audio assets',
+    });
+  }
+});
+
 router.post('/', protect, upload.single('video'), async (req, res) => {
   if (!req.file) {
     return res.status(400).json({
@@ -123,10 +220,17 @@ router.use((err, req, res, next) => {
     });
   }
 
+  if (err.code === 'LIMIT_AUDIO_TYPE') {
+    return res.status(415).json({
+      status: false,
+      error: 'Invalid file type. Only MP3, WAV, AAC, M4A, OGG, and FLAC are allowed.',
+    });
+  }
+
   if (err.code === 'LIMIT_FILE_SIZE') {
     return res.status(413).json({
       status: false,
-      error: 'File too large. Maximum size is 500MB.',
+      error: req.path === '/audio' ? 'File too large. Maximum size is 50MB.' : 'File too large. Maximum size is 500MB.',
     });
   }
 
@@ -5,6 +5,9 @@ const Video = require('../model/uploadVideosSchema');
 const rateLimit = require('express-rate-limit');
 const { protect } = require('../middleware/authMiddleware');
 const path = require('path'); // Added to extract filename from videoUrl
+const { CAPTION_FORMATS, parseExportOptions, transcriptToWords, formatCaptions, getCaptionFileName } = require('../utils/captions');
+const tightenVideo = require('../controllers/videosController/tightenVideo');
+const { listThumbnails, resampleThumbnails, selectCover } = require('../controllers/videosController/videoThumbnails');
 
 // Rate limiting
 const apiLimiter = rateLimit({
@@ -159,7 +162,13 @@ router.get('/:videoId/details', async (req, res) => {
         createdAt: video.createdAt,
         updatedAt: video.updatedAt,
         processingCompletedAt: video.processingCompletedAt,
-        hasTranscript: !!video.transcript
+        hasTranscript: !!video.transcript,
+        // Start of each shot after the first, in seconds; null when the video was processed before scene detection
+        sceneCuts: video.sceneCuts || null,
+        // WebVTT thumbnails track for timeline scrubbing; null when the video was processed before sprites
+        sprites: video.sprites && video.sprites.trackUrl ? video.sprites : null,
+        // Audio peaks in the audiowaveform JSON format at several zoom levels; null without audio or for older videos
+        waveform: video.waveform && video.waveform.levels ? video.waveform : null
       }
     };
 
@@ -174,5 +183,86 @@ router.get('/:videoId/details', async (req, res) => {
   }
 });
 
+/**
+ * @route GET /api/v1/video/:videoId/captions
+ * @desc Download the video transcript as a caption file
+ * @query format srt (default), vtt or ass; maxLineLength, maxLines, maxDuration wrapping rules; preset ASS style
+ */
+router.get('/:videoId/captions', async (req, res) => {
+  try {
+    if (!req.params.videoId || !mongoose.Types.ObjectId.isValid(req.params.videoId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid video ID format'
+      });
+    }
+
+    const { format, options, error } = parseExportOptions(req.query);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const video = await Video.findOne({
+      _id: req.params.videoId,
+      userId: req.user._id
+    }).select('title transcript').lean();
+
+    if (!video) {
+      return res.status(404).json({
+        success: false,
+        error: 'Video not found or access denied'
+      });
+    }
+
+    const words = transcriptToWords(video.transcript);
+    if (words.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Transcript not available'
+      });
+    }
+
+    res.attachment(getCaptionFileName(video.title, format));
+    res.set('Content-Type', CAPTION_FORMATS[format].contentType);
+    res.send(formatCaptions(words, format, options));
+  } catch (error) {
+    console.error('Caption export error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while exporting captions',
+      ...(process.env.NODE_ENV === 'development' && { details: error.message })
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/video/:videoId/tighten
+ * @desc Cut filler words and long silences out of a video in a job, saving the result as a new video; answers 202 with the jobId
+ * @body fillers, silences, minSilence, silenceThreshold, padding; all optional
+ */
+router.post('/:videoId/tighten', tightenVideo);
+
+/**
+ * @route GET /api/v1/video/:videoId/thumbnails
+ * @desc List the cover candidates picked from the video's frames, best first
+ */
+router.get('/:videoId/thumbnails', listThumbnails);
+
+/**
+ * @route POST /api/v1/video/:videoId/thumbnails
+ * @desc Sample the video again and replace its cover candidates
+ * @body count frames to sample (default 12, max 30), keep candidates to keep (default 3); both optional
+ */
+router.post('/:videoId/thumbnails', resampleThumbnails);
+
+/**
+ * @route PUT /api/v1/video/:videoId/thumbnail
+ * @desc Make one of the candidates the cover of the video
+ * @body index of the candidate in the list
+ */
+router.put('/:videoId/thumbnail', selectCover);
 
 module.exports = router;
\ No newline at end of file
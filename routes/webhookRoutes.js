@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+const {
+  createWebhook,
+  getWebhooks,
+  updateWebhook,
+  deleteWebhook,
+  getWebhookDeliveries,
+  testWebhook
+} = require('../controllers/webhookController');
+const { protect } = require('../middleware/authMiddleware');
+
+// All webhook routes belong to the authenticated user
+router.use(protect);
+
+router.get('/', getWebhooks);
+router.post('/', createWebhook);
+router.patch('/:webhookId', updateWebhook);
+router.delete('/:webhookId', deleteWebhook);
+
+// Delivery log and test-fire
+router.get('/:webhookId/deliveries', getWebhookDeliveries);
+router.post('/:webhookId/test', testWebhook);
+
+module.exports = router;
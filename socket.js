@@ -1,6 +1,27 @@
 const socketIo = require('socket.io');
+const jwt = require('jsonwebtoken');
 let io;
 
+// Room names used for job events
+const jobRoom = (jobId) => `job:${jobId}`;
+const userRoom = (userId) => `user:${userId}`;
+
+// Resolve the user id from the JWT sent in the handshake, if any
+const getSocketUserId = (socket) => {
+  const token = socket.handshake.auth?.token || socket.handshake.query?.token;
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your_jwt_secret_key');
+    return decoded.userId || null;
+  } catch (error) {
+    console.warn(`Socket ${socket.id} sent an invalid token: ${error.message}`);
+    return null;
+  }
+};
+
 // Initialize socket server
 const initializeSocket = (server) => {
   io = socketIo(server, {
@@ -12,6 +33,12 @@ const initializeSocket = (server) => {
 
   io.on('connection', (socket) => {
     console.log('New client connected:', socket.id);
+
+    // Authenticated clients receive events for all of their jobs
+    const userId = getSocketUserId(socket);
+    if (userId) {
+      socket.join(userRoom(userId));
+    }
     
     socket.on('disconnect', () => {
       console.log('Client disconnected:', socket.id);
@@ -19,9 +46,39 @@ const initializeSocket = (server) => {
     
     // Handle specific client events
     socket.on('registerSession', (sessionId) => {
+      // Job and user rooms are only joined after an ownership check
+      if (!sessionId || /^(job|user):/.test(String(sessionId))) return;
       console.log(`Client ${socket.id} registered for session ${sessionId}`);
       socket.join(sessionId); // Join a room for this session
     });
+
+    // Follow the progress of a single job; only its owner may
+    socket.on('subscribeJob', async (jobId, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (!jobId) return reply({ success: false, error: 'jobId is required' });
+      if (!userId) return reply({ success: false, error: 'Authentication required' });
+
+      try {
+        // Required here, the job status module itself depends on this one
+        const { findJob, isJobOwner } = require('./controllers/clipsMergeController/jobStatus/getJobStatus');
+        const job = await findJob(String(jobId));
+        if (!isJobOwner(job, { id: userId })) {
+          return reply({ success: false, error: 'Job not found' });
+        }
+      } catch (error) {
+        console.error(`Failed to check job ${jobId} for socket ${socket.id}:`, error.message);
+        return reply({ success: false, error: 'Could not subscribe to the job' });
+      }
+
+      console.log(`Client ${socket.id} subscribed to job ${jobId}`);
+      socket.join(jobRoom(jobId));
+      reply({ success: true });
+    });
+
+    socket.on('unsubscribeJob', (jobId) => {
+      if (!jobId) return;
+      socket.leave(jobRoom(jobId));
+    });
   });
 
   console.log('Socket.io server initialized');
@@ -37,9 +94,30 @@ const getIO = () => {
   return io;
 };
 
+/**
+ * Emit a job event to clients following the job and to its owner
+ * Does nothing when socket.io is not initialized (e.g. in scripts)
+ * @param {string} jobId - Job the event belongs to
+ * @param {string} event - Event name, e.g. 'job:progress'
+ * @param {Object} payload - Event data; jobId is added automatically
+ * @param {string} userId - Owner of the job, if known
+ */
+const emitJobEvent = (jobId, event, payload, userId = null) => {
+  if (!io) {
+    return;
+  }
+
+  let target = io.to(jobRoom(jobId));
+  if (userId) {
+    target = target.to(userRoom(userId));
+  }
+  target.emit(event, { jobId, ...payload });
+};
+
 module.exports = {
   initializeSocket,
   getIO,
+  emitJobEvent,
   // For direct access when imported
   get io() {
     return getIO();
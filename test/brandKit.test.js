@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseWatermarkSettings, resolveBrandingOptions, copyBrandingFiles } = require('../utils/brandKit');
+
+const kit = {
+  logo: { path: '/kit/logo.png', fileName: 'logo.png', position: 'top-left', opacity: 0.5, scale: 0.2 },
+  intro: { path: '/kit/intro.mp4', duration: 3, hasAudio: true },
+  outro: null
+};
+
+test('parseWatermarkSettings keeps current settings that are not given', () => {
+  assert.deepStrictEqual(parseWatermarkSettings({}, {}), { settings: { position: 'bottom-right', opacity: 0.8, scale: 0.15 }, error: null });
+  assert.deepStrictEqual(
+    parseWatermarkSettings({ opacity: '0.3' }, { position: 'center', opacity: 1, scale: 0.1 }).settings,
+    { position: 'center', opacity: 0.3, scale: 0.1 }
+  );
+  assert.strictEqual(parseWatermarkSettings({ opacity: 0 }, { opacity: 0.5 }).settings.opacity, 0);
+});
+
+test('parseWatermarkSettings rejects bad settings', () => {
+  [{ position: 'middle' }, { opacity: '2' }, { opacity: 'half' }, { scale: 0.9 }, { scale: 0.01 }].forEach(body => {
+    const { settings, error } = parseWatermarkSettings(body);
+    assert.strictEqual(settings, null, JSON.stringify(body));
+    assert.strictEqual(typeof error, 'string');
+  });
+});
+
+test('resolveBrandingOptions uses every part of the kit with true', () => {
+  const { branding, error } = resolveBrandingOptions(true, kit);
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(branding, {
+    watermark: { path: '/kit/logo.png', position: 'top-left', opacity: 0.5, scale: 0.2 },
+    intro: { path: '/kit/intro.mp4', duration: 3, hasAudio: true },
+    outro: null
+  });
+});
+
+test('resolveBrandingOptions picks flagged parts and reports missing ones', () => {
+  assert.deepStrictEqual(resolveBrandingOptions({ intro: true }, kit).branding.watermark, null);
+  assert.match(resolveBrandingOptions({ outro: true }, kit).error, /no outro/);
+  assert.match(resolveBrandingOptions(true, null).error, /No brand kit/);
+  assert.match(resolveBrandingOptions('yes', kit).error, /branding must be/);
+  assert.deepStrictEqual(resolveBrandingOptions(false, kit), { branding: null, error: null });
+  assert.deepStrictEqual(resolveBrandingOptions({ watermark: false }, kit), { branding: null, error: null });
+});
+
+test('copyBrandingFiles gives the job files that outlive the kit', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'brand-kit-test-'));
+  try {
+    const logoPath = path.join(dir, 'logo.png');
+    fs.writeFileSync(logoPath, 'logo');
+    const branding = { watermark: { path: logoPath, position: 'center', opacity: 1, scale: 0.1 }, intro: null, outro: null };
+
+    const copy = copyBrandingFiles(branding, path.join(dir, 'job', 'branding'));
+    assert.strictEqual(copy.watermark.path, path.join(dir, 'job', 'branding', 'watermark.png'));
+    assert.strictEqual(copy.watermark.position, 'center');
+    assert.strictEqual(branding.watermark.path, logoPath);
+
+    // Replacing the logo in the kit removes its file
+    fs.rmSync(logoPath);
+    assert.strictEqual(fs.readFileSync(copy.watermark.path, 'utf8'), 'logo');
+
+    assert.throws(() => copyBrandingFiles(branding, path.join(dir, 'other')), /Brand kit logo not found/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { CAPTION_PRESETS, parseCaptionOptions, parseExportOptions, attachClipTimeline, buildMergedWords } = require('../utils/captions');
+
+test('parseCaptionOptions burns in no captions when they are not asked for', () => {
+  assert.deepStrictEqual(parseCaptionOptions(), { captions: null, error: null });
+  assert.deepStrictEqual(parseCaptionOptions(false), { captions: null, error: null });
+});
+
+test('parseCaptionOptions reads true and preset names', () => {
+  assert.deepStrictEqual(parseCaptionOptions(true).captions, { ...CAPTION_PRESETS.classic, preset: 'classic' });
+  assert.deepStrictEqual(parseCaptionOptions('karaoke').captions, { ...CAPTION_PRESETS.karaoke, preset: 'karaoke' });
+  assert.match(parseCaptionOptions('neon').error, /Unsupported caption preset neon/);
+  assert.match(parseCaptionOptions([]).error, /captions must be true, a preset name or an object/);
+});
+
+test('parseCaptionOptions applies style overrides on top of the preset', () => {
+  const { captions, error } = parseCaptionOptions({
+    preset: 'bold',
+    fontName: 'Open Sans',
+    fontSize: 64,
+    position: 'top',
+    primaryColor: '#00FF00',
+    uppercase: 0,
+    maxWordsPerLine: 6
+  });
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(captions, {
+    ...CAPTION_PRESETS.bold,
+    preset: 'bold',
+    fontName: 'Open Sans',
+    fontSize: 64,
+    position: 'top',
+    primaryColor: '#00FF00',
+    uppercase: false,
+    maxWordsPerLine: 6
+  });
+});
+
+test('parseCaptionOptions rejects invalid overrides', () => {
+  [
+    [{ fontName: 'Arial; rm' }, /fontName/],
+    [{ fontSize: 8 }, /fontSize must be a number between 12 and 200/],
+    [{ fontSize: '40' }, /fontSize/],
+    [{ position: 'left' }, /Unsupported caption position left/],
+    [{ outlineColor: 'black' }, /outlineColor must be a hex color/],
+    [{ highlightColor: '#FFF' }, /highlightColor must be a hex color/],
+    [{ maxWordsPerLine: 2.5 }, /maxWordsPerLine must be an integer between 1 and 15/],
+    [{ maxWordsPerLine: 16 }, /maxWordsPerLine/]
+  ].forEach(([options, message]) => {
+    const result = parseCaptionOptions(options);
+    assert.strictEqual(result.captions, null);
+    assert.match(result.error, message);
+  });
+});
+
+test('parseExportOptions defaults to SRT with the common wrapping rules', () => {
+  assert.deepStrictEqual(parseExportOptions(), {
+    format: 'srt',
+    options: { maxLineLength: 42, maxLines: 2, maxDuration: 7, style: { ...CAPTION_PRESETS.classic, preset: 'classic' } },
+    error: null
+  });
+});
+
+test('parseExportOptions reads numeric query strings and the ASS preset', () => {
+  const { format, options, error } = parseExportOptions({ format: 'VTT', maxLineLength: '32.7', maxLines: '1', maxDuration: '4.5', preset: 'boxed' });
+  assert.strictEqual(error, null);
+  assert.strictEqual(format, 'vtt');
+  assert.strictEqual(options.maxLineLength, 32);
+  assert.strictEqual(options.maxLines, 1);
+  assert.strictEqual(options.maxDuration, 4.5);
+  assert.strictEqual(options.style.preset, 'boxed');
+});
+
+test('parseExportOptions rejects unknown formats, out of range rules and presets', () => {
+  assert.match(parseExportOptions({ format: 'sub' }).error, /Unsupported caption format sub/);
+  assert.match(parseExportOptions({ maxLineLength: '5' }).error, /maxLineLength must be a number between 10 and 120/);
+  assert.match(parseExportOptions({ maxLines: 'two' }).error, /maxLines must be a number between 1 and 4/);
+  assert.match(parseExportOptions({ maxDuration: '31' }).error, /maxDuration must be a number between 1 and 30/);
+  assert.match(parseExportOptions({ preset: 'neon' }).error, /Unsupported caption preset neon/);
+});
+
+const transcript = [
+  { text: 'one', start: 10, end: 11 },
+  { text: 'um', start: 11, end: 12 },
+  { text: 'two', start: 12, end: 13 },
+  { text: 'three', start: 20, end: 21 }
+];
+const getWords = async () => transcript;
+
+test('buildMergedWords lays clips end to end after the start offset', async () => {
+  const words = await buildMergedWords([
+    { videoId: 'a', startTime: 10, endTime: 13 },
+    { videoId: 'a', startTime: 20, endTime: 22 }
+  ], { startOffset: 2, getWords });
+  assert.deepStrictEqual(words, [
+    { text: 'one', start: 2, end: 3 },
+    { text: 'um', start: 3, end: 4 },
+    { text: 'two', start: 4, end: 5 },
+    { text: 'three', start: 5, end: 6 }
+  ]);
+});
+
+test('buildMergedWords places clips at their merged start and takes out the removed ranges', async () => {
+  const words = await buildMergedWords([
+    { videoId: 'a', startTime: 10, endTime: 13, mergedStart: 2, removed: [{ start: 11, end: 12 }] },
+    { videoId: 'a', startTime: 20, endTime: 22, mergedStart: 3.5 }
+  ], { startOffset: 2, getWords });
+  assert.deepStrictEqual(words, [
+    { text: 'one', start: 2, end: 3 },
+    { text: 'two', start: 3, end: 4 },
+    { text: 'three', start: 3.5, end: 4.5 }
+  ]);
+});
+
+test('attachClipTimeline copies merged starts and cuts onto matching clips only', () => {
+  const clips = [{ videoId: 'a', startTime: 10, endTime: 13 }, { videoId: 'b', startTime: 0, endTime: 5 }];
+  const removed = [{ start: 11, end: 12, reasons: ['filler'] }];
+  assert.deepStrictEqual(attachClipTimeline(clips, [{ videoId: 'a', startTime: 10, endTime: 13, mergedStart: 2, removed }]), [
+    { videoId: 'a', startTime: 10, endTime: 13, mergedStart: 2, removed },
+    clips[1]
+  ]);
+  assert.strictEqual(attachClipTimeline(clips, undefined), clips);
+});
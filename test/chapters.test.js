@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { getChapterTitle, getTranscriptText, getSegmentStarts, layoutChapters, writeFfmetadata } = require('../utils/chapters');
+
+test('getChapterTitle prefers the clip title, then its transcript text', () => {
+  assert.strictEqual(getChapterTitle({ title: '  Intro  ' }, 0), 'Intro');
+  assert.strictEqual(getChapterTitle({ transcriptText: 'Hello\n  world' }, 0), 'Hello world');
+  assert.strictEqual(getChapterTitle({ title: ' ' }, 2), 'Clip 3');
+  const title = getChapterTitle({ transcriptText: 'word '.repeat(30) }, 0);
+  assert.strictEqual(title.length, 60);
+  assert.ok(title.endsWith('…'));
+});
+
+test('getTranscriptText joins the words spoken in the range', () => {
+  const words = [{ text: 'a', start: 0, end: 1 }, { text: 'b', start: 1, end: 2 }, { text: 'c', start: 2, end: 3 }];
+  assert.strictEqual(getTranscriptText(words, 0.5, 2), 'a b');
+  assert.strictEqual(getTranscriptText(null, 0, 1), '');
+});
+
+test('getSegmentStarts places every segment and the end of the video', () => {
+  const segments = [{ duration: 3 }, { duration: 10 }, { duration: 5 }];
+  assert.deepStrictEqual(getSegmentStarts(segments), [0, 3, 13, 18]);
+  assert.deepStrictEqual(getSegmentStarts(segments, [null, { duration: 0.5 }]), [0, 3, 12.5, 17.5]);
+  assert.deepStrictEqual(getSegmentStarts([]), [0]);
+});
+
+test('layoutChapters lays segments end to end', () => {
+  assert.deepStrictEqual(layoutChapters([{ title: 'A', duration: 10 }, { title: 'B', duration: 5.5 }]), [
+    { title: 'A', start: 0, end: 10 },
+    { title: 'B', start: 10, end: 15.5 }
+  ]);
+});
+
+test('layoutChapters adds untitled segments to the chapter before them', () => {
+  assert.deepStrictEqual(layoutChapters([
+    { title: 'A', duration: 3 },
+    { title: null, duration: 10 },
+    { title: 'B', duration: 5 }
+  ]), [
+    { title: 'A', start: 0, end: 13 },
+    { title: 'B', start: 13, end: 18 }
+  ]);
+  assert.deepStrictEqual(layoutChapters([{ title: null, duration: 4 }]), [{ title: 'Start', start: 0, end: 4 }]);
+});
+
+test('layoutChapters starts a segment earlier by the transition before it', () => {
+  assert.deepStrictEqual(layoutChapters(
+    [{ title: 'A', duration: 10 }, { title: 'B', duration: 10 }, { title: 'C', duration: 10 }],
+    [{ duration: 1 }, null]
+  ), [
+    { title: 'A', start: 0, end: 9 },
+    { title: 'B', start: 9, end: 19 },
+    { title: 'C', start: 19, end: 29 }
+  ]);
+});
+
+test('layoutChapters drops empty chapters', () => {
+  assert.deepStrictEqual(layoutChapters([{ title: 'A', duration: 0 }, { title: 'B', duration: 2 }]), [
+    { title: 'B', start: 0, end: 2 }
+  ]);
+  assert.deepStrictEqual(layoutChapters([]), []);
+});
+
+test('writeFfmetadata escapes tags and chapter titles', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'chapters-test-'));
+  try {
+    const filePath = writeFfmetadata(path.join(dir, 'chapters.txt'), {
+      tags: { title: 'a=b;c', comment: '' },
+      chapters: [{ title: 'One #1', start: 0, end: 1.5 }]
+    });
+    assert.strictEqual(fs.readFileSync(filePath, 'utf8'), [
+      ';FFMETADATA1',
+      'title=a\\=b\\;c',
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      'START=0',
+      'END=1500',
+      'title=One \\#1',
+      ''
+    ].join('\n'));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
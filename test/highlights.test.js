@@ -0,0 +1,131 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { extractKeywords, parseEnergyLevels, scoreWindows, pickHighlights, findHighlights } = require('../utils/highlights');
+
+// One level per second: quiet except for the loud seconds
+const energyWith = (duration, loud) => Array.from({ length: duration }, (_, time) => ({
+  time,
+  level: time >= loud.start && time < loud.end ? -10 : -40
+}));
+
+test('extractKeywords keeps the distinct long words of a prompt that are not stopwords', () => {
+  assert.deepStrictEqual(extractKeywords('Find the funniest moments about Pricing, and pricing tiers'), ['funniest', 'pricing', 'tiers']);
+  assert.deepStrictEqual(extractKeywords(''), []);
+  assert.deepStrictEqual(extractKeywords(undefined), []);
+});
+
+test('parseEnergyLevels pairs every RMS level with the frame before it', () => {
+  assert.deepStrictEqual(parseEnergyLevels([
+    'lavfi.astats.Overall.RMS_level=-30',
+    'frame:0    pts:0       pts_time:0',
+    'lavfi.astats.Overall.RMS_level=-23.5',
+    'frame:1    pts:8000    pts_time:1',
+    'lavfi.astats.Overall.RMS_level=-inf',
+    'frame:2    pts:16000   pts_time:2',
+    'lavfi.astats.Overall.RMS_level=-75.2'
+  ]), [
+    { time: 0, level: -23.5 },
+    { time: 1, level: -60 },
+    { time: 2, level: -60 }
+  ]);
+});
+
+test('scoreWindows slides windows over the video and ends the last one with it', () => {
+  const windows = scoreWindows({ duration: 62 }, { clipLength: 30 });
+  assert.deepStrictEqual(windows.map(window => [window.start, window.end]), [
+    [0, 30], [5, 35], [10, 40], [15, 45], [20, 50], [25, 55], [30, 60], [32, 62]
+  ]);
+  // Without any signal every window scores 0
+  assert.ok(windows.every(window => window.score === 0 && window.loudness === null && window.speech === null));
+});
+
+test('scoreWindows keeps windows inside the range and shortens them to fit', () => {
+  const windows = scoreWindows({ duration: 60 }, { clipLength: 30, range: { start: 10, end: 25 } });
+  assert.deepStrictEqual(windows.map(window => [window.start, window.end]), [[10, 25]]);
+  assert.deepStrictEqual(scoreWindows({ duration: 60 }, { clipLength: 30, range: { start: 70, end: 80 } }), []);
+});
+
+test('scoreWindows scores the loudest window highest', () => {
+  const windows = scoreWindows({ duration: 60, energy: energyWith(60, { start: 40, end: 50 }) }, { clipLength: 10 });
+  const best = pickHighlights(windows, 1)[0];
+  assert.deepStrictEqual([best.start, best.end], [40, 50]);
+  assert.strictEqual(best.score, 1);
+  assert.strictEqual(best.loudness, 1);
+  assert.strictEqual(best.speech, null);
+  assert.strictEqual(windows[0].score, 0);
+});
+
+test('scoreWindows weighs speech over loudness', () => {
+  const windows = scoreWindows({
+    duration: 20,
+    energy: energyWith(20, { start: 0, end: 6 }),
+    spans: [{ text: 'so here is the part everyone asked about', start: 14, end: 20 }]
+  }, { clipLength: 6 });
+  const loud = windows.find(window => window.start === 0);
+  const spoken = windows.find(window => window.start === 14);
+
+  assert.strictEqual(loud.loudness, 1);
+  assert.strictEqual(loud.speech, 0);
+  assert.strictEqual(spoken.loudness, 0);
+  assert.strictEqual(spoken.speech, 1);
+  assert.ok(Math.abs(loud.score - 0.35 / 0.75) < 1e-9);
+  assert.ok(Math.abs(spoken.score - 0.4 / 0.75) < 1e-9);
+  assert.strictEqual(pickHighlights(windows, 1)[0], spoken);
+});
+
+test('scoreWindows only counts keywords that are found', () => {
+  const spans = [
+    { text: 'welcome back everyone', start: 0, end: 5 },
+    { text: 'now the pricing of the pro plan', start: 30, end: 35 }
+  ];
+  const missing = scoreWindows({ duration: 40, spans, keywords: ['refunds'] }, { clipLength: 10 });
+  assert.ok(missing.every(window => window.keywords === null));
+
+  const found = scoreWindows({ duration: 40, spans, keywords: ['pricing', 'plan'] }, { clipLength: 10 });
+  const best = pickHighlights(found, 1)[0];
+  assert.strictEqual(best.keywords, 1);
+  assert.ok(best.start <= 30 && best.end >= 35);
+});
+
+test('pickHighlights takes the best windows that do not overlap', () => {
+  const windows = [
+    { start: 0, end: 10, score: 0.9 },
+    { start: 5, end: 15, score: 0.8 },
+    { start: 10, end: 20, score: 0.7 },
+    { start: 20, end: 30, score: 0.1 }
+  ];
+  assert.deepStrictEqual(pickHighlights(windows, 3), [windows[0], windows[2], windows[3]]);
+  assert.deepStrictEqual(pickHighlights(windows, 1), [windows[0]]);
+  assert.deepStrictEqual(pickHighlights([], 3), []);
+});
+
+test('findHighlights moves clips onto whole spans and returns their text', () => {
+  const spans = [
+    { text: 'and that is why', start: 39.5, end: 41.2 },
+    { text: 'we rebuilt the whole engine', start: 41.2, end: 45 },
+    { text: 'from scratch last year', start: 45, end: 48.4 }
+  ];
+  const [clip] = findHighlights({
+    videoId: 'video-1',
+    duration: 60,
+    energy: energyWith(60, { start: 40, end: 50 }),
+    spans
+  }, { clipLength: 10, count: 1 });
+
+  assert.deepStrictEqual(clip, {
+    videoId: 'video-1',
+    transcriptText: 'we rebuilt the whole engine from scratch last year',
+    startTime: 41.2,
+    endTime: 48.4
+  });
+});
+
+test('findHighlights keeps exact windows when asked and clamps the clip length and count', () => {
+  const energy = energyWith(300, { start: 100, end: 110 });
+  const clips = findHighlights({ videoId: 'video-1', duration: 300, energy }, { clipLength: 1, count: 50, fitToSpeech: false });
+
+  assert.strictEqual(clips.length, 10);
+  assert.ok(clips.every(clip => Math.abs(clip.endTime - clip.startTime - 5) < 0.01));
+  assert.ok(clips[0].startTime >= 100 && clips[0].endTime <= 110);
+  assert.strictEqual(clips[0].transcriptText, '');
+});
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseHlsOptions, getHlsLadder } = require('../utils/hls');
+
+test('parseHlsOptions only packages HLS when asked to', () => {
+  assert.deepStrictEqual(parseHlsOptions(), { hls: null, error: null });
+  assert.deepStrictEqual(parseHlsOptions(false), { hls: null, error: null });
+});
+
+test('parseHlsOptions defaults to every rendition plus audio only', () => {
+  assert.deepStrictEqual(parseHlsOptions(true), {
+    hls: { renditions: ['1080p', '720p', '480p'], audioOnly: true, segmentDuration: 6 },
+    error: null
+  });
+});
+
+test('parseHlsOptions orders renditions from highest to lowest', () => {
+  assert.deepStrictEqual(parseHlsOptions({ renditions: ['480p', '1080p'], audioOnly: false, segmentDuration: 4 }).hls, {
+    renditions: ['1080p', '480p'],
+    audioOnly: false,
+    segmentDuration: 4
+  });
+});
+
+test('parseHlsOptions rejects unknown renditions and segment durations', () => {
+  [
+    ['yes', /hls must be true or an object/],
+    [{ renditions: [] }, /hls.renditions must be a list of 1080p, 720p, 480p/],
+    [{ renditions: ['4k'] }, /hls.renditions/],
+    [{ segmentDuration: 1 }, /hls.segmentDuration must be a number between 2 and 10/],
+    [{ segmentDuration: '6' }, /hls.segmentDuration/]
+  ].forEach(([hls, message]) => {
+    const result = parseHlsOptions(hls);
+    assert.strictEqual(result.hls, null);
+    assert.match(result.error, message);
+  });
+});
+
+test('getHlsLadder leaves out renditions larger than the source', () => {
+  const { hls } = parseHlsOptions(true);
+  assert.deepStrictEqual(getHlsLadder(hls, { width: 1280, height: 720 }).map(({ name, width, height }) => [name, width, height]),
+    [['720p', 1280, 720], ['480p', 854, 480]]);
+  assert.deepStrictEqual(getHlsLadder(hls, { width: 1080, height: 1920 }).map(({ name, width, height }) => [name, width, height]),
+    [['1080p', 1080, 1920], ['720p', 720, 1280], ['480p', 480, 854]]);
+});
+
+test('getHlsLadder keeps the smallest rendition at the size of a small source', () => {
+  const { hls } = parseHlsOptions({ renditions: ['720p', '480p'] });
+  assert.deepStrictEqual(getHlsLadder(hls, { width: 640, height: 360 }), [
+    { name: '480p', width: 640, height: 360, videoBitrate: 1400, audioBitrate: 96 }
+  ]);
+});
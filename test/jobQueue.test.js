@@ -0,0 +1,234 @@
+// One job at a time and a short time limit; the scheduler and the job queue read them when they load
+process.env.MAX_CONCURRENT_JOBS = '1';
+process.env.JOB_TIMEOUT = '200';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Job = require('../model/jobSchema');
+const Webhook = require('../model/webhookSchema');
+const { findJob, cancelJob } = require('../controllers/clipsMergeController/jobStatus/getJobStatus');
+const { WORKER_ID, JobAbortedError, trackProcess } = require('../controllers/clipsMergeController/jobStatus/scheduler');
+const {
+  registerJobHandler,
+  createJob,
+  runJob,
+  startJobWorker,
+  stopJobWorker,
+  ACTIVE_STATUSES
+} = require('../controllers/clipsMergeController/jobStatus/jobQueue');
+
+// Job documents of the given type, and the webhook events looked up for their owner.
+// The connection is marked as open; every model call the job queue makes is stubbed
+const stubDatabase = (t, type) => {
+  const events = [];
+  t.mock.method(console, 'log', () => {});
+  mongoose.connection._readyState = 1;
+  t.after(() => {
+    mongoose.connection._readyState = 0;
+  });
+  t.mock.method(Job, 'findOneAndUpdate', (filter, { $set }) => ({
+    lean: async () => ({ jobId: filter.jobId, type, userId: 'user-1', ...$set })
+  }));
+  t.mock.method(Webhook, 'find', (filter) => {
+    events.push(filter.events);
+    return { lean: async () => [] };
+  });
+  return events;
+};
+
+// A task that runs until it is released
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+const createResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+test('createJob stores the job as owned by this worker', async (t) => {
+  stubDatabase(t, 'videoMerge');
+  t.mock.method(Job, 'create', async (fields) => ({ toObject: () => fields }));
+
+  const job = await createJob({ jobId: 'stored-1', type: 'videoMerge', userId: 42, payload: { clips: [] } });
+
+  assert.strictEqual(job.userId, '42');
+  assert.strictEqual(job.status, 'pending');
+  assert.strictEqual(job.attempts, 1);
+  assert.strictEqual(job.maxAttempts, 3);
+  assert.strictEqual(job.workerId, WORKER_ID);
+  assert.deepStrictEqual(job.payload, { clips: [] });
+  assert.ok(job.heartbeatAt instanceof Date);
+});
+
+test('createJob keeps the job in memory while the database is down', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+
+  assert.strictEqual(await createJob({ jobId: 'memory-1', type: 'videoMerge', userId: 'user-1', payload: {} }), null);
+
+  const job = await findJob('memory-1');
+  assert.strictEqual(job.status, 'pending');
+  assert.strictEqual(job.userId, 'user-1');
+});
+
+test('the job worker resumes orphaned jobs with the handler of their type', async (t) => {
+  stubDatabase(t, 'resumeTest');
+  const orphan = { jobId: 'orphan-1', type: 'resumeTest', userId: 'user-1', attempts: 2, maxAttempts: 3, payload: { clips: ['a'] } };
+  const claims = [];
+  const completed = deferred();
+  t.mock.method(Job, 'updateMany', async () => ({ modifiedCount: 0 }));
+  t.mock.method(Job, 'findOneAndUpdate', (filter, update) => ({
+    lean: async () => {
+      // Claims look for stale heartbeats, status updates for one job
+      if (filter.heartbeatAt) {
+        claims.push({ filter, update });
+        return claims.length === 1 ? orphan : null;
+      }
+      if (update.$set.status === 'completed') {
+        completed.resolve(update.$set.result);
+      }
+      return { ...orphan, ...update.$set };
+    }
+  }));
+  const handled = [];
+  registerJobHandler('resumeTest', async (job) => {
+    handled.push(job);
+    return { s3Url: 'https://bucket/resumed.mp4' };
+  });
+
+  startJobWorker();
+  const result = await completed.promise;
+  stopJobWorker();
+
+  assert.deepStrictEqual(handled, [orphan]);
+  assert.deepStrictEqual(result, { s3Url: 'https://bucket/resumed.mp4' });
+  assert.deepStrictEqual(claims[0].filter.status, { $in: ACTIVE_STATUSES });
+  assert.deepStrictEqual(claims[0].update.$inc, { attempts: 1 });
+  assert.strictEqual(claims[0].update.$set.workerId, WORKER_ID);
+});
+
+test('runJob queues jobs beyond the pool and starts them in order', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const gate = deferred();
+  const started = [];
+  const positions = [];
+
+  const first = runJob('queued-1', async () => {
+    started.push('queued-1');
+    await gate.promise;
+    return 'first';
+  });
+  const second = runJob('queued-2', async () => {
+    started.push('queued-2');
+    return 'second';
+  }, { onQueued: (position) => positions.push(position) });
+
+  await new Promise(setImmediate);
+  assert.deepStrictEqual(started, ['queued-1']);
+  assert.deepStrictEqual(positions, [1]);
+
+  gate.resolve();
+  assert.deepStrictEqual(await Promise.all([first, second]), ['first', 'second']);
+  assert.deepStrictEqual(started, ['queued-1', 'queued-2']);
+  assert.strictEqual((await findJob('queued-2')).status, 'completed');
+});
+
+test('runJob kills jobs that run past the time limit and marks them failed', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  const signals = [];
+
+  await assert.rejects(runJob('slow-1', () => {
+    trackProcess('slow-1', { kill: (signal) => signals.push(signal) });
+    return new Promise(() => {});
+  }), (error) => error instanceof JobAbortedError && /exceeded the time limit/.test(error.message));
+
+  assert.deepStrictEqual(signals, ['SIGKILL']);
+  const job = await findJob('slow-1');
+  assert.strictEqual(job.status, 'failed');
+  assert.match(job.error, /exceeded the time limit/);
+});
+
+test('cancelJob stops the running job of its owner and the job ends as cancelled', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  await createJob({ jobId: 'cancel-1', type: 'videoMerge', userId: 'user-1', payload: {} });
+  const running = deferred();
+
+  const job = runJob('cancel-1', () => new Promise((resolve, reject) => {
+    trackProcess('cancel-1', { kill: (signal) => reject(new Error(`ffmpeg was killed with signal ${signal}`)) });
+    running.resolve();
+  }));
+  await running.promise;
+
+  // Another user's cancel falls through to the job collection, which is down
+  const other = createResponse();
+  await cancelJob({ params: { jobId: 'cancel-1' }, user: { id: 'user-2' } }, other);
+  assert.strictEqual(other.statusCode, 503);
+
+  const res = createResponse();
+  await cancelJob({ params: { jobId: 'cancel-1' }, user: { id: 'user-1' } }, res);
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.killedProcesses, 1);
+
+  await assert.rejects(job, (error) => error.cancelled === true);
+  assert.strictEqual((await findJob('cancel-1')).status, 'cancelled');
+});
+
+test('cancelJob only finds unfinished jobs of the user in the job collection', async (t) => {
+  stubDatabase(t, 'videoMerge');
+  const filters = [];
+  t.mock.method(Job, 'findOneAndUpdate', (filter) => {
+    filters.push(filter);
+    return { lean: async () => null };
+  });
+  t.mock.method(Job, 'findOne', (filter) => ({
+    select: () => ({ lean: async () => (filter.userId === 'user-1' ? { status: 'completed' } : null) })
+  }));
+
+  const missing = createResponse();
+  await cancelJob({ params: { jobId: 'done-1' }, user: { id: 'user-2' } }, missing);
+  assert.strictEqual(missing.statusCode, 404);
+
+  const finished = createResponse();
+  await cancelJob({ params: { jobId: 'done-1' }, user: { id: 'user-1' } }, finished);
+  assert.strictEqual(finished.statusCode, 409);
+  assert.strictEqual(filters[0].userId, 'user-2');
+  assert.deepStrictEqual(filters[0].status, { $nin: ['completed', 'failed', 'cancelled'] });
+});
+
+test('runJob sends the merge events for merge jobs', async (t) => {
+  const events = stubDatabase(t, 'videoMerge');
+
+  await runJob('merge-done', async () => ({ s3Url: 'https://bucket/merged.mp4' }));
+  await assert.rejects(runJob('merge-broken', async () => {
+    throw new Error('ffmpeg exited with code 1');
+  }), /ffmpeg exited/);
+
+  assert.deepStrictEqual(events, ['merge.completed', 'merge.failed']);
+});
+
+test('runJob sends the tighten events for tighten jobs', async (t) => {
+  const events = stubDatabase(t, 'videoTighten');
+
+  await runJob('tighten-done', async () => ({ videoId: 'video-2' }));
+  await assert.rejects(runJob('tighten-broken', async () => {
+    throw new Error('No silences found');
+  }), /No silences/);
+
+  assert.deepStrictEqual(events, ['video.tightened', 'video.tighten_failed']);
+});
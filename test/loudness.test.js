@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_TARGET_LUFS, parseLoudnessOptions, buildLoudnormFilter, attachClipLoudness } = require('../utils/loudness');
+
+test('parseLoudnessOptions leaves the audio as is unless normalization is asked for', () => {
+  assert.deepStrictEqual(parseLoudnessOptions(), { loudness: null, error: null });
+  assert.deepStrictEqual(parseLoudnessOptions({ normalizeAudio: false, targetLufs: -14 }), { loudness: null, error: null });
+  assert.deepStrictEqual(parseLoudnessOptions({ targetLufs: null }), { loudness: null, error: null });
+});
+
+test('parseLoudnessOptions normalizes to the default or the given target', () => {
+  assert.deepStrictEqual(parseLoudnessOptions({ normalizeAudio: true }), {
+    loudness: { targetLufs: DEFAULT_TARGET_LUFS, truePeak: -1.5, loudnessRange: 11 },
+    error: null
+  });
+  assert.strictEqual(parseLoudnessOptions({ targetLufs: -23 }).loudness.targetLufs, -23);
+});
+
+test('parseLoudnessOptions rejects targets outside the loudnorm range', () => {
+  ['-14', -80, -4].forEach(targetLufs => {
+    const result = parseLoudnessOptions({ normalizeAudio: true, targetLufs });
+    assert.strictEqual(result.loudness, null);
+    assert.match(result.error, /targetLufs must be a number between -70 and -5/);
+  });
+});
+
+test('buildLoudnormFilter passes the measured values to the second pass', () => {
+  const { loudness } = parseLoudnessOptions({ targetLufs: -14 });
+  const measured = { inputI: -27.3, inputTP: -6.1, inputLRA: 8.2, inputThresh: -37.9, targetOffset: 0.4 };
+  assert.strictEqual(buildLoudnormFilter(loudness, measured),
+    'loudnorm=I=-14:TP=-1.5:LRA=11:measured_I=-27.3:measured_TP=-6.1:measured_LRA=8.2:measured_thresh=-37.9' +
+    ':offset=0.4:linear=true:print_format=summary,aresample=48000');
+});
+
+test('attachClipLoudness copies measurements onto matching clips only', () => {
+  const loudness = { inputI: -20, targetLufs: -16 };
+  const clips = [
+    { videoId: 'a', startTime: 0, endTime: 5 },
+    { videoId: 'b', startTime: 1, endTime: 2 },
+    { videoId: 'a', startTime: 5, endTime: 9, loudness: { inputI: -30 } }
+  ];
+  const measurements = [
+    { videoId: 'a', startTime: '0', endTime: '5', loudness },
+    { videoId: 'b', startTime: 1, endTime: 3, loudness },
+    { videoId: 'a', startTime: 5, endTime: 9, loudness }
+  ];
+
+  assert.deepStrictEqual(attachClipLoudness(clips, measurements), [
+    { videoId: 'a', startTime: 0, endTime: 5, loudness },
+    clips[1],
+    clips[2]
+  ]);
+  assert.strictEqual(attachClipLoudness(clips, undefined), clips);
+});
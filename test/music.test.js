@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseMusicOptions, buildMusicFilters } = require('../utils/music');
+
+const AUDIO_ID = '64b7f0c2a1e4d5f6a7b8c9d0';
+
+test('parseMusicOptions adds no music when none is given', () => {
+  assert.deepStrictEqual(parseMusicOptions(), { music: null, error: null });
+  assert.deepStrictEqual(parseMusicOptions(''), { music: null, error: null });
+});
+
+test('parseMusicOptions fills in the defaults around an audio id', () => {
+  const expected = { audioId: AUDIO_ID, volume: 0.3, fadeIn: 1, fadeOut: 2, duckDepth: 0.7, loop: true };
+  assert.deepStrictEqual(parseMusicOptions(AUDIO_ID), { music: expected, error: null });
+  assert.deepStrictEqual(parseMusicOptions({ audioId: AUDIO_ID, volume: 1, loop: false }).music, { ...expected, volume: 1, loop: false });
+});
+
+test('parseMusicOptions rejects bad audio ids and out of range settings', () => {
+  [
+    [['a'], /music must be an audio asset id or an object/],
+    [{ volume: 0.5 }, /music.audioId must be the id of an uploaded audio asset/],
+    ['not-an-object-id', /music.audioId/],
+    [{ audioId: AUDIO_ID, volume: 3 }, /music.volume must be a number between 0 and 2/],
+    [{ audioId: AUDIO_ID, fadeIn: '1' }, /music.fadeIn must be a number between 0 and 10/],
+    [{ audioId: AUDIO_ID, fadeOut: 11 }, /music.fadeOut/],
+    [{ audioId: AUDIO_ID, duckDepth: NaN }, /music.duckDepth must be a number between 0 and 1/],
+    [{ audioId: AUDIO_ID, loop: 'yes' }, /music.loop must be true or false/]
+  ].forEach(([music, message]) => {
+    const result = parseMusicOptions(music);
+    assert.strictEqual(result.music, null);
+    assert.match(result.error, message);
+  });
+});
+
+test('buildMusicFilters ducks the music under the speech and shortens fades to fit', () => {
+  const { music } = parseMusicOptions({ audioId: AUDIO_ID, fadeIn: 4, fadeOut: 6, duckDepth: 0 });
+  const filters = buildMusicFilters(music, 'speech', '2:a', 5, 'mixed');
+
+  assert.strictEqual(filters[0],
+    '[2:a]atrim=0:5,asetpts=PTS-STARTPTS,aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo,volume=0.3,' +
+    'afade=t=in:st=0:d=2,afade=t=out:st=2:d=3[music]');
+  assert.match(filters[1], /^\[speech\]/);
+  assert.match(filters[2], /sidechaincompress=threshold=0.03:ratio=1:/);
+  assert.match(filters[3], /\[mixed\]$/);
+});
@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseOutputFormat } = require('../utils/podcast');
+
+test('parseOutputFormat produces the MP4 only by default', () => {
+  assert.deepStrictEqual(parseOutputFormat(), { output: { video: true, audio: null }, error: null });
+  assert.deepStrictEqual(parseOutputFormat(null), { output: { video: true, audio: null }, error: null });
+  assert.deepStrictEqual(parseOutputFormat('mp4'), { output: { video: true, audio: null }, error: null });
+});
+
+test('parseOutputFormat replaces the MP4 with a single audio format', () => {
+  assert.deepStrictEqual(parseOutputFormat('mp3').output, { video: false, audio: 'mp3' });
+  assert.deepStrictEqual(parseOutputFormat(['opus']).output, { video: false, audio: 'opus' });
+});
+
+test('parseOutputFormat produces both from a list', () => {
+  assert.deepStrictEqual(parseOutputFormat(['mp4', 'aac']).output, { video: true, audio: 'aac' });
+});
+
+test('parseOutputFormat rejects unknown formats, empty lists and several audio formats', () => {
+  [
+    ['wav', /outputFormat must be one of mp4, mp3, aac, opus, or a list of them/],
+    [[], /outputFormat must be one of/],
+    [['mp4', 'MP3'], /outputFormat must be one of/],
+    [['mp3', 'aac'], /outputFormat can contain at most one audio format/]
+  ].forEach(([outputFormat, message]) => {
+    const result = parseOutputFormat(outputFormat);
+    assert.strictEqual(result.output, null);
+    assert.match(result.error, message);
+  });
+});
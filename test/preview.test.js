@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePreviewOptions, getPreviewSignature, buildPreviewFilters } = require('../utils/preview');
+
+test('parsePreviewOptions fills in defaults and reads query strings', () => {
+  const { preview, error } = parsePreviewOptions({ startTime: '10', endTime: '15.5' });
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(preview, { startTime: 10, endTime: 15.5, format: 'gif', width: 480, fps: 12, maxSize: 5120 });
+});
+
+test('parsePreviewOptions rounds width to an even number and fps to a whole number', () => {
+  const { preview } = parsePreviewOptions({ startTime: 0, endTime: 5, format: 'webp', width: '321', fps: '14.6', maxSize: '250.4' });
+  assert.deepStrictEqual(preview, { startTime: 0, endTime: 5, format: 'webp', width: 322, fps: 15, maxSize: 250 });
+});
+
+test('parsePreviewOptions rejects bad ranges and options', () => {
+  [
+    {},
+    { startTime: 5, endTime: 5 },
+    { startTime: -1, endTime: 5 },
+    { startTime: 'a', endTime: 5 },
+    { startTime: 0, endTime: 31 },
+    { startTime: 0, endTime: 5, format: 'mp4' },
+    { startTime: 0, endTime: 5, width: 100 },
+    { startTime: 0, endTime: 5, width: 'wide' },
+    { startTime: 0, endTime: 5, fps: 60 },
+    { startTime: 0, endTime: 5, maxSize: 50 }
+  ].forEach(query => {
+    const { preview, error } = parsePreviewOptions(query);
+    assert.strictEqual(preview, null, JSON.stringify(query));
+    assert.strictEqual(typeof error, 'string');
+  });
+});
+
+test('getPreviewSignature changes with the video and every option', () => {
+  const { preview } = parsePreviewOptions({ startTime: 0, endTime: 5 });
+  const signature = getPreviewSignature('dQw4w9WgXcQ', preview);
+  assert.strictEqual(signature, getPreviewSignature('dQw4w9WgXcQ', { ...preview }));
+  assert.notStrictEqual(signature, getPreviewSignature('aaaaaaaaaaa', preview));
+  assert.notStrictEqual(signature, getPreviewSignature('dQw4w9WgXcQ', { ...preview, fps: 10 }));
+  assert.notStrictEqual(signature, getPreviewSignature('dQw4w9WgXcQ', { ...preview, format: 'webp' }));
+});
+
+test('buildPreviewFilters only generates a palette for GIFs', () => {
+  assert.deepStrictEqual(buildPreviewFilters('webp', 480, 12), ['[0:v]fps=12,scale=480:-2:flags=lanczos[preview]']);
+  const gif = buildPreviewFilters('gif', 480, 12);
+  assert.strictEqual(gif.length, 3);
+  assert.match(gif[1], /palettegen/);
+  assert.match(gif[2], /\[preview\]$/);
+});
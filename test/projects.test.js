@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Job = require('../model/jobSchema');
+const Project = require('../model/projectSchema');
+const PublishedVideo = require('../model/publishedVideosSchema');
+const { createProject } = require('../controllers/projectController');
+
+const createResponse = () => ({
+  statusCode: null,
+  body: null,
+  status(code) {
+    this.statusCode = code;
+    return this;
+  },
+  json(body) {
+    this.body = body;
+    return this;
+  }
+});
+
+// Job results are only found for their owner, like the job collection filtered on userId
+const stubModels = (t, owner, result) => {
+  const jobFilters = [];
+  const projects = [];
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(Job, 'findOne', (filter) => {
+    jobFilters.push(filter);
+    return { select: () => ({ lean: async () => (filter.userId === owner ? { jobId: filter.jobId, result } : null) }) };
+  });
+  t.mock.method(PublishedVideo, 'create', async (fields) => ({ _id: new mongoose.Types.ObjectId(), ...fields }));
+  t.mock.method(PublishedVideo, 'findByIdAndUpdate', async () => null);
+  t.mock.method(Project, 'create', async (fields) => {
+    projects.push(fields);
+    return { _id: new mongoose.Types.ObjectId(), ...fields };
+  });
+  return { jobFilters, projects };
+};
+
+const sourceClips = [{ videoId: 'video-1', startTime: 0, endTime: 5 }];
+const clipLoudness = [{ videoId: 'video-1', startTime: 0, endTime: 5, loudness: { inputI: -20, targetLufs: -16 } }];
+
+const request = (userId, body) => ({
+  user: { id: userId },
+  headers: {},
+  body: { title: 'Merged', s3Url: 'https://bucket.s3.amazonaws.com/merged.mp4', jobId: 'job-1', sourceClips, ...body }
+});
+
+test('createProject takes over the result of a merge job of the same user', async (t) => {
+  const { jobFilters, projects } = stubModels(t, 'user-1', { clipLoudness });
+  const res = createResponse();
+
+  await createProject(request('user-1'), res);
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.deepStrictEqual(jobFilters, [{ jobId: 'job-1', userId: 'user-1' }]);
+  assert.deepStrictEqual(projects[0].sourceClips, [{ ...sourceClips[0], loudness: clipLoudness[0].loudness }]);
+});
+
+test('createProject records the background music of the merge', async (t) => {
+  const backgroundMusic = { audioId: '64b7f0c2a1e4d5f6a7b8c9d0', title: 'Theme', volume: 0.3, fadeIn: 1, fadeOut: 2, duckDepth: 0.7, loop: true };
+  const { projects } = stubModels(t, 'user-1', { backgroundMusic });
+
+  await createProject(request('user-1'), createResponse());
+
+  assert.deepStrictEqual(projects[0].backgroundMusic, backgroundMusic);
+});
+
+test('createProject records the frame and branding of the merge', async (t) => {
+  const branding = { watermark: { position: 'bottom-right', opacity: 0.8, scale: 0.15 }, introDuration: 2.5, outroDuration: 0 };
+  const { projects } = stubModels(t, 'user-1', { aspectRatio: '9:16', branding });
+
+  await createProject(request('user-1'), createResponse());
+
+  assert.strictEqual(projects[0].aspectRatio, '9:16');
+  assert.deepStrictEqual(projects[0].branding, branding);
+});
+
+test('createProject records where the merge placed each clip and what it cut', async (t) => {
+  const removed = [{ start: 1, end: 1.5, reasons: ['silence'] }];
+  const clipTimeline = [{ videoId: 'video-1', startTime: 0, endTime: 5, mergedStart: 2.5, removed }];
+  const { projects } = stubModels(t, 'user-1', { clipLoudness, clipTimeline });
+
+  await createProject(request('user-1'), createResponse());
+
+  assert.deepStrictEqual(projects[0].sourceClips, [{ ...sourceClips[0], loudness: clipLoudness[0].loudness, mergedStart: 2.5, removed }]);
+});
+
+test('projects keep the aspect ratio of their merge', () => {
+  const project = new Project({ userId: 'user-1', title: 'Merged', s3Url: 'https://bucket.s3.amazonaws.com/merged.mp4', aspectRatio: '4:5' });
+  assert.strictEqual(project.aspectRatio, '4:5');
+  assert.strictEqual(new Project({ userId: 'user-1', title: 'Merged', s3Url: 'https://bucket.s3.amazonaws.com/merged.mp4' }).aspectRatio, 'original');
+});
+
+test('createProject ignores merge jobs of other users', async (t) => {
+  const { jobFilters, projects } = stubModels(t, 'user-1', { clipLoudness });
+  const res = createResponse();
+
+  await createProject(request('user-2'), res);
+
+  assert.strictEqual(res.statusCode, 201);
+  assert.deepStrictEqual(jobFilters, [{ jobId: 'job-1', userId: 'user-2' }]);
+  assert.strictEqual(projects[0].userId, 'user-2');
+  assert.deepStrictEqual(projects[0].sourceClips, sourceClips);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseReframeOptions, getClipReframe, buildReframeFilter } = require('../utils/reframe');
+
+test('parseReframeOptions keeps the source frame without an aspect ratio', () => {
+  assert.deepStrictEqual(parseReframeOptions(), { reframe: null, error: null });
+  assert.deepStrictEqual(parseReframeOptions({ aspectRatio: 'original', fit: 'crop' }), { reframe: null, error: null });
+});
+
+test('parseReframeOptions defaults to the blur fit', () => {
+  assert.deepStrictEqual(parseReframeOptions({ aspectRatio: '9:16' }), { reframe: { aspectRatio: '9:16', fit: 'blur' }, error: null });
+  assert.deepStrictEqual(parseReframeOptions({ aspectRatio: '1:1', fit: 'crop' }).reframe, { aspectRatio: '1:1', fit: 'crop' });
+});
+
+test('parseReframeOptions rejects unknown aspect ratios and fits', () => {
+  assert.match(parseReframeOptions({ aspectRatio: '21:9' }).error, /Unsupported aspectRatio 21:9/);
+  assert.match(parseReframeOptions({ aspectRatio: '9:16', fit: 'stretch' }).error, /Unsupported fit stretch/);
+});
+
+test('parseReframeOptions needs a valid cropBox on every clip with the manual fit', () => {
+  const options = { aspectRatio: '9:16', fit: 'manual' };
+  const fractions = { x: 0.25, y: 0, width: 0.5, height: 1 };
+  const pixels = { x: 100, y: 0, width: 608, height: 1080 };
+  assert.strictEqual(parseReframeOptions(options, [{ cropBox: fractions }, { cropBox: pixels }]).error, null);
+
+  [
+    [{}],
+    [{ cropBox: { x: 0, y: 0, width: '1', height: 1 } }],
+    [{ cropBox: { x: -1, y: 0, width: 10, height: 10 } }],
+    [{ cropBox: { x: 0.6, y: 0, width: 0.5, height: 1 } }]
+  ].forEach(clips => {
+    const { reframe, error } = parseReframeOptions(options, [{ cropBox: fractions }, ...clips]);
+    assert.strictEqual(reframe, null, JSON.stringify(clips));
+    assert.match(error, /^Clip 2: cropBox/);
+  });
+});
+
+test('getClipReframe adds the cropBox of the clip in manual mode only', () => {
+  const cropBox = { x: 0, y: 0, width: 0.5, height: 1 };
+  assert.strictEqual(getClipReframe(null, { cropBox }), null);
+  assert.deepStrictEqual(getClipReframe({ aspectRatio: '9:16', fit: 'blur' }, { cropBox }), { aspectRatio: '9:16', fit: 'blur' });
+  assert.deepStrictEqual(getClipReframe({ aspectRatio: '9:16', fit: 'manual' }, { cropBox }), { aspectRatio: '9:16', fit: 'manual', cropBox });
+});
+
+test('buildReframeFilter scales, crops or blurs into the output frame', () => {
+  assert.strictEqual(
+    buildReframeFilter({ aspectRatio: '1:1', fit: 'crop' }, '0:v', 'out'),
+    '[0:v]scale=1080:1080:force_original_aspect_ratio=increase,crop=1080:1080,setsar=1[out]'
+  );
+  assert.strictEqual(
+    buildReframeFilter({ aspectRatio: '9:16', fit: 'manual', cropBox: { x: 0.25, y: 0, width: 0.5, height: 1 } }, '0:v', 'out'),
+    '[0:v]crop=trunc(iw*0.5/2)*2:trunc(ih*1/2)*2:iw*0.25:ih*0,scale=1080:1920:force_original_aspect_ratio=decrease,' +
+    'pad=1080:1920:(ow-iw)/2:(oh-ih)/2,setsar=1[out]'
+  );
+  const blur = buildReframeFilter({ aspectRatio: '9:16', fit: 'blur' }, '0:v', 'out').split(';');
+  assert.strictEqual(blur.length, 4);
+  assert.match(blur[1], /boxblur/);
+  assert.match(blur[3], /\[out\]$/);
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSceneChanges, parseSnapOptions, snapToNearestCut, snapClipToScenes } = require('../utils/scenes');
+
+const frameLine = (time) => `[Parsed_metadata_2 @ 0x55d1] frame:0    pts:${Math.round(time * 12800)}   pts_time:${time}`;
+const scoreLine = (score) => `[Parsed_metadata_2 @ 0x55d1] lavfi.scene_score=${score}`;
+
+test('parseSceneChanges pairs each scene score with the time of its frame', () => {
+  assert.deepStrictEqual(parseSceneChanges([
+    scoreLine(0.9),
+    frameLine(4.00412),
+    scoreLine(0.512345),
+    'frame=  300 fps=0.0 q=-0.0 size=N/A time=00:00:10.00',
+    frameLine(10),
+    scoreLine(0.4)
+  ]), [{ time: 4.004, score: 0.512 }, { time: 10, score: 0.4 }]);
+});
+
+test('parseSceneChanges keeps the strongest cut of a burst', () => {
+  assert.deepStrictEqual(parseSceneChanges([
+    frameLine(4), scoreLine(0.5),
+    frameLine(4.3), scoreLine(0.8),
+    frameLine(4.6), scoreLine(0.35),
+    frameLine(5.2), scoreLine(0.6)
+  ]), [{ time: 4.3, score: 0.8 }, { time: 5.2, score: 0.6 }]);
+  assert.deepStrictEqual(parseSceneChanges([]), []);
+});
+
+test('parseSnapOptions leaves clips alone unless snapping is asked for', () => {
+  assert.deepStrictEqual(parseSnapOptions(), { snap: null, error: null });
+  assert.deepStrictEqual(parseSnapOptions(true), { snap: { maxDistance: 1.5 }, error: null });
+  assert.deepStrictEqual(parseSnapOptions({ maxDistance: 3 }), { snap: { maxDistance: 3 }, error: null });
+});
+
+test('parseSnapOptions rejects bad snapping distances', () => {
+  assert.match(parseSnapOptions('yes').error, /snapToScenes must be true or an object/);
+  [0, 11, '2'].forEach(maxDistance => {
+    const result = parseSnapOptions({ maxDistance });
+    assert.strictEqual(result.snap, null);
+    assert.match(result.error, /snapToScenes.maxDistance must be a number of seconds up to 10/);
+  });
+});
+
+test('snapToNearestCut moves a time onto the closest cut within reach', () => {
+  const cuts = [{ time: 10 }, { time: 12 }, { time: 30 }];
+  assert.strictEqual(snapToNearestCut(11.2, cuts, 1.5), 12);
+  assert.strictEqual(snapToNearestCut(20, cuts, 1.5), 20);
+});
+
+test('snapClipToScenes snaps both boundaries unless the clip would get too short', () => {
+  const { snap } = parseSnapOptions(true);
+  const cuts = [{ time: 5.5 }, { time: 10 }, { time: 21 }];
+
+  assert.deepStrictEqual(snapClipToScenes({ videoId: 'a', startTime: '10.2', endTime: '20.4' }, cuts, snap),
+    { videoId: 'a', startTime: 10, endTime: 21 });
+  const short = { videoId: 'a', startTime: 5.4, endTime: 6.6 };
+  assert.strictEqual(snapClipToScenes(short, cuts, snap), short);
+  assert.strictEqual(snapClipToScenes(short, [], snap), short);
+});
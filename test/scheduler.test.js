@@ -0,0 +1,137 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  JobAbortedError,
+  createPool,
+  trackProcess,
+  abortJob,
+  isJobAborted,
+  isJobCancelled,
+  throwIfAborted,
+  releaseJob
+} = require('../controllers/clipsMergeController/jobStatus/scheduler');
+
+// A task that runs until it is released
+const deferred = () => {
+  let resolve;
+  const promise = new Promise((done) => {
+    resolve = done;
+  });
+  return { promise, resolve };
+};
+
+// A tracked process stand-in that records the signals it gets
+const fakeProcess = () => ({
+  signals: [],
+  kill(signal) {
+    this.signals.push(signal);
+  }
+});
+
+test('createPool runs at most its concurrency and starts queued tasks in FIFO order', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const pool = createPool('test', 2);
+  const started = [];
+  const gates = [deferred(), deferred(), deferred(), deferred()];
+  const runs = gates.map((gate, i) => pool.run(async () => {
+    started.push(i);
+    await gate.promise;
+    return i;
+  }, { key: `task-${i}` }));
+
+  await new Promise(setImmediate);
+  assert.deepStrictEqual(started, [0, 1]);
+  assert.deepStrictEqual(pool.stats(), { name: 'test', concurrency: 2, running: 2, queued: 2 });
+  assert.strictEqual(pool.hasCapacity(), false);
+
+  gates[1].resolve();
+  await new Promise(setImmediate);
+  assert.deepStrictEqual(started, [0, 1, 2]);
+
+  gates.forEach(gate => gate.resolve());
+  assert.deepStrictEqual(await Promise.all(runs), [0, 1, 2, 3]);
+  assert.deepStrictEqual(pool.stats(), { name: 'test', concurrency: 2, running: 0, queued: 0 });
+  assert.strictEqual(pool.hasCapacity(), true);
+});
+
+test('createPool tells queued tasks their position as the queue moves', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const pool = createPool('test', 1);
+  const gate = deferred();
+  const positions = { a: [], b: [] };
+  const first = pool.run(() => gate.promise, { key: 'first' });
+  const a = pool.run(async () => 'a', { key: 'a', onQueueChange: (position) => positions.a.push(position) });
+  const b = pool.run(async () => 'b', { key: 'b', onQueueChange: (position) => positions.b.push(position) });
+
+  assert.strictEqual(pool.positionOf('a'), 1);
+  assert.strictEqual(pool.positionOf('b'), 2);
+  assert.strictEqual(pool.positionOf('first'), 0);
+
+  gate.resolve();
+  await Promise.all([first, a, b]);
+  assert.deepStrictEqual(positions, { a: [1], b: [2, 1] });
+});
+
+test('createPool removes queued tasks by key and rejects them', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  const pool = createPool('test', 1);
+  const gate = deferred();
+  const positions = [];
+  const running = pool.run(() => gate.promise, { key: 'job-1' });
+  const queued = pool.run(async () => 'never', { key: 'job-1' });
+  const other = pool.run(async () => 'other', { key: 'job-2', onQueueChange: (position) => positions.push(position) });
+
+  assert.strictEqual(pool.remove('job-1', new Error('removed')), 1);
+  await assert.rejects(queued, /removed/);
+  assert.deepStrictEqual(positions, [2, 1]);
+
+  gate.resolve('done');
+  assert.strictEqual(await running, 'done');
+  assert.strictEqual(await other, 'other');
+  assert.strictEqual(pool.remove('job-3', new Error('removed')), 0);
+});
+
+test('abortJob kills the tracked processes of the job only', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const mine = fakeProcess();
+  const finished = fakeProcess();
+  const others = fakeProcess();
+  trackProcess('abort-1', mine);
+  const untrack = trackProcess('abort-1', finished);
+  trackProcess('abort-2', others);
+  untrack();
+
+  assert.strictEqual(abortJob('abort-1', 'Job cancelled by user', { cancelled: true }), 1);
+  assert.deepStrictEqual(mine.signals, ['SIGKILL']);
+  assert.deepStrictEqual(finished.signals, []);
+  assert.deepStrictEqual(others.signals, []);
+  assert.strictEqual(isJobAborted('abort-1'), true);
+  assert.strictEqual(isJobCancelled('abort-1'), true);
+  assert.strictEqual(isJobAborted('abort-2'), false);
+
+  releaseJob('abort-1');
+  releaseJob('abort-2');
+  assert.strictEqual(isJobAborted('abort-1'), false);
+});
+
+test('aborted jobs kill processes they start later and fail at the next step', (t) => {
+  t.mock.method(console, 'warn', () => {});
+  abortJob('abort-3', 'Job exceeded the time limit of 1 seconds');
+
+  const late = fakeProcess();
+  trackProcess('abort-3', late);
+  assert.deepStrictEqual(late.signals, ['SIGKILL']);
+  assert.strictEqual(isJobCancelled('abort-3'), false);
+  assert.throws(() => throwIfAborted('abort-3'), (error) =>
+    error instanceof JobAbortedError && error.cancelled === false && /time limit/.test(error.message));
+
+  releaseJob('abort-3');
+  assert.doesNotThrow(() => throwIfAborted('abort-3'));
+  assert.doesNotThrow(() => throwIfAborted(null));
+});
+
+test('trackProcess ignores calls outside a job', () => {
+  const handle = fakeProcess();
+  trackProcess(null, handle)();
+  assert.deepStrictEqual(handle.signals, []);
+});
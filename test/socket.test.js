@@ -0,0 +1,73 @@
+process.env.JWT_SECRET = 'socket-test-secret';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { initializeSocket } = require('../socket');
+const { rememberJob } = require('../controllers/clipsMergeController/jobStatus/getJobStatus');
+
+// A socket stand-in that records the rooms it joins and the handlers registered on it
+const connect = (io, userId) => {
+  const socket = {
+    id: `socket-${userId || 'anonymous'}`,
+    handshake: { auth: userId ? { token: jwt.sign({ userId }, process.env.JWT_SECRET) } : {}, query: {} },
+    rooms: new Set(),
+    handlers: {},
+    join(room) {
+      this.rooms.add(room);
+    },
+    leave(room) {
+      this.rooms.delete(room);
+    },
+    on(event, handler) {
+      this.handlers[event] = handler;
+    }
+  };
+  io.sockets.listeners('connection').forEach(listener => listener(socket));
+  return socket;
+};
+
+// Ask to follow a job and wait for the acknowledgement
+const subscribe = (socket, jobId) => new Promise((resolve) => socket.handlers.subscribeJob(jobId, resolve));
+
+// One socket.io server for every test, on an HTTP server that never listens
+let io;
+const getServer = () => io || (io = initializeSocket(http.createServer()));
+
+test('authenticated sockets join the room of their user', (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+
+  assert.deepStrictEqual([...connect(getServer(), 'user-1').rooms], ['user:user-1']);
+  assert.deepStrictEqual([...connect(getServer(), null).rooms], []);
+});
+
+test('subscribeJob only lets the owner of a job join its room', async (t) => {
+  t.mock.method(console, 'log', () => {});
+  t.mock.method(console, 'warn', () => {});
+  rememberJob('socket-job-1', { userId: 'user-1', status: 'pending' });
+
+  const owner = connect(getServer(), 'user-1');
+  assert.deepStrictEqual(await subscribe(owner, 'socket-job-1'), { success: true });
+  assert.ok(owner.rooms.has('job:socket-job-1'));
+
+  const other = connect(getServer(), 'user-2');
+  assert.deepStrictEqual(await subscribe(other, 'socket-job-1'), { success: false, error: 'Job not found' });
+  assert.ok(!other.rooms.has('job:socket-job-1'));
+
+  const anonymous = connect(getServer(), null);
+  assert.deepStrictEqual(await subscribe(anonymous, 'socket-job-1'), { success: false, error: 'Authentication required' });
+  assert.deepStrictEqual(await subscribe(owner, ''), { success: false, error: 'jobId is required' });
+});
+
+test('registerSession cannot be used to join job or user rooms', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const socket = connect(getServer(), null);
+
+  socket.handlers.registerSession('job:socket-job-1');
+  socket.handlers.registerSession('user:user-1');
+  socket.handlers.registerSession('session-1');
+
+  assert.deepStrictEqual([...socket.rooms], ['session-1']);
+});
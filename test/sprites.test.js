@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseSpriteOptions, planSprites, buildThumbnailTrack } = require('../utils/sprites');
+
+test('parseSpriteOptions reads query strings and leaves out missing options', () => {
+  assert.deepStrictEqual(parseSpriteOptions({}), { options: {}, error: null });
+  assert.deepStrictEqual(parseSpriteOptions({ interval: '', width: '' }), { options: {}, error: null });
+  assert.deepStrictEqual(parseSpriteOptions({ interval: '10', width: '240' }), { options: { interval: 10, width: 240 }, error: null });
+});
+
+test('parseSpriteOptions rejects intervals and widths out of range', () => {
+  [{ interval: 0 }, { interval: 61 }, { interval: 2.5 }, { width: 39 }, { width: 321 }, { width: 'wide' }].forEach(query => {
+    const { options, error } = parseSpriteOptions(query);
+    assert.strictEqual(options, null, JSON.stringify(query));
+    assert.strictEqual(typeof error, 'string');
+  });
+});
+
+test('planSprites tiles frames every interval on sheets of at most 10x10', () => {
+  assert.deepStrictEqual(planSprites({ width: 1920, height: 1080, duration: 600 }), {
+    interval: 5, frameCount: 120, tileWidth: 160, tileHeight: 90, columns: 10, rows: 10
+  });
+});
+
+test('planSprites gives short videos a single small sheet', () => {
+  assert.deepStrictEqual(planSprites({ width: 1080, height: 1920, duration: 12 }, { interval: 2, width: 120 }), {
+    interval: 2, frameCount: 6, tileWidth: 120, tileHeight: 214, columns: 6, rows: 1
+  });
+});
+
+test('planSprites stretches the interval of long videos to stay under 600 frames', () => {
+  const layout = planSprites({ width: 1280, height: 720, duration: 7200 });
+  assert.strictEqual(layout.interval, 12);
+  assert.strictEqual(layout.frameCount, 600);
+  assert.throws(() => planSprites({ width: 1280, height: 720, duration: 0 }), /without a duration/);
+});
+
+test('buildThumbnailTrack points every cue at its tile', () => {
+  const layout = { interval: 5, frameCount: 3, tileWidth: 160, tileHeight: 90, columns: 2, rows: 1 };
+  const track = buildThumbnailTrack(layout, ['a.jpg', 'b.jpg'], 12);
+  assert.strictEqual(track, [
+    'WEBVTT',
+    '',
+    '00:00:00.000 --> 00:00:05.000',
+    'a.jpg#xywh=0,0,160,90',
+    '',
+    '00:00:05.000 --> 00:00:10.000',
+    'a.jpg#xywh=160,0,160,90',
+    '',
+    '00:00:10.000 --> 00:00:12.000',
+    'b.jpg#xywh=0,0,160,90',
+    ''
+  ].join('\n'));
+});
+
+test('buildThumbnailTrack stops at the last sheet', () => {
+  const layout = { interval: 1, frameCount: 5, tileWidth: 100, tileHeight: 100, columns: 2, rows: 1 };
+  const cues = buildThumbnailTrack(layout, ['a.jpg'], 5).split('\n').filter(line => line.includes('#xywh='));
+  assert.deepStrictEqual(cues, ['a.jpg#xywh=0,0,100,100', 'a.jpg#xywh=100,0,100,100']);
+});
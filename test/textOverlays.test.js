@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTextOverlayOptions, escapeDrawText, getSegmentTransitions, getTitleCardsDuration } = require('../utils/textOverlays');
+
+test('parseTextOverlayOptions returns null when no clip has text', () => {
+  assert.deepStrictEqual(parseTextOverlayOptions(), { textOverlays: null, error: null });
+  assert.deepStrictEqual(parseTextOverlayOptions([{ startTime: 0, endTime: 5, overlays: [] }]), { textOverlays: null, error: null });
+});
+
+test('parseTextOverlayOptions fills in overlay and title card defaults', () => {
+  const { textOverlays, error } = parseTextOverlayOptions([
+    { startTime: 10, endTime: 16, overlays: [{ text: 'Hello', end: 30 }, { text: 'Hook', style: 'hook', start: 1, end: 3, color: '#FF0000' }] },
+    { startTime: 0, endTime: 5, titleCard: 'Part 2' }
+  ]);
+  assert.strictEqual(error, null);
+  assert.deepStrictEqual(textOverlays, [
+    {
+      overlays: [
+        { text: 'Hello', start: 0, end: 6, position: 'lower-third', style: 'lowerThird', color: undefined },
+        { text: 'Hook', start: 1, end: 3, position: 'top', style: 'hook', color: '#FF0000' }
+      ],
+      titleCard: null
+    },
+    { overlays: [], titleCard: { text: 'Part 2', subtitle: null, duration: 2, background: 'black' } }
+  ]);
+  assert.strictEqual(getTitleCardsDuration(textOverlays), 2);
+});
+
+test('parseTextOverlayOptions names the clip and overlay of an error', () => {
+  [
+    [{ overlays: {} }, /^Clip 1: overlays must be a list of at most 10 entries/],
+    [{ overlays: [{ text: ' ' }] }, /^Clip 1 overlays\[0\]: text must be a non-empty string/],
+    [{ overlays: [{ text: 'a'.repeat(201) }] }, /text must be at most 200 characters/],
+    [{ overlays: [{ text: 'a', style: 'subtitle' }] }, /unsupported style subtitle/],
+    [{ overlays: [{ text: 'a', position: 'middle' }] }, /unsupported position middle/],
+    [{ overlays: [{ text: 'a', start: 3, end: 2 }] }, /start and end must be numbers of seconds/],
+    [{ overlays: [{ text: 'a', start: 7, end: 8 }] }, /start \(7s\) must be within the clip \(5s\)/],
+    [{ overlays: [{ text: 'a', color: 'rgb(0,0,0)' }] }, /color must be a color name or #RRGGBB/],
+    [{ titleCard: { text: 'a', duration: 20 } }, /^Clip 1: titleCard.duration must be a number of seconds between 0.5 and 10/],
+    [{ titleCard: { text: 'a', background: '#12' } }, /titleCard.background must be a color name or #RRGGBB/],
+    [{ titleCard: ['a'] }, /titleCard must be a text or an object with a text/]
+  ].forEach(([text, message]) => {
+    const result = parseTextOverlayOptions([{ startTime: 0, endTime: 5, ...text }]);
+    assert.strictEqual(result.textOverlays, null);
+    assert.match(result.error, message);
+  });
+});
+
+test('escapeDrawText escapes text for drawtext and then for the filter graph', () => {
+  assert.strictEqual(escapeDrawText('a:b'), 'a\\\\:b');
+  assert.strictEqual(escapeDrawText("it's"), "it\\\\\\'s");
+  assert.strictEqual(escapeDrawText('[a],b;c'), '\\[a\\]\\,b\\;c');
+  assert.strictEqual(escapeDrawText('a\\b'), 'a\\\\\\\\b');
+  assert.strictEqual(escapeDrawText('a\r\nb\rc'), 'a\nb\nc');
+});
+
+test('getSegmentTransitions repeats a transition around the title card between two clips', () => {
+  const fade = { type: 'fade', duration: 0.5 };
+  const wipe = { type: 'wipeleft', duration: 1 };
+  const { textOverlays } = parseTextOverlayOptions([{}, { titleCard: 'Part 2' }, {}]);
+
+  assert.deepStrictEqual(getSegmentTransitions([fade, wipe], textOverlays, 3), [fade, fade, wipe]);
+  assert.deepStrictEqual(getSegmentTransitions([fade, wipe], null, 3), [fade, wipe]);
+  assert.deepStrictEqual(getSegmentTransitions([fade], parseTextOverlayOptions([{ titleCard: 'Intro' }, {}]).textOverlays, 2),
+    [{ type: 'cut', duration: 0 }, fade]);
+});
+
+test('getSegmentTransitions returns null when every boundary is a cut', () => {
+  const { textOverlays } = parseTextOverlayOptions([{ titleCard: 'Intro' }, { titleCard: 'Part 2' }]);
+  assert.strictEqual(getSegmentTransitions(null, textOverlays, 2), null);
+  assert.strictEqual(getSegmentTransitions([{ type: 'cut', duration: 0 }], null, 2), null);
+});
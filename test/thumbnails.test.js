@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { MAX_SAMPLE_COUNT, formatTimemark, parseFrameStats, scoreFrame, getSampleTimes, pickThumbnails } = require('../utils/thumbnails');
+
+test('formatTimemark pads hours, minutes, seconds and milliseconds', () => {
+  assert.strictEqual(formatTimemark(65.25), '00:01:05.250');
+  assert.strictEqual(formatTimemark(3725.0004), '01:02:05.000');
+  assert.strictEqual(formatTimemark(0), '00:00:00.000');
+});
+
+test('parseFrameStats reads the frame and its edge map', () => {
+  assert.deepStrictEqual(parseFrameStats([
+    '[Parsed_metadata_1 @ 0x1] frame:0    pts:0       pts_time:0',
+    '[Parsed_metadata_1 @ 0x1] lavfi.signalstats.YAVG=118.4',
+    '[Parsed_metadata_1 @ 0x1] lavfi.signalstats.YLOW=30',
+    '[Parsed_metadata_1 @ 0x1] lavfi.signalstats.YHIGH=201',
+    '[Parsed_metadata_4 @ 0x2] frame:0    pts:0       pts_time:0',
+    '[Parsed_metadata_4 @ 0x2] lavfi.signalstats.YAVG=12.5'
+  ]), { brightness: 118.4, low: 30, high: 201, edges: 12.5 });
+});
+
+test('parseFrameStats needs both blocks', () => {
+  assert.strictEqual(parseFrameStats([
+    'frame:0    pts:0       pts_time:0',
+    'lavfi.signalstats.YAVG=118.4'
+  ]), null);
+  assert.strictEqual(parseFrameStats([]), null);
+});
+
+test('scoreFrame rewards well exposed, sharp and contrasted frames', () => {
+  assert.deepStrictEqual(scoreFrame({ brightness: 115, low: 10, high: 190, edges: 25 }), {
+    score: 1, brightness: 1, sharpness: 1, contrast: 1
+  });
+  assert.deepStrictEqual(scoreFrame({ brightness: 172.5, low: 60, high: 150, edges: 5 }), {
+    score: 0.38, brightness: 0.5, sharpness: 0.2, contrast: 0.5
+  });
+  const sharp = scoreFrame({ brightness: 100, low: 20, high: 180, edges: 30 });
+  const blurry = scoreFrame({ brightness: 100, low: 20, high: 180, edges: 3 });
+  assert.ok(sharp.score > blurry.score);
+});
+
+test('scoreFrame gives fades, blown out and flat frames no score', () => {
+  assert.strictEqual(scoreFrame({ brightness: 10, low: 0, high: 60, edges: 5 }).score, 0);
+  assert.strictEqual(scoreFrame({ brightness: 240, low: 180, high: 255, edges: 5 }).score, 0);
+  const flat = scoreFrame({ brightness: 115, low: 110, high: 120, edges: 25 });
+  assert.strictEqual(flat.score, 0);
+  assert.strictEqual(flat.sharpness, 1);
+});
+
+test('getSampleTimes spreads the samples between the edge margins', () => {
+  assert.deepStrictEqual(getSampleTimes(100, 4), [16.25, 38.75, 61.25, 83.75]);
+  assert.deepStrictEqual(getSampleTimes(100, 0), [50]);
+  assert.strictEqual(getSampleTimes(100, 100).length, MAX_SAMPLE_COUNT);
+  const times = getSampleTimes(100, MAX_SAMPLE_COUNT);
+  assert.ok(times[0] > 5 && times[times.length - 1] < 95);
+});
+
+test('pickThumbnails keeps the best frames and drops the rest', () => {
+  const candidates = [
+    { path: 'frame_0.jpg', score: 0.4 },
+    { path: 'frame_1.jpg', score: 0.9 },
+    { path: 'frame_2.jpg', score: 0 },
+    { path: 'frame_3.jpg', score: 0.9 },
+    { path: 'frame_4.jpg', score: 0.6 }
+  ];
+  const { kept, dropped } = pickThumbnails(candidates, 3);
+
+  assert.deepStrictEqual(kept.map(candidate => candidate.path), ['frame_1.jpg', 'frame_3.jpg', 'frame_4.jpg']);
+  assert.deepStrictEqual(dropped.map(candidate => candidate.path), ['frame_0.jpg', 'frame_2.jpg']);
+  assert.strictEqual(candidates[0].path, 'frame_0.jpg');
+  assert.deepStrictEqual(pickThumbnails(candidates, 0).kept.map(candidate => candidate.path), ['frame_1.jpg']);
+});
@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTightenOptions, findFillerWords, parseSilences, planTighten } = require('../utils/tighten');
+
+const defaults = { fillers: true, silences: true, minSilence: 0.75, silenceThreshold: -35, padding: 0.15 };
+
+test('parseTightenOptions uses the defaults for true and keeps given settings', () => {
+  assert.deepStrictEqual(parseTightenOptions(true), { tighten: defaults, error: null });
+  assert.deepStrictEqual(parseTightenOptions({}), { tighten: defaults, error: null });
+  assert.deepStrictEqual(parseTightenOptions({ fillers: false, padding: 0 }).tighten, { ...defaults, fillers: false, padding: 0 });
+  assert.deepStrictEqual(parseTightenOptions(undefined), { tighten: null, error: null });
+  assert.deepStrictEqual(parseTightenOptions(false), { tighten: null, error: null });
+});
+
+test('parseTightenOptions rejects bad settings', () => {
+  ['yes', [], { fillers: 'yes' }, { fillers: false, silences: false }, { minSilence: 0.1 }, { silenceThreshold: 0 }, { padding: 2 }, { padding: '0.1' }]
+    .forEach(options => {
+      const { tighten, error } = parseTightenOptions(options);
+      assert.strictEqual(tighten, null, JSON.stringify(options));
+      assert.strictEqual(typeof error, 'string');
+    });
+});
+
+test('findFillerWords finds hesitations in the range, whatever their case and punctuation', () => {
+  const words = [
+    { text: 'So', start: 0, end: 0.3 },
+    { text: 'Um,', start: 0.4, end: 0.7 },
+    { text: 'hello', start: 0.8, end: 1.2 },
+    { text: 'uh', start: 5, end: 5.2 }
+  ];
+  assert.deepStrictEqual(findFillerWords(words, 0, 2), [{ start: 0.4, end: 0.7, text: 'Um,' }]);
+  assert.deepStrictEqual(findFillerWords(null, 0, 2), []);
+});
+
+test('parseSilences pairs starts and ends, and closes a silence running to the end', () => {
+  const lines = [
+    '[silencedetect @ 0x1] silence_start: 1.5',
+    '[silencedetect @ 0x1] silence_end: 2.75 | silence_duration: 1.25',
+    'frame=  100 fps=0.0',
+    '[silencedetect @ 0x1] silence_start: 9'
+  ];
+  assert.deepStrictEqual(parseSilences(lines, 10, 10), [{ start: 11.5, end: 12.75 }, { start: 19, end: 20 }]);
+});
+
+test('planTighten cuts fillers and padded silences and keeps the rest', () => {
+  const plan = planTighten({
+    fillers: [{ start: 2, end: 2.5 }],
+    silences: [{ start: 5, end: 7 }]
+  }, 0, 10, defaults);
+  assert.deepStrictEqual(plan.removed, [
+    { start: 2, end: 2.5, reasons: ['filler'] },
+    { start: 5.15, end: 6.85, reasons: ['silence'] }
+  ]);
+  assert.deepStrictEqual(plan.keep, [{ start: 0, end: 2 }, { start: 2.5, end: 5.15 }, { start: 6.85, end: 10 }]);
+  assert.strictEqual(plan.duration, 7.8);
+});
+
+test('planTighten joins nearly touching cuts and cuts slivers at the ends', () => {
+  const plan = planTighten({
+    fillers: [{ start: 0.1, end: 0.5 }, { start: 0.6, end: 1 }]
+  }, 0, 10, defaults);
+  assert.deepStrictEqual(plan.removed, [{ start: 0, end: 1, reasons: ['filler'] }]);
+  assert.deepStrictEqual(plan.keep, [{ start: 1, end: 10 }]);
+});
+
+test('planTighten leaves the video alone when the cuts would remove everything', () => {
+  const plan = planTighten({ silences: [{ start: 0, end: 10 }] }, 0, 10, { ...defaults, padding: 0 });
+  assert.deepStrictEqual(plan, { removed: [], keep: [{ start: 0, end: 10 }], duration: 10 });
+});
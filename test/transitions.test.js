@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTransitionOptions, fitTransitions, getTransitionOverlap, buildTransitionFilters } = require('../utils/transitions');
+
+const clips = (...durations) => durations.map(duration => ({ startTime: 0, endTime: duration }));
+
+test('parseTransitionOptions applies `transition` to every boundary', () => {
+  assert.deepStrictEqual(parseTransitionOptions({ transition: 'crossfade' }, clips(5, 5, 5)), {
+    transitions: [{ type: 'crossfade', duration: 0.5 }, { type: 'crossfade', duration: 0.5 }],
+    error: null
+  });
+});
+
+test('parseTransitionOptions lets `transitions` override boundaries', () => {
+  const { transitions } = parseTransitionOptions({
+    transition: { type: 'fadeblack', duration: 1 },
+    transitions: [null, { type: 'wipe', direction: 'up', duration: 0.25 }, 'cut']
+  }, clips(5, 5, 5, 5));
+  assert.deepStrictEqual(transitions, [
+    { type: 'fadeblack', duration: 1 },
+    { type: 'wipe', duration: 0.25, direction: 'up' },
+    { type: 'cut', duration: 0 }
+  ]);
+});
+
+test('parseTransitionOptions leaves out merges that only cut', () => {
+  assert.deepStrictEqual(parseTransitionOptions({}, clips(5, 5)), { transitions: null, error: null });
+  assert.deepStrictEqual(parseTransitionOptions({ transition: 'cut' }, clips(5, 5)), { transitions: null, error: null });
+  assert.deepStrictEqual(parseTransitionOptions({ transition: 'crossfade' }, clips(5)), { transitions: null, error: null });
+});
+
+test('parseTransitionOptions rejects bad transitions', () => {
+  [
+    { transition: 'spin' },
+    { transition: { type: 'crossfade', duration: 5 } },
+    { transition: { type: 'wipe', direction: 'diagonal' } },
+    { transitions: 'crossfade' },
+    { transitions: ['crossfade', 'crossfade'] },
+    { transitions: [42] }
+  ].forEach(options => {
+    const { transitions, error } = parseTransitionOptions(options, clips(5, 5));
+    assert.strictEqual(transitions, null, JSON.stringify(options));
+    assert.strictEqual(typeof error, 'string');
+  });
+});
+
+test('parseTransitionOptions rejects clips shorter than their transitions', () => {
+  const { error } = parseTransitionOptions({ transition: { type: 'crossfade', duration: 1 } }, clips(5, 1.5, 5));
+  assert.match(error, /Clip 2 \(1.5s\) is too short/);
+});
+
+test('fitTransitions shortens transitions to half of the shorter side', () => {
+  const fade = { type: 'crossfade', duration: 1 };
+  assert.deepStrictEqual(fitTransitions([5, 1.5, 5], [fade, fade]), [
+    { type: 'crossfade', duration: 0.75 },
+    fade
+  ]);
+  assert.deepStrictEqual(fitTransitions([5, 5, 1], [fade, null]), [fade, { type: 'cut', duration: 0 }]);
+  assert.strictEqual(fitTransitions([5, 5], null), null);
+});
+
+test('getTransitionOverlap adds up the transition lengths', () => {
+  assert.strictEqual(getTransitionOverlap([{ duration: 0.5 }, { duration: 0 }, { duration: 1 }]), 1.5);
+  assert.strictEqual(getTransitionOverlap(null), 0);
+});
+
+test('buildTransitionFilters overlaps clips with xfade and concatenates cuts', () => {
+  const inputs = [
+    { video: '0:v', audio: '0:a', duration: 5 },
+    { video: '1:v', audio: '1:a', duration: 4 },
+    { video: '2:v', audio: '2:a', duration: 3 }
+  ];
+  const { filters, duration } = buildTransitionFilters(inputs, [
+    { type: 'crossfade', duration: 1 },
+    { type: 'cut', duration: 0 }
+  ], { video: 'v', audio: 'a' }, { fps: 25 });
+
+  assert.strictEqual(duration, 11);
+  assert.strictEqual(filters[0], '[0:v]fps=25,format=yuv420p,settb=AVTB,setpts=PTS-STARTPTS[n0v]');
+  assert.ok(filters.includes('[n0v][n1v]xfade=transition=fade:duration=1:offset=4[x1v]'));
+  assert.ok(filters.includes('[n0a][n1a]acrossfade=d=1[x1a]'));
+  assert.ok(filters.includes('[x1v][n2v]concat=n=2:v=1:a=0[v]'));
+  assert.ok(filters.includes('[x1a][n2a]concat=n=2:v=0:a=1[a]'));
+});
+
+test('buildTransitionFilters keeps transitions within half of each clip', () => {
+  const { filters, duration, transitions } = buildTransitionFilters([
+    { video: '0:v', audio: '0:a', duration: 1 },
+    { video: '1:v', audio: '1:a', duration: 4 }
+  ], [{ type: 'wipe', direction: 'right', duration: 3 }]);
+  assert.ok(filters.includes('[n0v][n1v]xfade=transition=wiperight:duration=0.5:offset=0.5[v]'));
+  assert.strictEqual(duration, 4.5);
+  assert.deepStrictEqual(transitions, [{ type: 'wipe', direction: 'right', duration: 0.5 }]);
+  assert.strictEqual(duration, 1 + 4 - getTransitionOverlap(transitions));
+  assert.match(filters[0], /fps=30,/);
+});
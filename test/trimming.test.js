@@ -0,0 +1,96 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseTrimOptions, canCopyTrim, planSmartTrim, getSpliceSettings } = require('../utils/trimming');
+
+const probed = (video = {}, audio = {}) => ({
+  streams: [
+    {
+      codec_type: 'video',
+      codec_name: 'h264',
+      profile: 'High',
+      level: 40,
+      refs: 4,
+      has_b_frames: 2,
+      pix_fmt: 'yuv420p',
+      field_order: 'progressive',
+      r_frame_rate: '30000/1001',
+      avg_frame_rate: '30000/1001',
+      time_base: '1/30000',
+      ...video
+    },
+    ...(audio ? [{ codec_type: 'audio', codec_name: 'aac', profile: 'LC', sample_rate: '48000', channels: 2, ...audio }] : [])
+  ]
+});
+
+test('parseTrimOptions defaults to accurate and rejects unknown modes', () => {
+  assert.deepStrictEqual(parseTrimOptions(), { trimMode: 'accurate', error: null });
+  assert.deepStrictEqual(parseTrimOptions({ trimMode: 'smart' }), { trimMode: 'smart', error: null });
+  assert.strictEqual(parseTrimOptions({ trimMode: 'quick' }).trimMode, null);
+  assert.match(parseTrimOptions({ trimMode: 'quick' }).error, /trimMode must be one of/);
+});
+
+test('canCopyTrim only copies clips nothing is filtered on', () => {
+  assert.strictEqual(canCopyTrim('smart'), true);
+  assert.strictEqual(canCopyTrim('fast', { overlays: [] }), true);
+  assert.strictEqual(canCopyTrim('accurate'), false);
+  assert.strictEqual(canCopyTrim(null), false);
+  assert.strictEqual(canCopyTrim('smart', { reframe: { aspectRatio: '9:16' } }), false);
+  assert.strictEqual(canCopyTrim('smart', { subtitlesPath: '/tmp/clip.ass' }), false);
+  assert.strictEqual(canCopyTrim('fast', { audioFilter: 'loudnorm' }), false);
+  assert.strictEqual(canCopyTrim('smart', { overlays: [{ text: 'Hi' }] }), false);
+});
+
+test('planSmartTrim re-encodes only up to the first and from the last keyframe', () => {
+  assert.deepStrictEqual(planSmartTrim([0, 2, 4, 6, 8, 10], 1, 9), { head: [1, 2], copy: [2, 8], tail: [8, 9] });
+});
+
+test('planSmartTrim copies cuts that fall on keyframes', () => {
+  assert.deepStrictEqual(planSmartTrim([0, 2, 4, 6], 1.98, 4.03), { head: null, copy: [2, 4], tail: null });
+  assert.deepStrictEqual(planSmartTrim([0, 2, 4, 6], 2, 5), { head: null, copy: [2, 4], tail: [4, 5] });
+});
+
+test('planSmartTrim gives up when no keyframe-aligned part is in the clip', () => {
+  assert.strictEqual(planSmartTrim([0, 10], 1, 9), null);
+  assert.strictEqual(planSmartTrim([0, 5, 10], 4, 6), null);
+  assert.strictEqual(planSmartTrim([], 1, 9), null);
+});
+
+test('getSpliceSettings encodes fragments with the profile, level, refs and timebase of the source', () => {
+  const { settings, reason } = getSpliceSettings(probed());
+  assert.strictEqual(reason, null);
+  assert.strictEqual(settings.timescale, 30000);
+  assert.strictEqual(settings.hasAudio, true);
+  assert.deepStrictEqual(settings.videoOptions, [
+    '-c:v', 'libx264', '-preset', 'veryfast', '-crf', '18',
+    '-profile:v', 'high', '-level:v', '4', '-pix_fmt', 'yuv420p', '-r', '30000/1001', '-refs', '4'
+  ]);
+  assert.deepStrictEqual(settings.audioOptions, ['-c:a', 'aac', '-profile:a', 'aac_low', '-ar', '48000', '-ac', '2']);
+});
+
+test('getSpliceSettings keeps B-frames out of sources without them', () => {
+  const { settings } = getSpliceSettings(probed({ profile: 'Constrained Baseline', level: 31, has_b_frames: 0, refs: 1 }, null));
+  assert.deepStrictEqual(settings.videoOptions.slice(6, 10), ['-profile:v', 'baseline', '-level:v', '3.1']);
+  assert.deepStrictEqual(settings.videoOptions.slice(-2), ['-bf', '0']);
+  assert.strictEqual(settings.hasAudio, false);
+  assert.deepStrictEqual(settings.audioOptions, []);
+});
+
+test('getSpliceSettings refuses streams the encoders cannot reproduce', () => {
+  [
+    probed({ codec_name: 'hevc' }),
+    probed({ profile: 'High 10', pix_fmt: 'yuv420p10le' }),
+    probed({ profile: 'High 4:4:4 Predictive' }),
+    probed({ pix_fmt: 'yuv422p' }),
+    probed({ level: -99 }),
+    probed({ field_order: 'tt' }),
+    probed({ avg_frame_rate: '24/1' }),
+    probed({ time_base: 'N/A' }),
+    probed({}, { profile: 'HE-AAC' }),
+    probed({}, { codec_name: 'opus', profile: undefined }),
+    { streams: [] }
+  ].forEach(metadata => {
+    const { settings, reason } = getSpliceSettings(metadata);
+    assert.strictEqual(settings, null, JSON.stringify(metadata.streams[0]));
+    assert.match(reason, /^cannot /);
+  });
+});
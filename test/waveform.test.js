@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { createPeakAccumulator, downsamplePeaks, toWaveformJson } = require('../utils/waveform');
+
+test('createPeakAccumulator keeps the min and max of every block, including a trailing partial one', () => {
+  const peaks = createPeakAccumulator(3);
+  [1, -5, 4, 7, 2, 3, -1].forEach(sample => peaks.push(sample));
+  assert.deepStrictEqual(peaks.finish(), [-5, 4, 2, 7, -1, -1]);
+});
+
+test('downsamplePeaks merges pixels into coarser ones', () => {
+  const data = [-1, 1, -3, 2, 0, 5, -2, 0, -7, 1];
+  assert.deepStrictEqual(downsamplePeaks(data, 2), [-3, 2, -2, 5, -7, 1]);
+  assert.deepStrictEqual(downsamplePeaks(data, 4), [-3, 5, -7, 1]);
+  assert.deepStrictEqual(downsamplePeaks(data, 1), data);
+  assert.deepStrictEqual(downsamplePeaks([], 4), []);
+});
+
+test('toWaveformJson writes the audiowaveform format with 8-bit peaks', () => {
+  assert.deepStrictEqual(toWaveformJson([-32768, 32767, -256, 255], 256, 16000), {
+    version: 2,
+    channels: 1,
+    sample_rate: 16000,
+    samples_per_pixel: 256,
+    bits: 8,
+    length: 2,
+    data: [-128, 127, -1, 0]
+  });
+});
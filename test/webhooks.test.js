@@ -0,0 +1,43 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { isValidWebhookUrl, isPublicAddress, checkWebhookUrl } = require('../utils/webhooks');
+
+test('isValidWebhookUrl accepts absolute http(s) URLs only', () => {
+  assert.strictEqual(isValidWebhookUrl('https://example.com/hooks'), true);
+  assert.strictEqual(isValidWebhookUrl('http://example.com:8080/hooks?a=1'), true);
+  assert.strictEqual(isValidWebhookUrl('ftp://example.com/hooks'), false);
+  assert.strictEqual(isValidWebhookUrl('file:///etc/passwd'), false);
+  assert.strictEqual(isValidWebhookUrl('/hooks'), false);
+  assert.strictEqual(isValidWebhookUrl('not a url'), false);
+  assert.strictEqual(isValidWebhookUrl(undefined), false);
+});
+
+test('isPublicAddress refuses loopback, private, link-local and reserved IPv4 addresses', () => {
+  [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '172.31.255.255', '192.168.1.1', '169.254.169.254',
+    '100.64.0.1', '0.0.0.0', '198.18.0.1', '224.0.0.1', '255.255.255.255'
+  ].forEach(address => assert.strictEqual(isPublicAddress(address), false, address));
+
+  ['8.8.8.8', '1.1.1.1', '172.32.0.1', '93.184.216.34'].forEach(address =>
+    assert.strictEqual(isPublicAddress(address), true, address));
+});
+
+test('isPublicAddress refuses internal IPv6 addresses and IPv4 mapped into IPv6', () => {
+  ['::1', '::', 'fe80::1', 'fc00::1', 'fd12:3456::1', 'ff02::1', '::ffff:127.0.0.1', '::ffff:8.8.8.8', '2001:db8::1']
+    .forEach(address => assert.strictEqual(isPublicAddress(address), false, address));
+
+  assert.strictEqual(isPublicAddress('2606:4700:4700::1111'), true);
+});
+
+test('isPublicAddress refuses anything that is not an IP address', () => {
+  assert.strictEqual(isPublicAddress('localhost'), false);
+  assert.strictEqual(isPublicAddress(''), false);
+});
+
+test('checkWebhookUrl checks IP hosts without resolving them', async () => {
+  assert.strictEqual(await checkWebhookUrl('https://8.8.8.8/hooks'), null);
+  assert.match(await checkWebhookUrl('http://127.0.0.1:3000/hooks'), /public address/);
+  assert.match(await checkWebhookUrl('http://169.254.169.254/latest/meta-data'), /public address/);
+  assert.match(await checkWebhookUrl('http://[::1]/hooks'), /public address/);
+  assert.match(await checkWebhookUrl('gopher://8.8.8.8/'), /valid http\(s\) url/);
+});
@@ -0,0 +1,215 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { buildNormalizeFilters } = require('./mediaProfile');
+
+// Corner or center of the frame the logo is placed in
+const WATERMARK_POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+const DEFAULT_POSITION = 'bottom-right';
+const DEFAULT_OPACITY = 0.8;
+// Logo width as a fraction of the video width
+const DEFAULT_SCALE = 0.15;
+const MIN_SCALE = 0.02;
+const MAX_SCALE = 0.5;
+// Gap between the logo and the edges, as a fraction of the video width
+const WATERMARK_MARGIN = 0.03;
+
+const BUMPERS = ['intro', 'outro'];
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Read the watermark settings sent with a brand kit update
+ * Settings that are not given keep their current value
+ * @param {Object} body { position, opacity, scale }
+ * @param {Object} current Current logo settings of the kit
+ * @returns {Object} { settings, error }
+ */
+const parseWatermarkSettings = ({ position, opacity, scale } = {}, current = {}) => {
+  const settings = {
+    position: position === undefined || position === '' ? current.position || DEFAULT_POSITION : position,
+    opacity: opacity === undefined || opacity === '' ? (current.opacity ?? DEFAULT_OPACITY) : Number(opacity),
+    scale: scale === undefined || scale === '' ? (current.scale ?? DEFAULT_SCALE) : Number(scale)
+  };
+
+  if (!WATERMARK_POSITIONS.includes(settings.position)) {
+    return { settings: null, error: `Unsupported position ${settings.position}. Supported: ${WATERMARK_POSITIONS.join(', ')}` };
+  }
+  if (!Number.isFinite(settings.opacity) || settings.opacity < 0 || settings.opacity > 1) {
+    return { settings: null, error: 'opacity must be a number between 0 and 1' };
+  }
+  if (!Number.isFinite(settings.scale) || settings.scale < MIN_SCALE || settings.scale > MAX_SCALE) {
+    return { settings: null, error: `scale must be a number between ${MIN_SCALE} and ${MAX_SCALE}` };
+  }
+  return { settings, error: null };
+};
+
+/**
+ * Probe an intro or outro clip
+ * @param {string} filePath
+ * @returns {Promise<Object>} { duration, hasAudio }
+ */
+const probeBumper = (filePath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        return reject(err);
+      }
+      const duration = Number(metadata.format && metadata.format.duration);
+      if (!metadata.streams.some(s => s.codec_type === 'video') || !Number.isFinite(duration) || duration <= 0) {
+        return reject(new Error(`${filePath} has no playable video`));
+      }
+      resolve({ duration, hasAudio: metadata.streams.some(s => s.codec_type === 'audio') });
+    });
+  });
+};
+
+/**
+ * Resolve the branding option of a merge request against the user's brand kit
+ * `branding: true` uses every part of the kit; an object picks parts, e.g. { watermark: true, intro: false, outro: true }
+ * @param {boolean|Object} branding Option from the request
+ * @param {Object|null} kit The user's BrandKit document
+ * @returns {Object} { branding, error } where branding is null when the video is not branded,
+ * otherwise a copy of the kit parts used so the job does not depend on later kit changes
+ */
+const resolveBrandingOptions = (branding, kit) => {
+  if (!branding) {
+    return { branding: null, error: null };
+  }
+  if (branding !== true && (typeof branding !== 'object' || Array.isArray(branding))) {
+    return { branding: null, error: 'branding must be true or an object with watermark, intro and outro flags' };
+  }
+  if (!kit) {
+    return { branding: null, error: 'No brand kit found. Upload a logo, intro or outro first' };
+  }
+
+  // With `true` every part the kit has is used, otherwise only the flagged ones
+  const wanted = (flag, part) => branding === true ? Boolean(kit[part] && kit[part].path) : branding[flag] === true;
+  const result = { watermark: null, intro: null, outro: null };
+
+  if (wanted('watermark', 'logo')) {
+    if (!kit.logo || !kit.logo.path) {
+      return { branding: null, error: 'The brand kit has no logo' };
+    }
+    const { path, position, opacity, scale } = kit.logo;
+    result.watermark = { path, position, opacity, scale };
+  }
+
+  for (const part of BUMPERS) {
+    if (!wanted(part, part)) {
+      continue;
+    }
+    if (!kit[part] || !kit[part].path) {
+      return { branding: null, error: `The brand kit has no ${part}` };
+    }
+    const { path, duration, hasAudio } = kit[part];
+    result[part] = { path, duration, hasAudio };
+  }
+
+  return { branding: result.watermark || result.intro || result.outro ? result : null, error: null };
+};
+
+/**
+ * Give a job its own copy of the brand kit files it uses
+ * Files are hard linked when possible, so the kit can replace or delete them while the job is queued or resumed
+ * @param {Object} branding From resolveBrandingOptions
+ * @param {string} dir Directory of the job, created if needed
+ * @returns {Object} branding with its paths inside dir
+ */
+const copyBrandingFiles = (branding, dir) => {
+  fs.mkdirSync(dir, { recursive: true });
+  const copy = { ...branding };
+
+  for (const part of ['watermark', ...BUMPERS]) {
+    if (!branding[part]) {
+      continue;
+    }
+    const source = branding[part].path;
+    const target = path.join(dir, `${part}${path.extname(source)}`);
+    if (!fs.existsSync(source)) {
+      throw new Error(`Brand kit ${part === 'watermark' ? 'logo' : part} not found: ${source}`);
+    }
+    try {
+      fs.linkSync(source, target);
+    } catch (error) {
+      // Links do not work across devices
+      fs.copyFileSync(source, target);
+    }
+    copy[part] = { ...branding[part], path: target };
+  }
+  return copy;
+};
+
+// overlay position of the logo for each supported corner
+const getOverlayPosition = (position, margin) => {
+  switch (position) {
+    case 'top-left':
+      return `${margin}:${margin}`;
+    case 'top-right':
+      return `W-w-${margin}:${margin}`;
+    case 'bottom-left':
+      return `${margin}:H-h-${margin}`;
+    case 'center':
+      return '(W-w)/2:(H-h)/2';
+    case 'bottom-right':
+    default:
+      return `W-w-${margin}:H-h-${margin}`;
+  }
+};
+
+/**
+ * Build the filter graph that overlays the brand kit logo on a video stream
+ * The logo input should be looped (-loop 1) so it lasts as long as the video
+ * @param {Object} watermark { position, opacity, scale } from resolveBrandingOptions
+ * @param {string} logo Label of the logo input, e.g. '3:v'
+ * @param {string} input Label of the video stream
+ * @param {string} output Output stream label
+ * @param {Object} frame { width, height } of the video stream
+ * @returns {Array<string>} Filters for complexFilter
+ */
+const buildWatermarkFilters = (watermark, logo, input, output, frame) => {
+  const margin = Math.round(frame.width * WATERMARK_MARGIN);
+  return [
+    `[${logo}]scale=${even(frame.width * watermark.scale)}:-2,format=rgba,colorchannelmixer=aa=${watermark.opacity}[${output}_logo]`,
+    `[${input}][${output}_logo]overlay=${getOverlayPosition(watermark.position, margin)}:shortest=1:format=auto[${output}]`
+  ];
+};
+
+/**
+ * Build the filters that bring an intro or outro to the output profile
+ * Bumpers without an audio track get silence so every concat segment has audio
+ * @param {Object} bumper { duration, hasAudio } from resolveBrandingOptions
+ * @param {number} index Input index of the bumper
+ * @param {string} output Prefix of the output labels; the streams are [<output>v] and [<output>a]
+ * @param {Object} target { width, height, fps } from pickTargetProfile
+ * @returns {Array<string>} Filters for complexFilter
+ */
+const buildBumperFilters = (bumper, index, output, target) => {
+  return buildNormalizeFilters(index, bumper, target, output).filters;
+};
+
+/**
+ * Branding settings as recorded on a project
+ * @param {Object} branding From resolveBrandingOptions
+ * @returns {Object}
+ */
+const getBrandingMetadata = (branding) => ({
+  watermark: branding.watermark
+    ? { position: branding.watermark.position, opacity: branding.watermark.opacity, scale: branding.watermark.scale }
+    : undefined,
+  introDuration: branding.intro ? round(branding.intro.duration) : 0,
+  outroDuration: branding.outro ? round(branding.outro.duration) : 0
+});
+
+module.exports = {
+  WATERMARK_POSITIONS,
+  parseWatermarkSettings,
+  probeBumper,
+  resolveBrandingOptions,
+  copyBrandingFiles,
+  buildWatermarkFilters,
+  buildBumperFilters,
+  getBrandingMetadata
+};
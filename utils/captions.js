@@ -0,0 +1,725 @@
+const fs = require('fs');
+const ffmpeg = require('fluent-ffmpeg');
+const mongoose = require('mongoose');
+const Video = require('../model/uploadVideosSchema');
+const Transcript = require('../model/Transcript');
+const { ASPECT_RATIOS, VIDEO_ENCODE_OPTIONS, buildReframeFilter, applyReframe } = require('./reframe');
+
+// Sizes are given for a 1080px frame and scaled to the output frame
+const CAPTION_PRESETS = {
+  classic: {
+    fontName: 'Arial',
+    fontSize: 54,
+    bold: false,
+    uppercase: false,
+    primaryColor: '#FFFFFF',
+    outlineColor: '#000000',
+    outline: 3,
+    shadow: 1,
+    boxed: false,
+    position: 'bottom',
+    karaoke: false,
+    highlightColor: '#FFE600',
+    maxWordsPerLine: 7
+  },
+  boxed: {
+    fontName: 'Arial',
+    fontSize: 50,
+    bold: false,
+    uppercase: false,
+    primaryColor: '#FFFFFF',
+    outlineColor: '#000000',
+    outline: 10,
+    shadow: 0,
+    boxed: true,
+    position: 'bottom',
+    karaoke: false,
+    highlightColor: '#FFE600',
+    maxWordsPerLine: 7
+  },
+  bold: {
+    fontName: 'Arial',
+    fontSize: 72,
+    bold: true,
+    uppercase: true,
+    primaryColor: '#FFFFFF',
+    outlineColor: '#000000',
+    outline: 5,
+    shadow: 2,
+    boxed: false,
+    position: 'middle',
+    karaoke: false,
+    highlightColor: '#FFE600',
+    maxWordsPerLine: 4
+  },
+  karaoke: {
+    fontName: 'Arial',
+    fontSize: 72,
+    bold: true,
+    uppercase: true,
+    primaryColor: '#FFFFFF',
+    outlineColor: '#000000',
+    outline: 5,
+    shadow: 2,
+    boxed: false,
+    position: 'bottom',
+    karaoke: true,
+    highlightColor: '#FFE600',
+    maxWordsPerLine: 4
+  }
+};
+
+const DEFAULT_PRESET = 'classic';
+
+// ASS alignment (numpad layout) and vertical margin, as a fraction of the frame height
+const POSITIONS = {
+  bottom: { alignment: 2, margin: 0.08 },
+  middle: { alignment: 5, margin: 0 },
+  top: { alignment: 8, margin: 0.08 }
+};
+
+// Frame size assumed when the source cannot be probed
+const DEFAULT_FRAME = { width: 1920, height: 1080 };
+
+// A pause longer than this starts a new caption line
+const MAX_WORD_GAP = 0.8;
+const MAX_LINE_LENGTH = 42;
+
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * Read the caption options of a merge request
+ * Accepts true (default preset), a preset name, or { preset, ...style overrides }
+ * @param {boolean|string|Object} captions
+ * @returns {Object} { captions, error } where captions is null when no captions are burned in
+ */
+const parseCaptionOptions = (captions) => {
+  if (!captions) {
+    return { captions: null, error: null };
+  }
+
+  const options = captions === true ? {} : typeof captions === 'string' ? { preset: captions } : captions;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { captions: null, error: 'captions must be true, a preset name or an object' };
+  }
+
+  const preset = options.preset || DEFAULT_PRESET;
+  if (!CAPTION_PRESETS[preset]) {
+    return { captions: null, error: `Unsupported caption preset ${preset}. Supported: ${Object.keys(CAPTION_PRESETS).join(', ')}` };
+  }
+
+  const style = { ...CAPTION_PRESETS[preset], preset };
+
+  if (options.fontName !== undefined) {
+    if (typeof options.fontName !== 'string' || !/^[\w \-]{1,64}$/.test(options.fontName)) {
+      return { captions: null, error: 'fontName must be a font family name' };
+    }
+    style.fontName = options.fontName;
+  }
+
+  if (options.fontSize !== undefined) {
+    if (typeof options.fontSize !== 'number' || options.fontSize < 12 || options.fontSize > 200) {
+      return { captions: null, error: 'fontSize must be a number between 12 and 200' };
+    }
+    style.fontSize = options.fontSize;
+  }
+
+  if (options.position !== undefined) {
+    if (!POSITIONS[options.position]) {
+      return { captions: null, error: `Unsupported caption position ${options.position}. Supported: ${Object.keys(POSITIONS).join(', ')}` };
+    }
+    style.position = options.position;
+  }
+
+  for (const key of ['primaryColor', 'outlineColor', 'highlightColor']) {
+    if (options[key] !== undefined) {
+      if (!COLOR_PATTERN.test(options[key])) {
+        return { captions: null, error: `${key} must be a hex color like #FFFFFF` };
+      }
+      style[key] = options[key];
+    }
+  }
+
+  for (const key of ['bold', 'uppercase', 'karaoke']) {
+    if (options[key] !== undefined) {
+      style[key] = Boolean(options[key]);
+    }
+  }
+
+  if (options.maxWordsPerLine !== undefined) {
+    if (!Number.isInteger(options.maxWordsPerLine) || options.maxWordsPerLine < 1 || options.maxWordsPerLine > 15) {
+      return { captions: null, error: 'maxWordsPerLine must be an integer between 1 and 15' };
+    }
+    style.maxWordsPerLine = options.maxWordsPerLine;
+  }
+
+  return { captions: style, error: null };
+};
+
+// Spread the words of a timed segment evenly over it, weighted by length
+const splitSegment = (text, start, end) => {
+  const tokens = String(text || '').split(/\s+/).filter(Boolean);
+  const totalLength = tokens.reduce((sum, token) => sum + token.length, 0);
+  let cursor = start;
+
+  return tokens.map(token => {
+    const duration = (end - start) * (token.length / totalLength);
+    const word = { text: token, start: cursor, end: cursor + duration };
+    cursor += duration;
+    return word;
+  });
+};
+
+const decodeEntities = (text) => String(text)
+  .replace(/&amp;/g, '&')
+  .replace(/&#39;/g, "'")
+  .replace(/&quot;/g, '"')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>');
+
+/**
+ * Turn a stored transcript into timed words (in seconds of the source video)
+ * Handles AssemblyAI transcripts of uploaded videos (word timestamps in ms)
+ * and YouTube segment lists ({ text, start, duration } in seconds)
+ * @param {Object|Array} transcript
+ * @returns {Array} [{ text, start, end }]
+ */
+const transcriptToWords = (transcript) => {
+  if (!transcript) {
+    return [];
+  }
+
+  if (Array.isArray(transcript.words) && transcript.words.length > 0) {
+    return transcript.words
+      .filter(word => word.text)
+      .map(word => ({ text: word.text, start: word.start / 1000, end: word.end / 1000 }));
+  }
+
+  if (Array.isArray(transcript.segments)) {
+    return transcript.segments.flatMap(segment => splitSegment(segment.text, segment.start / 1000, segment.end / 1000));
+  }
+
+  if (Array.isArray(transcript)) {
+    return transcript.flatMap(segment => {
+      const start = Number(segment.start);
+      const end = start + Number(segment.duration || 0);
+      return Number.isFinite(start) && end > start ? splitSegment(decodeEntities(segment.text), start, end) : [];
+    });
+  }
+
+  return [];
+};
+
+/**
+ * Load the timed words of a source video: the transcript of an uploaded video,
+ * or the cached transcript of a YouTube video
+ * @param {string} videoId UploadedVideo id or YouTube video id
+ * @returns {Promise<Array>} [{ text, start, end }], empty when no transcript is available
+ */
+const loadTranscriptWords = async (videoId) => {
+  if (mongoose.connection.readyState !== 1) {
+    return [];
+  }
+
+  try {
+    if (mongoose.Types.ObjectId.isValid(videoId) && String(videoId).length === 24) {
+      const video = await Video.findById(videoId).select('transcript').lean();
+      if (video) {
+        return transcriptToWords(video.transcript);
+      }
+    }
+
+    const cached = await Transcript.findOne({ videoId, status: 'success' }).sort({ fetchedAt: -1 }).lean();
+    return cached ? transcriptToWords(cached.transcript) : [];
+  } catch (error) {
+    console.error(`Failed to load transcript of ${videoId}:`, error.message);
+    return [];
+  }
+};
+
+/**
+ * Keep the words spoken between startTime and endTime, shifted to start at 0
+ * @param {Array} words [{ text, start, end }] in seconds of the source video
+ * @param {number} startTime Clip start in the source video
+ * @param {number} endTime Clip end in the source video
+ * @returns {Array} Words on the clip's own timeline
+ */
+const retimeWords = (words, startTime, endTime) => {
+  return words
+    .filter(word => word.end > startTime && word.start < endTime)
+    .map(word => ({
+      text: word.text,
+      start: Math.max(0, word.start - startTime),
+      end: Math.min(endTime, word.end) - startTime
+    }))
+    .filter(word => word.end > word.start);
+};
+
+// Group words into caption lines, breaking on pauses, sentence ends and line length
+const groupLines = (words, maxWordsPerLine) => {
+  const lines = [];
+  let line = [];
+
+  words.forEach((word, i) => {
+    const previous = words[i - 1];
+    const length = line.reduce((sum, item) => sum + item.text.length + 1, 0) + word.text.length;
+    const startsNewLine = line.length > 0 && (
+      line.length >= maxWordsPerLine ||
+      length > MAX_LINE_LENGTH ||
+      word.start - previous.end > MAX_WORD_GAP ||
+      /[.!?]$/.test(previous.text)
+    );
+
+    if (startsNewLine) {
+      lines.push(line);
+      line = [];
+    }
+    line.push(word);
+  });
+
+  if (line.length > 0) {
+    lines.push(line);
+  }
+  return lines;
+};
+
+// '#RRGGBB' -> ASS '&H00BBGGRR'
+const toAssColor = (hex, alpha = '00') => `&H${alpha}${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}`.toUpperCase();
+
+// '#RRGGBB' -> '&HBBGGRR&' as used in override tags
+const toOverrideColor = (hex) => `&H${hex.slice(5, 7)}${hex.slice(3, 5)}${hex.slice(1, 3)}&`.toUpperCase();
+
+const formatAssTime = (seconds) => {
+  const centiseconds = Math.round(seconds * 100);
+  const h = Math.floor(centiseconds / 360000);
+  const m = Math.floor(centiseconds / 6000) % 60;
+  const s = Math.floor(centiseconds / 100) % 60;
+  const cs = centiseconds % 100;
+  return `${h}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}.${String(cs).padStart(2, '0')}`;
+};
+
+// Braces start override blocks and backslashes start tags in ASS text
+const escapeAssText = (text) => text.replace(/[{}]/g, '').replace(/\\/g, '⧵').replace(/\s+/g, ' ');
+
+/**
+ * Render timed words as an ASS subtitle document
+ * In karaoke mode every word gets its own event, showing the whole line with the current word highlighted
+ * @param {Array} words [{ text, start, end }] on the clip's timeline
+ * @param {Object} captions Style from parseCaptionOptions
+ * @param {Object} frame { width, height } of the video the captions are burned into
+ * @returns {string} ASS document
+ */
+const buildAssSubtitles = (words, captions, frame = DEFAULT_FRAME) => {
+  const format = (text) => escapeAssText(captions.uppercase ? text.toUpperCase() : text);
+
+  const events = [];
+  groupLines(words, captions.maxWordsPerLine).forEach(line => {
+    const lineEnd = line[line.length - 1].end;
+
+    if (!captions.karaoke) {
+      events.push({ start: line[0].start, end: lineEnd, text: line.map(word => format(word.text)).join(' ') });
+      return;
+    }
+
+    line.forEach((current, i) => {
+      const end = i < line.length - 1 ? line[i + 1].start : lineEnd;
+      const text = line.map(word => word === current
+        ? `{\\c${toOverrideColor(captions.highlightColor)}}${format(word.text)}{\\r}`
+        : format(word.text)).join(' ');
+      events.push({ start: current.start, end: Math.max(end, current.start + 0.01), text });
+    });
+  });
+
+  return renderAssDocument(events, captions, frame);
+};
+
+// ASS document with a single 'Default' style built from the caption options
+const renderAssDocument = (events, captions, frame) => {
+  const { width, height } = frame;
+  const scale = Math.min(width, height) / 1080;
+  const position = POSITIONS[captions.position];
+
+  const style = [
+    'Default',
+    captions.fontName,
+    Math.round(captions.fontSize * scale),
+    toAssColor(captions.primaryColor),
+    toAssColor(captions.highlightColor),
+    toAssColor(captions.outlineColor),
+    // Semi-transparent box behind boxed captions, plain shadow otherwise
+    toAssColor(captions.outlineColor, captions.boxed ? '60' : '80'),
+    captions.bold ? -1 : 0, 0, 0, 0,
+    100, 100, 0, 0,
+    captions.boxed ? 3 : 1,
+    Math.round(captions.outline * scale),
+    Math.round(captions.shadow * scale),
+    position.alignment,
+    Math.round(width * 0.05), Math.round(width * 0.05), Math.round(height * position.margin),
+    1
+  ].join(',');
+
+  return [
+    '[Script Info]',
+    'ScriptType: v4.00+',
+    `PlayResX: ${width}`,
+    `PlayResY: ${height}`,
+    'WrapStyle: 0',
+    'ScaledBorderAndShadow: yes',
+    '',
+    '[V4+ Styles]',
+    'Format: Name, Fontname, Fontsize, PrimaryColour, SecondaryColour, OutlineColour, BackColour, Bold, Italic, Underline, StrikeOut, ScaleX, ScaleY, Spacing, Angle, BorderStyle, Outline, Shadow, Alignment, MarginL, MarginR, MarginV, Encoding',
+    `Style: ${style}`,
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    ...events.map(event => `Dialogue: 0,${formatAssTime(event.start)},${formatAssTime(event.end)},Default,,0,0,0,,${event.text}`),
+    ''
+  ].join('\n');
+};
+
+// Downloadable caption formats
+const CAPTION_FORMATS = {
+  srt: { contentType: 'application/x-subrip; charset=utf-8', extension: 'srt' },
+  vtt: { contentType: 'text/vtt; charset=utf-8', extension: 'vtt' },
+  ass: { contentType: 'text/x-ssa; charset=utf-8', extension: 'ass' }
+};
+
+// Common subtitle guidelines: at most 2 lines of 42 characters, on screen for at most 7 seconds
+const DEFAULT_EXPORT_OPTIONS = { maxLineLength: 42, maxLines: 2, maxDuration: 7 };
+
+const EXPORT_LIMITS = {
+  maxLineLength: { min: 10, max: 120 },
+  maxLines: { min: 1, max: 4 },
+  maxDuration: { min: 1, max: 30 }
+};
+
+/**
+ * Read the format and wrapping rules of a caption export request
+ * @param {Object} query { format, maxLineLength, maxLines, maxDuration, preset }
+ * @returns {Object} { format, options, error }
+ */
+const parseExportOptions = (query = {}) => {
+  const format = (query.format || 'srt').toLowerCase();
+  if (!CAPTION_FORMATS[format]) {
+    return { error: `Unsupported caption format ${format}. Supported: ${Object.keys(CAPTION_FORMATS).join(', ')}` };
+  }
+
+  const options = { ...DEFAULT_EXPORT_OPTIONS };
+  for (const [key, { min, max }] of Object.entries(EXPORT_LIMITS)) {
+    if (query[key] === undefined) {
+      continue;
+    }
+    const value = Number(query[key]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      return { error: `${key} must be a number between ${min} and ${max}` };
+    }
+    options[key] = key === 'maxDuration' ? value : Math.floor(value);
+  }
+
+  // ASS files carry a style; the burn-in presets are reused for it
+  const { captions, error } = parseCaptionOptions(query.preset || true);
+  if (error) {
+    return { error };
+  }
+  options.style = captions;
+
+  return { format, options, error: null };
+};
+
+// Greedily fill lines of at most maxLineLength characters
+const wrapWords = (words, maxLineLength) => {
+  const lines = [];
+  words.forEach(word => {
+    const last = lines[lines.length - 1];
+    if (last && last.length + 1 + word.text.length <= maxLineLength) {
+      lines[lines.length - 1] = `${last} ${word.text}`;
+    } else {
+      lines.push(word.text);
+    }
+  });
+  return lines;
+};
+
+/**
+ * Group timed words into subtitle cues that respect the wrapping rules
+ * A cue also ends at a sentence end or a pause in speech
+ * @param {Array} words [{ text, start, end }]
+ * @param {Object} options { maxLineLength, maxLines, maxDuration }
+ * @returns {Array} [{ start, end, lines }]
+ */
+const buildCues = (words, { maxLineLength, maxLines, maxDuration } = DEFAULT_EXPORT_OPTIONS) => {
+  const cues = [];
+  let current = [];
+
+  const flush = () => {
+    if (current.length > 0) {
+      cues.push({
+        start: current[0].start,
+        end: current[current.length - 1].end,
+        lines: wrapWords(current, maxLineLength)
+      });
+      current = [];
+    }
+  };
+
+  words.forEach(word => {
+    const previous = current[current.length - 1];
+    if (previous && (
+      word.start - previous.end > MAX_WORD_GAP ||
+      /[.!?]$/.test(previous.text) ||
+      word.end - current[0].start > maxDuration ||
+      wrapWords([...current, word], maxLineLength).length > maxLines
+    )) {
+      flush();
+    }
+    current.push({ ...word, text: String(word.text).replace(/\s+/g, ' ').trim() });
+  });
+  flush();
+
+  // Cues must not overlap, and each one needs a visible duration
+  cues.forEach((cue, i) => {
+    const next = cues[i + 1];
+    if (next && cue.end > next.start) {
+      cue.end = next.start;
+    }
+    cue.end = Math.max(cue.end, cue.start + 0.1);
+  });
+
+  return cues;
+};
+
+const formatTimestamp = (seconds, separator) => {
+  const ms = Math.round(seconds * 1000);
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor(ms / 60000) % 60;
+  const s = Math.floor(ms / 1000) % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}:${String(s).padStart(2, '0')}${separator}${String(ms % 1000).padStart(3, '0')}`;
+};
+
+/**
+ * Render timed words as a downloadable caption file
+ * @param {Array} words [{ text, start, end }] on the timeline of the exported video
+ * @param {string} format One of CAPTION_FORMATS
+ * @param {Object} options From parseExportOptions, plus an optional frame { width, height } for ASS
+ * @returns {string} File contents
+ */
+const formatCaptions = (words, format, options = DEFAULT_EXPORT_OPTIONS) => {
+  const cues = buildCues(words, options);
+
+  if (format === 'vtt') {
+    return ['WEBVTT', '', ...cues.map(cue => [
+      `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}`,
+      ...cue.lines.map(line => line.replace(/-->/g, '->')),
+      ''
+    ].join('\n'))].join('\n');
+  }
+
+  if (format === 'ass') {
+    const style = options.style || CAPTION_PRESETS[DEFAULT_PRESET];
+    const formatLine = (text) => escapeAssText(style.uppercase ? text.toUpperCase() : text);
+    const events = cues.map(cue => ({ start: cue.start, end: cue.end, text: cue.lines.map(formatLine).join('\\N') }));
+    return renderAssDocument(events, style, options.frame || DEFAULT_FRAME);
+  }
+
+  return cues.map((cue, i) => [
+    i + 1,
+    `${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}`,
+    ...cue.lines,
+    ''
+  ].join('\n')).join('\n');
+};
+
+// Attachment file name for an exported caption file, e.g. 'My_video.srt'
+const getCaptionFileName = (title, format) => {
+  const base = String(title || 'captions').replace(/[^\w\-]+/g, '_').replace(/^_+|_+$/g, '').substring(0, 100);
+  return `${base || 'captions'}.${CAPTION_FORMATS[format].extension}`;
+};
+
+// Take the ranges a merge cut out of a clip out of its clip-relative words; words said in a cut are dropped
+const cutWords = (words, removed, startTime) => {
+  const cuts = removed.map(range => ({ start: range.start - startTime, end: range.end - startTime }));
+  const shift = (time) => cuts.reduce((result, cut) => result - Math.max(0, Math.min(time, cut.end) - cut.start), time);
+  return words
+    .filter(word => !cuts.some(cut => (word.start + word.end) / 2 >= cut.start && (word.start + word.end) / 2 < cut.end))
+    .map(word => ({ text: word.text, start: shift(word.start), end: shift(word.end) }))
+    .filter(word => word.end > word.start);
+};
+
+/**
+ * Copy where each clip plays in a merged video onto project sourceClips that match by video and time range
+ * @param {Array} sourceClips Clips of the project
+ * @param {Array} timeline [{ videoId, startTime, endTime, mergedStart, removed }] from a merge job result
+ * @returns {Array} The source clips
+ */
+const attachClipTimeline = (sourceClips, timeline) => {
+  if (!Array.isArray(sourceClips) || !Array.isArray(timeline)) {
+    return sourceClips;
+  }
+
+  return sourceClips.map(clip => {
+    const match = clip && timeline.find(item =>
+      String(item.videoId) === String(clip.videoId) &&
+      Number(item.startTime) === Number(clip.startTime) &&
+      Number(item.endTime) === Number(clip.endTime));
+    return match ? { ...clip, mergedStart: match.mergedStart, removed: match.removed } : clip;
+  });
+};
+
+/**
+ * Lay the transcript words of merged clips out on the timeline of the merged video
+ * Clips with a mergedStart are placed there, which takes transitions into account; others follow the clip before them.
+ * Ranges a merge removed from a clip are taken out of its words
+ * @param {Array} clips [{ videoId, startTime, endTime, mergedStart, removed }] in merge order
+ * @param {Object} [options]
+ * @param {number} [options.startOffset] Where the first clip starts in the merged video, e.g. after an intro
+ * @param {Function} [options.getWords] async (videoId) => timed words of the source video
+ * @returns {Promise<Array>} [{ text, start, end }]
+ */
+const buildMergedWords = async (clips, { startOffset = 0, getWords = loadTranscriptWords } = {}) => {
+  const wordsByVideo = new Map();
+  const merged = [];
+  let offset = startOffset;
+
+  for (const clip of clips) {
+    const startTime = Number(clip.startTime) || 0;
+    const endTime = Number(clip.endTime);
+    if (!Number.isFinite(endTime) || endTime <= startTime) {
+      continue;
+    }
+
+    // A clip placed by the merge starts there, else a title card before it pushes it back
+    if (Number.isFinite(clip.mergedStart)) {
+      offset = clip.mergedStart;
+    } else if (clip.titleCard && clip.titleCard.duration) {
+      offset += Number(clip.titleCard.duration) || 0;
+    }
+
+    if (!wordsByVideo.has(clip.videoId)) {
+      wordsByVideo.set(clip.videoId, await getWords(clip.videoId));
+    }
+
+    const removed = Array.isArray(clip.removed) ? clip.removed : [];
+    const words = retimeWords(wordsByVideo.get(clip.videoId), startTime, endTime);
+    (removed.length > 0 ? cutWords(words, removed, startTime) : words).forEach(word => {
+      merged.push({ text: word.text, start: word.start + offset, end: word.end + offset });
+    });
+    offset += endTime - startTime - removed.reduce((sum, range) => sum + range.end - range.start, 0);
+  }
+
+  return merged;
+};
+
+/**
+ * Probe the displayed frame size of a video, taking rotation metadata into account
+ * @param {string} videoPath
+ * @returns {Promise<Object>} { width, height }, DEFAULT_FRAME if the video cannot be probed
+ */
+const probeFrameSize = (videoPath) => {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(videoPath, (err, metadata) => {
+      const stream = !err && metadata.streams.find(s => s.codec_type === 'video');
+      if (!stream || !stream.width || !stream.height) {
+        return resolve(DEFAULT_FRAME);
+      }
+
+      const sideData = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+      const rotation = Math.abs(Number((stream.tags && stream.tags.rotate) || (sideData && sideData.rotation) || 0));
+      resolve(rotation % 180 === 90
+        ? { width: stream.height, height: stream.width }
+        : { width: stream.width, height: stream.height });
+    });
+  });
+};
+
+/**
+ * Write the ASS captions of one clip
+ * @param {Object} options
+ * @param {Array} options.words Timed words of the source video, from loadTranscriptWords
+ * @param {number} options.startTime Clip start in the source video
+ * @param {number} options.endTime Clip end in the source video (Infinity for the whole video)
+ * @param {Object} options.captions Style from parseCaptionOptions
+ * @param {Object|null} options.reframe Reframing of the clip; its frame size is used when set
+ * @param {string} options.videoPath Source video, probed for its frame size when the clip is not reframed
+ * @param {string} options.outputPath Where to write the .ass file
+ * @returns {Promise<string|null>} outputPath, or null when nothing is spoken in the clip
+ */
+const createClipSubtitles = async ({ words, startTime = 0, endTime = Infinity, captions, reframe, videoPath, outputPath }) => {
+  const clipWords = retimeWords(words, startTime, endTime);
+  if (clipWords.length === 0) {
+    return null;
+  }
+
+  const frame = reframe ? ASPECT_RATIOS[reframe.aspectRatio] : await probeFrameSize(videoPath);
+  fs.writeFileSync(outputPath, buildAssSubtitles(clipWords, captions, frame));
+  return outputPath;
+};
+
+// Paths are escaped once as a filter option value and once more for the filter graph
+const escapeFilterPath = (filePath) => filePath
+  .replace(/\\/g, '/')
+  .replace(/[:']/g, '\\$&')
+  .replace(/[\\'[\],;]/g, '\\$&');
+
+/**
+ * Build the filter that burns an ASS file into a video stream
+ * @param {string} subtitlesPath .ass file from createClipSubtitles
+ * @param {string} input Input stream label
+ * @param {string} output Output stream label
+ * @returns {string} Filter graph usable with complexFilter
+ */
+const buildCaptionFilter = (subtitlesPath, input, output) => {
+  return `[${input}]ass=filename=${escapeFilterPath(subtitlesPath)}[${output}]`;
+};
+
+/**
+ * Burn captions into the video of a single-input fluent-ffmpeg command, after reframing it if requested
+ * Falls back to applyReframe when there are no captions and no text filter
+ * @param {Object} command fluent-ffmpeg command
+ * @param {Object|null} reframe { aspectRatio, fit, cropBox }
+ * @param {string|null} subtitlesPath .ass file from createClipSubtitles
+ * @param {Function|null} [textFilter] (input, output) => filter graph drawn over the captions, e.g. text overlays
+ * @returns {Object} The command
+ */
+const applyCaptions = (command, reframe, subtitlesPath, textFilter = null) => {
+  if (!subtitlesPath && !textFilter) {
+    return applyReframe(command, reframe);
+  }
+
+  const filters = [];
+  let input = '0:v';
+  if (reframe) {
+    filters.push(buildReframeFilter(reframe, input, 'reframed'));
+    input = 'reframed';
+  }
+  if (subtitlesPath) {
+    filters.push(buildCaptionFilter(subtitlesPath, input, 'captioned'));
+    input = 'captioned';
+  }
+  if (textFilter) {
+    filters.push(textFilter(input, 'texted'));
+    input = 'texted';
+  }
+
+  return command
+    .complexFilter(filters.join(';'), input)
+    .outputOptions(['-map', '0:a?', ...VIDEO_ENCODE_OPTIONS]);
+};
+
+module.exports = {
+  CAPTION_PRESETS,
+  CAPTION_FORMATS,
+  parseCaptionOptions,
+  parseExportOptions,
+  transcriptToWords,
+  loadTranscriptWords,
+  retimeWords,
+  buildAssSubtitles,
+  formatCaptions,
+  getCaptionFileName,
+  attachClipTimeline,
+  buildMergedWords,
+  probeFrameSize,
+  createClipSubtitles,
+  buildCaptionFilter,
+  applyCaptions
+};
@@ -0,0 +1,166 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+
+// Longest chapter title taken from a clip's transcript text
+const MAX_TITLE_LENGTH = 60;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Title of the chapter of a clip: its own title, else the start of its transcript text
+ * @param {Object} clip { title, transcriptText }
+ * @param {number} index Position of the clip in the merge
+ * @returns {string}
+ */
+const getChapterTitle = (clip, index) => {
+  if (clip.title && String(clip.title).trim()) {
+    return String(clip.title).trim();
+  }
+  const text = String(clip.transcriptText || '').replace(/\s+/g, ' ').trim();
+  if (text) {
+    return text.length > MAX_TITLE_LENGTH ? `${text.slice(0, MAX_TITLE_LENGTH - 1).trim()}…` : text;
+  }
+  return `Clip ${index + 1}`;
+};
+
+/**
+ * Text spoken during part of a video
+ * @param {Array} words [{ text, start, end }] from transcriptToWords
+ * @param {number} startTime
+ * @param {number} endTime
+ * @returns {string}
+ */
+const getTranscriptText = (words, startTime, endTime) => {
+  return (words || [])
+    .filter(word => word.end > startTime && word.start < endTime)
+    .map(word => word.text)
+    .join(' ');
+};
+
+/**
+ * Where each segment of a merged video starts
+ * A transition overlaps two segments, so the next one starts that much earlier
+ * @param {Array} segments [{ duration }] in playback order
+ * @param {Array|null} [transitions] One { duration } per boundary between segments, null entries being cuts
+ * @returns {Array<number>} Start of each segment in seconds, followed by the end of the video
+ */
+const getSegmentStarts = (segments, transitions = null) => {
+  const starts = [];
+  let position = 0;
+
+  segments.forEach((segment, i) => {
+    if (i > 0) {
+      const transition = transitions && transitions[i - 1];
+      position -= transition ? transition.duration : 0;
+    }
+    starts.push(round(position));
+    position += segment.duration;
+  });
+
+  starts.push(round(position));
+  return starts;
+};
+
+/**
+ * Lay out the chapters of a merged video
+ * Segments are given in playback order; a segment without a title belongs to the chapter before it,
+ * e.g. a clip after its title card
+ * @param {Array} segments [{ title, duration }]
+ * @param {Array|null} [transitions] One { duration } per boundary between segments, null entries being cuts
+ * @returns {Array} [{ title, start, end }] in seconds
+ */
+const layoutChapters = (segments, transitions = null) => {
+  const starts = getSegmentStarts(segments, transitions);
+  const chapters = [];
+
+  segments.forEach((segment, i) => {
+    if (segment.title || chapters.length === 0) {
+      if (chapters.length > 0) {
+        chapters[chapters.length - 1].end = starts[i];
+      }
+      chapters.push({ title: segment.title || 'Start', start: starts[i] });
+    }
+  });
+
+  if (chapters.length > 0) {
+    chapters[chapters.length - 1].end = starts[segments.length];
+  }
+  return chapters.filter(chapter => chapter.end > chapter.start);
+};
+
+// ffmetadata escapes '=', ';', '#', '\' and newlines with a backslash
+const escapeMetadata = (value) => String(value).replace(/[=;#\\\n]/g, (char) => `\\${char}`);
+
+/**
+ * Write an ffmetadata file with global tags and chapters, for ffmpeg's -map_metadata and -map_chapters
+ * @param {string} filePath
+ * @param {Object} options
+ * @param {Object} [options.tags] Global tags, e.g. { title, comment }; empty values are left out
+ * @param {Array} [options.chapters] From layoutChapters
+ * @returns {string} filePath
+ */
+const writeFfmetadata = (filePath, { tags = {}, chapters = [] } = {}) => {
+  const lines = [';FFMETADATA1'];
+  Object.entries(tags).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') {
+      lines.push(`${key}=${escapeMetadata(value)}`);
+    }
+  });
+  chapters.forEach(chapter => {
+    lines.push(
+      '[CHAPTER]',
+      'TIMEBASE=1/1000',
+      `START=${Math.round(chapter.start * 1000)}`,
+      `END=${Math.round(chapter.end * 1000)}`,
+      `title=${escapeMetadata(chapter.title)}`
+    );
+  });
+  fs.writeFileSync(filePath, `${lines.join('\n')}\n`);
+  return filePath;
+};
+
+/**
+ * Copy a video with the chapters and tags of an ffmetadata file, without re-encoding it
+ * @param {string} inputPath
+ * @param {string} outputPath Must differ from inputPath
+ * @param {string} metadataPath From writeFfmetadata
+ * @param {Object} [options]
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<string>} outputPath
+ */
+const embedChapters = (inputPath, outputPath, metadataPath, { track } = {}) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+
+    command
+      .input(metadataPath)
+      .inputOptions(['-f', 'ffmetadata'])
+      .outputOptions([
+        '-map', '0',
+        '-map_metadata', '1',
+        '-map_chapters', '1',
+        '-c', 'copy',
+        '-movflags', '+faststart'
+      ])
+      .output(outputPath)
+      .on('end', () => {
+        untrack();
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+module.exports = {
+  getChapterTitle,
+  getTranscriptText,
+  getSegmentStarts,
+  layoutChapters,
+  writeFfmetadata,
+  embedChapters
+};
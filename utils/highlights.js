@@ -0,0 +1,260 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+const DEFAULT_CLIP_LENGTH = 30;
+const MIN_CLIP_LENGTH = 5;
+const MAX_CLIP_LENGTH = 120;
+const DEFAULT_COUNT = 3;
+const MAX_COUNT = 10;
+
+// How much each signal counts towards a window's score; signals that are not available are left out
+const WEIGHTS = { loudness: 0.35, speech: 0.4, keywords: 0.25 };
+// Silence measures as -inf dB and is counted as this
+const SILENCE_LEVEL = -60;
+// Windows start this many times per clip length, so a highlight is never far from a window start
+const WINDOWS_PER_CLIP = 6;
+
+const STOPWORDS = new Set([
+  'about', 'after', 'again', 'also', 'been', 'before', 'being', 'best', 'clip', 'clips', 'could', 'create', 'does',
+  'each', 'engaging', 'find', 'from', 'generate', 'have', 'highlight', 'highlights', 'into', 'just', 'last', 'like',
+  'make', 'moment', 'moments', 'more', 'most', 'only', 'other', 'over', 'part', 'second', 'seconds', 'should',
+  'some', 'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'very', 'video',
+  'want', 'what', 'when', 'where', 'which', 'while', 'with', 'would', 'your'
+]);
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const countWords = (text) => String(text || '').split(/\s+/).filter(Boolean).length;
+
+/**
+ * Pick the words of a prompt worth looking for in a transcript
+ * @param {string} prompt
+ * @returns {Array<string>} Lowercase keywords
+ */
+const extractKeywords = (prompt) => {
+  const words = String(prompt || '').toLowerCase().match(/[a-z][a-z'-]{3,}/g) || [];
+  return [...new Set(words.filter(word => !STOPWORDS.has(word)))].slice(0, 20);
+};
+
+/**
+ * Read the per-second loudness printed by ffmpeg's astats and ametadata=print filters
+ * @param {Array<string>} lines ffmpeg stderr lines
+ * @returns {Array} [{ time, level }] with level the RMS level in dB
+ */
+const parseEnergyLevels = (lines) => {
+  const levels = [];
+  let time = null;
+
+  lines.forEach(line => {
+    const frame = String(line).match(/pts_time:(-?[\d.]+)/);
+    if (frame) {
+      time = Number(frame[1]);
+      return;
+    }
+    const level = String(line).match(/RMS_level=(-?inf|-?[\d.]+)/);
+    if (level && time !== null) {
+      const value = Number(level[1]);
+      levels.push({ time, level: Number.isFinite(value) ? Math.max(SILENCE_LEVEL, value) : SILENCE_LEVEL });
+      time = null;
+    }
+  });
+  return levels;
+};
+
+/**
+ * Measure the loudness of a video's audio, second by second
+ * @param {string} inputPath
+ * @param {Object} [options]
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<Array>} [{ time, level }], empty for inputs without audio
+ */
+const measureAudioEnergy = (inputPath, { track } = {}) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+    // fluent-ffmpeg only keeps the last lines of stderr, so the levels are collected as they are printed
+    const lines = [];
+
+    command
+      .noVideo()
+      // One-second frames of 8 kHz audio, each measured on its own
+      .audioFilters('aresample=8000,asetnsamples=n=8000:p=0,astats=metadata=1:reset=1,ametadata=print:key=lavfi.astats.Overall.RMS_level')
+      .format('null')
+      .output('-')
+      .on('stderr', (line) => {
+        if (line.includes('pts_time:') || line.includes('RMS_level')) {
+          lines.push(line);
+        }
+      })
+      .on('end', () => {
+        untrack();
+        resolve(parseEnergyLevels(lines));
+      })
+      .on('error', (err, stdout, stderr) => {
+        untrack();
+        // Inputs without an audio stream have no loudness to score
+        if (/matches no streams|does not contain any stream|Output file #0 does not contain/i.test(String(stderr || err.message))) {
+          return resolve([]);
+        }
+        reject(err);
+      })
+      .run();
+  });
+};
+
+// Scale a list of values to 0-1; a flat list scores 0 everywhere
+const normalize = (values) => {
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  return values.map(value => max > min ? (value - min) / (max - min) : 0);
+};
+
+/**
+ * Score every window of a video
+ * @param {Object} signals
+ * @param {number} signals.duration Length of the video in seconds
+ * @param {Array} [signals.energy] [{ time, level }] from measureAudioEnergy
+ * @param {Array} [signals.spans] [{ text, start, end }] words or transcript segments, in seconds
+ * @param {Array<string>} [signals.keywords] From extractKeywords
+ * @param {Object} options
+ * @param {number} options.clipLength Length of the windows in seconds
+ * @param {Object} [options.range] { start, end } part of the video the windows must be in
+ * @returns {Array} [{ start, end, score, loudness, speech, keywords }] with the signals scaled to 0-1
+ */
+const scoreWindows = ({ duration, energy = [], spans = [], keywords = [] }, { clipLength, range = null }) => {
+  const from = Math.max(0, range ? range.start : 0);
+  const to = Math.min(duration, range ? range.end : duration);
+  const length = Math.min(clipLength, to - from);
+  if (!(length > 0)) {
+    return [];
+  }
+
+  const step = Math.max(1, clipLength / WINDOWS_PER_CLIP);
+  const windows = [];
+  for (let start = from; start + length <= to + 0.001; start += step) {
+    windows.push({ start, end: start + length });
+  }
+  // The last window ends with the range, so its tail is never skipped
+  if (windows.length === 0 || windows[windows.length - 1].end < to - 0.001) {
+    windows.push({ start: to - length, end: to });
+  }
+
+  const loudness = windows.map(window => {
+    const levels = energy.filter(item => item.time >= window.start && item.time < window.end);
+    return levels.length > 0 ? levels.reduce((sum, item) => sum + item.level, 0) / levels.length : SILENCE_LEVEL;
+  });
+  const speech = windows.map(window => spans.reduce((sum, span) => {
+    const overlap = Math.min(span.end, window.end) - Math.max(span.start, window.start);
+    const spanLength = Math.max(span.end - span.start, 0.001);
+    return overlap > 0 ? sum + countWords(span.text) * Math.min(1, overlap / spanLength) : sum;
+  }, 0) / (window.end - window.start));
+  const hits = windows.map(window => spans
+    .filter(span => span.end > window.start && span.start < window.end)
+    .reduce((sum, span) => {
+      const text = String(span.text || '').toLowerCase();
+      return sum + keywords.filter(keyword => text.includes(keyword)).length;
+    }, 0));
+
+  const signals = {
+    loudness: energy.length > 0 ? normalize(loudness) : null,
+    speech: spans.length > 0 ? normalize(speech) : null,
+    keywords: keywords.length > 0 && Math.max(...hits) > 0 ? normalize(hits) : null
+  };
+  const available = Object.keys(WEIGHTS).filter(signal => signals[signal]);
+  const totalWeight = available.reduce((sum, signal) => sum + WEIGHTS[signal], 0);
+
+  return windows.map((window, i) => ({
+    start: window.start,
+    end: window.end,
+    score: totalWeight > 0
+      ? available.reduce((sum, signal) => sum + WEIGHTS[signal] * signals[signal][i], 0) / totalWeight
+      : 0,
+    loudness: signals.loudness ? signals.loudness[i] : null,
+    speech: signals.speech ? signals.speech[i] : null,
+    keywords: signals.keywords ? signals.keywords[i] : null
+  }));
+};
+
+/**
+ * Pick the best windows that do not overlap
+ * @param {Array} windows From scoreWindows
+ * @param {number} count
+ * @returns {Array} Windows from best to worst
+ */
+const pickHighlights = (windows, count) => {
+  const picked = [];
+  [...windows].sort((a, b) => b.score - a.score).forEach(window => {
+    if (picked.length < count && !picked.some(other => window.start < other.end && other.start < window.end)) {
+      picked.push(window);
+    }
+  });
+  return picked;
+};
+
+/**
+ * Move a window onto the spans inside it, so the clip starts and ends with whole words or sentences
+ * @param {Object} window { start, end }
+ * @param {Array} spans [{ text, start, end }]
+ * @returns {Object} { start, end }
+ */
+const fitToSpans = (window, spans) => {
+  const inside = spans.filter(span => span.start >= window.start && span.end <= window.end);
+  if (inside.length === 0 || inside[inside.length - 1].end - inside[0].start < MIN_CLIP_LENGTH) {
+    return { start: window.start, end: window.end };
+  }
+  return { start: inside[0].start, end: inside[inside.length - 1].end };
+};
+
+/**
+ * Find the highlights of a video without a language model, from its loudness, how much is said and keyword hits
+ * @param {Object} source
+ * @param {string} source.videoId
+ * @param {number} source.duration
+ * @param {Array} [source.energy] From measureAudioEnergy
+ * @param {Array} [source.spans] [{ text, start, end }] words or transcript segments, in seconds
+ * @param {Object} [options]
+ * @param {string} [options.prompt] Keywords are taken from it
+ * @param {number} [options.clipLength] Seconds, default 30
+ * @param {number} [options.count] Clips to return, default 3
+ * @param {Object} [options.range] { start, end } part of the video to look in
+ * @param {boolean} [options.fitToSpeech] Move clip boundaries onto whole words; off when the length must be exact
+ * @returns {Array} [{ videoId, transcriptText, startTime, endTime }] from best to worst
+ */
+const findHighlights = ({ videoId, duration, energy = [], spans = [] }, {
+  prompt = '',
+  clipLength = DEFAULT_CLIP_LENGTH,
+  count = DEFAULT_COUNT,
+  range = null,
+  fitToSpeech = true
+} = {}) => {
+  const length = Math.min(MAX_CLIP_LENGTH, Math.max(MIN_CLIP_LENGTH, clipLength));
+  const sortedSpans = [...spans]
+    .filter(span => Number.isFinite(span.start) && Number.isFinite(span.end) && span.end > span.start)
+    .sort((a, b) => a.start - b.start);
+  const windows = scoreWindows(
+    { duration, energy, spans: sortedSpans, keywords: extractKeywords(prompt) },
+    { clipLength: length, range }
+  );
+
+  return pickHighlights(windows, Math.min(MAX_COUNT, Math.max(1, count))).map(window => {
+    const { start, end } = fitToSpeech ? fitToSpans(window, sortedSpans) : window;
+    return {
+      videoId,
+      transcriptText: sortedSpans
+        .filter(span => span.end > start && span.start < end)
+        .map(span => span.text)
+        .join(' '),
+      startTime: round(start),
+      endTime: round(end)
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_CLIP_LENGTH,
+  extractKeywords,
+  parseEnergyLevels,
+  measureAudioEnergy,
+  scoreWindows,
+  pickHighlights,
+  findHighlights
+};
@@ -0,0 +1,214 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { uploadToS3 } = require('./s3');
+const { probeMediaProfile } = require('./mediaProfile');
+
+// Video renditions of the ladder; size is the short side, so vertical videos get 1080x1920, 720x1280, ...
+const HLS_RENDITIONS = {
+  '1080p': { size: 1080, videoBitrate: 5000, audioBitrate: 128 },
+  '720p': { size: 720, videoBitrate: 2800, audioBitrate: 128 },
+  '480p': { size: 480, videoBitrate: 1400, audioBitrate: 96 }
+};
+const AUDIO_ONLY_BITRATE = 128;
+
+const DEFAULT_SEGMENT_DURATION = 6;
+const MIN_SEGMENT_DURATION = 2;
+const MAX_SEGMENT_DURATION = 10;
+
+const MASTER_PLAYLIST = 'master.m3u8';
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Read the HLS packaging options of a merge request
+ * hls: true packages every rendition plus an audio-only one
+ * @param {boolean|Object} hls true, or { renditions, audioOnly, segmentDuration }
+ * @returns {Object} { hls, error } where hls is null when only the MP4 is produced
+ */
+const parseHlsOptions = (hls) => {
+  if (!hls) {
+    return { hls: null, error: null };
+  }
+
+  const options = hls === true ? {} : hls;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { hls: null, error: 'hls must be true or an object' };
+  }
+
+  const renditions = options.renditions === undefined ? Object.keys(HLS_RENDITIONS) : options.renditions;
+  if (!Array.isArray(renditions) || renditions.length === 0 || renditions.some(name => !HLS_RENDITIONS[name])) {
+    return { hls: null, error: `hls.renditions must be a list of ${Object.keys(HLS_RENDITIONS).join(', ')}` };
+  }
+
+  const segmentDuration = options.segmentDuration === undefined ? DEFAULT_SEGMENT_DURATION : options.segmentDuration;
+  if (typeof segmentDuration !== 'number' || segmentDuration < MIN_SEGMENT_DURATION || segmentDuration > MAX_SEGMENT_DURATION) {
+    return { hls: null, error: `hls.segmentDuration must be a number between ${MIN_SEGMENT_DURATION} and ${MAX_SEGMENT_DURATION}` };
+  }
+
+  return {
+    hls: {
+      // Highest rendition first, as listed in the master playlist
+      renditions: Object.keys(HLS_RENDITIONS).filter(name => renditions.includes(name)),
+      audioOnly: options.audioOnly !== false,
+      segmentDuration
+    },
+    error: null
+  };
+};
+
+/**
+ * Pick the renditions a video is packaged in; renditions larger than the source are left out
+ * @param {Object} hls From parseHlsOptions
+ * @param {Object} profile From probeMediaProfile
+ * @returns {Array} [{ name, width, height, videoBitrate, audioBitrate }]
+ */
+const getHlsLadder = (hls, { width, height }) => {
+  const shortSide = Math.min(width, height);
+  const fits = hls.renditions.filter(name => HLS_RENDITIONS[name].size <= shortSide);
+  // A source smaller than every rendition still gets the smallest one, at its own size
+  const names = fits.length > 0 ? fits : [hls.renditions[hls.renditions.length - 1]];
+
+  return names.map(name => {
+    const rendition = HLS_RENDITIONS[name];
+    const scale = Math.min(1, rendition.size / shortSide);
+    return {
+      name,
+      width: even(width * scale),
+      height: even(height * scale),
+      videoBitrate: rendition.videoBitrate,
+      audioBitrate: rendition.audioBitrate
+    };
+  });
+};
+
+/**
+ * Encode a video into an HLS ladder with a master playlist
+ * Each rendition is written to <outputDir>/<name>/index.m3u8 with its segments; keyframes are forced
+ * at every segment boundary so players can switch renditions between segments
+ * @param {string} inputPath
+ * @param {string} outputDir
+ * @param {Object} hls From parseHlsOptions
+ * @param {Object} [options]
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @param {Function} [options.onProgress] Called with ffmpeg progress events
+ * @returns {Promise<Object>} { masterPath, renditions, audioOnly, segmentDuration }
+ */
+const packageHls = async (inputPath, outputDir, hls, { track, onProgress } = {}) => {
+  const profile = await probeMediaProfile(inputPath);
+  const ladder = getHlsLadder(hls, profile);
+  const audioOnly = hls.audioOnly && profile.hasAudio;
+
+  const filters = [
+    `[0:v]split=${ladder.length}${ladder.map((r, i) => `[split${i}]`).join('')}`,
+    ...ladder.map((r, i) => `[split${i}]scale=${r.width}:${r.height},setsar=1[hls${i}]`)
+  ];
+
+  const outputOptions = [];
+  ladder.forEach((r, i) => {
+    outputOptions.push(
+      '-map', `[hls${i}]`,
+      `-b:v:${i}`, `${r.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(r.videoBitrate * 1.07)}k`,
+      `-bufsize:v:${i}`, `${Math.round(r.videoBitrate * 1.5)}k`
+    );
+  });
+  if (profile.hasAudio) {
+    ladder.forEach((r, i) => outputOptions.push('-map', '0:a:0', `-b:a:${i}`, `${r.audioBitrate}k`));
+    if (audioOnly) {
+      outputOptions.push('-map', '0:a:0', `-b:a:${ladder.length}`, `${AUDIO_ONLY_BITRATE}k`);
+    }
+  }
+
+  const streamMap = ladder.map((r, i) => profile.hasAudio ? `v:${i},a:${i},name:${r.name}` : `v:${i},name:${r.name}`);
+  if (audioOnly) {
+    streamMap.push(`a:${ladder.length},name:audio`);
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  await new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+
+    command
+      .complexFilter(filters)
+      .outputOptions([
+        ...outputOptions,
+        '-c:v', 'libx264',
+        '-preset', 'veryfast',
+        '-profile:v', 'main',
+        '-pix_fmt', 'yuv420p',
+        '-sc_threshold', '0',
+        '-force_key_frames', `expr:gte(t,n_forced*${hls.segmentDuration})`,
+        '-c:a', 'aac',
+        '-ac', '2',
+        '-ar', '48000',
+        '-f', 'hls',
+        '-hls_time', String(hls.segmentDuration),
+        '-hls_playlist_type', 'vod',
+        '-hls_flags', 'independent_segments',
+        '-hls_segment_filename', path.join(outputDir, '%v', 'segment_%03d.ts'),
+        '-master_pl_name', MASTER_PLAYLIST,
+        '-var_stream_map', streamMap.join(' ')
+      ])
+      .output(path.join(outputDir, '%v', 'index.m3u8'))
+      .on('progress', (progress) => onProgress && onProgress(progress))
+      .on('end', () => {
+        untrack();
+        resolve();
+      })
+      .on('error', (err) => {
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+
+  return {
+    masterPath: path.join(outputDir, MASTER_PLAYLIST),
+    renditions: ladder.map(({ name, width, height, videoBitrate }) => ({ name, width, height, bitrate: videoBitrate })),
+    audioOnly,
+    segmentDuration: hls.segmentDuration
+  };
+};
+
+// Every file under a directory, as paths relative to it
+const listFiles = (dir, prefix = '') => {
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => entry.isDirectory()
+    ? listFiles(path.join(dir, entry.name), path.posix.join(prefix, entry.name))
+    : [path.posix.join(prefix, entry.name)]);
+};
+
+/**
+ * Upload a packaged HLS tree to S3, keeping its layout so the playlists' relative paths still resolve
+ * @param {string} outputDir Directory written by packageHls
+ * @param {string} s3Prefix Key prefix the tree is uploaded under
+ * @returns {Promise<string>} URL of the master playlist
+ */
+const uploadHls = async (outputDir, s3Prefix) => {
+  let playlistUrl = null;
+  // Playlists last and the master playlist at the very end, so a player never sees a playlist whose segments are still uploading
+  const order = (file) => file === MASTER_PLAYLIST ? 2 : Number(file.endsWith('.m3u8'));
+  const files = listFiles(outputDir).sort((a, b) => order(a) - order(b));
+
+  for (const file of files) {
+    const url = await uploadToS3(path.join(outputDir, file), `${s3Prefix}/${file}`);
+    if (file === MASTER_PLAYLIST) {
+      playlistUrl = url;
+    }
+  }
+
+  if (!playlistUrl) {
+    throw new Error('HLS packaging did not produce a master playlist');
+  }
+  return playlistUrl;
+};
+
+module.exports = {
+  HLS_RENDITIONS,
+  parseHlsOptions,
+  getHlsLadder,
+  packageHls,
+  uploadHls
+};
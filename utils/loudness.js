@@ -0,0 +1,153 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+// Streaming platforms normalize to around -14 to -16 LUFS; EBU R128 broadcast uses -23
+const DEFAULT_TARGET_LUFS = -16;
+const MIN_TARGET_LUFS = -70;
+const MAX_TARGET_LUFS = -5;
+
+// True peak ceiling (dBTP) and loudness range (LU) of the normalized audio
+const TRUE_PEAK = -1.5;
+const LOUDNESS_RANGE = 11;
+
+// loudnorm works at 192 kHz internally, so the output is resampled back
+const OUTPUT_SAMPLE_RATE = 48000;
+
+const toNumber = (value) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Read the loudness options of a merge request
+ * Normalization is enabled with normalizeAudio: true or by giving a targetLufs
+ * @param {Object} options { normalizeAudio, targetLufs }
+ * @returns {Object} { loudness, error } where loudness is null when the audio is left as is
+ */
+const parseLoudnessOptions = ({ normalizeAudio, targetLufs } = {}) => {
+  if (normalizeAudio === false || (!normalizeAudio && (targetLufs === undefined || targetLufs === null))) {
+    return { loudness: null, error: null };
+  }
+
+  const target = targetLufs === undefined || targetLufs === null ? DEFAULT_TARGET_LUFS : targetLufs;
+  if (typeof target !== 'number' || target < MIN_TARGET_LUFS || target > MAX_TARGET_LUFS) {
+    return { loudness: null, error: `targetLufs must be a number between ${MIN_TARGET_LUFS} and ${MAX_TARGET_LUFS}` };
+  }
+
+  return { loudness: { targetLufs: target, truePeak: TRUE_PEAK, loudnessRange: LOUDNESS_RANGE }, error: null };
+};
+
+const getTargetParams = (loudness) => `I=${loudness.targetLufs}:TP=${loudness.truePeak}:LRA=${loudness.loudnessRange}`;
+
+/**
+ * First loudnorm pass: measure the loudness of a video's audio, or of a part of it
+ * @param {string} inputPath
+ * @param {Object} loudness From parseLoudnessOptions
+ * @param {Object} options
+ * @param {number} [options.startTime] Start of the measured part in seconds
+ * @param {number} [options.duration] Length of the measured part in seconds
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<Object|null>} { inputI, inputTP, inputLRA, inputThresh, targetOffset, targetLufs },
+ * or null when the audio is silent or missing and cannot be normalized
+ */
+const measureLoudness = (inputPath, loudness, { startTime, duration, track } = {}) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+
+    if (startTime) {
+      command.setStartTime(startTime);
+    }
+    if (duration) {
+      command.setDuration(duration);
+    }
+
+    command
+      .noVideo()
+      .audioFilters(`loudnorm=${getTargetParams(loudness)}:print_format=json`)
+      .format('null')
+      .output('-')
+      .on('end', (stdout, stderr) => {
+        untrack();
+        const match = String(stderr || '').match(/\{[^{}]*"input_i"[^{}]*\}/);
+        if (!match) {
+          return resolve(null);
+        }
+
+        try {
+          const stats = JSON.parse(match[0]);
+          const measured = {
+            inputI: toNumber(stats.input_i),
+            inputTP: toNumber(stats.input_tp),
+            inputLRA: toNumber(stats.input_lra),
+            inputThresh: toNumber(stats.input_thresh),
+            targetOffset: toNumber(stats.target_offset),
+            targetLufs: loudness.targetLufs
+          };
+          // Silence measures as -inf and cannot be normalized
+          resolve(Object.values(measured).every(value => value !== null) ? measured : null);
+        } catch (error) {
+          resolve(null);
+        }
+      })
+      .on('error', (err, stdout, stderr) => {
+        untrack();
+        // Inputs without an audio stream have nothing to normalize
+        if (/matches no streams|does not contain any stream|Output file #0 does not contain/i.test(String(stderr || err.message))) {
+          return resolve(null);
+        }
+        reject(err);
+      })
+      .run();
+  });
+};
+
+/**
+ * Second loudnorm pass: the filter that normalizes audio with the values measured in the first pass
+ * Linear mode keeps the dynamics of the clip and only applies a gain when the measurements allow it
+ * @param {Object} loudness From parseLoudnessOptions
+ * @param {Object} measured From measureLoudness
+ * @returns {string} Audio filter chain
+ */
+const buildLoudnormFilter = (loudness, measured) => {
+  return [
+    `loudnorm=${getTargetParams(loudness)}`,
+    `measured_I=${measured.inputI}`,
+    `measured_TP=${measured.inputTP}`,
+    `measured_LRA=${measured.inputLRA}`,
+    `measured_thresh=${measured.inputThresh}`,
+    `offset=${measured.targetOffset}`,
+    'linear=true',
+    'print_format=summary'
+  ].join(':') + `,aresample=${OUTPUT_SAMPLE_RATE}`;
+};
+
+/**
+ * Copy measured clip loudness onto project sourceClips that match by video and time range
+ * @param {Array} sourceClips Clips of the project
+ * @param {Array} measurements [{ videoId, startTime, endTime, loudness }] from a merge job result
+ * @returns {Array} The source clips
+ */
+const attachClipLoudness = (sourceClips, measurements) => {
+  if (!Array.isArray(sourceClips) || !Array.isArray(measurements)) {
+    return sourceClips;
+  }
+
+  return sourceClips.map(clip => {
+    if (!clip || clip.loudness) {
+      return clip;
+    }
+    const match = measurements.find(item => item.loudness &&
+      String(item.videoId) === String(clip.videoId) &&
+      Number(item.startTime) === Number(clip.startTime) &&
+      Number(item.endTime) === Number(clip.endTime));
+    return match ? { ...clip, loudness: match.loudness } : clip;
+  });
+};
+
+module.exports = {
+  DEFAULT_TARGET_LUFS,
+  parseLoudnessOptions,
+  measureLoudness,
+  buildLoudnormFilter,
+  attachClipLoudness
+};
@@ -0,0 +1,247 @@
+const ffmpeg = require('fluent-ffmpeg');
+const path = require('path');
+
+// Every input of a merge is brought to one video and audio profile before it is concatenated
+const TARGET_PIX_FMT = 'yuv420p';
+const TARGET_VIDEO_CODEC = 'h264';
+const TARGET_AUDIO_CODEC = 'aac';
+const TARGET_SAMPLE_RATE = 48000;
+const TARGET_CHANNELS = 2;
+
+const DEFAULT_FPS = 30;
+const MAX_FPS = 60;
+const DEFAULT_FRAME = { width: 1920, height: 1080 };
+
+const AUDIO_NORMALIZE_FILTER = `aresample=${TARGET_SAMPLE_RATE},aformat=sample_fmts=fltp:sample_rates=${TARGET_SAMPLE_RATE}:channel_layouts=stereo`;
+
+// Re-encoded inputs match the target profile so the concat demuxer can copy their streams
+const NORMALIZE_ENCODE_OPTIONS = [
+  '-c:v', 'libx264',
+  '-preset', 'veryfast',
+  '-crf', '20',
+  '-pix_fmt', TARGET_PIX_FMT,
+  '-c:a', 'aac',
+  '-ar', String(TARGET_SAMPLE_RATE),
+  '-ac', String(TARGET_CHANNELS),
+  '-video_track_timescale', '90000'
+];
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// ffprobe frame rates are fractions like '30000/1001'
+const parseFrameRate = (value) => {
+  const [num, den] = String(value || '').split('/').map(Number);
+  const fps = den ? num / den : num;
+  return Number.isFinite(fps) && fps > 0 ? Math.round(fps * 1000) / 1000 : null;
+};
+
+/**
+ * Probe the video and audio format of a media file
+ * @param {string} filePath
+ * @returns {Promise<Object>} { width, height, fps, pixFmt, videoCodec, hasAudio, audioCodec, sampleRate, channels, duration }
+ * where width and height are the displayed size, taking rotation metadata into account
+ */
+const probeMediaProfile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        return reject(err);
+      }
+
+      const video = metadata.streams.find(s => s.codec_type === 'video');
+      if (!video || !video.width || !video.height) {
+        return reject(new Error(`${path.basename(filePath)} has no video stream`));
+      }
+      const audio = metadata.streams.find(s => s.codec_type === 'audio');
+
+      const sideData = (video.side_data_list || []).find(data => data.rotation !== undefined);
+      const rotation = Math.abs(Number((video.tags && video.tags.rotate) || (sideData && sideData.rotation) || 0));
+      const rotated = rotation % 180 === 90;
+
+      resolve({
+        width: rotated ? video.height : video.width,
+        height: rotated ? video.width : video.height,
+        fps: parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate),
+        pixFmt: video.pix_fmt,
+        videoCodec: video.codec_name,
+        hasAudio: Boolean(audio),
+        audioCodec: audio ? audio.codec_name : null,
+        sampleRate: audio ? Number(audio.sample_rate) : null,
+        channels: audio ? audio.channels : null,
+        duration: Number(metadata.format && metadata.format.duration) || 0
+      });
+    });
+  });
+};
+
+// Most frequent value of a list, ties going to the one picked by `prefer`
+const mostCommon = (values, key, prefer) => {
+  const counts = new Map();
+  values.forEach(value => {
+    const id = key(value);
+    const entry = counts.get(id) || { value, count: 0 };
+    entry.count += 1;
+    counts.set(id, entry);
+  });
+  return [...counts.values()]
+    .sort((a, b) => b.count - a.count || prefer(a.value, b.value))[0].value;
+};
+
+/**
+ * Pick the profile every input of a merge is normalized to
+ * The frame size is the requested one, or the most common input size (the largest on a tie);
+ * the frame rate is the most common input rate, at most 60 fps
+ * @param {Array} profiles From probeMediaProfile
+ * @param {Object} [options]
+ * @param {Object} [options.frame] { width, height } the output has to have, e.g. the reframed aspect ratio
+ * @returns {Object} { width, height, fps, sampleRate, channels }
+ */
+const pickTargetProfile = (profiles, { frame } = {}) => {
+  const known = profiles.filter(Boolean);
+
+  const size = frame || (known.length > 0
+    ? mostCommon(known, p => `${p.width}x${p.height}`, (a, b) => b.width * b.height - a.width * a.height)
+    : DEFAULT_FRAME);
+
+  const rates = known.map(p => p.fps).filter(Boolean);
+  const fps = rates.length > 0
+    ? Math.min(MAX_FPS, mostCommon(rates, rate => Math.round(rate * 100), (a, b) => b - a))
+    : DEFAULT_FPS;
+
+  return {
+    width: even(size.width),
+    height: even(size.height),
+    fps,
+    sampleRate: TARGET_SAMPLE_RATE,
+    channels: TARGET_CHANNELS
+  };
+};
+
+/**
+ * Whether a file has to be re-encoded before it can be concatenated with streams copied
+ * @param {Object} profile From probeMediaProfile
+ * @param {Object} target From pickTargetProfile
+ * @returns {boolean}
+ */
+const needsNormalization = (profile, target) => {
+  return profile.width !== target.width ||
+    profile.height !== target.height ||
+    !profile.fps || Math.abs(profile.fps - target.fps) > 0.01 ||
+    profile.pixFmt !== TARGET_PIX_FMT ||
+    profile.videoCodec !== TARGET_VIDEO_CODEC ||
+    !profile.hasAudio ||
+    profile.audioCodec !== TARGET_AUDIO_CODEC ||
+    profile.sampleRate !== target.sampleRate ||
+    profile.channels !== target.channels;
+};
+
+/**
+ * Scale and pad a video stream into the target frame, with square pixels and the target frame rate
+ * @param {string} input Input stream label
+ * @param {string} output Output stream label
+ * @param {Object} target { width, height, fps }
+ * @returns {string} Filter graph usable with complexFilter
+ */
+const buildVideoNormalizeFilter = (input, output, { width, height, fps }) => {
+  return `[${input}]scale=${width}:${height}:force_original_aspect_ratio=decrease,` +
+    `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps || DEFAULT_FPS},format=${TARGET_PIX_FMT}[${output}]`;
+};
+
+/**
+ * Build the filters that bring one input of a merge to the target profile
+ * Inputs without audio get silence so every segment has an audio stream
+ * @param {number} index Input index
+ * @param {Object} profile From probeMediaProfile
+ * @param {Object} target From pickTargetProfile
+ * @param {string} output Prefix of the output labels; the streams are [<output>v] and [<output>a]
+ * @param {Object} [options]
+ * @param {string} [options.video] Label of an already filtered video stream of the input
+ * @param {string} [options.audio] Label of an already filtered audio stream of the input
+ * @param {number} [options.duration] Length of the silence for inputs without audio (defaults to the probed duration)
+ * @returns {Object} { filters, video, audio }
+ */
+const buildNormalizeFilters = (index, profile, target, output, { video, audio, duration } = {}) => {
+  const silence = Math.round((duration || profile.duration) * 1000) / 1000;
+  return {
+    filters: [
+      buildVideoNormalizeFilter(video || `${index}:v`, `${output}v`, target),
+      profile.hasAudio
+        ? `[${audio || `${index}:a`}]${AUDIO_NORMALIZE_FILTER},asetpts=PTS-STARTPTS[${output}a]`
+        : `anullsrc=r=${TARGET_SAMPLE_RATE}:cl=stereo,atrim=0:${silence},aformat=sample_fmts=fltp[${output}a]`
+    ],
+    video: `${output}v`,
+    audio: `${output}a`
+  };
+};
+
+/**
+ * Re-encode a file to the target profile
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {Object} profile From probeMediaProfile
+ * @param {Object} target From pickTargetProfile
+ * @param {Object} [options]
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<string>} outputPath
+ */
+const normalizeMedia = (inputPath, outputPath, profile, target, { track } = {}) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+    const { filters, video, audio } = buildNormalizeFilters(0, profile, target, 'norm');
+
+    command
+      .complexFilter(filters)
+      .outputOptions(['-map', `[${video}]`, '-map', `[${audio}]`, ...NORMALIZE_ENCODE_OPTIONS, '-shortest'])
+      .output(outputPath)
+      .on('end', () => {
+        untrack();
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+/**
+ * Probe the inputs of a concat demuxer merge and re-encode the ones that do not match the target profile
+ * @param {Array<string>} inputPaths Files to concatenate, in order
+ * @param {string} workDir Where the re-encoded files are written
+ * @param {Object} [options]
+ * @param {Object} [options.frame] { width, height } the output has to have
+ * @param {Function} [options.track] Called with each ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<Object>} { paths, target, normalized } paths to concatenate and the indexes that were re-encoded
+ */
+const normalizeForConcat = async (inputPaths, workDir, { frame, track } = {}) => {
+  const profiles = await Promise.all(inputPaths.map(filePath => probeMediaProfile(filePath)));
+  const target = pickTargetProfile(profiles, { frame });
+  const paths = [];
+  const normalized = [];
+
+  for (const [i, inputPath] of inputPaths.entries()) {
+    if (!needsNormalization(profiles[i], target)) {
+      paths.push(inputPath);
+      continue;
+    }
+    const outputPath = path.join(workDir, `normalized_${i}_${path.basename(inputPath, path.extname(inputPath))}.mp4`);
+    console.log(`Normalizing ${path.basename(inputPath)} (${profiles[i].width}x${profiles[i].height}@${profiles[i].fps}) to ${target.width}x${target.height}@${target.fps}`);
+    await normalizeMedia(inputPath, outputPath, profiles[i], target, { track });
+    paths.push(outputPath);
+    normalized.push(i);
+  }
+
+  return { paths, target, normalized };
+};
+
+module.exports = {
+  probeMediaProfile,
+  pickTargetProfile,
+  needsNormalization,
+  buildVideoNormalizeFilter,
+  buildNormalizeFilters,
+  normalizeMedia,
+  normalizeForConcat
+};
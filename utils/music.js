@@ -0,0 +1,122 @@
+const DEFAULT_VOLUME = 0.3;
+const MAX_VOLUME = 2;
+const DEFAULT_FADE_IN = 1;
+const DEFAULT_FADE_OUT = 2;
+const MAX_FADE = 10;
+// 0 leaves the music untouched under speech, 1 pushes it down as far as sidechaincompress goes
+const DEFAULT_DUCK_DEPTH = 0.7;
+
+// Speech level (linear amplitude, about -30 dB) above which the music starts ducking
+const DUCK_THRESHOLD = 0.03;
+const MAX_DUCK_RATIO = 20;
+// Milliseconds; a slow release keeps the music from pumping between words
+const DUCK_ATTACK = 20;
+const DUCK_RELEASE = 400;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const checkRange = (name, value, min, max) => {
+  if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+    return `music.${name} must be a number between ${min} and ${max}`;
+  }
+  return null;
+};
+
+/**
+ * Read the background music options of a merge request
+ * @param {Object} music { audioId, volume, fadeIn, fadeOut, duckDepth, loop }
+ * @returns {Object} { music, error } where music is null when no background music is added
+ */
+const parseMusicOptions = (music) => {
+  if (!music) {
+    return { music: null, error: null };
+  }
+
+  const options = typeof music === 'string' ? { audioId: music } : music;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { music: null, error: 'music must be an audio asset id or an object with an audioId' };
+  }
+  if (!options.audioId || !/^[0-9a-fA-F]{24}$/.test(String(options.audioId))) {
+    return { music: null, error: 'music.audioId must be the id of an uploaded audio asset' };
+  }
+
+  const {
+    volume = DEFAULT_VOLUME,
+    fadeIn = DEFAULT_FADE_IN,
+    fadeOut = DEFAULT_FADE_OUT,
+    duckDepth = DEFAULT_DUCK_DEPTH,
+    loop = true
+  } = options;
+
+  const error = checkRange('volume', volume, 0, MAX_VOLUME) ||
+    checkRange('fadeIn', fadeIn, 0, MAX_FADE) ||
+    checkRange('fadeOut', fadeOut, 0, MAX_FADE) ||
+    checkRange('duckDepth', duckDepth, 0, 1) ||
+    (typeof loop !== 'boolean' ? 'music.loop must be true or false' : null);
+  if (error) {
+    return { music: null, error };
+  }
+
+  return { music: { audioId: String(options.audioId), volume, fadeIn, fadeOut, duckDepth, loop }, error: null };
+};
+
+/**
+ * Build the filter graph that lays the music under the merged audio and ducks it while someone speaks
+ * The music input should be looped (-stream_loop -1) when music.loop is set; it is trimmed to the output length here
+ * @param {Object} music From parseMusicOptions
+ * @param {string} speech Label of the merged audio
+ * @param {string} input Label of the music audio, e.g. '3:a'
+ * @param {number} duration Length of the merged video in seconds
+ * @param {string} output Label of the mixed audio
+ * @returns {Array<string>} Filters for complexFilter
+ */
+const buildMusicFilters = (music, speech, input, duration, output = 'a') => {
+  // Fades never take up more than the whole video
+  const fadeScale = Math.min(1, duration / ((music.fadeIn + music.fadeOut) || 1));
+  const fadeIn = round(music.fadeIn * fadeScale);
+  const fadeOut = round(music.fadeOut * fadeScale);
+
+  const bed = [
+    `atrim=0:${round(duration)}`,
+    'asetpts=PTS-STARTPTS',
+    'aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo',
+    `volume=${music.volume}`
+  ];
+  if (fadeIn > 0) {
+    bed.push(`afade=t=in:st=0:d=${fadeIn}`);
+  }
+  if (fadeOut > 0) {
+    bed.push(`afade=t=out:st=${round(duration - fadeOut)}:d=${fadeOut}`);
+  }
+
+  const ratio = round(1 + music.duckDepth * (MAX_DUCK_RATIO - 1));
+  return [
+    `[${input}]${bed.join(',')}[music]`,
+    `[${speech}]aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo,asplit=2[speech_mix][speech_key]`,
+    `[music][speech_key]sidechaincompress=threshold=${DUCK_THRESHOLD}:ratio=${ratio}:attack=${DUCK_ATTACK}:release=${DUCK_RELEASE}[ducked]`,
+    // normalize=0 keeps the speech at its own level instead of halving both inputs
+    `[speech_mix][ducked]amix=inputs=2:duration=first:dropout_transition=0:normalize=0[${output}]`
+  ];
+};
+
+/**
+ * Music settings as recorded on a project
+ * @param {Object} music From parseMusicOptions
+ * @param {Object} asset AudioAsset the music comes from
+ * @returns {Object}
+ */
+const getMusicMetadata = (music, asset) => ({
+  audioId: music.audioId,
+  title: asset.title,
+  volume: music.volume,
+  fadeIn: music.fadeIn,
+  fadeOut: music.fadeOut,
+  duckDepth: music.duckDepth,
+  loop: music.loop
+});
+
+module.exports = {
+  parseMusicOptions,
+  buildMusicFilters,
+  getMusicMetadata
+};
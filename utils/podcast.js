@@ -0,0 +1,90 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+// Audio-only outputs a merge can be exported to, next to or instead of the MP4
+const PODCAST_FORMATS = {
+  mp3: {
+    extension: 'mp3',
+    contentType: 'audio/mpeg',
+    // ID3v2.3 is what most podcast apps read chapter (CHAP) frames from
+    outputOptions: ['-c:a', 'libmp3lame', '-b:a', '128k', '-id3v2_version', '3', '-write_id3v1', '1', '-f', 'mp3']
+  },
+  aac: {
+    extension: 'm4a',
+    contentType: 'audio/mp4',
+    outputOptions: ['-c:a', 'aac', '-b:a', '128k', '-movflags', '+faststart', '-f', 'ipod']
+  },
+  opus: {
+    extension: 'opus',
+    contentType: 'audio/ogg',
+    outputOptions: ['-c:a', 'libopus', '-b:a', '64k', '-f', 'opus']
+  }
+};
+const OUTPUT_FORMATS = ['mp4', ...Object.keys(PODCAST_FORMATS)];
+
+/**
+ * Read the output format of a merge request
+ * A single format replaces the MP4, a list such as ['mp4', 'mp3'] produces both
+ * @param {string|Array<string>} outputFormat
+ * @returns {Object} { output, error } where output is { video, audio } with audio the podcast format or null
+ */
+const parseOutputFormat = (outputFormat) => {
+  if (outputFormat === undefined || outputFormat === null) {
+    return { output: { video: true, audio: null }, error: null };
+  }
+
+  const formats = Array.isArray(outputFormat) ? outputFormat : [outputFormat];
+  const invalid = formats.find(format => !OUTPUT_FORMATS.includes(format));
+  if (formats.length === 0 || invalid !== undefined) {
+    return { output: null, error: `outputFormat must be one of ${OUTPUT_FORMATS.join(', ')}, or a list of them` };
+  }
+
+  const audio = formats.filter(format => PODCAST_FORMATS[format]);
+  if (audio.length > 1) {
+    return { output: null, error: 'outputFormat can contain at most one audio format' };
+  }
+
+  return { output: { video: formats.includes('mp4'), audio: audio[0] || null }, error: null };
+};
+
+/**
+ * Export the audio of a merged video as a podcast episode, tagged and with chapters
+ * @param {string} inputPath Merged video
+ * @param {string} outputPath
+ * @param {string} format Key of PODCAST_FORMATS
+ * @param {string} metadataPath ffmetadata file with the tags and chapters, from writeFfmetadata
+ * @param {Object} [options]
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<string>} outputPath
+ */
+const exportPodcastAudio = (inputPath, outputPath, format, metadataPath, { track } = {}) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+
+    command
+      .input(metadataPath)
+      .inputOptions(['-f', 'ffmetadata'])
+      .outputOptions([
+        '-map', '0:a:0',
+        '-map_metadata', '1',
+        '-map_chapters', '1',
+        ...PODCAST_FORMATS[format].outputOptions
+      ])
+      .output(outputPath)
+      .on('end', () => {
+        untrack();
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+module.exports = {
+  PODCAST_FORMATS,
+  parseOutputFormat,
+  exportPodcastAudio
+};
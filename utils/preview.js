@@ -0,0 +1,175 @@
+const ffmpeg = require('fluent-ffmpeg');
+const crypto = require('crypto');
+const fs = require('fs');
+
+const PREVIEW_FORMATS = ['gif', 'webp'];
+const PREVIEW_CONTENT_TYPES = { gif: 'image/gif', webp: 'image/webp' };
+
+const DEFAULT_PREVIEW = { format: 'gif', width: 480, fps: 12, maxSize: 5120 };
+const MIN_WIDTH = 120;
+const MAX_WIDTH = 1080;
+const MIN_FPS = 5;
+const MAX_FPS = 30;
+// Largest file a preview may be, in KB
+const MIN_MAX_SIZE = 100;
+const MAX_MAX_SIZE = 20480;
+// Longest clip a preview can be made of, in seconds
+const MAX_PREVIEW_DURATION = 30;
+
+// Each attempt over maxSize shrinks the frame and drops frames, down to these limits
+const SHRINK_FACTOR = 0.75;
+const MAX_ATTEMPTS = 4;
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+// Query string values come in as strings
+const toNumber = (value, fallback) => {
+  if (value === undefined || value === null || value === '') {
+    return fallback;
+  }
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+/**
+ * Read the options of a preview request
+ * @param {Object} query { startTime, endTime, format, width, fps, maxSize } with maxSize in KB
+ * @returns {Object} { preview, error } where preview is { startTime, endTime, format, width, fps, maxSize }
+ */
+const parsePreviewOptions = ({ startTime, endTime, format, width, fps, maxSize } = {}) => {
+  const start = toNumber(startTime, NaN);
+  const end = toNumber(endTime, NaN);
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+    return { preview: null, error: 'startTime and endTime must be numbers with endTime after startTime' };
+  }
+  if (end - start > MAX_PREVIEW_DURATION) {
+    return { preview: null, error: `Previews can be at most ${MAX_PREVIEW_DURATION} seconds long` };
+  }
+
+  const previewFormat = format || DEFAULT_PREVIEW.format;
+  if (!PREVIEW_FORMATS.includes(previewFormat)) {
+    return { preview: null, error: `format must be one of ${PREVIEW_FORMATS.join(', ')}` };
+  }
+
+  const previewWidth = toNumber(width, DEFAULT_PREVIEW.width);
+  if (!(previewWidth >= MIN_WIDTH && previewWidth <= MAX_WIDTH)) {
+    return { preview: null, error: `width must be between ${MIN_WIDTH} and ${MAX_WIDTH}` };
+  }
+
+  const previewFps = toNumber(fps, DEFAULT_PREVIEW.fps);
+  if (!(previewFps >= MIN_FPS && previewFps <= MAX_FPS)) {
+    return { preview: null, error: `fps must be between ${MIN_FPS} and ${MAX_FPS}` };
+  }
+
+  const previewMaxSize = toNumber(maxSize, DEFAULT_PREVIEW.maxSize);
+  if (!(previewMaxSize >= MIN_MAX_SIZE && previewMaxSize <= MAX_MAX_SIZE)) {
+    return { preview: null, error: `maxSize must be between ${MIN_MAX_SIZE} and ${MAX_MAX_SIZE} KB` };
+  }
+
+  return {
+    preview: {
+      startTime: start,
+      endTime: end,
+      format: previewFormat,
+      width: even(previewWidth),
+      fps: Math.round(previewFps),
+      maxSize: Math.round(previewMaxSize)
+    },
+    error: null
+  };
+};
+
+/**
+ * Identify a preview by its clip and options, so the same request is served from the cache
+ * @param {string} videoId
+ * @param {Object} preview From parsePreviewOptions
+ * @returns {string} Hex digest
+ */
+const getPreviewSignature = (videoId, { startTime, endTime, format, width, fps, maxSize }) => {
+  return crypto.createHash('sha1')
+    .update(JSON.stringify([videoId, startTime, endTime, format, width, fps, maxSize]))
+    .digest('hex');
+};
+
+/**
+ * Build the filters of one preview render
+ * GIFs get a palette generated from the clip itself, which keeps colors and file size in check;
+ * WebP is a true-color format and is only scaled
+ * @param {string} format 'gif' or 'webp'
+ * @param {number} width
+ * @param {number} fps
+ * @returns {Array<string>} Filter graph usable with complexFilter, ending in [preview]
+ */
+const buildPreviewFilters = (format, width, fps) => {
+  const scale = `[0:v]fps=${fps},scale=${width}:-2:flags=lanczos`;
+  if (format === 'webp') {
+    return [`${scale}[preview]`];
+  }
+  return [
+    `${scale},split[frames][palette_in]`,
+    '[palette_in]palettegen=max_colors=128:stats_mode=diff[palette]',
+    '[frames][palette]paletteuse=dither=bayer:bayer_scale=5:diff_mode=rectangle[preview]'
+  ];
+};
+
+const renderPreview = (inputPath, outputPath, { startTime, endTime, format }, width, fps, track) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+    const codecOptions = format === 'webp'
+      ? ['-c:v', 'libwebp', '-lossless', '0', '-q:v', '60', '-compression_level', '6']
+      : [];
+
+    command
+      .setStartTime(startTime)
+      .setDuration(endTime - startTime)
+      .complexFilter(buildPreviewFilters(format, width, fps))
+      .outputOptions(['-map', '[preview]', '-an', ...codecOptions, '-loop', '0', '-f', format])
+      .output(outputPath)
+      .on('end', () => {
+        untrack();
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+/**
+ * Render a looping preview of a clip, shrinking it until it fits in maxSize
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {Object} preview From parsePreviewOptions
+ * @param {Object} [options]
+ * @param {Function} [options.track] Called with each ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<Object>} { path, width, fps, size } with the size in bytes; the last attempt is kept
+ * even when it is still over maxSize
+ */
+const createPreview = async (inputPath, outputPath, preview, { track } = {}) => {
+  let width = preview.width;
+  let fps = preview.fps;
+
+  for (let attempt = 1; ; attempt++) {
+    await renderPreview(inputPath, outputPath, preview, width, fps, track);
+    const size = fs.statSync(outputPath).size;
+    if (size <= preview.maxSize * 1024 || attempt >= MAX_ATTEMPTS) {
+      return { path: outputPath, width, fps, size };
+    }
+
+    console.log(`Preview is ${Math.round(size / 1024)}KB at ${width}px/${fps}fps, over ${preview.maxSize}KB; shrinking it`);
+    width = Math.max(MIN_WIDTH, even(width * SHRINK_FACTOR));
+    fps = Math.max(MIN_FPS, Math.round(fps * SHRINK_FACTOR));
+  }
+};
+
+module.exports = {
+  PREVIEW_FORMATS,
+  PREVIEW_CONTENT_TYPES,
+  parsePreviewOptions,
+  getPreviewSignature,
+  buildPreviewFilters,
+  createPreview
+};
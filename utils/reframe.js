@@ -0,0 +1,155 @@
+// Output frame size for each supported aspect ratio
+const ASPECT_RATIOS = {
+  '16:9': { width: 1920, height: 1080 },
+  '9:16': { width: 1080, height: 1920 },
+  '1:1': { width: 1080, height: 1080 },
+  '4:5': { width: 1080, height: 1350 }
+};
+
+// blur: fit the whole frame over a blurred, zoomed copy of itself
+// crop: fill the frame and cut off what does not fit, keeping the center
+// manual: crop each clip to its own cropBox, then fit it into the frame
+const FIT_MODES = ['blur', 'crop', 'manual'];
+
+const DEFAULT_FIT = 'blur';
+
+// Filtered video has to be re-encoded; yuv420p keeps it playable everywhere
+const VIDEO_ENCODE_OPTIONS = ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-c:a', 'aac'];
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check a crop box given either in pixels or as fractions (0-1) of the source frame
+ * @param {Object} cropBox { x, y, width, height }
+ * @returns {string|null} Error message, or null if the box is valid
+ */
+const validateCropBox = (cropBox) => {
+  if (!cropBox || typeof cropBox !== 'object') {
+    return 'cropBox must be an object with x, y, width and height';
+  }
+
+  const { x, y, width, height } = cropBox;
+  if (![x, y, width, height].every(isNumber)) {
+    return 'cropBox x, y, width and height must be numbers';
+  }
+  if (x < 0 || y < 0 || width <= 0 || height <= 0) {
+    return 'cropBox must have a non-negative position and a positive size';
+  }
+
+  const isFraction = [x, y, width, height].every(value => value <= 1);
+  if (isFraction && (x + width > 1 || y + height > 1)) {
+    return 'cropBox fractions must stay within the frame';
+  }
+  return null;
+};
+
+/**
+ * Read the reframing options of a merge request
+ * @param {Object} options { aspectRatio, fit }
+ * @param {Array} clips Clips of the request; with fit 'manual' every clip needs a cropBox
+ * @returns {Object} { reframe, error } where reframe is null when the source aspect ratio is kept
+ */
+const parseReframeOptions = ({ aspectRatio, fit } = {}, clips = []) => {
+  if (!aspectRatio || aspectRatio === 'original') {
+    return { reframe: null, error: null };
+  }
+
+  if (!ASPECT_RATIOS[aspectRatio]) {
+    return { reframe: null, error: `Unsupported aspectRatio ${aspectRatio}. Supported: ${Object.keys(ASPECT_RATIOS).join(', ')}` };
+  }
+
+  const fitMode = fit || DEFAULT_FIT;
+  if (!FIT_MODES.includes(fitMode)) {
+    return { reframe: null, error: `Unsupported fit ${fitMode}. Supported: ${FIT_MODES.join(', ')}` };
+  }
+
+  if (fitMode === 'manual') {
+    for (let i = 0; i < clips.length; i++) {
+      const error = validateCropBox(clips[i].cropBox);
+      if (error) {
+        return { reframe: null, error: `Clip ${i + 1}: ${error}` };
+      }
+    }
+  }
+
+  return { reframe: { aspectRatio, fit: fitMode }, error: null };
+};
+
+/**
+ * Reframing options of a single clip (adds the clip's cropBox in manual mode)
+ * @param {Object|null} reframe Result of parseReframeOptions
+ * @param {Object} clip Clip from the request
+ * @returns {Object|null}
+ */
+const getClipReframe = (reframe, clip) => {
+  if (!reframe) {
+    return null;
+  }
+  return reframe.fit === 'manual' ? { ...reframe, cropBox: clip.cropBox } : reframe;
+};
+
+// ffmpeg crop filter for a crop box in pixels or fractions of the input size
+const buildCropFilter = ({ x, y, width, height }) => {
+  const isFraction = [x, y, width, height].every(value => value <= 1);
+  if (isFraction) {
+    // trunc(.../2)*2 keeps the dimensions even, which libx264 requires
+    return `crop=trunc(iw*${width}/2)*2:trunc(ih*${height}/2)*2:iw*${x}:ih*${y}`;
+  }
+  return `crop=${Math.round(width)}:${Math.round(height)}:${Math.round(x)}:${Math.round(y)}`;
+};
+
+/**
+ * Build the filter graph that reframes one video stream to the requested aspect ratio
+ * @param {Object} reframe { aspectRatio, fit, cropBox }
+ * @param {string} input Input stream label, e.g. '0:v'
+ * @param {string} output Output stream label
+ * @returns {string} Filter graph usable with complexFilter
+ */
+const buildReframeFilter = (reframe, input, output) => {
+  const { width, height } = ASPECT_RATIOS[reframe.aspectRatio];
+  const fitInside = `scale=${width}:${height}:force_original_aspect_ratio=decrease`;
+  const fillFrame = `scale=${width}:${height}:force_original_aspect_ratio=increase,crop=${width}:${height}`;
+  const center = `pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`;
+
+  switch (reframe.fit) {
+    case 'crop':
+      return `[${input}]${fillFrame},setsar=1[${output}]`;
+    case 'manual':
+      return `[${input}]${buildCropFilter(reframe.cropBox)},${fitInside},${center},setsar=1[${output}]`;
+    case 'blur':
+    default:
+      return [
+        `[${input}]split=2[${output}_bg][${output}_fg]`,
+        `[${output}_bg]${fillFrame},boxblur=20:2[${output}_blurred]`,
+        `[${output}_fg]${fitInside}[${output}_fitted]`,
+        `[${output}_blurred][${output}_fitted]overlay=(W-w)/2:(H-h)/2,setsar=1[${output}]`
+      ].join(';');
+  }
+};
+
+/**
+ * Reframe the video of a single-input fluent-ffmpeg command, keeping its audio
+ * Does nothing when reframe is null
+ * @param {Object} command fluent-ffmpeg command
+ * @param {Object|null} reframe { aspectRatio, fit, cropBox }
+ * @returns {Object} The command
+ */
+const applyReframe = (command, reframe) => {
+  if (!reframe) {
+    return command;
+  }
+
+  return command
+    .complexFilter(buildReframeFilter(reframe, '0:v', 'reframed'), 'reframed')
+    .outputOptions(['-map', '0:a?', ...VIDEO_ENCODE_OPTIONS]);
+};
+
+module.exports = {
+  ASPECT_RATIOS,
+  FIT_MODES,
+  VIDEO_ENCODE_OPTIONS,
+  parseReframeOptions,
+  getClipReframe,
+  buildReframeFilter,
+  applyReframe
+};
@@ -90,6 +90,16 @@ const getContentType = (filePath) => {
       return 'application/pdf';
     case '.json':
       return 'application/json';
+    case '.mp3':
+      return 'audio/mpeg';
+    case '.m4a':
+      return 'audio/mp4';
+    case '.opus':
+      return 'audio/ogg';
+    case '.m3u8':
+      return 'application/vnd.apple.mpegurl';
+    case '.ts':
+      return 'video/mp2t';
     default:
       return 'application/octet-stream';
   }
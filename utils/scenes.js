@@ -0,0 +1,192 @@
+const ffmpeg = require('fluent-ffmpeg');
+const mongoose = require('mongoose');
+const Video = require('../model/uploadVideosSchema');
+
+// Scene score (0-1) over which a frame starts a new shot; 0.3 catches hard cuts without firing on camera moves
+const DEFAULT_SCENE_THRESHOLD = 0.3;
+// Cuts closer together than this are one cut, e.g. a flash or a quick fade
+const MIN_SHOT_LENGTH = 0.5;
+// Frames are scored at this width, which is plenty to tell shots apart and much faster than full size
+const ANALYSIS_WIDTH = 320;
+
+// How far, in seconds, a clip boundary may move to land on a cut
+const DEFAULT_SNAP_DISTANCE = 1.5;
+const MAX_SNAP_DISTANCE = 10;
+// Shortest clip snapping may leave
+const MIN_CLIP_LENGTH = 1;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Read the scene changes printed by ffmpeg's select and metadata=print filters
+ * @param {Array<string>} lines ffmpeg stderr lines
+ * @returns {Array} [{ time, score }] in seconds, in playback order
+ */
+const parseSceneChanges = (lines) => {
+  const cuts = [];
+  let time = null;
+
+  lines.forEach(line => {
+    const frame = String(line).match(/pts_time:(-?[\d.]+)/);
+    if (frame) {
+      time = Number(frame[1]);
+      return;
+    }
+    const score = String(line).match(/lavfi\.scene_score=([\d.]+)/);
+    if (score && time !== null) {
+      cuts.push({ time: round(time), score: round(Number(score[1])) });
+      time = null;
+    }
+  });
+
+  // Keep the strongest cut of a burst
+  return cuts.reduce((kept, cut) => {
+    const last = kept[kept.length - 1];
+    if (last && cut.time - last.time < MIN_SHOT_LENGTH) {
+      if (cut.score > last.score) {
+        kept[kept.length - 1] = cut;
+      }
+      return kept;
+    }
+    kept.push(cut);
+    return kept;
+  }, []);
+};
+
+/**
+ * Find the shot boundaries of a video
+ * @param {string} inputPath
+ * @param {Object} [options]
+ * @param {number} [options.threshold] Scene score a frame needs to count as a cut
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<Array>} [{ time, score }] with time the start of each new shot in seconds
+ */
+const detectScenes = (inputPath, { threshold = DEFAULT_SCENE_THRESHOLD, track } = {}) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+    // fluent-ffmpeg only keeps the last lines of stderr, so the cuts are collected as they are printed
+    const lines = [];
+
+    command
+      .noAudio()
+      .videoFilters(`scale=${ANALYSIS_WIDTH}:-2,select='gt(scene,${threshold})',metadata=print:key=lavfi.scene_score`)
+      .outputOptions(['-vsync', 'vfr'])
+      .format('null')
+      .output('-')
+      .on('stderr', (line) => {
+        if (line.includes('pts_time:') || line.includes('lavfi.scene_score')) {
+          lines.push(line);
+        }
+      })
+      .on('end', () => {
+        untrack();
+        resolve(parseSceneChanges(lines));
+      })
+      .on('error', (err) => {
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+/**
+ * Read the scene snapping option of a clip generation request
+ * @param {boolean|Object} snapToScenes true, or { maxDistance } in seconds
+ * @returns {Object} { snap, error } where snap is null when clips keep their times
+ */
+const parseSnapOptions = (snapToScenes) => {
+  if (!snapToScenes) {
+    return { snap: null, error: null };
+  }
+
+  const options = snapToScenes === true ? {} : snapToScenes;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { snap: null, error: 'snapToScenes must be true or an object' };
+  }
+
+  const maxDistance = options.maxDistance === undefined ? DEFAULT_SNAP_DISTANCE : options.maxDistance;
+  if (typeof maxDistance !== 'number' || maxDistance <= 0 || maxDistance > MAX_SNAP_DISTANCE) {
+    return { snap: null, error: `snapToScenes.maxDistance must be a number of seconds up to ${MAX_SNAP_DISTANCE}` };
+  }
+
+  return { snap: { maxDistance }, error: null };
+};
+
+/**
+ * Move a time onto the nearest cut, when one is close enough
+ * @param {number} time
+ * @param {Array} cuts [{ time }] from detectScenes
+ * @param {number} maxDistance
+ * @returns {number}
+ */
+const snapToNearestCut = (time, cuts, maxDistance) => {
+  let nearest = null;
+  cuts.forEach(cut => {
+    const distance = Math.abs(cut.time - time);
+    if (distance <= maxDistance && (nearest === null || distance < Math.abs(nearest - time))) {
+      nearest = cut.time;
+    }
+  });
+  return nearest === null ? time : nearest;
+};
+
+/**
+ * Move the start and end of a clip onto the nearest scene cuts
+ * A boundary stays where it is when no cut is close enough, or when snapping would make the clip too short
+ * @param {Object} clip { startTime, endTime, ... }; times may be numbers or numeric strings
+ * @param {Array} cuts [{ time }] from detectScenes
+ * @param {Object} snap From parseSnapOptions
+ * @returns {Object} The clip with numeric, possibly snapped, times
+ */
+const snapClipToScenes = (clip, cuts, snap) => {
+  const startTime = parseFloat(clip.startTime);
+  const endTime = parseFloat(clip.endTime);
+  if (!Number.isFinite(startTime) || !Number.isFinite(endTime) || !cuts || cuts.length === 0) {
+    return clip;
+  }
+
+  const snappedStart = snapToNearestCut(startTime, cuts, snap.maxDistance);
+  const snappedEnd = snapToNearestCut(endTime, cuts, snap.maxDistance);
+  if (snappedEnd - snappedStart < MIN_CLIP_LENGTH) {
+    return clip;
+  }
+  return { ...clip, startTime: round(snappedStart), endTime: round(snappedEnd) };
+};
+
+/**
+ * Snap generated clips to the scene cuts of their uploaded videos
+ * Clips of videos without detected scenes, such as YouTube videos, keep their times
+ * @param {Array} clips [{ videoId, startTime, endTime, ... }]
+ * @param {Object} snap From parseSnapOptions
+ * @returns {Promise<Array>} The clips
+ */
+const snapClipsToScenes = async (clips, snap) => {
+  if (!snap || !Array.isArray(clips) || mongoose.connection.readyState !== 1) {
+    return clips;
+  }
+
+  const videoIds = [...new Set(clips.map(clip => String(clip.videoId)))]
+    .filter(videoId => mongoose.Types.ObjectId.isValid(videoId) && videoId.length === 24);
+  const cutsByVideo = new Map();
+  try {
+    const videos = await Video.find({ _id: { $in: videoIds } }).select('sceneCuts').lean();
+    videos.forEach(video => cutsByVideo.set(String(video._id), video.sceneCuts || []));
+  } catch (error) {
+    console.error('Failed to load scene cuts:', error.message);
+    return clips;
+  }
+
+  return clips.map(clip => snapClipToScenes(clip, cutsByVideo.get(String(clip.videoId)), snap));
+};
+
+module.exports = {
+  DEFAULT_SCENE_THRESHOLD,
+  parseSceneChanges,
+  detectScenes,
+  parseSnapOptions,
+  snapToNearestCut,
+  snapClipToScenes,
+  snapClipsToScenes
+};
@@ -0,0 +1,197 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { probeMediaProfile } = require('./mediaProfile');
+
+// Seconds between two frames of the scrub track; long videos get a longer interval so they stay under MAX_FRAMES
+const DEFAULT_SPRITE_INTERVAL = 5;
+const MAX_SPRITE_INTERVAL = 60;
+const MAX_FRAMES = 600;
+const DEFAULT_TILE_WIDTH = 160;
+const MAX_TILE_WIDTH = 320;
+// Frames per sheet; a 10x10 sheet of 160 pixel wide 16:9 tiles is 1600x900
+const COLUMNS = 10;
+const ROWS = 10;
+
+const TRACK_FILE = 'thumbnails.vtt';
+const MANIFEST_FILE = 'sprites.json';
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+const formatVttTime = (seconds) => {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+/**
+ * Read the sprite options of a request
+ * @param {Object} query { interval, width }, numbers or numeric strings
+ * @returns {Object} { options, error }
+ */
+const parseSpriteOptions = ({ interval, width } = {}) => {
+  const options = {};
+
+  if (interval !== undefined && interval !== '') {
+    const value = Number(interval);
+    if (!Number.isInteger(value) || value < 1 || value > MAX_SPRITE_INTERVAL) {
+      return { options: null, error: `interval must be a whole number of seconds from 1 to ${MAX_SPRITE_INTERVAL}` };
+    }
+    options.interval = value;
+  }
+
+  if (width !== undefined && width !== '') {
+    const value = Number(width);
+    if (!Number.isInteger(value) || value < 40 || value > MAX_TILE_WIDTH) {
+      return { options: null, error: `width must be a whole number of pixels from 40 to ${MAX_TILE_WIDTH}` };
+    }
+    options.width = value;
+  }
+
+  return { options, error: null };
+};
+
+/**
+ * Lay out the frames of a video on sprite sheets
+ * @param {Object} profile { width, height, duration } of the video
+ * @param {Object} [options]
+ * @param {number} [options.interval] Seconds between frames, default 5
+ * @param {number} [options.width] Tile width, default 160
+ * @returns {Object} { interval, frameCount, tileWidth, tileHeight, columns, rows }
+ */
+const planSprites = ({ width, height, duration }, { interval = DEFAULT_SPRITE_INTERVAL, width: tileWidth = DEFAULT_TILE_WIDTH } = {}) => {
+  if (!(duration > 0)) {
+    throw new Error('Cannot make sprites of a video without a duration');
+  }
+
+  const spacing = Math.max(interval, Math.ceil(duration / MAX_FRAMES));
+  const frameCount = Math.ceil(duration / spacing);
+  const tileW = even(Math.min(tileWidth, width || tileWidth));
+  const tileH = even(tileW * (height && width ? height / width : 9 / 16));
+  // Short videos get a single sheet just big enough for their frames
+  const columns = Math.min(COLUMNS, frameCount);
+  const rows = Math.min(ROWS, Math.ceil(frameCount / columns));
+
+  return { interval: spacing, frameCount, tileWidth: tileW, tileHeight: tileH, columns, rows };
+};
+
+/**
+ * Write the WebVTT thumbnails track of sprite sheets, with a cue per frame pointing at its tile
+ * @param {Object} layout From planSprites
+ * @param {Array<string>} sheets Sheet file or URL of each sheet, in order
+ * @param {number} duration Length of the video in seconds
+ * @returns {string} File contents
+ */
+const buildThumbnailTrack = (layout, sheets, duration) => {
+  const perSheet = layout.columns * layout.rows;
+  const cues = [];
+
+  for (let frame = 0; frame < layout.frameCount; frame++) {
+    const sheet = Math.floor(frame / perSheet);
+    if (sheet >= sheets.length) break;
+
+    const tile = frame % perSheet;
+    const x = (tile % layout.columns) * layout.tileWidth;
+    const y = Math.floor(tile / layout.columns) * layout.tileHeight;
+    const start = frame * layout.interval;
+    const end = Math.min((frame + 1) * layout.interval, duration);
+    cues.push([
+      `${formatVttTime(start)} --> ${formatVttTime(end)}`,
+      `${sheets[sheet]}#xywh=${x},${y},${layout.tileWidth},${layout.tileHeight}`,
+      ''
+    ].join('\n'));
+  }
+
+  return ['WEBVTT', '', ...cues].join('\n');
+};
+
+const renderSheets = (inputPath, outputDir, prefix, layout, track) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+
+    command
+      .noAudio()
+      .videoFilters(`fps=1/${layout.interval},scale=${layout.tileWidth}:${layout.tileHeight},tile=${layout.columns}x${layout.rows}`)
+      .outputOptions(['-q:v', '5', '-start_number', '0'])
+      .output(path.join(outputDir, `${prefix}_%03d.jpg`))
+      .on('end', () => {
+        untrack();
+        resolve();
+      })
+      .on('error', (err) => {
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+/**
+ * Render the sprite sheets and WebVTT thumbnails track of a video into a directory of its own
+ * The directory is replaced as a whole, so players never see a half written track
+ * @param {string} inputPath
+ * @param {string} outputDir Created or replaced
+ * @param {Object} [options]
+ * @param {number} [options.interval] Seconds between frames, default 5
+ * @param {number} [options.width] Tile width, default 160
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<Object>} Manifest { interval, frameCount, tileWidth, tileHeight, columns, rows, duration, sheets, track }
+ */
+const generateSprites = async (inputPath, outputDir, { interval, width, track } = {}) => {
+  const profile = await probeMediaProfile(inputPath);
+  const layout = planSprites(profile, { interval, width });
+  const version = Date.now().toString(36);
+  const workDir = `${outputDir}.tmp-${version}`;
+  fs.mkdirSync(workDir, { recursive: true });
+
+  try {
+    // Sheet names change with every render, so a sheet never changes once served and can be cached for good
+    const prefix = `sprite_${version}`;
+    await renderSheets(inputPath, workDir, prefix, layout, track);
+    const sheets = fs.readdirSync(workDir).filter(file => file.startsWith(`${prefix}_`) && file.endsWith('.jpg')).sort();
+    if (sheets.length === 0) {
+      throw new Error(`No sprite sheet was rendered for ${path.basename(inputPath)}`);
+    }
+
+    // Cues point at sheets next to the track, so the directory can be served from anywhere
+    fs.writeFileSync(path.join(workDir, TRACK_FILE), buildThumbnailTrack(layout, sheets, profile.duration));
+    const manifest = {
+      ...layout,
+      frameCount: Math.min(layout.frameCount, sheets.length * layout.columns * layout.rows),
+      duration: profile.duration,
+      sheets,
+      track: TRACK_FILE
+    };
+    fs.writeFileSync(path.join(workDir, MANIFEST_FILE), JSON.stringify(manifest));
+
+    fs.rmSync(outputDir, { recursive: true, force: true });
+    fs.renameSync(workDir, outputDir);
+    return manifest;
+  } catch (error) {
+    fs.rmSync(workDir, { recursive: true, force: true });
+    throw error;
+  }
+};
+
+/**
+ * Read the manifest of sprites rendered earlier by generateSprites
+ * @param {string} outputDir
+ * @returns {Object|null} The manifest, or null when there are no sprites
+ */
+const readSpriteManifest = (outputDir) => {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(outputDir, MANIFEST_FILE), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  DEFAULT_SPRITE_INTERVAL,
+  parseSpriteOptions,
+  planSprites,
+  buildThumbnailTrack,
+  generateSprites,
+  readSpriteManifest
+};
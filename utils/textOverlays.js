@@ -0,0 +1,293 @@
+// Where text is drawn, as drawtext x/y expressions (w/h: frame size, text_w/text_h: size of the text)
+const TEXT_POSITIONS = {
+  top: { x: '(w-text_w)/2', y: 'h*0.08' },
+  center: { x: '(w-text_w)/2', y: '(h-text_h)/2' },
+  bottom: { x: '(w-text_w)/2', y: 'h*0.92-text_h' },
+  'lower-third': { x: 'w*0.05', y: 'h*0.72' },
+  'top-left': { x: 'w*0.04', y: 'h*0.04' },
+  'top-right': { x: 'w*0.96-text_w', y: 'h*0.04' },
+  'bottom-left': { x: 'w*0.04', y: 'h*0.96-text_h' },
+  'bottom-right': { x: 'w*0.96-text_w', y: 'h*0.96-text_h' }
+};
+
+// Font sizes are fractions of the frame height so presets look the same at every resolution
+const TEXT_PRESETS = {
+  // Large hook title at the top of the frame
+  hook: { fontSize: 0.07, fontColor: 'white', borderWidth: 4, borderColor: 'black', position: 'top' },
+  // Name or topic over a dark band in the lower third
+  lowerThird: { fontSize: 0.045, fontColor: 'white', box: 'black@0.6', boxBorder: 0.6, position: 'lower-third' },
+  // Small label in a corner, e.g. the speaker or the source
+  label: { fontSize: 0.032, fontColor: 'white', box: 'black@0.5', boxBorder: 0.4, position: 'top-left' },
+  // Title and subtitle of a full-screen title card
+  title: { fontSize: 0.08, fontColor: 'white', position: 'center' },
+  subtitle: { fontSize: 0.04, fontColor: '0xCCCCCC', position: 'center' }
+};
+
+const DEFAULT_OVERLAY_PRESET = 'lowerThird';
+const MAX_TEXT_LENGTH = 200;
+const MAX_OVERLAYS_PER_CLIP = 10;
+
+const DEFAULT_CARD_DURATION = 2;
+const MIN_CARD_DURATION = 0.5;
+const MAX_CARD_DURATION = 10;
+const DEFAULT_CARD_BACKGROUND = 'black';
+
+// Frame rate of title cards when the frame they are rendered for has none
+const TITLE_CARD_FPS = 30;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const isColor = (value) => typeof value === 'string' && /^(#[0-9a-fA-F]{6}|[a-zA-Z]+)$/.test(value);
+
+// drawtext and color take 0xRRGGBB rather than #RRGGBB
+const toFilterColor = (value) => value.replace(/^#/, '0x');
+
+const checkText = (text, name) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return `${name} must be a non-empty string`;
+  }
+  if (text.length > MAX_TEXT_LENGTH) {
+    return `${name} must be at most ${MAX_TEXT_LENGTH} characters`;
+  }
+  return null;
+};
+
+// Read one timed overlay of a clip; start and end are seconds from the start of the clip
+const parseOverlay = (overlay, clipDuration) => {
+  if (!overlay || typeof overlay !== 'object' || Array.isArray(overlay)) {
+    return { error: 'an overlay must be an object with a text' };
+  }
+
+  const textError = checkText(overlay.text, 'text');
+  if (textError) {
+    return { error: textError };
+  }
+
+  const style = overlay.style || DEFAULT_OVERLAY_PRESET;
+  if (!TEXT_PRESETS[style] || style === 'subtitle') {
+    return { error: `unsupported style ${style}. Supported: hook, lowerThird, label, title` };
+  }
+
+  const position = overlay.position || TEXT_PRESETS[style].position;
+  if (!TEXT_POSITIONS[position]) {
+    return { error: `unsupported position ${position}. Supported: ${Object.keys(TEXT_POSITIONS).join(', ')}` };
+  }
+
+  const start = overlay.start === undefined ? 0 : overlay.start;
+  const end = overlay.end === undefined ? clipDuration : overlay.end;
+  if (!Number.isFinite(start) || !Number.isFinite(end) || start < 0 || end <= start) {
+    return { error: 'start and end must be numbers of seconds with 0 <= start < end' };
+  }
+  if (Number.isFinite(clipDuration) && start >= clipDuration) {
+    return { error: `start (${start}s) must be within the clip (${round(clipDuration)}s)` };
+  }
+
+  if (overlay.color !== undefined && !isColor(overlay.color)) {
+    return { error: 'color must be a color name or #RRGGBB' };
+  }
+
+  return { overlay: { text: overlay.text, start, end: Math.min(end, clipDuration), position, style, color: overlay.color } };
+};
+
+// Read the title card shown before a clip
+const parseTitleCard = (titleCard) => {
+  const card = typeof titleCard === 'string' ? { text: titleCard } : titleCard;
+  if (!card || typeof card !== 'object' || Array.isArray(card)) {
+    return { error: 'titleCard must be a text or an object with a text' };
+  }
+
+  const textError = checkText(card.text, 'titleCard.text');
+  if (textError) {
+    return { error: textError };
+  }
+  if (card.subtitle !== undefined && card.subtitle !== null) {
+    const subtitleError = checkText(card.subtitle, 'titleCard.subtitle');
+    if (subtitleError) {
+      return { error: subtitleError };
+    }
+  }
+
+  const duration = card.duration === undefined ? DEFAULT_CARD_DURATION : card.duration;
+  if (typeof duration !== 'number' || duration < MIN_CARD_DURATION || duration > MAX_CARD_DURATION) {
+    return { error: `titleCard.duration must be a number of seconds between ${MIN_CARD_DURATION} and ${MAX_CARD_DURATION}` };
+  }
+
+  const background = card.background || DEFAULT_CARD_BACKGROUND;
+  if (!isColor(background)) {
+    return { error: 'titleCard.background must be a color name or #RRGGBB' };
+  }
+
+  return { titleCard: { text: card.text, subtitle: card.subtitle || null, duration, background } };
+};
+
+/**
+ * Read the text overlays and title cards of the clips of a merge request
+ * Each clip can have `overlays` ([{ text, start, end, position, style, color }], times relative to the clip)
+ * and a `titleCard` ({ text, subtitle, duration, background }) shown full-screen before it
+ * @param {Array} clips Clips of the request
+ * @returns {Object} { textOverlays, error } where textOverlays has one { overlays, titleCard } entry per clip,
+ * or is null when no clip has any text
+ */
+const parseTextOverlayOptions = (clips = []) => {
+  const result = [];
+
+  for (let i = 0; i < clips.length; i++) {
+    const clip = clips[i] || {};
+    const clipDuration = Number(clip.endTime) - Number(clip.startTime);
+    const entry = { overlays: [], titleCard: null };
+
+    if (clip.overlays !== undefined && clip.overlays !== null) {
+      if (!Array.isArray(clip.overlays) || clip.overlays.length > MAX_OVERLAYS_PER_CLIP) {
+        return { textOverlays: null, error: `Clip ${i + 1}: overlays must be a list of at most ${MAX_OVERLAYS_PER_CLIP} entries` };
+      }
+      for (let j = 0; j < clip.overlays.length; j++) {
+        const parsed = parseOverlay(clip.overlays[j], Number.isFinite(clipDuration) ? clipDuration : Infinity);
+        if (parsed.error) {
+          return { textOverlays: null, error: `Clip ${i + 1} overlays[${j}]: ${parsed.error}` };
+        }
+        entry.overlays.push(parsed.overlay);
+      }
+    }
+
+    if (clip.titleCard) {
+      const parsed = parseTitleCard(clip.titleCard);
+      if (parsed.error) {
+        return { textOverlays: null, error: `Clip ${i + 1}: ${parsed.error}` };
+      }
+      entry.titleCard = parsed.titleCard;
+    }
+
+    result.push(entry);
+  }
+
+  const hasText = result.some(entry => entry.overlays.length > 0 || entry.titleCard);
+  return { textOverlays: hasText ? result : null, error: null };
+};
+
+/**
+ * Text of one clip, or null when it has none
+ * @param {Array|null} textOverlays From parseTextOverlayOptions
+ * @param {number} index Clip index
+ * @returns {Object|null} { overlays, titleCard }
+ */
+const getClipText = (textOverlays, index) => {
+  const entry = textOverlays && textOverlays[index];
+  return entry && (entry.overlays.length > 0 || entry.titleCard) ? entry : null;
+};
+
+// Text is escaped once as a drawtext option value and once more for the filter graph
+const escapeDrawText = (text) => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/[\\:']/g, '\\$&')
+  .replace(/[\\'[\],;]/g, '\\$&');
+
+// drawtext options for a piece of text in a style preset
+const buildDrawText = (text, presetName, { position, color, y, enable } = {}) => {
+  const preset = TEXT_PRESETS[presetName];
+  const place = TEXT_POSITIONS[position || preset.position];
+  const options = [
+    `text=${escapeDrawText(text)}`,
+    'expansion=none',
+    `fontsize=h*${preset.fontSize}`,
+    `fontcolor=${toFilterColor(color || preset.fontColor)}`,
+    `x=${place.x}`,
+    `y=${y || place.y}`
+  ];
+  if (preset.borderWidth) {
+    options.push(`borderw=${preset.borderWidth}`, `bordercolor=${preset.borderColor}`);
+  }
+  if (preset.box) {
+    // boxborderw is in pixels, sized here for a 1080 pixel high frame
+    options.push('box=1', `boxcolor=${preset.box}`, `boxborderw=${Math.round(preset.fontSize * preset.boxBorder * 1080)}`);
+  }
+  if (enable) {
+    options.push(`enable='${enable}'`);
+  }
+  return `drawtext=${options.join(':')}`;
+};
+
+/**
+ * Build the filter that draws the timed overlays of a clip over its video
+ * Timestamps of the clip have to start at 0
+ * @param {Array} overlays From parseTextOverlayOptions
+ * @param {string} input Input stream label
+ * @param {string} output Output stream label
+ * @returns {string} Filter graph usable with complexFilter
+ */
+const buildTextOverlayFilter = (overlays, input, output) => {
+  const drawtexts = overlays.map(overlay => buildDrawText(overlay.text, overlay.style, {
+    position: overlay.position,
+    color: overlay.color,
+    enable: `between(t,${round(overlay.start)},${round(overlay.end)})`
+  }));
+  return `[${input}]${drawtexts.join(',')}[${output}]`;
+};
+
+/**
+ * Build the filters that render a full-screen title card with silent audio
+ * @param {Object} titleCard From parseTextOverlayOptions
+ * @param {Object} frame { width, height, fps }
+ * @param {string} output Prefix of the output labels; the streams are [<output>v] and [<output>a]
+ * @returns {Array<string>} Filters for complexFilter
+ */
+const buildTitleCardFilters = (titleCard, frame, output) => {
+  const duration = round(titleCard.duration);
+  const texts = [buildDrawText(titleCard.text, 'title', titleCard.subtitle ? { y: '(h-text_h)/2-h*0.05' } : {})];
+  if (titleCard.subtitle) {
+    texts.push(buildDrawText(titleCard.subtitle, 'subtitle', { y: 'h/2+h*0.05' }));
+  }
+
+  return [
+    `color=c=${toFilterColor(titleCard.background)}:s=${frame.width}x${frame.height}:r=${frame.fps || TITLE_CARD_FPS}:d=${duration},` +
+      `format=yuv420p,setsar=1,${texts.join(',')}[${output}v]`,
+    `anullsrc=r=48000:cl=stereo,atrim=0:${duration},aformat=sample_fmts=fltp[${output}a]`
+  ];
+};
+
+/**
+ * Transitions between the segments of a merge once title cards are placed before their clips
+ * A transition set between two clips is used going into and out of the title card between them
+ * @param {Array|null} transitions From parseTransitionOptions, one per boundary between clips
+ * @param {Array|null} textOverlays From parseTextOverlayOptions
+ * @param {number} clipCount Number of clips
+ * @returns {Array|null} One transition per boundary between segments, or null when every boundary is a cut
+ */
+const getSegmentTransitions = (transitions, textOverlays, clipCount) => {
+  const cut = { type: 'cut', duration: 0 };
+  const result = [];
+  for (let i = 0; i < clipCount; i++) {
+    const boundary = i > 0 ? (transitions && transitions[i - 1]) || cut : null;
+    const card = getClipText(textOverlays, i) && textOverlays[i].titleCard;
+    if (card) {
+      if (boundary) {
+        result.push(boundary);
+      }
+      result.push(boundary || cut);
+    } else if (boundary) {
+      result.push(boundary);
+    }
+  }
+  return result.some(item => item.type !== 'cut') ? result : null;
+};
+
+/**
+ * Total length of the title cards
+ * @param {Array|null} textOverlays From parseTextOverlayOptions
+ * @returns {number} Seconds
+ */
+const getTitleCardsDuration = (textOverlays) => {
+  return (textOverlays || []).reduce((sum, entry) => sum + (entry.titleCard ? entry.titleCard.duration : 0), 0);
+};
+
+module.exports = {
+  TEXT_PRESETS,
+  TEXT_POSITIONS,
+  TITLE_CARD_FPS,
+  parseTextOverlayOptions,
+  getClipText,
+  escapeDrawText,
+  buildTextOverlayFilter,
+  buildTitleCardFilters,
+  getSegmentTransitions,
+  getTitleCardsDuration
+};
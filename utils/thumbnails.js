@@ -0,0 +1,219 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { probeMediaProfile } = require('./mediaProfile');
+
+const DEFAULT_SAMPLE_COUNT = 12;
+const MAX_SAMPLE_COUNT = 30;
+const DEFAULT_KEEP_COUNT = 3;
+const DEFAULT_FRAME_WIDTH = 640;
+// Frames are sampled away from the start and end, which are often fades, black frames or end cards
+const EDGE_MARGIN = 0.05;
+
+// Luma levels (0-255): frames darker or brighter than these are fades or blown out, and never picked
+const MIN_BRIGHTNESS = 25;
+const MAX_BRIGHTNESS = 230;
+const IDEAL_BRIGHTNESS = 115;
+// Spread between the 10th and 90th luma percentiles; flatter frames are a single color
+const MIN_CONTRAST = 20;
+const FULL_CONTRAST = 180;
+// Average of the edge map at which a frame counts as fully sharp
+const SHARP_EDGES = 25;
+
+const WEIGHTS = { brightness: 0.3, sharpness: 0.4, contrast: 0.3 };
+
+const round = (value) => Math.round(value * 1000) / 1000;
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Format seconds as an ffmpeg timemark, e.g. 00:01:05.250
+ * @param {number} seconds
+ * @returns {string}
+ */
+const formatTimemark = (seconds) => {
+  const ms = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(ms / 3600000))}:${pad(Math.floor(ms / 60000) % 60)}:${pad(Math.floor(ms / 1000) % 60)}.${pad(ms % 1000, 3)}`;
+};
+
+/**
+ * Read the statistics printed by the analysis filters of analyzeFrame
+ * The first block is the frame itself, the second one its edge map
+ * @param {Array<string>} lines ffmpeg stderr lines
+ * @returns {Object|null} { brightness, low, high, edges } in luma levels, or null when incomplete
+ */
+const parseFrameStats = (lines) => {
+  const blocks = [];
+  lines.forEach(line => {
+    if (/pts_time:/.test(line)) {
+      blocks.push({});
+      return;
+    }
+    const match = String(line).match(/lavfi\.signalstats\.(YAVG|YLOW|YHIGH)=([\d.]+)/);
+    if (match && blocks.length > 0) {
+      blocks[blocks.length - 1][match[1]] = Number(match[2]);
+    }
+  });
+
+  const [frame, edges] = blocks;
+  if (!frame || !edges || frame.YAVG === undefined || edges.YAVG === undefined) {
+    return null;
+  }
+  return { brightness: frame.YAVG, low: frame.YLOW, high: frame.YHIGH, edges: edges.YAVG };
+};
+
+/**
+ * Score a frame as a thumbnail: well exposed, sharp and not a single flat color
+ * @param {Object} stats From parseFrameStats
+ * @returns {Object} { score, brightness, sharpness, contrast } all from 0 to 1
+ */
+const scoreFrame = ({ brightness, low, high, edges }) => {
+  const exposure = Math.max(0, 1 - Math.abs(brightness - IDEAL_BRIGHTNESS) / IDEAL_BRIGHTNESS);
+  const sharpness = Math.min(1, edges / SHARP_EDGES);
+  const contrast = Math.min(1, Math.max(0, high - low) / FULL_CONTRAST);
+  const usable = brightness >= MIN_BRIGHTNESS && brightness <= MAX_BRIGHTNESS && high - low >= MIN_CONTRAST;
+
+  return {
+    score: usable
+      ? round(WEIGHTS.brightness * exposure + WEIGHTS.sharpness * sharpness + WEIGHTS.contrast * contrast)
+      : 0,
+    brightness: round(exposure),
+    sharpness: round(sharpness),
+    contrast: round(contrast)
+  };
+};
+
+/**
+ * Times to sample frames at, spread evenly between the margins at the start and end of a video
+ * @param {number} duration Seconds
+ * @param {number} count Frames to sample, at most MAX_SAMPLE_COUNT
+ * @returns {Array<number>} Seconds
+ */
+const getSampleTimes = (duration, count) => {
+  const samples = Math.min(MAX_SAMPLE_COUNT, Math.max(1, count));
+  return Array.from({ length: samples }, (_, i) => round(duration * (EDGE_MARGIN + (1 - 2 * EDGE_MARGIN) * (i + 0.5) / samples)));
+};
+
+/**
+ * Split scored frames into the best ones and the rest; frames that score the same keep their order
+ * @param {Array} candidates [{ score }]
+ * @param {number} keep Frames to keep, at least 1
+ * @returns {Object} { kept, dropped } with kept best first
+ */
+const pickThumbnails = (candidates, keep) => {
+  const sorted = [...candidates].sort((a, b) => b.score - a.score);
+  const kept = Math.max(1, keep);
+  return { kept: sorted.slice(0, kept), dropped: sorted.slice(kept) };
+};
+
+const extractFrame = (inputPath, outputPath, time, width, height, track) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+
+    command
+      .seekInput(time)
+      .frames(1)
+      .videoFilters(`scale=${width}:${height}`)
+      .outputOptions(['-q:v', '3'])
+      .output(outputPath)
+      .on('end', () => {
+        untrack();
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+const analyzeFrame = (imagePath, track) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(imagePath);
+    const untrack = track ? track(command) : () => {};
+    const lines = [];
+
+    command
+      .videoFilters('signalstats,metadata=print,edgedetect=low=0.1:high=0.3,signalstats,metadata=print')
+      .format('null')
+      .output('-')
+      .on('stderr', (line) => {
+        if (line.includes('pts_time:') || line.includes('lavfi.signalstats.')) {
+          lines.push(line);
+        }
+      })
+      .on('end', () => {
+        untrack();
+        const stats = parseFrameStats(lines);
+        if (!stats) {
+          return reject(new Error(`No frame statistics for ${path.basename(imagePath)}`));
+        }
+        resolve(stats);
+      })
+      .on('error', (err) => {
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+/**
+ * Sample frames across a video and keep the ones that make the best thumbnails
+ * Frames that are not kept are deleted
+ * @param {string} inputPath
+ * @param {string} outputDir
+ * @param {Object} [options]
+ * @param {string} [options.prefix] Start of the frame file names, default 'frame'
+ * @param {number} [options.count] Frames to sample, default 12
+ * @param {number} [options.keep] Frames to keep, default 3
+ * @param {number} [options.width] Largest frame width, default 640
+ * @param {Function} [options.track] Called with each ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<Array>} [{ path, time, width, height, score, brightness, sharpness, contrast }] best first
+ */
+const selectThumbnails = async (inputPath, outputDir, {
+  prefix = 'frame',
+  count = DEFAULT_SAMPLE_COUNT,
+  keep = DEFAULT_KEEP_COUNT,
+  width = DEFAULT_FRAME_WIDTH,
+  track
+} = {}) => {
+  const profile = await probeMediaProfile(inputPath);
+  const frameWidth = even(Math.min(width, profile.width));
+  const frameHeight = even(profile.height * frameWidth / profile.width);
+  fs.mkdirSync(outputDir, { recursive: true });
+
+  const candidates = [];
+  for (const [i, time] of getSampleTimes(profile.duration, count).entries()) {
+    const framePath = path.join(outputDir, `${prefix}_${i}.jpg`);
+    try {
+      await extractFrame(inputPath, framePath, time, frameWidth, frameHeight, track);
+      const stats = await analyzeFrame(framePath, track);
+      candidates.push({ path: framePath, time, width: frameWidth, height: frameHeight, ...scoreFrame(stats) });
+    } catch (error) {
+      console.warn(`Skipping thumbnail candidate at ${time}s: ${error.message}`);
+      fs.rmSync(framePath, { force: true });
+    }
+  }
+
+  if (candidates.length === 0) {
+    throw new Error(`No frame of ${path.basename(inputPath)} could be sampled`);
+  }
+
+  const { kept, dropped } = pickThumbnails(candidates, keep);
+  dropped.forEach(candidate => fs.rmSync(candidate.path, { force: true }));
+  return kept;
+};
+
+module.exports = {
+  DEFAULT_SAMPLE_COUNT,
+  MAX_SAMPLE_COUNT,
+  formatTimemark,
+  parseFrameStats,
+  scoreFrame,
+  getSampleTimes,
+  pickThumbnails,
+  selectThumbnails
+};
@@ -0,0 +1,301 @@
+const ffmpeg = require('fluent-ffmpeg');
+const { VIDEO_ENCODE_OPTIONS } = require('./reframe');
+
+// Hesitations AssemblyAI transcribes when disfluencies are requested
+const FILLER_WORDS = ['um', 'umm', 'uh', 'uhh', 'uhm', 'er', 'erm', 'ah', 'hmm', 'mm', 'mhm'];
+
+const DEFAULT_TIGHTEN = { fillers: true, silences: true, minSilence: 0.75, silenceThreshold: -35, padding: 0.15 };
+// Shortest and longest pause, in seconds, that counts as a silence
+const MIN_SILENCE = 0.3;
+const MAX_SILENCE = 10;
+// Volume, in dB, under which audio counts as silent
+const MIN_THRESHOLD = -80;
+const MAX_THRESHOLD = -10;
+// Silence kept on each side of a cut, in seconds, so speech does not start or stop abruptly
+const MAX_PADDING = 1;
+
+// Cuts shorter than this are not worth a jump in the picture, and shorter pieces between cuts are cut as well
+const MIN_CUT = 0.1;
+const MIN_KEEP = 0.2;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+const normalizeWord = (text) => String(text || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Read the tighten options of a request
+ * tighten: true cuts both filler words and silences with the default settings
+ * @param {boolean|Object} tighten true, or { fillers, silences, minSilence, silenceThreshold, padding }
+ * @returns {Object} { tighten, error } where tighten is null when nothing is cut
+ */
+const parseTightenOptions = (tighten) => {
+  if (!tighten) {
+    return { tighten: null, error: null };
+  }
+
+  const options = tighten === true ? {} : tighten;
+  if (typeof options !== 'object' || Array.isArray(options)) {
+    return { tighten: null, error: 'tighten must be true or an object' };
+  }
+
+  const settings = { ...DEFAULT_TIGHTEN, ...options };
+  if (typeof settings.fillers !== 'boolean' || typeof settings.silences !== 'boolean') {
+    return { tighten: null, error: 'tighten.fillers and tighten.silences must be booleans' };
+  }
+  if (!settings.fillers && !settings.silences) {
+    return { tighten: null, error: 'tighten must cut fillers, silences or both' };
+  }
+
+  const inRange = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+  if (!inRange(settings.minSilence, MIN_SILENCE, MAX_SILENCE)) {
+    return { tighten: null, error: `tighten.minSilence must be a number between ${MIN_SILENCE} and ${MAX_SILENCE}` };
+  }
+  if (!inRange(settings.silenceThreshold, MIN_THRESHOLD, MAX_THRESHOLD)) {
+    return { tighten: null, error: `tighten.silenceThreshold must be a number between ${MIN_THRESHOLD} and ${MAX_THRESHOLD} dB` };
+  }
+  if (!inRange(settings.padding, 0, MAX_PADDING)) {
+    return { tighten: null, error: `tighten.padding must be a number between 0 and ${MAX_PADDING}` };
+  }
+
+  return {
+    tighten: {
+      fillers: settings.fillers,
+      silences: settings.silences,
+      minSilence: settings.minSilence,
+      silenceThreshold: settings.silenceThreshold,
+      padding: settings.padding
+    },
+    error: null
+  };
+};
+
+/**
+ * Find the filler words spoken in part of a video
+ * @param {Array} words [{ text, start, end }] from transcriptToWords
+ * @param {number} startTime
+ * @param {number} endTime
+ * @returns {Array} [{ start, end, text }] in seconds of the source video
+ */
+const findFillerWords = (words, startTime, endTime) => {
+  return (words || [])
+    .filter(word => word.end > startTime && word.start < endTime && FILLER_WORDS.includes(normalizeWord(word.text)))
+    .map(word => ({ start: word.start, end: word.end, text: word.text }));
+};
+
+/**
+ * Read the silences reported by ffmpeg's silencedetect filter
+ * A silence still running at the end of the input lasts until its end
+ * @param {Array<string>} lines ffmpeg stderr lines
+ * @param {number} offset Start of the analysed part in the source video
+ * @param {number} duration Length of the analysed part
+ * @returns {Array} [{ start, end }] in seconds of the source video
+ */
+const parseSilences = (lines, offset, duration) => {
+  const silences = [];
+  let silenceStart = null;
+
+  lines.forEach(line => {
+    const match = String(line).match(/silence_(start|end): (-?[\d.]+)/);
+    if (!match) {
+      return;
+    }
+    const time = Number(match[2]);
+    if (match[1] === 'start') {
+      silenceStart = Math.max(0, time);
+    } else if (silenceStart !== null) {
+      silences.push({ start: round(offset + silenceStart), end: round(offset + Math.min(time, duration)) });
+      silenceStart = null;
+    }
+  });
+
+  if (silenceStart !== null && silenceStart < duration) {
+    silences.push({ start: round(offset + silenceStart), end: round(offset + duration) });
+  }
+  return silences;
+};
+
+/**
+ * Detect the silences of a video's audio, or of a part of it
+ * @param {string} inputPath
+ * @param {Object} tighten From parseTightenOptions
+ * @param {Object} options
+ * @param {number} [options.startTime] Start of the analysed part in seconds
+ * @param {number} options.duration Length of the analysed part in seconds
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<Array>} [{ start, end }] in seconds of the source video, empty for inputs without audio
+ */
+const detectSilences = (inputPath, tighten, { startTime = 0, duration, track } = {}) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+    // fluent-ffmpeg only keeps the last lines of stderr, so the silences are collected as they are printed
+    const lines = [];
+
+    if (startTime) {
+      command.setStartTime(startTime);
+    }
+    command
+      .setDuration(duration)
+      .noVideo()
+      .audioFilters(`silencedetect=noise=${tighten.silenceThreshold}dB:d=${tighten.minSilence}`)
+      .format('null')
+      .output('-')
+      .on('stderr', (line) => {
+        if (line.includes('silence_')) {
+          lines.push(line);
+        }
+      })
+      .on('end', () => {
+        untrack();
+        resolve(parseSilences(lines, startTime, duration));
+      })
+      .on('error', (err, stdout, stderr) => {
+        untrack();
+        // Inputs without an audio stream have no silences to cut
+        if (/matches no streams|does not contain any stream|Output file #0 does not contain/i.test(String(stderr || err.message))) {
+          return resolve([]);
+        }
+        reject(err);
+      })
+      .run();
+  });
+};
+
+/**
+ * Plan the cuts of part of a video: filler words as transcribed, and silences minus their padding
+ * Overlapping or nearly touching cuts are joined, and nothing is cut when it would leave nothing
+ * @param {Object} detected { fillers, silences } from findFillerWords and detectSilences
+ * @param {number} startTime
+ * @param {number} endTime
+ * @param {Object} tighten From parseTightenOptions
+ * @returns {Object} { removed, keep, duration } where removed is [{ start, end, reasons }] and keep is
+ * [{ start, end }], both in seconds of the source video, and duration is the length of what is kept
+ */
+const planTighten = ({ fillers = [], silences = [] }, startTime, endTime, tighten) => {
+  const cuts = [
+    ...(tighten.fillers ? fillers.map(filler => ({ start: filler.start, end: filler.end, reason: 'filler' })) : []),
+    ...(tighten.silences ? silences.map(silence => ({
+      start: silence.start + tighten.padding,
+      end: silence.end - tighten.padding,
+      reason: 'silence'
+    })) : [])
+  ]
+    .map(cut => ({ ...cut, start: Math.max(startTime, cut.start), end: Math.min(endTime, cut.end) }))
+    .filter(cut => cut.end > cut.start)
+    .sort((a, b) => a.start - b.start);
+
+  const removed = [];
+  cuts.forEach(cut => {
+    const last = removed[removed.length - 1];
+    if (last && cut.start - last.end < MIN_KEEP) {
+      last.end = Math.max(last.end, cut.end);
+      if (!last.reasons.includes(cut.reason)) {
+        last.reasons.push(cut.reason);
+      }
+    } else {
+      removed.push({ start: cut.start, end: cut.end, reasons: [cut.reason] });
+    }
+  });
+
+  // A sliver left at either end of the part is cut with its neighbour
+  if (removed.length > 0 && removed[0].start - startTime < MIN_KEEP) {
+    removed[0].start = startTime;
+  }
+  if (removed.length > 0 && endTime - removed[removed.length - 1].end < MIN_KEEP) {
+    removed[removed.length - 1].end = endTime;
+  }
+
+  const edits = removed
+    .filter(cut => cut.end - cut.start >= MIN_CUT)
+    .map(cut => ({ start: round(cut.start), end: round(cut.end), reasons: cut.reasons }));
+
+  const keep = [];
+  let position = startTime;
+  edits.forEach(cut => {
+    if (cut.start > position) {
+      keep.push({ start: round(position), end: cut.start });
+    }
+    position = cut.end;
+  });
+  if (position < endTime) {
+    keep.push({ start: round(position), end: round(endTime) });
+  }
+
+  if (keep.length === 0) {
+    return { removed: [], keep: [{ start: startTime, end: endTime }], duration: round(endTime - startTime) };
+  }
+  return { removed: edits, keep, duration: round(keep.reduce((sum, range) => sum + range.end - range.start, 0)) };
+};
+
+/**
+ * Build the filters that keep only the planned ranges of an input
+ * Frames are selected by time rather than split and trimmed per range, so long inputs are not buffered
+ * @param {Array} keep [{ start, end }] from planTighten
+ * @param {number} offset Time of the source video the input starts at, when it was seeked
+ * @param {Object} inputs { video, audio } labels of the input streams; audio may be null
+ * @param {string} output Prefix of the output labels; the streams are [<output>v] and [<output>a]
+ * @returns {Object} { filters, video, audio } with audio null when the input has none
+ */
+const buildTightenFilters = (keep, offset, { video, audio }, output) => {
+  const expression = keep
+    .map(range => `between(t,${round(range.start - offset)},${round(range.end - offset)})`)
+    .join('+');
+
+  const filters = [`[${video}]select='${expression}',setpts=N/FRAME_RATE/TB[${output}v]`];
+  if (audio) {
+    filters.push(`[${audio}]aselect='${expression}',asetpts=N/SR/TB[${output}a]`);
+  }
+  return { filters, video: `${output}v`, audio: audio ? `${output}a` : null };
+};
+
+/**
+ * Render a video with only the planned ranges kept
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {Array} keep [{ start, end }] from planTighten
+ * @param {Object} [options]
+ * @param {boolean} [options.hasAudio] Whether the input has an audio stream
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @param {Function} [options.onProgress] Called with ffmpeg progress events
+ * @returns {Promise<string>} outputPath
+ */
+const renderTightened = (inputPath, outputPath, keep, { hasAudio = true, track, onProgress } = {}) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+    const { filters, video, audio } = buildTightenFilters(keep, 0, { video: '0:v', audio: hasAudio ? '0:a' : null }, 'tight');
+
+    command
+      .complexFilter(filters)
+      .outputOptions([
+        '-map', `[${video}]`,
+        ...(audio ? ['-map', `[${audio}]`] : []),
+        ...VIDEO_ENCODE_OPTIONS,
+        '-preset', 'veryfast',
+        '-crf', '20',
+        '-movflags', '+faststart'
+      ])
+      .output(outputPath)
+      .on('progress', (progress) => onProgress && onProgress(progress))
+      .on('end', () => {
+        untrack();
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+module.exports = {
+  FILLER_WORDS,
+  parseTightenOptions,
+  findFillerWords,
+  parseSilences,
+  detectSilences,
+  planTighten,
+  buildTightenFilters,
+  renderTightened
+};
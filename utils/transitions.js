@@ -0,0 +1,218 @@
+const ffmpeg = require('fluent-ffmpeg');
+
+// Transition type -> ffmpeg xfade transition; 'cut' joins the clips without a transition
+const TRANSITION_TYPES = {
+  cut: null,
+  crossfade: 'fade',
+  fadeblack: 'fadeblack',
+  wipe: 'wipeleft'
+};
+
+const WIPE_DIRECTIONS = ['left', 'right', 'up', 'down'];
+
+const DEFAULT_DURATION = 0.5;
+const MIN_DURATION = 0.1;
+const MAX_DURATION = 3;
+
+// xfade needs both inputs at the same frame rate, pixel format and timebase;
+// inputs are brought to the merge's target frame rate, this one is only used without it
+const DEFAULT_TRANSITION_FPS = 30;
+
+// Read one transition given as a type name or { type, duration, direction }
+const parseTransition = (value) => {
+  const transition = typeof value === 'string' ? { type: value } : value;
+  if (!transition || typeof transition !== 'object' || Array.isArray(transition)) {
+    return { error: 'a transition must be a type name or an object with a type' };
+  }
+
+  const type = transition.type || 'crossfade';
+  if (!Object.prototype.hasOwnProperty.call(TRANSITION_TYPES, type)) {
+    return { error: `unsupported transition ${type}. Supported: ${Object.keys(TRANSITION_TYPES).join(', ')}` };
+  }
+
+  if (type === 'cut') {
+    return { transition: { type, duration: 0 } };
+  }
+
+  const duration = transition.duration === undefined ? DEFAULT_DURATION : transition.duration;
+  if (typeof duration !== 'number' || duration < MIN_DURATION || duration > MAX_DURATION) {
+    return { error: `transition duration must be a number of seconds between ${MIN_DURATION} and ${MAX_DURATION}` };
+  }
+
+  const result = { type, duration };
+  if (type === 'wipe') {
+    const direction = transition.direction || 'left';
+    if (!WIPE_DIRECTIONS.includes(direction)) {
+      return { error: `unsupported wipe direction ${direction}. Supported: ${WIPE_DIRECTIONS.join(', ')}` };
+    }
+    result.direction = direction;
+  }
+  return { transition: result };
+};
+
+/**
+ * Read the transitions of a merge request
+ * `transition` applies to every boundary between clips; `transitions` sets them per boundary
+ * (entry i sits between clip i and clip i + 1, null entries fall back to `transition`)
+ * @param {Object} options { transition, transitions }
+ * @param {Array} clips Clips of the request, used to check that transitions fit inside them
+ * @returns {Object} { transitions, error } where transitions is null when every boundary is a cut
+ */
+const parseTransitionOptions = ({ transition, transitions } = {}, clips = []) => {
+  const boundaries = Math.max(0, clips.length - 1);
+  if ((!transition && !transitions) || boundaries === 0) {
+    return { transitions: null, error: null };
+  }
+
+  let fallback = { type: 'cut', duration: 0 };
+  if (transition) {
+    const parsed = parseTransition(transition);
+    if (parsed.error) {
+      return { transitions: null, error: `transition: ${parsed.error}` };
+    }
+    fallback = parsed.transition;
+  }
+
+  if (transitions !== undefined && transitions !== null) {
+    if (!Array.isArray(transitions) || transitions.length > boundaries) {
+      return { transitions: null, error: `transitions must be a list of at most ${boundaries} entries, one per boundary between clips` };
+    }
+  }
+
+  const result = [];
+  for (let i = 0; i < boundaries; i++) {
+    const value = transitions && transitions[i];
+    if (value === undefined || value === null) {
+      result.push(fallback);
+      continue;
+    }
+    const parsed = parseTransition(value);
+    if (parsed.error) {
+      return { transitions: null, error: `transitions[${i}]: ${parsed.error}` };
+    }
+    result.push(parsed.transition);
+  }
+
+  // A clip has to be longer than the transitions into and out of it
+  for (let i = 0; i < clips.length; i++) {
+    const clipDuration = Number(clips[i].endTime) - Number(clips[i].startTime);
+    if (!Number.isFinite(clipDuration)) {
+      continue;
+    }
+    const overlap = (i > 0 ? result[i - 1].duration : 0) + (i < boundaries ? result[i].duration : 0);
+    if (overlap >= clipDuration) {
+      return { transitions: null, error: `Clip ${i + 1} (${clipDuration}s) is too short for its ${overlap}s of transitions` };
+    }
+  }
+
+  return { transitions: result.some(item => item.type !== 'cut') ? result : null, error: null };
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Transitions as they are rendered: a transition never takes up more than half of either side it joins
+ * @param {Array<number>} durations Length in seconds of each segment, in order
+ * @param {Array|null} transitions One per boundary between segments, null entries being cuts
+ * @returns {Array|null} One transition per boundary with its rendered duration, null when transitions is null
+ */
+const fitTransitions = (durations, transitions) => {
+  if (!transitions) {
+    return null;
+  }
+
+  let duration = durations[0];
+  return durations.slice(1).map((next, i) => {
+    const transition = transitions[i] || { type: 'cut', duration: 0 };
+    const length = transition.type === 'cut' ? 0 : round(Math.min(transition.duration, duration / 2, next / 2));
+    duration += next - length;
+    return length === transition.duration ? transition : { ...transition, duration: length };
+  });
+};
+
+/**
+ * Total length of the transitions, i.e. how much shorter the merged video is than its clips
+ * @param {Array|null} transitions From fitTransitions
+ * @returns {number} Seconds
+ */
+const getTransitionOverlap = (transitions) => {
+  return (transitions || []).reduce((sum, transition) => sum + transition.duration, 0);
+};
+
+const getXfadeName = (transition) => {
+  return transition.type === 'wipe' ? `wipe${transition.direction || 'left'}` : TRANSITION_TYPES[transition.type];
+};
+
+/**
+ * Build the filter graph that joins clips with transitions
+ * Transitions overlap the end of one clip with the start of the next (xfade/acrossfade), cuts concatenate them
+ * @param {Array} inputs [{ video, audio, duration }] stream labels and length in seconds of each clip, in order
+ * @param {Array} transitions From parseTransitionOptions, one per boundary
+ * @param {Object} output { video, audio } labels of the joined streams
+ * @param {Object} [target] { fps } from pickTargetProfile
+ * @returns {Object} { filters, duration, transitions } filters for complexFilter, the length of the joined video
+ * and the transitions from fitTransitions
+ */
+const buildTransitionFilters = (inputs, transitions, output = { video: 'v', audio: 'a' }, { fps } = {}) => {
+  const filters = inputs.flatMap((input, i) => [
+    `[${input.video}]fps=${fps || DEFAULT_TRANSITION_FPS},format=yuv420p,settb=AVTB,setpts=PTS-STARTPTS[n${i}v]`,
+    `[${input.audio}]aformat=sample_fmts=fltp:sample_rates=48000:channel_layouts=stereo,asetpts=PTS-STARTPTS[n${i}a]`
+  ]);
+
+  const fitted = fitTransitions(inputs.map(input => input.duration), transitions || []);
+  let video = 'n0v';
+  let audio = 'n0a';
+  let duration = inputs[0].duration;
+
+  for (let i = 1; i < inputs.length; i++) {
+    const last = i === inputs.length - 1;
+    const nextVideo = last ? output.video : `x${i}v`;
+    const nextAudio = last ? output.audio : `x${i}a`;
+    const transition = fitted[i - 1];
+
+    if (transition.type === 'cut') {
+      filters.push(`[${video}][n${i}v]concat=n=2:v=1:a=0[${nextVideo}]`);
+      filters.push(`[${audio}][n${i}a]concat=n=2:v=0:a=1[${nextAudio}]`);
+      duration += inputs[i].duration;
+    } else {
+      const length = transition.duration;
+      filters.push(`[${video}][n${i}v]xfade=transition=${getXfadeName(transition)}:duration=${length}:offset=${round(duration - length)}[${nextVideo}]`);
+      filters.push(`[${audio}][n${i}a]acrossfade=d=${length}[${nextAudio}]`);
+      duration += inputs[i].duration - length;
+    }
+
+    video = nextVideo;
+    audio = nextAudio;
+  }
+
+  return { filters, duration: round(duration), transitions: fitted };
+};
+
+/**
+ * Probe the duration of a media file
+ * @param {string} filePath
+ * @returns {Promise<number>} Seconds
+ */
+const probeDuration = (filePath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => {
+      if (err) {
+        return reject(err);
+      }
+      const duration = Number(metadata.format && metadata.format.duration);
+      if (!Number.isFinite(duration) || duration <= 0) {
+        return reject(new Error(`Could not read the duration of ${filePath}`));
+      }
+      resolve(duration);
+    });
+  });
+};
+
+module.exports = {
+  TRANSITION_TYPES,
+  parseTransitionOptions,
+  fitTransitions,
+  getTransitionOverlap,
+  buildTransitionFilters,
+  probeDuration
+};
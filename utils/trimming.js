@@ -0,0 +1,340 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+
+// accurate re-encodes the whole clip, fast copies it from the keyframe before the start,
+// smart copies the keyframe-aligned middle and only re-encodes the fragments around it
+const TRIM_MODES = ['accurate', 'fast', 'smart'];
+const DEFAULT_TRIM_MODE = 'accurate';
+
+// Cuts this close to a keyframe are treated as being on it
+const KEYFRAME_TOLERANCE = 0.05;
+// How far around the clip keyframes are looked for; long GOPs are rarely over 10 seconds
+const KEYFRAME_SEARCH_WINDOW = 15;
+
+// Smart trim only splices fragments into streams libx264 and the aac encoder can reproduce:
+// H.264 profiles as named by ffprobe, with the libx264 profile giving the same stream, and AAC-LC
+const SPLICE_H264_PROFILES = {
+  'Constrained Baseline': 'baseline',
+  'Baseline': 'baseline',
+  'Main': 'main',
+  'High': 'high'
+};
+const SPLICE_PIX_FMTS = ['yuv420p', 'yuvj420p'];
+const SPLICE_AAC_PROFILES = ['LC'];
+
+/**
+ * Read the trim mode of a merge request
+ * @param {Object} options { trimMode }
+ * @returns {Object} { trimMode, error }
+ */
+const parseTrimOptions = ({ trimMode } = {}) => {
+  if (trimMode === undefined || trimMode === null) {
+    return { trimMode: DEFAULT_TRIM_MODE, error: null };
+  }
+
+  if (!TRIM_MODES.includes(trimMode)) {
+    return { trimMode: null, error: `trimMode must be one of ${TRIM_MODES.join(', ')}` };
+  }
+
+  return { trimMode, error: null };
+};
+
+/**
+ * Whether a clip can be cut with streams copied: anything that filters its frames or audio needs a re-encode
+ * @param {string} trimMode From parseTrimOptions
+ * @param {Object} filters { reframe, subtitlesPath, audioFilter, overlays } applied while trimming
+ * @returns {boolean}
+ */
+const canCopyTrim = (trimMode, { reframe, subtitlesPath, audioFilter, overlays } = {}) => {
+  return Boolean(trimMode) && trimMode !== 'accurate' &&
+    !reframe && !subtitlesPath && !audioFilter && !(overlays && overlays.length > 0);
+};
+
+/**
+ * List the video keyframes of a file around a time range, from the packet flags so nothing is decoded
+ * @param {string} filePath
+ * @param {number} startTime
+ * @param {number} endTime
+ * @param {Object} [options]
+ * @param {Function} [options.track] Called with the ffprobe process, returns a function that stops tracking it
+ * @returns {Promise<Array<number>>} Keyframe times in seconds, in order
+ */
+const probeKeyframes = (filePath, startTime, endTime, { track } = {}) => {
+  return new Promise((resolve, reject) => {
+    const from = Math.max(0, startTime - KEYFRAME_SEARCH_WINDOW);
+    const to = endTime + KEYFRAME_SEARCH_WINDOW;
+    const probe = spawn(process.env.FFPROBE_PATH || 'ffprobe', [
+      '-v', 'error',
+      '-select_streams', 'v:0',
+      '-read_intervals', `${from}%${to}`,
+      '-show_entries', 'packet=pts_time,flags',
+      '-of', 'csv=p=0',
+      filePath
+    ]);
+    const untrack = track ? track(probe) : () => {};
+    let stdout = '';
+    let stderr = '';
+
+    probe.stdout.on('data', (data) => { stdout += data; });
+    probe.stderr.on('data', (data) => { stderr += data; });
+    probe.on('error', (err) => {
+      untrack();
+      reject(err);
+    });
+    probe.on('close', (code) => {
+      untrack();
+      if (code !== 0) {
+        return reject(new Error(`ffprobe exited with code ${code}: ${stderr.trim()}`));
+      }
+
+      const keyframes = stdout.split('\n')
+        .map(line => line.trim().split(','))
+        .filter(([time, flags]) => flags && flags.includes('K') && Number.isFinite(Number(time)))
+        .map(([time]) => Number(time))
+        .sort((a, b) => a - b);
+      resolve([...new Set(keyframes)]);
+    });
+  });
+};
+
+/**
+ * Work out which part of a clip can be stream-copied
+ * @param {Array<number>} keyframes From probeKeyframes
+ * @param {number} startTime
+ * @param {number} endTime
+ * @returns {Object|null} { head, copy, tail } time ranges as [from, to], head and tail being null when the cut
+ * falls on a keyframe, or null when no keyframe-aligned part is long enough to copy
+ */
+const planSmartTrim = (keyframes, startTime, endTime) => {
+  const first = keyframes.find(time => time >= startTime - KEYFRAME_TOLERANCE);
+  const last = [...keyframes].reverse().find(time => time <= endTime + KEYFRAME_TOLERANCE);
+  if (first === undefined || last === undefined || last - first < KEYFRAME_TOLERANCE) {
+    return null;
+  }
+
+  const copyEnd = Math.min(last, endTime);
+  return {
+    head: first - startTime > KEYFRAME_TOLERANCE ? [startTime, first] : null,
+    copy: [first, copyEnd],
+    tail: endTime - copyEnd > KEYFRAME_TOLERANCE ? [copyEnd, endTime] : null
+  };
+};
+
+const parseRate = (value) => {
+  const [num, den] = String(value || '').split('/').map(Number);
+  return den ? num / den : NaN;
+};
+
+/**
+ * Work out how to encode fragments that splice into a file's streams without a visible seam
+ * The fragments get the source's H.264 profile, level, reference frames, B-frames, timebase and frame rate,
+ * and its AAC profile, sample rate and channels
+ * @param {Object} metadata ffprobe output of the source
+ * @returns {Object} { settings, reason } where settings is { videoOptions, audioOptions, timescale, hasAudio },
+ * or null with the reason when the streams cannot be reproduced and the clip has to be re-encoded
+ */
+const getSpliceSettings = (metadata) => {
+  const streams = (metadata && metadata.streams) || [];
+  const video = streams.find(s => s.codec_type === 'video');
+  const audio = streams.find(s => s.codec_type === 'audio');
+  const unsupported = (reason) => ({ settings: null, reason });
+
+  if (!video || video.codec_name !== 'h264') {
+    return unsupported(`cannot splice ${video ? video.codec_name : 'missing'} video`);
+  }
+  const profile = SPLICE_H264_PROFILES[video.profile];
+  if (!profile) {
+    return unsupported(`cannot reproduce the H.264 ${video.profile} profile`);
+  }
+  if (!SPLICE_PIX_FMTS.includes(video.pix_fmt)) {
+    return unsupported(`cannot reproduce ${video.pix_fmt} frames`);
+  }
+  if (!(video.level >= 10)) {
+    return unsupported(`cannot reproduce H.264 level ${video.level}`);
+  }
+  if (video.field_order && !['progressive', 'unknown'].includes(video.field_order)) {
+    return unsupported('cannot reproduce interlaced video');
+  }
+
+  // Fragments have to keep the source's timestamps, which only works at a constant frame rate
+  const fps = parseRate(video.r_frame_rate);
+  const averageFps = parseRate(video.avg_frame_rate);
+  if (!Number.isFinite(fps) || fps <= 0 || (Number.isFinite(averageFps) && Math.abs(fps - averageFps) > 0.01)) {
+    return unsupported('cannot reproduce a variable frame rate');
+  }
+  const timescale = Number(String(video.time_base || '').split('/')[1]);
+  if (!Number.isInteger(timescale) || timescale <= 0) {
+    return unsupported(`cannot reproduce the ${video.time_base} timebase`);
+  }
+
+  if (audio && (audio.codec_name !== 'aac' || !SPLICE_AAC_PROFILES.includes(audio.profile))) {
+    return unsupported(`cannot splice ${audio.codec_name}${audio.profile ? ` ${audio.profile}` : ''} audio`);
+  }
+
+  const videoOptions = [
+    '-c:v', 'libx264',
+    '-preset', 'veryfast',
+    '-crf', '18',
+    '-profile:v', profile,
+    '-level:v', String(video.level / 10),
+    '-pix_fmt', video.pix_fmt,
+    '-r', video.r_frame_rate
+  ];
+  if (Number.isInteger(video.refs) && video.refs > 0) {
+    videoOptions.push('-refs', String(video.refs));
+  }
+  // Baseline has no B-frames, and a source without them must not get a reorder delay from the fragments
+  if (profile === 'baseline' || video.has_b_frames === 0) {
+    videoOptions.push('-bf', '0');
+  }
+
+  const audioOptions = audio
+    ? ['-c:a', 'aac', '-profile:a', 'aac_low', '-ar', String(audio.sample_rate), '-ac', String(audio.channels)]
+    : [];
+
+  return { settings: { videoOptions, audioOptions, timescale, hasAudio: Boolean(audio) }, reason: null };
+};
+
+const probeFile = (filePath) => {
+  return new Promise((resolve, reject) => {
+    ffmpeg.ffprobe(filePath, (err, metadata) => (err ? reject(err) : resolve(metadata)));
+  });
+};
+
+// Run one ffmpeg command to completion
+const runCommand = (command, outputPath, track) => {
+  return new Promise((resolve, reject) => {
+    const untrack = track ? track(command) : () => {};
+    command
+      .output(outputPath)
+      .on('end', () => {
+        untrack();
+        resolve(outputPath);
+      })
+      .on('error', (err) => {
+        untrack();
+        reject(err);
+      })
+      .run();
+  });
+};
+
+// Copy a keyframe-aligned range without decoding it
+const copyRange = (inputPath, outputPath, [from, to], track, timescale = 90000) => {
+  const command = ffmpeg(inputPath)
+    .inputOptions(['-ss', String(from)])
+    .outputOptions([
+      '-t', String(Math.round((to - from) * 1000) / 1000),
+      '-map', '0:v:0',
+      '-map', '0:a:0?',
+      '-c', 'copy',
+      '-avoid_negative_ts', 'make_zero',
+      '-video_track_timescale', String(timescale)
+    ]);
+  return runCommand(command, outputPath, track);
+};
+
+// Re-encode a fragment with the source's codec parameters so it can be spliced with the copied streams
+const encodeFragment = (inputPath, outputPath, [from, to], settings, track) => {
+  const options = [
+    '-map', '0:v:0',
+    ...settings.videoOptions,
+    '-video_track_timescale', String(settings.timescale)
+  ];
+  if (settings.hasAudio) {
+    options.push('-map', '0:a:0', ...settings.audioOptions);
+  }
+
+  const command = ffmpeg(inputPath)
+    .setStartTime(from)
+    .setDuration(Math.round((to - from) * 1000) / 1000)
+    .outputOptions(options);
+  return runCommand(command, outputPath, track);
+};
+
+// Join the fragments of a clip with the concat demuxer, copying every stream
+const concatFragments = async (fragmentPaths, outputPath, track) => {
+  const listPath = `${outputPath}.txt`;
+  fs.writeFileSync(listPath, fragmentPaths.map(file => `file '${file.replace(/'/g, "'\\''")}'`).join('\n'));
+  try {
+    const command = ffmpeg()
+      .input(listPath)
+      .inputOptions(['-f', 'concat', '-safe', '0'])
+      .outputOptions(['-c', 'copy', '-movflags', '+faststart']);
+    return await runCommand(command, outputPath, track);
+  } finally {
+    fs.rmSync(listPath, { force: true });
+  }
+};
+
+/**
+ * Cut a clip without re-encoding all of it
+ * fast starts at the keyframe before startTime, so the clip can begin up to one GOP early;
+ * smart re-encodes from startTime to the next keyframe and from the last keyframe to endTime,
+ * copies everything in between and splices the three parts together
+ * @param {string} inputPath
+ * @param {string} outputPath
+ * @param {number} startTime
+ * @param {number} endTime
+ * @param {string} trimMode 'fast' or 'smart'
+ * @param {Object} [options]
+ * @param {Function} [options.track] Called with each ffmpeg and ffprobe process, returns a function that stops tracking it
+ * @returns {Promise<string|null>} outputPath, or null when the clip has to be trimmed accurately instead
+ */
+const trimWithKeyframes = async (inputPath, outputPath, startTime, endTime, trimMode, { track } = {}) => {
+  const keyframes = await probeKeyframes(inputPath, startTime, endTime, { track });
+
+  if (trimMode === 'fast') {
+    const start = [...keyframes].reverse().find(time => time <= startTime + KEYFRAME_TOLERANCE);
+    if (start === undefined) {
+      return null;
+    }
+    console.log(`Fast trim: copying ${path.basename(inputPath)} from keyframe ${start}s to ${endTime}s`);
+    return copyRange(inputPath, outputPath, [start, endTime], track);
+  }
+
+  const plan = planSmartTrim(keyframes, startTime, endTime);
+  if (!plan) {
+    console.log(`Smart trim: no keyframe-aligned part between ${startTime}s and ${endTime}s, re-encoding the clip`);
+    return null;
+  }
+
+  if (!plan.head && !plan.tail) {
+    console.log(`Smart trim: ${startTime}s-${endTime}s is keyframe-aligned, copying it`);
+    return copyRange(inputPath, outputPath, plan.copy, track);
+  }
+
+  const { settings, reason } = getSpliceSettings(await probeFile(inputPath));
+  if (!settings) {
+    console.log(`Smart trim: ${reason}, re-encoding the clip`);
+    return null;
+  }
+
+  const base = outputPath.replace(/\.[^.]+$/, '');
+  const fragments = [];
+  try {
+    if (plan.head) {
+      fragments.push(await encodeFragment(inputPath, `${base}_head.mp4`, plan.head, settings, track));
+    }
+    fragments.push(await copyRange(inputPath, `${base}_copy.mp4`, plan.copy, track, settings.timescale));
+    if (plan.tail) {
+      fragments.push(await encodeFragment(inputPath, `${base}_tail.mp4`, plan.tail, settings, track));
+    }
+    console.log(`Smart trim: copied ${plan.copy[0]}s-${plan.copy[1]}s, re-encoded ${fragments.length - 1} edge fragment(s)`);
+    return await concatFragments(fragments, outputPath, track);
+  } finally {
+    fragments.forEach(file => fs.rmSync(file, { force: true }));
+  }
+};
+
+module.exports = {
+  TRIM_MODES,
+  parseTrimOptions,
+  canCopyTrim,
+  probeKeyframes,
+  planSmartTrim,
+  getSpliceSettings,
+  trimWithKeyframes
+};
@@ -0,0 +1,175 @@
+const ffmpeg = require('fluent-ffmpeg');
+const fs = require('fs');
+const path = require('path');
+
+// Audio is decoded to mono at this rate; plenty for drawing peaks and much less to scan than 44.1 kHz
+const WAVEFORM_SAMPLE_RATE = 16000;
+// Samples per pixel of each zoom level, from detailed to overview; each level is 4 times coarser than the last
+const ZOOM_LEVELS = [256, 1024, 4096];
+// Peaks are stored as 8-bit values, like `audiowaveform -b 8`
+const WAVEFORM_BITS = 8;
+
+/**
+ * Collect the min and max of every block of samples
+ * @param {number} samplesPerPixel Samples in a block
+ * @returns {Object} { push(sample), finish() } where finish returns [min, max, min, max, ...] as 16-bit values
+ */
+const createPeakAccumulator = (samplesPerPixel) => {
+  const data = [];
+  let min = 0;
+  let max = 0;
+  let count = 0;
+
+  return {
+    push(sample) {
+      if (count === 0 || sample < min) min = sample;
+      if (count === 0 || sample > max) max = sample;
+      count++;
+      if (count === samplesPerPixel) {
+        data.push(min, max);
+        count = 0;
+      }
+    },
+    finish() {
+      // A trailing partial block still gets its own pixel
+      if (count > 0) {
+        data.push(min, max);
+        count = 0;
+      }
+      return data;
+    }
+  };
+};
+
+/**
+ * Merge the peaks of a zoom level into a coarser one
+ * @param {Array<number>} data [min, max, ...] pairs
+ * @param {number} factor Pixels merged into one
+ * @returns {Array<number>} [min, max, ...] pairs
+ */
+const downsamplePeaks = (data, factor) => {
+  const merged = [];
+  for (let i = 0; i < data.length; i += factor * 2) {
+    let min = data[i];
+    let max = data[i + 1];
+    for (let j = i + 2; j < Math.min(data.length, i + factor * 2); j += 2) {
+      min = Math.min(min, data[j]);
+      max = Math.max(max, data[j + 1]);
+    }
+    merged.push(min, max);
+  }
+  return merged;
+};
+
+/**
+ * Wrap peaks in the JSON format of bbc/audiowaveform, as read by peaks.js and wavesurfer
+ * @param {Array<number>} data [min, max, ...] pairs as 16-bit values
+ * @param {number} samplesPerPixel
+ * @param {number} sampleRate
+ * @returns {Object} { version, channels, sample_rate, samples_per_pixel, bits, length, data }
+ */
+const toWaveformJson = (data, samplesPerPixel, sampleRate) => ({
+  version: 2,
+  channels: 1,
+  sample_rate: sampleRate,
+  samples_per_pixel: samplesPerPixel,
+  bits: WAVEFORM_BITS,
+  length: data.length / 2,
+  // 16-bit to 8-bit, keeping the -128 to 127 range
+  data: data.map(value => Math.max(-128, Math.min(127, Math.floor(value / 256))))
+});
+
+/**
+ * Decode the audio of a file and collect its peaks at the most detailed zoom level
+ * @param {string} inputPath
+ * @param {Object} [options]
+ * @param {number} [options.samplesPerPixel] Default the first of ZOOM_LEVELS
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<Array|null>} [min, max, ...] pairs as 16-bit values, null for inputs without audio
+ */
+const extractPeaks = (inputPath, { samplesPerPixel = ZOOM_LEVELS[0], track } = {}) => {
+  return new Promise((resolve, reject) => {
+    const command = ffmpeg(inputPath);
+    const untrack = track ? track(command) : () => {};
+    const peaks = createPeakAccumulator(samplesPerPixel);
+    // A chunk can end in the middle of a sample
+    let leftover = null;
+    let streamEnded = false;
+    let commandEnded = false;
+
+    const settle = () => {
+      if (streamEnded && commandEnded) {
+        resolve(peaks.finish());
+      }
+    };
+
+    command
+      .noVideo()
+      .audioChannels(1)
+      .audioFrequency(WAVEFORM_SAMPLE_RATE)
+      .format('s16le')
+      .on('end', () => {
+        untrack();
+        commandEnded = true;
+        settle();
+      })
+      .on('error', (err, stdout, stderr) => {
+        untrack();
+        // Inputs without an audio stream have no waveform
+        if (/matches no streams|does not contain any stream|Output file #0 does not contain/i.test(String(stderr || err.message))) {
+          return resolve(null);
+        }
+        reject(err);
+      });
+
+    const stream = command.pipe();
+    stream.on('data', (chunk) => {
+      const buffer = leftover ? Buffer.concat([leftover, chunk]) : chunk;
+      const usable = buffer.length - (buffer.length % 2);
+      for (let offset = 0; offset < usable; offset += 2) {
+        peaks.push(buffer.readInt16LE(offset));
+      }
+      leftover = usable < buffer.length ? buffer.subarray(usable) : null;
+    });
+    stream.on('end', () => {
+      streamEnded = true;
+      settle();
+    });
+  });
+};
+
+/**
+ * Write the audiowaveform JSON files of a video, one per zoom level
+ * @param {string} inputPath
+ * @param {string} outputDir
+ * @param {Object} [options]
+ * @param {string} [options.prefix] Start of the file names, default 'waveform'; files end in _<samples per pixel>.json
+ * @param {Function} [options.track] Called with the ffmpeg command, returns a function that stops tracking it
+ * @returns {Promise<Object|null>} { sampleRate, bits, levels: [{ samplesPerPixel, length, path }] }, null without audio
+ */
+const generateWaveforms = async (inputPath, outputDir, { prefix = 'waveform', track } = {}) => {
+  const base = await extractPeaks(inputPath, { samplesPerPixel: ZOOM_LEVELS[0], track });
+  if (!base) {
+    return null;
+  }
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const levels = ZOOM_LEVELS.map(samplesPerPixel => {
+    const data = samplesPerPixel === ZOOM_LEVELS[0] ? base : downsamplePeaks(base, samplesPerPixel / ZOOM_LEVELS[0]);
+    const filePath = path.join(outputDir, `${prefix}_${samplesPerPixel}.json`);
+    fs.writeFileSync(filePath, JSON.stringify(toWaveformJson(data, samplesPerPixel, WAVEFORM_SAMPLE_RATE)));
+    return { samplesPerPixel, length: data.length / 2, path: filePath };
+  });
+
+  return { sampleRate: WAVEFORM_SAMPLE_RATE, bits: WAVEFORM_BITS, levels };
+};
+
+module.exports = {
+  WAVEFORM_SAMPLE_RATE,
+  ZOOM_LEVELS,
+  createPeakAccumulator,
+  downsamplePeaks,
+  toWaveformJson,
+  extractPeaks,
+  generateWaveforms
+};
@@ -0,0 +1,341 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const Webhook = require('../model/webhookSchema');
+const WebhookDelivery = require('../model/webhookDeliverySchema');
+const config = require('../config');
+
+// Event types users can subscribe to
+const WEBHOOK_EVENTS = [
+  'merge.completed',
+  'merge.failed',
+  'video.processed',
+  'video.failed',
+  'video.tightened',
+  'video.tighten_failed',
+  'project.created'
+];
+
+const MAX_ATTEMPTS = Number(config.webhooks.maxAttempts);
+const RETRY_BASE_DELAY = Number(config.webhooks.retryBaseDelay);
+const REQUEST_TIMEOUT = Number(config.webhooks.timeout);
+const POLL_INTERVAL = Number(config.webhooks.pollInterval);
+
+// Addresses webhooks may never be sent to: loopback, private, link-local, shared, documentation, multicast and reserved ranges
+// One list per family, since a list holding ::ffff:0:0/96 would match every IPv4 address
+const BLOCKED_IPV4 = new net.BlockList();
+const BLOCKED_IPV6 = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15],
+  ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_IPV4.addSubnet(address, prefix, 'ipv4'));
+[
+  // ::ffff:0:0/96 and 64:ff9b::/96 embed IPv4 addresses, 2002::/16 and 2001::/32 tunnel to them
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['100::', 64], ['2001::', 23], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_IPV6.addSubnet(address, prefix, 'ipv6'));
+
+let workerTimer = null;
+
+const isDatabaseReady = () => mongoose.connection.readyState === 1;
+
+/**
+ * Generate a random secret for signing webhook payloads
+ * @returns {string} Hex encoded secret
+ */
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * Sign a webhook body the way receivers are expected to verify it
+ * The signature covers `${timestamp}.${body}` so a captured request cannot be replayed with a new timestamp
+ * @param {string} secret Webhook secret
+ * @param {number} timestamp Unix timestamp in seconds
+ * @param {string} body Raw JSON body
+ * @returns {string} Hex encoded HMAC-SHA256 signature
+ */
+const signPayload = (secret, timestamp, body) => {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+// Delay before the next attempt: base, 2x base, 4x base, ...
+const getRetryDelay = (attempts) => RETRY_BASE_DELAY * Math.pow(2, Math.max(0, attempts - 1));
+
+/**
+ * Check the shape of a webhook URL: only absolute http(s) URLs can receive webhooks
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isValidWebhookUrl = (url) => {
+  try {
+    const parsed = new URL(url);
+    return (parsed.protocol === 'https:' || parsed.protocol === 'http:') && !!parsed.hostname;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Tell whether an IP address is on the public internet
+ * @param {string} address IPv4 or IPv6 address
+ * @returns {boolean} false for loopback, private, link-local and reserved addresses, and for anything that is not an IP
+ */
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (family === 0) {
+    return false;
+  }
+  return family === 4 ? !BLOCKED_IPV4.check(address, 'ipv4') : !BLOCKED_IPV6.check(address, 'ipv6');
+};
+
+// dns.lookup for outgoing deliveries: connections to hosts resolving to non-public addresses are refused,
+// which also covers DNS records changed after the URL was checked
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked || addresses.length === 0) {
+      return callback(new Error(`${hostname} does not resolve to a public address`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const deliveryAgents = {
+  httpAgent: new http.Agent({ lookup: publicLookup }),
+  httpsAgent: new https.Agent({ lookup: publicLookup })
+};
+
+/**
+ * Check that a webhook URL is well formed and that its host is on the public internet
+ * Used when a webhook is registered and again before every delivery
+ * @param {string} url
+ * @returns {Promise<string|null>} Why the URL cannot be used, or null when it can
+ */
+const checkWebhookUrl = async (url) => {
+  if (!isValidWebhookUrl(url)) {
+    return 'A valid http(s) url is required';
+  }
+
+  // IPv6 hosts come in brackets
+  const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname)) {
+    return isPublicAddress(hostname) ? null : 'The url must point to a public address';
+  }
+
+  try {
+    const addresses = await dns.promises.lookup(hostname, { all: true, verbatim: true });
+    if (addresses.length === 0 || addresses.some(({ address }) => !isPublicAddress(address))) {
+      return 'The url must point to a public address';
+    }
+  } catch (error) {
+    return `The url host could not be resolved: ${hostname}`;
+  }
+  return null;
+};
+
+/**
+ * Send one attempt of a delivery and record the outcome in the delivery log
+ * @param {Object} delivery Delivery document (lean)
+ * @returns {Promise<Object>} The updated delivery
+ */
+const attemptDelivery = async (delivery) => {
+  const webhook = await Webhook.findById(delivery.webhookId).select('+secret').lean();
+  if (!webhook) {
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, {
+      $set: { status: 'failed', error: 'Webhook no longer exists', updatedAt: new Date() }
+    }, { new: true }).lean();
+  }
+
+  const attempts = delivery.attempts + 1;
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({
+    id: delivery.eventId,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload
+  });
+
+  const startedAt = Date.now();
+  const update = { attempts, updatedAt: new Date() };
+
+  // The host may have moved to an internal address since the webhook was registered
+  const urlError = await checkWebhookUrl(webhook.url);
+  if (urlError) {
+    update.status = 'failed';
+    update.error = urlError;
+    update.durationMs = 0;
+    console.warn(`Webhook delivery ${delivery._id} (${delivery.event}) refused: ${urlError}`);
+    await Webhook.findByIdAndUpdate(webhook._id, {
+      $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: 'failed' }
+    });
+    return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: update }, { new: true }).lean();
+  }
+
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'ClipSmart-Webhooks/1.0',
+        'X-Webhook-Id': webhook._id.toString(),
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': delivery._id.toString(),
+        'X-Webhook-Timestamp': timestamp,
+        'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}`
+      },
+      timeout: REQUEST_TIMEOUT,
+      maxRedirects: 0,
+      ...deliveryAgents,
+      // Only the status is kept, so receivers cannot be used to read responses back
+      responseType: 'stream',
+      // Every status is recorded; only 2xx counts as delivered
+      validateStatus: () => true
+    });
+
+    update.responseStatus = response.status;
+    response.data.destroy();
+
+    if (response.status >= 200 && response.status < 300) {
+      update.status = 'success';
+      update.deliveredAt = new Date();
+      update.error = null;
+    } else {
+      update.error = `Receiver responded with status ${response.status}`;
+    }
+  } catch (error) {
+    update.error = error.code ? `${error.code}: ${error.message}` : error.message;
+  }
+
+  update.durationMs = Date.now() - startedAt;
+
+  if (update.status !== 'success') {
+    if (attempts >= (delivery.maxAttempts || MAX_ATTEMPTS)) {
+      update.status = 'failed';
+      console.warn(`Webhook delivery ${delivery._id} (${delivery.event}) failed after ${attempts} attempts: ${update.error}`);
+    } else {
+      update.status = 'pending';
+      update.nextAttemptAt = new Date(Date.now() + getRetryDelay(attempts));
+      console.log(`Webhook delivery ${delivery._id} attempt ${attempts} failed, retrying at ${update.nextAttemptAt.toISOString()}`);
+    }
+  }
+
+  if (update.status !== 'pending') {
+    await Webhook.findByIdAndUpdate(webhook._id, {
+      $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: update.status }
+    });
+  }
+
+  return WebhookDelivery.findByIdAndUpdate(delivery._id, { $set: update }, { new: true }).lean();
+};
+
+/**
+ * Queue a delivery for a webhook and attempt it right away
+ * @param {Object} webhook Webhook document
+ * @param {string} event Event type
+ * @param {Object} data Event payload
+ * @param {Object} options - { retry } false to make a single attempt (used by test deliveries)
+ * @returns {Promise<Object>} The delivery after its first attempt
+ */
+const deliverToWebhook = async (webhook, event, data, { retry = true } = {}) => {
+  const delivery = await WebhookDelivery.create({
+    webhookId: webhook._id,
+    userId: webhook.userId,
+    eventId: uuidv4(),
+    event,
+    payload: data,
+    maxAttempts: retry ? MAX_ATTEMPTS : 1,
+    // Keep the worker away while the first attempt is in flight
+    nextAttemptAt: new Date(Date.now() + REQUEST_TIMEOUT * 2)
+  });
+
+  return attemptDelivery(delivery.toObject());
+};
+
+/**
+ * Send an event to every active webhook the user registered for it
+ * Never throws: webhook failures must not affect the request or job that raised the event
+ * @param {string} userId Owner of the resource the event is about
+ * @param {string} event One of WEBHOOK_EVENTS
+ * @param {Object} data Event payload
+ */
+const dispatchEvent = async (userId, event, data) => {
+  if (!userId || !isDatabaseReady()) {
+    return;
+  }
+
+  try {
+    const webhooks = await Webhook.find({ userId: userId.toString(), active: true, events: event }).lean();
+    await Promise.all(webhooks.map(webhook => deliverToWebhook(webhook, event, data).catch(error => {
+      console.error(`Webhook ${webhook._id} delivery of ${event} failed:`, error.message);
+    })));
+  } catch (error) {
+    console.error(`Failed to dispatch webhook event ${event}:`, error.message);
+  }
+};
+
+// Atomically take one due delivery so only one instance retries it
+const claimDueDelivery = () => {
+  const now = new Date();
+  return WebhookDelivery.findOneAndUpdate(
+    { status: 'pending', nextAttemptAt: { $lte: now } },
+    { $set: { nextAttemptAt: new Date(now.getTime() + REQUEST_TIMEOUT * 2), updatedAt: now } },
+    { new: true, sort: { nextAttemptAt: 1 } }
+  ).lean();
+};
+
+const tick = async () => {
+  if (!isDatabaseReady()) {
+    return;
+  }
+
+  try {
+    let delivery;
+    while ((delivery = await claimDueDelivery())) {
+      await attemptDelivery(delivery);
+    }
+  } catch (error) {
+    console.error('Webhook worker tick failed:', error.message);
+  }
+};
+
+/**
+ * Start the background loop that retries failed webhook deliveries
+ */
+const startWebhookWorker = () => {
+  if (workerTimer) {
+    return;
+  }
+
+  console.log(`Starting webhook worker (poll every ${POLL_INTERVAL}ms)`);
+  workerTimer = setInterval(tick, POLL_INTERVAL);
+};
+
+const stopWebhookWorker = () => {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  isValidWebhookUrl,
+  isPublicAddress,
+  checkWebhookUrl,
+  generateSecret,
+  signPayload,
+  dispatchEvent,
+  deliverToWebhook,
+  startWebhookWorker,
+  stopWebhookWorker
+};